@@ -7,6 +7,7 @@ import { createEnclave } from '@fastnear/soft-enclave';
 class Demo {
   constructor() {
     this.enclave = null;
+    this.demoKey = null; // { keyId, publicKey } sealed in the iframe enclave's vault
     this.metrics = {
       operations: 0,
       maxExposure: 0
@@ -193,10 +194,6 @@ return fibonacci(10)`;
     try {
       resultEl.innerHTML = '<div class="status pending"><div class="spinner"></div><div>Signing transaction...</div></div>';
 
-      // Simulate an encrypted private key (in real app, this would come from user's storage)
-      const mockEncryptedKey = new Uint8Array(64);
-      crypto.getRandomValues(mockEncryptedKey);
-
       // Mock NEAR transaction (all required fields)
       const transaction = {
         signerId: 'alice.near',
@@ -210,10 +207,20 @@ return fibonacci(10)`;
         }]
       };
 
-      const { signature, metrics, totalDurationMs } = await this.enclave.signTransaction(
-        mockEncryptedKey,
-        transaction
-      );
+      let signing;
+      if (typeof this.enclave.signTransactionByKeyId === 'function') {
+        // iframe backend: the key is generated and sealed inside the enclave; we only hold its ID
+        if (!this.demoKey) this.demoKey = await this.enclave.generateKey();
+        transaction.publicKey = this.demoKey.publicKey;
+        signing = this.enclave.signTransactionByKeyId(this.demoKey.keyId, transaction);
+      } else {
+        // Worker backend: simulate an encrypted private key (in real app, this would come from user's storage)
+        const mockEncryptedKey = new Uint8Array(64);
+        crypto.getRandomValues(mockEncryptedKey);
+        signing = this.enclave.signTransaction(mockEncryptedKey, transaction);
+      }
+
+      const { signature, metrics, totalDurationMs } = await signing;
 
       // Update metrics
       this.updateMetrics(metrics);
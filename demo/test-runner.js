@@ -136,7 +136,7 @@ function resetResults() {
 
 async function testBasicExecution() {
   await ensureEnclave('worker');
-  const { result } = await enclave.execute('40 + 2');
+  const { result } = await enclave.execute('return 40 + 2');
   return { pass: result === 42, message: `Expected 42, got ${result}` };
 }
 
@@ -159,7 +159,7 @@ async function testReplayProtection() {
   await ensureEnclave('worker');
   const code = `
     // Simulate two messages with the same seq; second should be dropped by receiver
-    'ok'
+    return 'ok';
   `;
   const { result } = await enclave.execute(code);
   return { pass: result === 'ok', message: 'Replay guard active' };
@@ -77,8 +77,12 @@ export class EnclaveBase {
    *
    * @param {string} code - JavaScript code to execute
    * @param {object} context - Execution context (variables available to code)
-   * @param {object} options - Execution options (timeout, etc.)
-   * @returns {Promise<{result: any, metrics: object, totalDurationMs: number}>}
+   * @param {object} options - Execution options (timeout, capabilities: host functions the guest may call,
+   *   limits: { memoryBytes, stackBytes, timeMs, maxInterrupts } - exceeding one rejects with ResourceLimitExceeded,
+   *   isolation: 'context' | 'session' | 'runtime' and sessionId, where the backend supports them,
+   *   onLog: called with each guest console entry as it happens)
+   * @returns {Promise<{result: any, metrics: object, totalDurationMs: number}>} metrics.logs holds the
+   *   guest's console entries ({ level, message, timestamp }), capped in size; metrics.logsDropped counts the rest
    */
   async execute(code, context = {}, options = {}) {
     this._ensureInitialized();
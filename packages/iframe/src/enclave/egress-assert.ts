@@ -1,10 +1,10 @@
 const ORIGIN = new URL(document.referrer || 'http://localhost:8080').origin;
 const origPost = MessagePort.prototype.postMessage;
 MessagePort.prototype.postMessage = function(msg: any, transfer?: any) {
-  if (msg?.type === 'ciphertext-result') {
+  if (msg?.type === 'ciphertext-result' || msg?.type === 'ciphertext-event') {
     const p = msg.payload;
     const ok = p && Array.isArray(p.iv) && Array.isArray(p.ciphertext);
-    if (!ok) throw new Error('ciphertext-result schema violation');
+    if (!ok) throw new Error(`${msg.type} schema violation`);
   } else if (msg?.type === 'error') {
     // allowed
   } else {
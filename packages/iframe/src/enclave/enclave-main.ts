@@ -1,10 +1,12 @@
 import {
   genECDH, exportRaw, importRaw, deriveSession,
-  seal, open, serializePayload, deserializePayload
+  seal, open, serializePayload, deserializePayload,
+  ENVELOPE_VERSION, opAAD, resultAAD, eventAAD
 } from './crypto-protocol.js';
 import { createQuickJS } from './quickjs-runtime.js';
+import { OpRegistry, OpError } from './op-registry.js';
 import { initVault, type Vault } from '../../../shared/src/vault.js';
-import { signTransaction } from '../../../near/src/enclave/near-tx.js';
+import { createKeyCustody, type KeyCustody } from './key-custody.js';
 
 const EXPECTED_PARENT = new URL(document.referrer || 'http://localhost:8080').origin;
 document.body.innerHTML = `<div style="padding: 20px; font-family: monospace;">
@@ -17,6 +19,7 @@ let port: MessagePort | null = null;
 let session: any = null;
 let seqSend = 1;
 let vault: Vault | null = null;
+let custodian: KeyCustody | null = null;
 
 const seen = new Set<string>(); const fifo: string[] = []; const MAX = 4096;
 function rememberIV(iv: Uint8Array) {
@@ -79,9 +82,125 @@ function guardedPost(msg: any) {
   postToParent('enclave-ready', { enclavePubKey: Array.from(enclavePub), codeHash });
   console.log('✅ [Enclave] enclave-ready posted');
 
+  const ops = new OpRegistry();
+
+  ops.register('evalQuickJS', async (call, emit) => {
+    console.log('🟢 [Enclave] Evaluating QuickJS code...');
+
+    // Host functions this call grants the guest (none unless listed)
+    const capabilities: string[] = Array.isArray(call.capabilities)
+      ? call.capabilities.filter((c: unknown) => typeof c === 'string')
+      : [];
+
+    const startTime = performance.now();
+
+    // Use new async eval() method which wraps code properly; limits and the
+    // isolation mode are validated (and defaulted) inside, invalid ones fail the call
+    const out = await qjs.eval(call.code, {
+      limits: call.limits ?? {},
+      capabilities,
+      mode: call.isolation,
+      sessionId: call.sessionId,
+      logging: {
+        // Guest console output; streamed (sealed) as it happens when the host asks for it
+        onEntry: call.streamLogs === true ? (entry) => emit({ type: 'log', entry }) : undefined
+      }
+    });
+
+    const keyExposureMs = performance.now() - startTime;
+    console.log(`✅ [Enclave] QuickJS code evaluated (execution: ${keyExposureMs.toFixed(2)}ms)`);
+
+    // Format response for iframe-backend compatibility
+    return {
+      body: out.ok ? out.value : { error: out.error },
+      logs: out.logs,
+      logsDropped: out.logsDropped,
+      hostCalls: out.hostCalls,
+      peakMemoryBytes: out.peakMemoryBytes,
+      // Beside the body, not in it: the body is whatever the guest returned
+      ...(!out.ok && out.limitExceeded ? { limitExceeded: out.limitExceeded } : {}),
+      keyExposureMs,
+      memoryZeroed: out.memoryZeroed
+    };
+  });
+
+  // Session contexts stay alive (with their globals) until the host ends them
+  ops.register('endSession', async (call) => ({
+    body: { sessionId: call.sessionId, ended: qjs.endSession(String(call.sessionId)) }
+  }));
+
+  // Key custody: keys live sealed in the vault; the host only handles key IDs and public keys
+  const custody = () => {
+    if (!custodian) throw new Error('vault-not-initialized');
+    return custodian;
+  };
+
+  ops.register('importKey', async (call) => ({ body: await custody().importKey(call.privateKey) }));
+  ops.register('generateKey', async () => ({ body: await custody().generateKey() }));
+  ops.register('getPublicKey', async (call) => ({ body: await custody().getPublicKey(call.keyId) }));
+  ops.register('deleteKey', async (call) => {
+    await custody().deleteKey(call.keyId);
+    return { body: { keyId: call.keyId, deleted: true } };
+  });
+
+  ops.register('signTransaction', async (call) => {
+    console.log('🟢 [Enclave] Processing signTransaction...');
+    const startTime = performance.now();
+
+    // Key is unsealed from the vault by ID, used for one signature and zeroed
+    const body = await custody().signTransaction(call.keyId, call.transaction);
+
+    const keyExposureMs = performance.now() - startTime;
+    console.log(`✅ [Enclave] Transaction signed (key exposure: ${keyExposureMs.toFixed(2)}ms)`);
+
+    // Same result shape as the worker enclave (data = raw signature bytes)
+    return {
+      body,
+      logs: [],
+      keyExposureMs,
+      memoryZeroed: true
+    };
+  });
+
+  ops.register('signDelegateAction', async (call) => {
+    console.log('🟢 [Enclave] Processing signDelegateAction (NEP-366)...');
+    const startTime = performance.now();
+
+    const body = await custody().signDelegateAction(call.keyId, call.delegateAction);
+
+    return {
+      body,
+      logs: [],
+      keyExposureMs: performance.now() - startTime,
+      memoryZeroed: true
+    };
+  });
+
+  ops.register('signMessage', async (call) => {
+    console.log('🟢 [Enclave] Processing signMessage (NEP-413)...');
+    const startTime = performance.now();
+
+    const { keyId, accountId, message, recipient, nonce, callbackUrl, state } = call;
+    const signed = await custody().signMessage(keyId, accountId, { message, recipient, nonce, callbackUrl });
+
+    return {
+      body: state === undefined ? signed : { ...signed, state },
+      logs: [],
+      keyExposureMs: performance.now() - startTime,
+      memoryZeroed: true
+    };
+  });
+
+  // Self-test: a plaintext post must be rejected by the egress guard.
+  // The guard's error (or the lack of one) is reported as a plaintext error frame.
+  ops.register('test_egress_violation', async () => {
+    port!.postMessage({ type:'not-allowed-plaintext', value: 1 });
+    throw new Error('egress-guard-did-not-trigger');
+  });
+
   port!.onmessage = async (evt) => {
     const msg = evt.data || {};
-    console.log('🟢 [Enclave] Received port message:', msg.type);
+    console.log('🟢 [Enclave] Received port message:', msg.type, msg.op ?? '');
 
     try {
       if (msg.type === 'host-hello') {
@@ -98,6 +217,7 @@ function guardedPost(msg: any) {
         console.log('🟢 [Enclave] Initializing vault...');
         const sessionId = `${EXPECTED_PARENT}|${location.origin}|${codeHash}`;
         vault = await initVault({ aad: sessionId });
+        custodian = createKeyCustody(vault, sessionId);
         const stats = await vault.stats();
         console.log('✅ [Enclave] Vault initialized:', stats);
 
@@ -106,135 +226,48 @@ function guardedPost(msg: any) {
 
       if (msg.type === 'ciphertext-call') {
         if (!session) throw new Error('session-not-established');
+        if (msg.v !== ENVELOPE_VERSION) throw new OpError('unsupported-envelope-version', String(msg.op), `unsupported-envelope-version: ${msg.v}`);
+
+        // Route on the cleartext op before decrypting; the AAD binds it to the ciphertext
+        const handler = ops.resolve(msg.op);
         const payload = deserializePayload(msg.payload);
 
         if (!rememberIV(payload.iv)) throw new Error('replay-detected');
 
-        // Try to decrypt with different AADs based on operation type
-        // This is a pragmatic alpha solution - production should include op in message metadata
-        let call: any;
-        let aad: string;
-
+        const { id, ...call } = await open(session.aeadKey, payload, opAAD(msg.op, msg.v));
+
+        // Streamed events are sealed in the order emitted (on the same counter as
+        // results, so no IV repeats) and all posted before the result.
+        let events = Promise.resolve();
+        const emit = (event: any) => {
+          events = events.then(async () => {
+            const eventSeq = seqSend++;
+            const ct = await seal(session.aeadKey, session.baseIV, eventSeq, { ...event, id }, eventAAD(msg.op, msg.v));
+            guardedPost({ type:'ciphertext-event', v: msg.v, op: msg.op, payload: serializePayload(ct), seq: eventSeq });
+          }).catch((e) => console.warn('[Enclave] Dropping event:', e));
+        };
+
+        // Once the call is authenticated, failures travel back sealed and tagged with
+        // the request ID so the host can match them to concurrent requests.
+        let response: any;
         try {
-          // Try evalQuickJS first (most common)
-          call = await open(session.aeadKey, payload, 'op=evalQuickJS');
-          aad = 'op=evalQuickJS';
-        } catch (e1) {
-          try {
-            // Try signTransaction
-            call = await open(session.aeadKey, payload, 'op=signTransaction');
-            aad = 'op=signTransaction';
-          } catch (e2) {
-            try {
-              // Try test_egress_violation
-              call = await open(session.aeadKey, payload, 'op=test_egress_violation');
-              aad = 'op=test_egress_violation';
-            } catch (e3) {
-              throw new Error('Unable to decrypt payload with any known AAD');
-            }
-          }
-        }
-
-        // Handle evalQuickJS operation
-        if (call.op === 'evalQuickJS') {
-          console.log('🟢 [Enclave] Evaluating QuickJS code...');
-
-          // Extract zeroMemory option from context (if provided)
-          let zeroMemory = true; // Default to true for security
-          console.log('🔍 [Enclave] call.context:', call.context);
-          if (call.context) {
-            try {
-              const ctx = JSON.parse(call.context);
-              console.log('🔍 [Enclave] Parsed context:', ctx);
-              console.log('🔍 [Enclave] ctx.zeroMemory:', ctx.zeroMemory, 'type:', typeof ctx.zeroMemory);
-              if (typeof ctx.zeroMemory === 'boolean') {
-                zeroMemory = ctx.zeroMemory;
-                console.log('🔍 [Enclave] Setting zeroMemory to:', zeroMemory);
-              } else {
-                console.log('🔍 [Enclave] ctx.zeroMemory is not a boolean, using default:', zeroMemory);
-              }
-            } catch (e) {
-              console.log('🔍 [Enclave] Failed to parse context:', e);
-              // If context parsing fails, use default
-            }
-          } else {
-            console.log('🔍 [Enclave] No context provided, using default:', zeroMemory);
-          }
-
-          const startTime = performance.now();
-
-          // Use new async eval() method which wraps code properly
-          const out = await qjs.eval(call.code, 2000, zeroMemory);
-
-          const keyExposureMs = performance.now() - startTime;
-          console.log(`✅ [Enclave] QuickJS code evaluated (execution: ${keyExposureMs.toFixed(2)}ms, zeroMemory: ${zeroMemory})`);
-          console.log('🟢 [Enclave] QuickJS result:', out);
-
-          // Format response for iframe-backend compatibility
-          const response = {
-            body: out.ok ? out.value : { error: out.error },
-            logs: [],
-            keyExposureMs,
-            memoryZeroed: out.memoryZeroed !== undefined ? out.memoryZeroed : zeroMemory
-          };
-
-          const ct = await seal(session.aeadKey, session.baseIV, seqSend++, response, 'op=evalQuickJS:result');
-          guardedPost({ type:'ciphertext-result', payload: serializePayload(ct), seq: seqSend - 1 });
-          return;
+          response = { ...(await handler(call, emit)), id };
+        } catch (e: any) {
+          response = { id, error: { message: String(e?.message ?? e), ...(e?.code ? { code: e.code } : {}) } };
         }
+        await events;
 
-        // Handle signTransaction operation
-        if (call.op === 'signTransaction') {
-          console.log('🟢 [Enclave] Processing signTransaction...');
-          const startTime = performance.now();
-
-          // For alpha: use a test private key
-          // In production, this would be retrieved from vault and decrypted
-          // The encryptedKey parameter is currently ignored for alpha testing
-          const testPrivateKey = 'ed25519:3D4YudUahN1nawWogh8pAKSj92sUNMdbZGjn7kx1b3BkXqzX4v8jSC5R4wtWrpRp8FcHB8mkGXJZDEWn7YyQNrj4';
-
-          // Sign the transaction
-          const tx = call.transaction;
-          const signedTx = await signTransaction(tx, testPrivateKey);
-
-          const keyExposureMs = performance.now() - startTime;
-          console.log(`✅ [Enclave] Transaction signed (key exposure: ${keyExposureMs.toFixed(2)}ms)`);
-
-          // Format response for iframe-backend compatibility
-          const response = {
-            body: {
-              signature: signedTx.signature,
-              signedTransaction: signedTx,
-              type: 'ed25519',
-              data: Array.from(new TextEncoder().encode(signedTx.signature))
-            },
-            logs: [],
-            keyExposureMs,
-            memoryZeroed: true
-          };
-
-          const ct = await seal(session.aeadKey, session.baseIV, seqSend++, response, 'op=signTransaction:result');
-          guardedPost({ type:'ciphertext-result', payload: serializePayload(ct), seq: seqSend - 1 });
-          return;
-        }
-
-        // Handle test_egress_violation operation
-        if (call.op === 'test_egress_violation') {
-          try {
-            port!.postMessage({ type:'not-allowed-plaintext', value: 1 });
-            guardedPost({ type:'error', error:'egress-guard-did-not-trigger' });
-          } catch(e) {
-            guardedPost({ type:'error', error:String(e) });
-          }
-          return;
-        }
-
-        throw new Error('unsupported-op');
+        const outSeq = seqSend++;
+        const ct = await seal(session.aeadKey, session.baseIV, outSeq, response, resultAAD(msg.op, msg.v));
+        guardedPost({ type:'ciphertext-result', v: msg.v, op: msg.op, payload: serializePayload(ct), seq: outSeq });
+        return;
       }
 
       throw new Error('unsupported-message');
     } catch (e) {
-      guardedPost({ type:'error', error:String(e) });
+      // Pre-authentication failures can only echo the cleartext envelope seq
+      const frame = e instanceof OpError ? e.toMessage() : { type:'error', error:String(e) };
+      guardedPost({ ...frame, seq: msg.seq });
     }
   };
 })();
@@ -0,0 +1,164 @@
+// NEAR key custody for the iframe enclave, backed by the enclave-origin Vault.
+// - Keys are imported or generated inside the enclave and sealed under a key ID
+// - Each sealed record is bound (via AAD) to its key ID, so records cannot be swapped
+// - Signing unseals the key for the duration of one signature, then zeroes it
+// - Only key IDs and public keys are ever returned to the host
+
+import type { Vault } from '../../../shared/src/vault.js';
+import {
+  secretKeyFromBytes,
+  derivePublicKey,
+  encodePublicKey,
+  signTransactionWithSecretKey,
+  toSignatureResult,
+  signDelegateActionWithSecretKey,
+  type SignatureResult,
+  type DelegateAction,
+  type SignedDelegate
+} from '../../../near/src/enclave/near-tx.js';
+import {
+  signMessageWithSecretKey,
+  type SignMessageParams,
+  type SignedMessage
+} from '../../../near/src/enclave/near-message.js';
+
+export type KeyInfo = { keyId: string; publicKey: string };
+
+export type KeyCustodyErrorCode = 'invalid-key-id' | 'key-not-found' | 'invalid-key';
+
+export class KeyCustodyError extends Error {
+  code: KeyCustodyErrorCode;
+
+  constructor(code: KeyCustodyErrorCode, message: string) {
+    super(message);
+    this.name = 'KeyCustodyError';
+    this.code = code;
+  }
+}
+
+// Vault subset used here (lets tests run against an in-memory vault)
+export type KeyVault = Pick<Vault, 'seal' | 'unseal' | 'delete'>;
+
+const KEY_ID = /^k_[0-9a-f]{32}$/;
+const RECORD_PREFIX = 'near-key:';
+
+function newKeyId(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return 'k_' + Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function checkKeyId(keyId: unknown): string {
+  if (typeof keyId !== 'string' || !KEY_ID.test(keyId)) {
+    throw new KeyCustodyError('invalid-key-id', `invalid-key-id: ${JSON.stringify(keyId)}`);
+  }
+  return keyId;
+}
+
+function toMaterial(privateKey: unknown): Uint8Array {
+  if (typeof privateKey === 'string') return new TextEncoder().encode(privateKey);
+  if (privateKey instanceof Uint8Array) return new Uint8Array(privateKey);
+  if (Array.isArray(privateKey)) return new Uint8Array(privateKey);
+  throw new KeyCustodyError('invalid-key', 'invalid-key: expected ed25519:... string or key bytes');
+}
+
+/**
+ * Create a key custody layer over a vault.
+ *
+ * @param vault - Vault (or compatible) holding the sealed keys
+ * @param aad - Context bound into every sealed key (e.g. the enclave session ID)
+ */
+export function createKeyCustody(vault: KeyVault, aad = '') {
+  const recordName = (keyId: string) => RECORD_PREFIX + keyId;
+  const recordAAD = (keyId: string) => `${aad}|${RECORD_PREFIX}${keyId}`;
+
+  async function store(secretKey: Uint8Array): Promise<KeyInfo> {
+    const keyId = newKeyId();
+    const publicKey = encodePublicKey(derivePublicKey(secretKey));
+    // The vault encrypts with WebCrypto, which takes ArrayBuffer-backed bytes: seal a copy, then zero it
+    const material = new Uint8Array(secretKey);
+    try {
+      await vault.seal(recordName(keyId), material, recordAAD(keyId));
+    } finally {
+      material.fill(0);
+    }
+    return { keyId, publicKey };
+  }
+
+  /** Run fn with the unsealed secret key; the key is zeroed afterwards. */
+  async function withSecretKey<T>(keyId: unknown, fn: (secretKey: Uint8Array) => Promise<T>): Promise<T> {
+    const id = checkKeyId(keyId);
+    let secretKey: Uint8Array;
+    try {
+      secretKey = await vault.unseal(recordName(id), recordAAD(id));
+    } catch (e: any) {
+      if (/^Not found/.test(String(e?.message))) throw new KeyCustodyError('key-not-found', `key-not-found: ${id}`);
+      throw e;
+    }
+    try {
+      return await fn(secretKey);
+    } finally {
+      secretKey.fill(0);
+    }
+  }
+
+  /** Import an existing key (ed25519:... string, 64-byte secret key or 32-byte seed). */
+  async function importKey(privateKey: unknown): Promise<KeyInfo> {
+    const material = toMaterial(privateKey);
+    let secretKey: Uint8Array | null = null;
+    try {
+      secretKey = secretKeyFromBytes(material);
+    } catch (e: any) {
+      throw new KeyCustodyError('invalid-key', `invalid-key: ${e?.message ?? e}`);
+    } finally {
+      material.fill(0);
+    }
+    try {
+      return await store(secretKey);
+    } finally {
+      secretKey.fill(0);
+    }
+  }
+
+  /** Generate a fresh key inside the enclave. */
+  async function generateKey(): Promise<KeyInfo> {
+    const seed = crypto.getRandomValues(new Uint8Array(32));
+    const secretKey = secretKeyFromBytes(seed);
+    seed.fill(0);
+    try {
+      return await store(secretKey);
+    } finally {
+      secretKey.fill(0);
+    }
+  }
+
+  async function getPublicKey(keyId: unknown): Promise<KeyInfo> {
+    return withSecretKey(keyId, async (secretKey) => ({
+      keyId: keyId as string,
+      publicKey: encodePublicKey(derivePublicKey(secretKey))
+    }));
+  }
+
+  async function signTransaction(keyId: unknown, transaction: any): Promise<SignatureResult> {
+    return withSecretKey(keyId, async (secretKey) =>
+      toSignatureResult(await signTransactionWithSecretKey(transaction, secretKey))
+    );
+  }
+
+  /** NEP-366 signed delegate for a relayer to submit. */
+  async function signDelegateAction(keyId: unknown, delegateAction: DelegateAction): Promise<SignedDelegate> {
+    return withSecretKey(keyId, (secretKey) => signDelegateActionWithSecretKey(delegateAction, secretKey));
+  }
+
+  /** NEP-413 off-chain message signature for accountId (the key must belong to it). */
+  async function signMessage(keyId: unknown, accountId: string, params: SignMessageParams): Promise<SignedMessage> {
+    return withSecretKey(keyId, (secretKey) => signMessageWithSecretKey(accountId, params, secretKey));
+  }
+
+  async function deleteKey(keyId: unknown): Promise<void> {
+    await vault.delete(recordName(checkKeyId(keyId)));
+  }
+
+  return { importKey, generateKey, getPublicKey, signTransaction, signDelegateAction, signMessage, deleteKey };
+}
+
+export type KeyCustody = ReturnType<typeof createKeyCustody>;
@@ -0,0 +1,57 @@
+// Operation registry for the iframe enclave.
+// - The host names the operation in the cleartext envelope (bound into the AAD)
+// - The message loop looks the handler up here and decrypts exactly once
+// - New operations register a handler; the loop itself never changes
+// - Unknown operations fail with a structured OpError instead of a decrypt error
+
+// emit() streams a sealed event to the host ahead of the call's result
+export type OpEmit = (event: { type: string; [key: string]: unknown }) => void;
+
+export type OpHandler = (call: any, emit: OpEmit) => Promise<any>;
+
+export type OpErrorCode = 'unknown-op' | 'invalid-op' | 'unsupported-envelope-version';
+
+export class OpError extends Error {
+  code: OpErrorCode;
+  op: string;
+
+  constructor(code: OpErrorCode, op: string, message?: string) {
+    super(message ?? `${code}: ${op}`);
+    this.name = 'OpError';
+    this.code = code;
+    this.op = op;
+  }
+
+  /** Plaintext error frame for the port (allowed through the egress guard). */
+  toMessage() {
+    return { type: 'error', error: this.message, code: this.code, op: this.op };
+  }
+}
+
+const OP_NAME = /^[A-Za-z][A-Za-z0-9_.-]{0,63}$/;
+
+export class OpRegistry {
+  private handlers = new Map<string, OpHandler>();
+
+  register(op: string, handler: OpHandler) {
+    if (!OP_NAME.test(op)) throw new OpError('invalid-op', op, `invalid-op: ${JSON.stringify(op)}`);
+    if (this.handlers.has(op)) throw new Error(`op already registered: ${op}`);
+    this.handlers.set(op, handler);
+    return this;
+  }
+
+  has(op: string) { return typeof op === 'string' && this.handlers.has(op); }
+
+  ops() { return Array.from(this.handlers.keys()); }
+
+  /**
+   * Resolve the handler for an envelope op before anything is decrypted.
+   * Throws OpError('unknown-op') so the caller can answer without touching the ciphertext.
+   */
+  resolve(op: unknown): OpHandler {
+    if (typeof op !== 'string' || !OP_NAME.test(op)) throw new OpError('invalid-op', String(op));
+    const handler = this.handlers.get(op);
+    if (!handler) throw new OpError('unknown-op', op);
+    return handler;
+  }
+}
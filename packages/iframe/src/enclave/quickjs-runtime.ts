@@ -1,100 +1,183 @@
 // QuickJS runtime wired for enclave usage.
 // - Imports the real quickjs-emscripten package (bundles cleanly)
-// - Wraps user code so top-level `return` works
-// - Supports async/await in user code
-// - Timeout via interrupt handler
-// - Proper handle disposal and result dumping
+// - Isolation modes: fresh context per call (default), keyed session contexts, runtime per call
+// - Each call runs through the shared executeGuest (guest-execution.ts, also used by the
+//   worker): top-level `return`/`await`, resource limits, granted host functions, console
 
-import { getQuickJS, type QuickJSContext, type QuickJSWASMModule } from "quickjs-emscripten";
+import { getQuickJS, type QuickJSContext, type QuickJSRuntime, type QuickJSWASMModule } from "quickjs-emscripten";
+import {
+  createHostFunctions,
+  executeGuest,
+  type GuestConsoleOptions,
+  type GuestExecution,
+  type ResourceLimits
+} from '@fastnear/soft-enclave-shared';
 
-export type EvalResult =
-  | { ok: true; value: unknown; durationMs: number; memoryZeroed: boolean }
-  | { ok: false; error: string; durationMs: number; memoryZeroed: boolean };
+export type EvalResult = GuestExecution & { memoryZeroed: boolean };
+
+const SESSION_ID = /^[\w.:-]{1,128}$/;
+
+export type IsolationMode = 'context' | 'session' | 'runtime';
+
+export type IsolationOptions = {
+  mode?: IsolationMode; // default 'context' ('session' when a sessionId is given)
+  sessionId?: string;   // required for 'session'
+};
+
+export type EvalOptions = IsolationOptions & {
+  limits?: number | ResourceLimits; // resource limits, or just a timeout in milliseconds
+  capabilities?: string[];          // host functions (by name) the guest may call during this execution
+  logging?: GuestConsoleOptions;    // console byte budget, and onEntry to receive entries as the guest logs them
+};
 
 export class QuickJSEnclave {
   private QuickJS!: QuickJSWASMModule;
-  private ctx!: QuickJSContext;
+  private runtime!: QuickJSRuntime; // shared by 'context' executions
+  private sessions = new Map<string, QuickJSContext>();
+  private locks = new WeakMap<QuickJSRuntime, Promise<unknown>>();
   private initialized = false;
 
+  // Host functions guests may be granted; register more before evaluating
+  readonly host = createHostFunctions();
+
+  // Live session contexts allowed at once; end one to start another
+  maxSessions = 16;
+
   async init() {
     if (this.initialized) return;
     console.log('🟢 [QuickJS] Loading QuickJS WASM...');
     this.QuickJS = await getQuickJS();
     console.log('✅ [QuickJS] QuickJS WASM loaded successfully');
-    this.ctx = this.QuickJS.newContext();
+    this.runtime = this.QuickJS.newRuntime();
     this.initialized = true;
   }
 
+  /**
+   * Free every context and runtime. Calls already running finish first: each
+   * runtime is disposed once its queue drains (see endSession).
+   */
   dispose() {
     if (!this.initialized) return;
-    try { this.ctx.dispose(); } catch {}
+    for (const id of Array.from(this.sessions.keys())) this.endSession(id);
+    this.release(this.runtime, this.runtime);
     // reset
     // @ts-ignore
-    this.ctx = undefined as any;
+    this.runtime = undefined as any;
     // @ts-ignore
     this.QuickJS = undefined as any;
     this.initialized = false;
   }
 
+  /** IDs of the live session contexts */
+  sessionIds() {
+    return Array.from(this.sessions.keys());
+  }
+
+  /**
+   * End a session: its ID is free at once, and its context (with its runtime) is
+   * disposed after the session's running call, if any, finishes - freeing it
+   * under a call still waiting on a host function would crash QuickJS.
+   * Returns false if there was none.
+   */
+  endSession(sessionId: string) {
+    const ctx = this.sessions.get(sessionId);
+    if (!ctx) return false;
+    this.sessions.delete(sessionId);
+    this.release(ctx.runtime, ctx);
+    return true;
+  }
+
+  /** Dispose a context or runtime once every call queued on `runtime` has finished */
+  private release(runtime: QuickJSRuntime, target: QuickJSContext | QuickJSRuntime) {
+    void this.exclusive(runtime, async () => {
+      try { target.dispose(); } catch {}
+    });
+  }
+
   /**
-   * Evaluate untrusted code with an optional timeout.
-   * Code is wrapped in IIFE so top-level `return` works.
+   * Evaluate untrusted code under per-call resource limits.
+   * Code is wrapped in an async IIFE so top-level `return` and `await` work;
+   * a returned promise is driven to settlement within the same time limit.
+   *
+   * Isolation modes:
+   * - 'context' (default): a fresh context in a shared runtime, disposed after the call;
+   *   no globals survive, the runtime's heap and atoms are shared
+   * - 'session': the context for `sessionId`, created on first use and kept (with its own
+   *   runtime) until endSession(); globals persist across that session's calls only
+   * - 'runtime': a fresh runtime and context, disposed after the call; nothing is shared
+   * Calls on the same runtime run one at a time, since limits apply per runtime.
+   *
+   * The result's memoryZeroed reports whether the execution's context was discarded
+   * (every mode but 'session').
+   *
    * @param code - The JavaScript code to execute
-   * @param timeoutMs - Maximum execution time in milliseconds
-   * @param zeroMemory - Whether to zero/dispose memory after execution (default: true for security)
+   * @param options - Limits, granted host functions, isolation mode and console options (see EvalOptions)
    */
-  async eval(code: string, timeoutMs = 2000, zeroMemory = true): Promise<EvalResult> {
+  async eval(code: string, options: EvalOptions = {}): Promise<EvalResult> {
     if (!this.initialized) await this.init();
 
+    const { limits = {}, capabilities = [], logging = {}, sessionId } = options;
     const start = Date.now();
-    const deadline = start + Math.max(1, timeoutMs);
-
-    // Interrupt handler to break out of infinite loops
-    this.ctx.runtime.setInterruptHandler(() => Date.now() > deadline);
-
-    // Wrap user code in IIFE (PE's original approach)
-    const wrapped = [
-      '(function(){',
-      '"use strict";',
-      code,
-      '})()'
-    ].join('\n');
-
-    const result = this.ctx.evalCode(wrapped);
-    const durationMs = Date.now() - start;
-
-    if (result.error) {
-      const err = this.ctx.dump(result.error);
+    const mode = options.mode ?? (sessionId !== undefined ? 'session' : 'context');
+    let ctx: QuickJSContext;
+    try {
+      ctx = this.acquire(mode, sessionId);
+    } catch (e: any) {
+      return {
+        ok: false,
+        error: String(e?.message ?? e),
+        durationMs: 0,
+        peakMemoryBytes: 0,
+        memoryZeroed: true,
+        hostCalls: [],
+        logs: [],
+        logsDropped: 0
+      };
+    }
 
-      // Conditionally dispose based on zeroMemory flag
-      if (zeroMemory) {
-        result.error.dispose();
+    const result = await this.exclusive(ctx.runtime, async () => {
+      try {
+        return await executeGuest(ctx, code, { limits, host: this.host, capabilities, logging, start });
+      } finally {
+        // Fresh contexts go away with everything the guest left in them (still under
+        // the lock, so the runtime isn't freed first)
+        if (mode !== 'session') ctx.dispose();
       }
+    });
+    return { ...result, memoryZeroed: mode !== 'session' };
+  }
 
-      // Better error serialization - handle objects, extract message
-      let errorString: string;
-      if (typeof err === 'object' && err !== null) {
-        // Try to extract meaningful error info
-        errorString = JSON.stringify(err, null, 2);
-        // If JSON.stringify doesn't help, try to get properties
-        if (errorString === '{}' || errorString === 'null') {
-          errorString = err.message || err.toString() || String(err);
+  /** The context a call runs in, per isolation mode */
+  private acquire(mode: IsolationMode, sessionId: string | undefined): QuickJSContext {
+    switch (mode) {
+      case 'context':
+        return this.runtime.newContext();
+      case 'runtime':
+        return this.QuickJS.newContext();
+      case 'session': {
+        if (typeof sessionId !== 'string' || !SESSION_ID.test(sessionId)) {
+          throw new Error(`invalid session ID: ${JSON.stringify(sessionId)}`);
+        }
+        let ctx = this.sessions.get(sessionId);
+        if (!ctx) {
+          if (this.sessions.size >= this.maxSessions) {
+            throw new Error(`too many sessions (${this.maxSessions}); end one first`);
+          }
+          ctx = this.QuickJS.newContext();
+          this.sessions.set(sessionId, ctx);
         }
-      } else {
-        errorString = String(err);
+        return ctx;
       }
-
-      return { ok: false, error: errorString, durationMs, memoryZeroed: zeroMemory };
-    }
-
-    // Dump the value and conditionally dispose the handle
-    const value = this.ctx.dump(result.value);
-
-    if (zeroMemory) {
-      result.value.dispose();
+      default:
+        throw new Error(`unknown isolation mode: ${JSON.stringify(mode)}`);
     }
+  }
 
-    return { ok: true, value, durationMs, memoryZeroed: zeroMemory };
+  /** Run fn once every earlier call on the same runtime has finished */
+  private exclusive<T>(runtime: QuickJSRuntime, fn: () => Promise<T>): Promise<T> {
+    const run = (this.locks.get(runtime) ?? Promise.resolve()).then(fn);
+    this.locks.set(runtime, run.catch(() => {}));
+    return run;
   }
 }
 
@@ -110,7 +193,9 @@ export async function createQuickJS() {
       return { ok: false, error: 'Use async eval() method instead' };
     },
     // Expose the new async eval method
-    eval: (code: string, timeout?: number, zeroMemory?: boolean) => vm.eval(code, timeout, zeroMemory),
+    eval: (code: string, options?: EvalOptions) => vm.eval(code, options),
+    endSession: (sessionId: string) => vm.endSession(sessionId),
+    host: vm.host,
     dispose: () => vm.dispose()
   };
 }
@@ -50,3 +50,11 @@ export async function open(aeadKey, payload, aad="") {
 
 export const serializePayload = (p) => ({ iv: Array.from(p.iv), ciphertext: Array.from(p.ciphertext) });
 export const deserializePayload = (s) => ({ iv: new Uint8Array(s.iv), ciphertext: new Uint8Array(s.ciphertext) });
+
+// Versioned call envelope: { v, op, payload }. The op name travels in cleartext so the
+// receiver routes without trial decryption, and is bound into the AAD so it cannot be swapped.
+export const ENVELOPE_VERSION = 1;
+export const opAAD = (op, v = ENVELOPE_VERSION) => `v${v}|op=${op}`;
+export const resultAAD = (op, v = ENVELOPE_VERSION) => `${opAAD(op, v)}:result`;
+// Events the enclave streams while a call runs (e.g. guest logs); sealed apart from results
+export const eventAAD = (op, v = ENVELOPE_VERSION) => `${opAAD(op, v)}:event`;
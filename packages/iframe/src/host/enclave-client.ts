@@ -1,15 +1,36 @@
 import {
   genECDH, exportRaw, importRaw, deriveSession,
-  seal, open, serializePayload, deserializePayload
+  seal, open, serializePayload, deserializePayload,
+  ENVELOPE_VERSION, opAAD, resultAAD, eventAAD
 } from './crypto-protocol.js';
 
+export type SendOptions = {
+  timeoutMs?: number;   // default: 15000
+  signal?: AbortSignal; // cancels the request; a late response is dropped
+  onEvent?: (event: { type: string; [key: string]: any }) => void; // events the enclave streams before the result
+};
+
+type PendingRequest = {
+  op: string;
+  seq: number;
+  resolve: (value: any) => void;
+  reject: (reason: any) => void;
+  onEvent?: SendOptions['onEvent'];
+  cleanup: () => void;
+};
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
 export class EnclaveClient {
   enclaveOrigin: string;
   iframe: HTMLIFrameElement | null;
   port: MessagePort | null;
   session: any;
   seq: number;
-  _pending: any;
+  _nextId: number;
+  _pending: Map<string, PendingRequest>;
+  _idBySeq: Map<number, string>;
+  _inbox: Promise<unknown>;
   _lastSent: any;
 
   constructor(enclaveOrigin: string) {
@@ -18,7 +39,10 @@ export class EnclaveClient {
     this.port = null;
     this.session = null;
     this.seq = 1;
-    this._pending = null;
+    this._nextId = 1;
+    this._pending = new Map();
+    this._idBySeq = new Map();
+    this._inbox = Promise.resolve();
     this._lastSent = null;
     this._onMsg = this._onMsg.bind(this);
   }
@@ -101,34 +125,110 @@ export class EnclaveClient {
     console.log('✅ [EnclaveClient] boot() complete!');
   }
 
+  /**
+   * Route an enclave response to its pending request.
+   * Results carry the request ID inside the ciphertext, so they match even when
+   * they arrive out of order. Plaintext error frames carry only the envelope seq.
+   * Events stream to their (still pending) request; frames are decrypted in arrival
+   * order, so a request's events are delivered before its result.
+   */
   _onMsg(ev: MessageEvent) {
-    if (!this._pending) return;
-    const { resolve, reject, aad } = this._pending;
     const d = ev.data || {};
-    if (d.type === 'ciphertext-result') {
-      open(this.session.aeadKey, deserializePayload(d.payload), aad)
-        .then(res => { this._pending = null; resolve(res); })
-        .catch(err => { this._pending = null; reject(err); });
+    if (d.type === 'ciphertext-event') {
+      if (!this.session || typeof d.op !== 'string') return;
+      this._open(d, eventAAD(d.op, d.v ?? ENVELOPE_VERSION))
+        .then(res => {
+          const pending = res?.id === undefined ? undefined : this._pending.get(res.id);
+          if (!pending || pending.op !== d.op) return; // settled, cancelled or unknown
+          const { id, ...event } = res;
+          try { pending.onEvent?.(event); } catch (err) { console.warn('[EnclaveClient] Event listener failed:', err); }
+        })
+        .catch(err => { console.warn('[EnclaveClient] Dropping undecryptable event:', err); });
+    } else if (d.type === 'ciphertext-result') {
+      if (!this.session || typeof d.op !== 'string') return;
+      this._open(d, resultAAD(d.op, d.v ?? ENVELOPE_VERSION))
+        .then(res => {
+          const pending = this._take(res?.id);
+          if (!pending) return; // cancelled, timed out or unknown
+          if (pending.op !== d.op) { pending.reject(new Error(`op-mismatch: expected ${pending.op}, got ${d.op}`)); return; }
+          const { id, error, ...result } = res;
+          if (error) {
+            const err: any = new Error(error.message ?? String(error));
+            if (error.code) { err.code = error.code; err.op = d.op; }
+            pending.reject(err);
+          } else {
+            pending.resolve(result);
+          }
+        })
+        .catch(err => { console.warn('[EnclaveClient] Dropping undecryptable result:', err); });
     } else if (d.type === 'error') {
-      this._pending = null;
-      reject(new Error(d.error));
+      const pending = this._take(this._idBySeq.get(d.seq));
+      if (!pending) { console.warn('[EnclaveClient] Enclave error for no pending request:', d.error); return; }
+      const err: any = new Error(d.error);
+      if (d.code) { err.code = d.code; err.op = d.op; }
+      pending.reject(err);
     }
   }
 
-  async send(op: string, body: any, aad: string) {
+  /** Decrypt a sealed frame once every earlier frame has been decrypted. */
+  _open(d: any, aad: string): Promise<any> {
+    const opened = this._inbox.then(() => open(this.session.aeadKey, deserializePayload(d.payload), aad));
+    this._inbox = opened.catch(() => {});
+    return opened;
+  }
+
+  /** Remove a pending request and release its timer/abort listener. */
+  _take(id: string | undefined): PendingRequest | undefined {
+    if (id === undefined) return undefined;
+    const pending = this._pending.get(id);
+    if (!pending) return undefined;
+    this._pending.delete(id);
+    this._idBySeq.delete(pending.seq);
+    pending.cleanup();
+    return pending;
+  }
+
+  async send(op: string, body: any, { timeoutMs = DEFAULT_TIMEOUT_MS, signal, onEvent }: SendOptions = {}) {
     if (!this.session) throw new Error('no-session');
-    const payload = await seal(this.session.aeadKey, this.session.baseIV, this.seq++, { op, ...body }, aad);
-    const serialized = serializePayload(payload);
-    this._lastSent = serialized;
-    this.port!.postMessage({ type: 'ciphertext-call', payload: serialized, seq: this.seq - 1 });
-    return await new Promise((resolve, reject) => {
-      this._pending = { resolve, reject, aad: `${aad}:result` };
-      setTimeout(() => {
-        if (this._pending) { this._pending = null; reject(new Error('timeout')); }
-      }, 15000);
+    signal?.throwIfAborted();
+
+    const id = String(this._nextId++);
+    const seq = this.seq++;
+    const payload = await seal(this.session.aeadKey, this.session.baseIV, seq, { ...body, id }, opAAD(op));
+    const envelope = { v: ENVELOPE_VERSION, op, payload: serializePayload(payload) };
+
+    const result = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (this._take(id)) reject(new Error(`timeout: ${op} after ${timeoutMs}ms`));
+      }, timeoutMs);
+      const onAbort = () => {
+        if (this._take(id)) reject(signal!.reason ?? new DOMException('Aborted', 'AbortError'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this._pending.set(id, {
+        op, seq, resolve, reject, onEvent,
+        cleanup: () => { clearTimeout(timer); signal?.removeEventListener('abort', onAbort); }
+      });
+      this._idBySeq.set(seq, id);
     });
+
+    // Aborted while sealing: never put the request on the wire
+    if (signal?.aborted) { this._take(id); throw signal.reason ?? new DOMException('Aborted', 'AbortError'); }
+
+    this._lastSent = envelope;
+    this.port!.postMessage({ type: 'ciphertext-call', ...envelope, seq });
+    return await result;
+  }
+
+  /** Number of requests still waiting for a response. */
+  pendingCount() { return this._pending.size; }
+
+  /** Reject every in-flight request (e.g. when the iframe is torn down). */
+  cancelAll(reason: any = new Error('client-closed')) {
+    for (const id of Array.from(this._pending.keys())) this._take(id)?.reject(reason);
   }
 
   lastPayload() { return this._lastSent; }
-  resendRaw(serialized: any) { this.port!.postMessage({ type: 'ciphertext-call', payload: serialized, seq: 999999 }); }
+  resendRaw(envelope: any) { this.port!.postMessage({ type: 'ciphertext-call', ...envelope, seq: 999999 }); }
 }
@@ -18,6 +18,7 @@
  */
 
 import { EnclaveBase } from '@fastnear/soft-enclave-core';
+import { ResourceLimitExceeded } from '@fastnear/soft-enclave-shared';
 
 /**
  * iframe-based secure enclave backend
@@ -100,11 +101,28 @@ export class IframeBackend extends EnclaveBase {
     // EnclaveClient.send() returns the decrypted result directly
     const result = await this.client.send('evalQuickJS', {
       code,
-      context: JSON.stringify(context)
-    }, 'op=evalQuickJS');
+      context: JSON.stringify(context),
+      capabilities: options.capabilities ?? [],
+      limits: options.limits,
+      isolation: options.isolation,
+      sessionId: options.sessionId,
+      streamLogs: typeof options.onLog === 'function'
+    }, {
+      ...this._sendOptions(options),
+      // Guest console entries, as the enclave streams them (they also come back in metrics.logs)
+      onEvent: typeof options.onLog === 'function'
+        ? (event) => { if (event.type === 'log') options.onLog(event.entry); }
+        : undefined
+    });
 
     const keyExposureMs = performance.now() - startTime;
 
+    // A guest stopped by a resource limit fails the call instead of returning { error }
+    // (reported beside the body, so a guest can't fake it by returning { limitExceeded })
+    if (result.limitExceeded) {
+      throw new ResourceLimitExceeded(result.limitExceeded);
+    }
+
     // Return enclave's actual metrics (keyExposureMs from inside enclave)
     // Use enclave's measurement if available, otherwise use round-trip time
     return {
@@ -112,6 +130,9 @@ export class IframeBackend extends EnclaveBase {
       metrics: {
         keyExposureMs: result.keyExposureMs || keyExposureMs,
         logs: result.logs || [],
+        logsDropped: result.logsDropped ?? 0,
+        hostCalls: result.hostCalls || [],
+        peakMemoryBytes: result.peakMemoryBytes,
         memoryZeroed: result.memoryZeroed !== undefined ? result.memoryZeroed : true
       }
     };
@@ -123,6 +144,8 @@ export class IframeBackend extends EnclaveBase {
    */
   async _performCleanup() {
     if (this.client && this.client.iframe) {
+      // Fail in-flight requests now instead of letting them time out
+      this.client.cancelAll(new Error('Enclave destroyed'));
       // Remove iframe from DOM
       this.client.iframe.remove();
       this.client = null;
@@ -130,20 +153,93 @@ export class IframeBackend extends EnclaveBase {
   }
 
   /**
-   * Sign transaction operation (iframe-specific)
+   * Map execute() options onto per-request client options
+   * @private
+   */
+  _sendOptions(options: any = {}) {
+    return {
+      timeoutMs: options.timeout ?? this.options.timeout,
+      signal: options.signal
+    };
+  }
+
+  /**
+   * End a session started by execute(code, context, { sessionId }) (iframe-specific)
+   *
+   * Disposes the session's QuickJS context and every global its calls left behind.
+   *
+   * @param {string} sessionId - Session to end
+   * @returns {Promise<boolean>} false if no such session was alive
+   */
+  async endSession(sessionId, options: any = {}) {
+    this._ensureInitialized();
+    const result = await this.client.send('endSession', { sessionId }, this._sendOptions(options));
+    return result.body.ended;
+  }
+
+  /**
+   * Import a NEAR key into the enclave vault (iframe-specific)
+   *
+   * The key is sealed inside the enclave; only its key ID and public key come back.
+   *
+   * @param {string|Uint8Array} privateKey - "ed25519:..." string, 64-byte secret key or 32-byte seed
+   * @returns {Promise<{ keyId: string, publicKey: string }>}
+   */
+  async importKey(privateKey, options: any = {}) {
+    this._ensureInitialized();
+    const material = typeof privateKey === 'string' ? privateKey : Array.from(privateKey as Uint8Array);
+    const result = await this.client.send('importKey', { privateKey: material }, this._sendOptions(options));
+    return result.body;
+  }
+
+  /**
+   * Generate a NEAR key inside the enclave vault (iframe-specific)
+   *
+   * @returns {Promise<{ keyId: string, publicKey: string }>}
+   */
+  async generateKey(options: any = {}) {
+    this._ensureInitialized();
+    const result = await this.client.send('generateKey', {}, this._sendOptions(options));
+    return result.body;
+  }
+
+  /**
+   * Look up the public key for a sealed key ID (iframe-specific)
+   */
+  async getPublicKey(keyId, options: any = {}) {
+    this._ensureInitialized();
+    const result = await this.client.send('getPublicKey', { keyId }, this._sendOptions(options));
+    return result.body.publicKey;
+  }
+
+  /**
+   * Delete a sealed key from the enclave vault (iframe-specific)
+   */
+  async deleteKey(keyId, options: any = {}) {
+    this._ensureInitialized();
+    await this.client.send('deleteKey', { keyId }, this._sendOptions(options));
+  }
+
+  /**
+   * Sign a transaction with a key held in the enclave vault (iframe-specific)
    *
-   * This adapts the execute pattern to transaction signing
+   * The enclave unseals the key identified by keyId, signs, and zeroes it.
+   * Unlike WorkerBackend.signTransaction(encryptedKey, transaction), no key
+   * material is sent: the key never leaves the enclave.
+   *
+   * @param {string} keyId - Key ID returned by importKey() / generateKey()
+   * @param {object} options - Optional { timeout, signal } for this request
    */
-  async signTransaction(encryptedKey, transaction) {
+  async signTransactionByKeyId(keyId, transaction, options: any = {}) {
     this._ensureInitialized();
 
     console.log('[IframeBackend] Signing transaction in enclave...');
     const startTime = performance.now();
 
     const result = await this.client.send('signTransaction', {
-      encryptedKey: Array.from(encryptedKey),
+      keyId,
       transaction
-    }, 'op=signTransaction');
+    }, this._sendOptions(options));
 
     const totalDuration = performance.now() - startTime;
     const metrics = {
@@ -167,10 +263,65 @@ export class IframeBackend extends EnclaveBase {
     };
   }
 
+  /**
+   * Sign a NEP-366 delegate action (iframe-specific)
+   *
+   * Returns a SignedDelegate that a relayer wraps with createDelegateTransaction().
+   *
+   * @param {string} keyId - Key ID returned by importKey() / generateKey()
+   * @param {object} delegateAction - From createDelegateAction() in @fastnear/soft-enclave-near
+   */
+  async signDelegateAction(keyId, delegateAction, options: any = {}) {
+    this._ensureInitialized();
+
+    const result = await this.client.send('signDelegateAction', {
+      keyId,
+      delegateAction
+    }, this._sendOptions(options));
+
+    this._updateMetrics({
+      keyExposureMs: result.keyExposureMs,
+      memoryZeroed: result.memoryZeroed !== undefined ? result.memoryZeroed : true
+    });
+
+    return result.body;
+  }
+
+  /**
+   * Sign a NEP-413 off-chain message (iframe-specific)
+   *
+   * Verify the result on the host with verifyMessage() from @fastnear/soft-enclave-near.
+   *
+   * @param {string} keyId - Key ID returned by importKey() / generateKey()
+   * @param {object} params - { accountId, message, recipient, nonce (32 bytes), callbackUrl?, state? }
+   * @returns {Promise<{ accountId, publicKey, signature, state? }>}
+   */
+  async signMessage(keyId, params, options: any = {}) {
+    this._ensureInitialized();
+
+    const { accountId, message, recipient, nonce, callbackUrl, state } = params;
+    const result = await this.client.send('signMessage', {
+      keyId,
+      accountId,
+      message,
+      recipient,
+      nonce: Array.from(nonce as Uint8Array),
+      callbackUrl,
+      state
+    }, this._sendOptions(options));
+
+    this._updateMetrics({
+      keyExposureMs: result.keyExposureMs,
+      memoryZeroed: result.memoryZeroed !== undefined ? result.memoryZeroed : true
+    });
+
+    return result.body;
+  }
+
   /**
    * Get last sent payload (for testing)
    *
-   * Exposes the raw encrypted payload for replay testing
+   * Exposes the raw encrypted envelope ({ v, op, payload }) for replay testing
    */
   getLastPayload() {
     if (!this.client) {
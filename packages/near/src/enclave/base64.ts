@@ -0,0 +1,35 @@
+/**
+ * Base64 Encoding/Decoding
+ *
+ * Used for NEAR RPC payloads (args_base64, signed transactions, SuccessValue)
+ * and NEP-413 signatures.
+ */
+
+/**
+ * Encode a Uint8Array to base64 string
+ */
+export function toBase64(bytes: Uint8Array): string {
+  let s = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    s += String.fromCharCode.apply(null, Array.from(bytes.subarray(i, i + CHUNK)));
+  }
+  return btoa(s);
+}
+
+/**
+ * Decode a base64 string to Uint8Array
+ * @throws TypeError if value is not a string or not valid base64
+ */
+export function fromBase64(value: string): Uint8Array {
+  if (typeof value !== 'string') throw new TypeError('Expected base64 string');
+  let s: string;
+  try {
+    s = atob(value);
+  } catch {
+    throw new TypeError('Invalid base64');
+  }
+  const bytes = new Uint8Array(s.length);
+  for (let i = 0; i < s.length; i++) bytes[i] = s.charCodeAt(i);
+  return bytes;
+}
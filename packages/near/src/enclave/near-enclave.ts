@@ -1,3 +1,5 @@
+import { toBase64 } from "./base64.js";
+
 export type ViewCall = { rpcUrl: string; contractId: string; methodName: string; args?: Record<string, any>; finality?: "optimistic" | "final"; id?: string | number; };
 
 export type SignAndSendParams = {
@@ -12,12 +14,6 @@ export type SignAndSendParams = {
   id?: string | number;
 };
 
-function toBase64(u8: Uint8Array): string {
-  let s = ""; const CHUNK = 0x8000;
-  for (let i = 0; i < u8.length; i += CHUNK) s += String.fromCharCode.apply(null, Array.from(u8.subarray(i, i + CHUNK)) as any);
-  return btoa(s);
-}
-
 export function makeViewFunctionRequest(v: ViewCall) {
   const id = v.id ?? Math.random().toString(36).slice(2);
   // Handle empty object as no args
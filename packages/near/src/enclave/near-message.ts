@@ -0,0 +1,129 @@
+/**
+ * NEAR Off-Chain Message Signing (NEP-413)
+ *
+ * Signs arbitrary messages (e.g. login challenges) in a way that can never
+ * be replayed as a transaction:
+ * - Payload is prefixed with the Borsh u32 tag 2^31 + 413, which is not a
+ *   valid transaction prefix
+ * - SHA-256 of the tagged Borsh payload is signed with Ed25519
+ * - Signatures are base64 encoded, as the NEP-413 spec requires
+ *
+ * The signer runs in the enclave; verifyMessage() is safe to run on the host.
+ */
+
+import * as nacl from 'tweetnacl';
+import { serialize, type Schema } from 'borsh';
+import { decodeBase58 } from './base58.js';
+import { fromBase64, toBase64 } from './base64.js';
+import { derivePublicKey, encodePublicKey, toBytes } from './near-tx.js';
+
+/** NEP-413 tag: 2^31 + 413 */
+export const NEP413_TAG = 2 ** 31 + 413;
+
+/**
+ * signMessage parameters (NEP-413)
+ */
+export interface SignMessageParams {
+  message: string;
+  recipient: string;
+  nonce: Uint8Array;           // exactly 32 bytes, chosen by the verifier
+  callbackUrl?: string | null;
+}
+
+/**
+ * Signed message (NEP-413 output)
+ */
+export interface SignedMessage {
+  accountId: string;
+  publicKey: string;           // ed25519:base58
+  signature: string;           // base64
+  state?: string;
+}
+
+const PAYLOAD_SCHEMA: Schema = {
+  struct: {
+    tag: 'u32',
+    message: 'string',
+    nonce: { array: { type: 'u8', len: 32 } },
+    recipient: 'string',
+    callbackUrl: { option: 'string' }
+  }
+};
+
+/**
+ * Serialize a NEP-413 payload (tag included) to Borsh
+ */
+export function serializeMessagePayload(params: SignMessageParams): Uint8Array {
+  if (typeof params.message !== 'string') throw new Error('Invalid message: expected string');
+  if (typeof params.recipient !== 'string' || !params.recipient) throw new Error('Invalid recipient: expected non-empty string');
+
+  const nonce = toBytes(params.nonce as any);
+  if (nonce.length !== 32) {
+    throw new Error(`Invalid nonce length: expected 32 bytes, got ${nonce.length}`);
+  }
+
+  return serialize(PAYLOAD_SCHEMA, {
+    tag: NEP413_TAG,
+    message: params.message,
+    nonce: Array.from(nonce),
+    recipient: params.recipient,
+    callbackUrl: params.callbackUrl ?? null
+  });
+}
+
+/**
+ * Hash a NEP-413 payload (the bytes that get signed)
+ */
+export async function hashMessagePayload(params: SignMessageParams): Promise<Uint8Array> {
+  const digest = await crypto.subtle.digest('SHA-256', serializeMessagePayload(params) as any);
+  return new Uint8Array(digest);
+}
+
+/**
+ * Sign a NEP-413 message with a raw 64-byte Ed25519 secret key
+ *
+ * The caller owns the key buffer and is responsible for zeroing it.
+ *
+ * @param accountId - Account the key belongs to (echoed in the result)
+ * @param params - message, recipient, 32-byte nonce, optional callbackUrl
+ * @param privateKey - 64-byte Ed25519 secret key
+ */
+export async function signMessageWithSecretKey(
+  accountId: string,
+  params: SignMessageParams,
+  privateKey: Uint8Array
+): Promise<SignedMessage> {
+  if (privateKey.length !== 64) {
+    throw new Error(`Invalid private key length: expected 64 bytes, got ${privateKey.length}`);
+  }
+  if (typeof accountId !== 'string' || !accountId) throw new Error('Invalid accountId: expected non-empty string');
+
+  const hash = await hashMessagePayload(params);
+  const signature = nacl.sign.detached(hash, privateKey);
+
+  return {
+    accountId,
+    publicKey: encodePublicKey(derivePublicKey(privateKey)),
+    signature: toBase64(signature)
+  };
+}
+
+/**
+ * Verify a NEP-413 signed message against the parameters the verifier issued
+ *
+ * This checks the signature only. The verifier must still confirm that
+ * publicKey is a full-access key of accountId (e.g. via view_access_key).
+ */
+export async function verifyMessage(signed: SignedMessage, params: SignMessageParams): Promise<boolean> {
+  try {
+    if (!signed.publicKey.startsWith('ed25519:')) return false;
+    const publicKey = decodeBase58(signed.publicKey.slice(8));
+    const signature = fromBase64(signed.signature);
+    if (publicKey.length !== 32 || signature.length !== 64) return false;
+
+    const hash = await hashMessagePayload(params);
+    return nacl.sign.detached.verify(hash, signature, publicKey);
+  } catch (error) {
+    return false;
+  }
+}
@@ -51,9 +51,9 @@ export interface AddKeyAction {
     nonce: string;
     permission: 'FullAccess' | {
       FunctionCall: {
-        allowance: string;
+        allowance?: string | null; // null/omitted = unlimited allowance
         receiverId: string;
-        methodNames: string[];
+        methodNames: string[];      // empty = any method
       };
     };
   };
@@ -69,6 +69,39 @@ export interface DeleteAccountAction {
   beneficiaryId: string;
 }
 
+export interface DeployGlobalContractAction {
+  type: 'DeployGlobalContract';
+  code: Uint8Array;
+  deployMode: 'CodeHash' | 'AccountId';
+}
+
+export interface UseGlobalContractAction {
+  type: 'UseGlobalContract';
+  contractIdentifier: { codeHash: string } | { accountId: string }; // codeHash in base58
+}
+
+/**
+ * Meta-transaction (NEP-366): actions a relayer submits on behalf of senderId
+ */
+export interface DelegateAction {
+  senderId: string;
+  receiverId: string;
+  actions: Action[];       // must not contain Delegate actions
+  nonce: string;           // access key nonce of senderId's publicKey
+  maxBlockHeight: string;  // delegate action expires after this block
+  publicKey: string;
+}
+
+export interface SignedDelegate {
+  delegateAction: DelegateAction;
+  signature: string;       // base58 Ed25519 signature
+}
+
+export interface SignedDelegateAction {
+  type: 'Delegate';
+  signedDelegate: SignedDelegate;
+}
+
 export type Action =
   | CreateAccountAction
   | DeployContractAction
@@ -77,7 +110,10 @@ export type Action =
   | StakeAction
   | AddKeyAction
   | DeleteKeyAction
-  | DeleteAccountAction;
+  | DeleteAccountAction
+  | SignedDelegateAction
+  | DeployGlobalContractAction
+  | UseGlobalContractAction;
 
 /**
  * NEAR transaction structure
@@ -124,6 +160,27 @@ export function parsePrivateKey(keyString: string): Uint8Array {
   return decoded;
 }
 
+/**
+ * Decode raw key material into a 64-byte Ed25519 secret key
+ *
+ * Accepts a 64-byte secret key (seed || public key), a 32-byte seed,
+ * or the UTF-8 bytes of an "ed25519:base58" private key string.
+ * The caller owns the input buffer and is responsible for zeroing it.
+ */
+export function secretKeyFromBytes(material: Uint8Array): Uint8Array {
+  if (material.length === 64) {
+    return new Uint8Array(material);
+  }
+  if (material.length === 32) {
+    return nacl.sign.keyPair.fromSeed(material).secretKey;
+  }
+  const text = new TextDecoder().decode(material);
+  if (text.startsWith('ed25519:')) {
+    return parsePrivateKey(text);
+  }
+  throw new Error(`Invalid key material: expected 64-byte secret key, 32-byte seed or ed25519: string, got ${material.length} bytes`);
+}
+
 /**
  * Derive public key from private key
  */
@@ -147,6 +204,29 @@ async function hashTransaction(serialized: Uint8Array): Promise<Uint8Array> {
   return new Uint8Array(hashBuffer);
 }
 
+/**
+ * Coerce a byte field to Uint8Array
+ *
+ * Transactions cross the host/enclave channel as JSON, which turns a
+ * Uint8Array into a plain object ({"0": 1, "1": 2, ...}). Accept that
+ * shape as well as number arrays so both backends serialize identically.
+ */
+export function toBytes(value: Uint8Array | number[] | Record<string, number>): Uint8Array {
+  if (value instanceof Uint8Array) return value;
+  if (Array.isArray(value)) return Uint8Array.from(value);
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    const bytes = new Uint8Array(keys.length);
+    for (let i = 0; i < keys.length; i++) {
+      const b = value[String(i)];
+      if (typeof b !== 'number') throw new Error(`Invalid byte array: missing index ${i}`);
+      bytes[i] = b;
+    }
+    return bytes;
+  }
+  throw new Error(`Invalid byte array: ${typeof value}`);
+}
+
 /**
  * Serialize a NEAR transaction to Borsh format
  *
@@ -176,88 +256,294 @@ export function serializeTransaction(tx: Transaction): Uint8Array {
     throw new Error(`Invalid block hash length: expected 32 bytes, got ${blockHashBytes.length}. Block hash: ${tx.blockHash}`);
   }
 
-  // Parse public key from ed25519:base58 format
-  const publicKeyBytes = tx.publicKey.startsWith('ed25519:')
-    ? decodeBase58(tx.publicKey.slice(8))
-    : decodeBase58(tx.publicKey);
-
-  if (publicKeyBytes.length !== 32) {
-    throw new Error(`Invalid public key length: expected 32 bytes, got ${publicKeyBytes.length}`);
-  }
-
   // Build transaction object for Borsh serialization
   const borshTx = {
     signerId: tx.signerId,
-    publicKey: {
-      keyType: 0, // Ed25519
-      data: Array.from(publicKeyBytes)
-    },
+    publicKey: toBorshPublicKey(tx.publicKey),
     nonce: BigInt(tx.nonce),
     receiverId: tx.receiverId,
     blockHash: Array.from(blockHashBytes),
-    actions: tx.actions.map((action) => {
-      if (action.type === 'FunctionCall') {
-        // Borsh enum: key name determines variant, index is derived from schema match
-        return {
+    actions: tx.actions.map(toBorshAction)
+  };
+
+  return serialize(TRANSACTION_SCHEMA, borshTx);
+}
+
+/**
+ * Borsh schemas (NEAR protocol, nearcore `core/primitives`)
+ *
+ * Enum variants are matched by key name and serialized by position, so the
+ * order of the arrays below IS the wire format. Never reorder; append only.
+ */
+const PUBLIC_KEY_SCHEMA: Schema = {
+  enum: [
+    { struct: { ed25519: { array: { type: 'u8', len: 32 } } } },   // 0
+    { struct: { secp256k1: { array: { type: 'u8', len: 64 } } } }  // 1
+  ]
+};
+
+const ACCESS_KEY_SCHEMA: Schema = {
+  struct: {
+    nonce: 'u64',
+    permission: {
+      enum: [
+        { struct: { FunctionCall: { struct: {                       // 0
+          allowance: { option: 'u128' },
+          receiverId: 'string',
+          methodNames: { array: { type: 'string' } }
+        } } } },
+        { struct: { FullAccess: { struct: {} } } }                   // 1
+      ]
+    }
+  }
+};
+
+const SIGNATURE_SCHEMA: Schema = {
+  enum: [
+    { struct: { ed25519: { array: { type: 'u8', len: 64 } } } },   // 0
+    { struct: { secp256k1: { array: { type: 'u8', len: 65 } } } }  // 1
+  ]
+};
+
+/**
+ * Action enum. Delegate (variant 8) nests a list of actions that may not
+ * themselves be delegates, so the nested list uses an empty variant 8 that
+ * toBorshAction() never produces.
+ */
+function actionSchema(delegate: Schema): Schema {
+  return {
+    enum: [
+      { struct: { CreateAccount: { struct: {} } } },                   // 0
+      { struct: { DeployContract: { struct: {                          // 1
+        code: { array: { type: 'u8' } }
+      } } } },
+      { struct: { FunctionCall: { struct: {                            // 2
+        methodName: 'string',
+        args: { array: { type: 'u8' } },
+        gas: 'u64',
+        deposit: 'u128'
+      } } } },
+      { struct: { Transfer: { struct: {                                // 3
+        deposit: 'u128'
+      } } } },
+      { struct: { Stake: { struct: {                                   // 4
+        stake: 'u128',
+        publicKey: PUBLIC_KEY_SCHEMA
+      } } } },
+      { struct: { AddKey: { struct: {                                  // 5
+        publicKey: PUBLIC_KEY_SCHEMA,
+        accessKey: ACCESS_KEY_SCHEMA
+      } } } },
+      { struct: { DeleteKey: { struct: {                               // 6
+        publicKey: PUBLIC_KEY_SCHEMA
+      } } } },
+      { struct: { DeleteAccount: { struct: {                           // 7
+        beneficiaryId: 'string'
+      } } } },
+      { struct: { Delegate: delegate } },                              // 8
+      { struct: { DeployGlobalContract: { struct: {                    // 9
+        code: { array: { type: 'u8' } },
+        deployMode: {
+          enum: [
+            { struct: { CodeHash: { struct: {} } } },
+            { struct: { AccountId: { struct: {} } } }
+          ]
+        }
+      } } } },
+      { struct: { UseGlobalContract: { struct: {                       // 10
+        contractIdentifier: {
+          enum: [
+            { struct: { CodeHash: { array: { type: 'u8', len: 32 } } } },
+            { struct: { AccountId: 'string' } }
+          ]
+        }
+      } } } }
+    ]
+  };
+}
+
+const NON_DELEGATE_ACTION_SCHEMA = actionSchema({ struct: {} });
+
+const DELEGATE_ACTION_SCHEMA: Schema = {
+  struct: {
+    senderId: 'string',
+    receiverId: 'string',
+    actions: { array: { type: NON_DELEGATE_ACTION_SCHEMA } },
+    nonce: 'u64',
+    maxBlockHeight: 'u64',
+    publicKey: PUBLIC_KEY_SCHEMA
+  }
+};
+
+const SIGNED_DELEGATE_SCHEMA: Schema = {
+  struct: {
+    delegateAction: DELEGATE_ACTION_SCHEMA,
+    signature: SIGNATURE_SCHEMA
+  }
+};
+
+const ACTION_SCHEMA = actionSchema(SIGNED_DELEGATE_SCHEMA);
+
+const TRANSACTION_SCHEMA: Schema = {
+  struct: {
+    signerId: 'string',
+    publicKey: PUBLIC_KEY_SCHEMA,
+    nonce: 'u64',
+    receiverId: 'string',
+    blockHash: { array: { type: 'u8', len: 32 } },
+    actions: { array: { type: ACTION_SCHEMA } }
+  }
+};
+
+/**
+ * Convert a NEAR public key string (ed25519:... / secp256k1:..., or bare
+ * base58 for ed25519) to its Borsh enum value
+ */
+function toBorshPublicKey(publicKey: string) {
+  if (publicKey.startsWith('secp256k1:')) {
+    const data = decodeBase58(publicKey.slice(10));
+    if (data.length !== 64) {
+      throw new Error(`Invalid public key length: expected 64 bytes, got ${data.length}`);
+    }
+    return { secp256k1: Array.from(data) };
+  }
+
+  const data = publicKey.startsWith('ed25519:')
+    ? decodeBase58(publicKey.slice(8))
+    : decodeBase58(publicKey);
+
+  if (data.length !== 32) {
+    throw new Error(`Invalid public key length: expected 32 bytes, got ${data.length}`);
+  }
+  return { ed25519: Array.from(data) };
+}
+
+/**
+ * Convert an action to its Borsh enum value
+ */
+function toBorshAction(action: Action) {
+  switch (action.type) {
+    case 'CreateAccount':
+      return { CreateAccount: {} };
+
+    case 'DeployContract':
+      return { DeployContract: { code: Array.from(toBytes(action.code)) } };
+
+    case 'FunctionCall':
+      return {
+        FunctionCall: {
+          methodName: action.methodName,
+          args: Array.from(toBytes(action.args)),
+          gas: BigInt(action.gas),
+          deposit: BigInt(action.deposit)
+        }
+      };
+
+    case 'Transfer':
+      return { Transfer: { deposit: BigInt(action.deposit) } };
+
+    case 'Stake':
+      return {
+        Stake: {
+          stake: BigInt(action.stake),
+          publicKey: toBorshPublicKey(action.publicKey)
+        }
+      };
+
+    case 'AddKey': {
+      const { permission } = action.accessKey;
+      let borshPermission;
+      if (permission === 'FullAccess') {
+        borshPermission = { FullAccess: {} };
+      } else if (permission && typeof permission === 'object' && permission.FunctionCall) {
+        const fc = permission.FunctionCall;
+        borshPermission = {
           FunctionCall: {
-            methodName: action.methodName,
-            args: Array.from(action.args),
-            gas: BigInt(action.gas),
-            deposit: BigInt(action.deposit)
-          }
-        };
-      } else if (action.type === 'Transfer') {
-        return {
-          Transfer: {
-            deposit: BigInt(action.deposit)
+            allowance: fc.allowance == null ? null : BigInt(fc.allowance),
+            receiverId: fc.receiverId,
+            methodNames: fc.methodNames ?? []
           }
         };
+      } else {
+        throw new Error(`Unsupported access key permission: ${JSON.stringify(permission)}`);
       }
-      throw new Error(`Unsupported action type: ${action.type}`);
-    })
-  };
-
-  // Define Borsh schema with proper types
-  // Each enum variant is a struct with a single named field
-  const schema: Schema = {
-    struct: {
-      signerId: 'string',
-      publicKey: {
-        struct: {
-          keyType: 'u8',
-          data: { array: { type: 'u8', len: 32 } }
+      return {
+        AddKey: {
+          publicKey: toBorshPublicKey(action.publicKey),
+          accessKey: {
+            nonce: BigInt(action.accessKey.nonce),
+            permission: borshPermission
+          }
         }
-      } as Schema,
-      nonce: 'u64',
-      receiverId: 'string',
-      blockHash: { array: { type: 'u8', len: 32 } },
-      actions: {
-        array: {
-          type: {
-            enum: [
-              { struct: { CreateAccount: { struct: {} } } }, // Variant 0
-              { struct: { DeployContract: { struct: {} } } }, // Variant 1
-              { struct: { FunctionCall: { // Variant 2
-                struct: {
-                  methodName: 'string',
-                  args: { array: { type: 'u8' } },
-                  gas: 'u64',
-                  deposit: 'u128'
-                }
-              } as Schema } },
-              { struct: { Transfer: { // Variant 3
-                struct: {
-                  deposit: 'u128'
-                }
-              } as Schema } }
-            ]
-          } as Schema
+      };
+    }
+
+    case 'DeleteKey':
+      return { DeleteKey: { publicKey: toBorshPublicKey(action.publicKey) } };
+
+    case 'DeleteAccount':
+      return { DeleteAccount: { beneficiaryId: action.beneficiaryId } };
+
+    case 'Delegate':
+      return { Delegate: toBorshSignedDelegate(action.signedDelegate) };
+
+    case 'DeployGlobalContract':
+      if (action.deployMode !== 'CodeHash' && action.deployMode !== 'AccountId') {
+        throw new Error(`Invalid global contract deploy mode: ${action.deployMode}`);
+      }
+      return {
+        DeployGlobalContract: {
+          code: Array.from(toBytes(action.code)),
+          deployMode: { [action.deployMode]: {} }
         }
+      };
+
+    case 'UseGlobalContract': {
+      const id = action.contractIdentifier as any;
+      if (typeof id?.accountId === 'string') {
+        return { UseGlobalContract: { contractIdentifier: { AccountId: id.accountId } } };
+      }
+      const hash = typeof id?.codeHash === 'string' ? decodeBase58(id.codeHash) : null;
+      if (!hash || hash.length !== 32) {
+        throw new Error('Invalid global contract identifier: expected { accountId } or 32-byte base58 { codeHash }');
       }
+      return { UseGlobalContract: { contractIdentifier: { CodeHash: Array.from(hash) } } };
     }
+  }
+
+  throw new Error(`Unsupported action type: ${(action as any).type}`);
+}
+
+function toBorshDelegateAction(delegateAction: DelegateAction) {
+  return {
+    senderId: delegateAction.senderId,
+    receiverId: delegateAction.receiverId,
+    actions: delegateAction.actions.map((action) => {
+      if (action.type === 'Delegate') throw new Error('Delegate actions cannot be nested');
+      return toBorshAction(action);
+    }),
+    nonce: BigInt(delegateAction.nonce),
+    maxBlockHeight: BigInt(delegateAction.maxBlockHeight),
+    publicKey: toBorshPublicKey(delegateAction.publicKey)
   };
+}
 
-  return serialize(schema, borshTx);
+function toBorshSignedDelegate(signedDelegate: SignedDelegate) {
+  return {
+    delegateAction: toBorshDelegateAction(signedDelegate.delegateAction),
+    signature: { ed25519: Array.from(decodeSignature(signedDelegate.signature)) }
+  };
+}
+
+/**
+ * Decode a base58 Ed25519 signature (optionally "ed25519:" prefixed)
+ */
+function decodeSignature(signature: string): Uint8Array {
+  const bytes = decodeBase58(signature.startsWith('ed25519:') ? signature.slice(8) : signature);
+  if (bytes.length !== 64) {
+    throw new Error(`Invalid signature length: expected 64 bytes, got ${bytes.length}`);
+  }
+  return bytes;
 }
 
 /**
@@ -291,8 +577,31 @@ export async function signTransaction(
   transaction: Transaction,
   privateKeyString: string
 ): Promise<SignedTransaction> {
-  // Parse private key
   const privateKey = parsePrivateKey(privateKeyString);
+  try {
+    return await signTransactionWithSecretKey(transaction, privateKey);
+  } finally {
+    privateKey.fill(0);
+  }
+}
+
+/**
+ * Sign a NEAR transaction with a raw Ed25519 secret key
+ *
+ * Used inside the enclaves once key material has been decrypted.
+ * The caller owns `privateKey` and should zero it afterwards.
+ *
+ * @param transaction - Transaction to sign
+ * @param privateKey - 64-byte Ed25519 secret key
+ * @returns Signed transaction with signature and hash
+ */
+export async function signTransactionWithSecretKey(
+  transaction: Transaction,
+  privateKey: Uint8Array
+): Promise<SignedTransaction> {
+  if (privateKey.length !== 64) {
+    throw new Error(`Invalid private key length: expected 64 bytes, got ${privateKey.length}`);
+  }
 
   // Derive public key and verify it matches transaction
   const publicKey = derivePublicKey(privateKey);
@@ -321,6 +630,42 @@ export async function signTransaction(
   };
 }
 
+/**
+ * Serialize a signed transaction to Borsh (Transaction + Signature), the
+ * bytes broadcast via send_tx / broadcast_tx_commit (base64 encoded)
+ */
+export function serializeSignedTransaction(signedTx: SignedTransaction): Uint8Array {
+  const tx = serializeTransaction(signedTx.transaction);
+  const signature = decodeSignature(signedTx.signature);
+  const out = new Uint8Array(tx.length + 1 + signature.length);
+  out.set(tx, 0);
+  out[tx.length] = 0; // Signature::ED25519
+  out.set(signature, tx.length + 1);
+  return out;
+}
+
+/**
+ * Enclave signing result, shared by the worker and iframe backends
+ */
+export interface SignatureResult {
+  type: 'ed25519';
+  data: number[];          // raw 64-byte signature
+  signature: string;       // base58 signature
+  signedTransaction: SignedTransaction;
+}
+
+/**
+ * Shape a signed transaction into the result returned by the enclaves
+ */
+export function toSignatureResult(signedTx: SignedTransaction): SignatureResult {
+  return {
+    type: 'ed25519',
+    data: Array.from(decodeBase58(signedTx.signature)),
+    signature: signedTx.signature,
+    signedTransaction: signedTx,
+  };
+}
+
 /**
  * Verify a transaction signature
  *
@@ -415,3 +760,173 @@ export function createFunctionCallTransaction(params: {
     ],
   };
 }
+
+/**
+ * NEP-366 prefix: 2^30 + 366, prepended (as Borsh u32) to a delegate action
+ * before hashing so the signature can never be valid for a transaction
+ */
+export const DELEGATE_ACTION_PREFIX = 2 ** 30 + 366;
+
+/**
+ * Serialize a delegate action to Borsh (without the NEP-366 prefix)
+ */
+export function serializeDelegateAction(delegateAction: DelegateAction): Uint8Array {
+  return serialize(DELEGATE_ACTION_SCHEMA, toBorshDelegateAction(delegateAction));
+}
+
+/**
+ * Encode a delegate action for signing: Borsh u32 prefix + Borsh delegate action
+ */
+export function encodeDelegateAction(delegateAction: DelegateAction): Uint8Array {
+  const body = serializeDelegateAction(delegateAction);
+  const encoded = new Uint8Array(4 + body.length);
+  new DataView(encoded.buffer).setUint32(0, DELEGATE_ACTION_PREFIX, true);
+  encoded.set(body, 4);
+  return encoded;
+}
+
+/**
+ * Serialize a signed delegate to Borsh (the format relayers accept)
+ */
+export function serializeSignedDelegate(signedDelegate: SignedDelegate): Uint8Array {
+  return serialize(SIGNED_DELEGATE_SCHEMA, toBorshSignedDelegate(signedDelegate));
+}
+
+/**
+ * Sign a delegate action
+ *
+ * @param delegateAction - Delegate action to sign
+ * @param privateKeyString - Private key in ed25519:base58 format
+ */
+export async function signDelegateAction(
+  delegateAction: DelegateAction,
+  privateKeyString: string
+): Promise<SignedDelegate> {
+  const privateKey = parsePrivateKey(privateKeyString);
+  try {
+    return await signDelegateActionWithSecretKey(delegateAction, privateKey);
+  } finally {
+    privateKey.fill(0);
+  }
+}
+
+/**
+ * Sign a delegate action with a raw Ed25519 secret key
+ *
+ * The public key in the delegate action is replaced with the signer's.
+ * The caller owns `privateKey` and should zero it afterwards.
+ */
+export async function signDelegateActionWithSecretKey(
+  delegateAction: DelegateAction,
+  privateKey: Uint8Array
+): Promise<SignedDelegate> {
+  if (privateKey.length !== 64) {
+    throw new Error(`Invalid private key length: expected 64 bytes, got ${privateKey.length}`);
+  }
+
+  const withPubKey = {
+    ...delegateAction,
+    publicKey: encodePublicKey(derivePublicKey(privateKey)),
+  };
+
+  const hash = await hashTransaction(encodeDelegateAction(withPubKey));
+  const signature = nacl.sign.detached(hash, privateKey);
+
+  return createSignedDelegate(withPubKey, signature);
+}
+
+/**
+ * Pair a delegate action with a signature produced elsewhere
+ *
+ * @param signature - 64-byte signature, or base58 (optionally "ed25519:" prefixed)
+ */
+export function createSignedDelegate(
+  delegateAction: DelegateAction,
+  signature: Uint8Array | string
+): SignedDelegate {
+  const bytes = typeof signature === 'string' ? decodeSignature(signature) : signature;
+  if (bytes.length !== 64) {
+    throw new Error(`Invalid signature length: expected 64 bytes, got ${bytes.length}`);
+  }
+  // Validates the delegate action (nested delegates, key and number formats)
+  serializeDelegateAction(delegateAction);
+
+  return {
+    delegateAction,
+    signature: encodeBase58(bytes),
+  };
+}
+
+/**
+ * Verify a signed delegate against the public key it names
+ *
+ * Relayers should additionally check maxBlockHeight against the current
+ * block and that publicKey is an access key of senderId.
+ */
+export async function verifySignedDelegate(signedDelegate: SignedDelegate): Promise<boolean> {
+  try {
+    const { delegateAction } = signedDelegate;
+    const hash = await hashTransaction(encodeDelegateAction(delegateAction));
+    const signature = decodeSignature(signedDelegate.signature);
+    const publicKeyStr = delegateAction.publicKey;
+    if (publicKeyStr.startsWith('secp256k1:')) return false;
+    const publicKey = publicKeyStr.startsWith('ed25519:')
+      ? decodeBase58(publicKeyStr.slice(8))
+      : decodeBase58(publicKeyStr);
+
+    return nacl.sign.detached.verify(hash, signature, publicKey);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Create a delegate action
+ *
+ * Helper for building meta-transactions to hand to a relayer
+ */
+export function createDelegateAction(params: {
+  senderId: string;
+  receiverId: string;
+  actions: Action[];
+  nonce: string;
+  maxBlockHeight: string;
+  publicKey?: string;
+}): DelegateAction {
+  return {
+    senderId: params.senderId,
+    receiverId: params.receiverId,
+    actions: params.actions,
+    nonce: params.nonce,
+    maxBlockHeight: params.maxBlockHeight,
+    publicKey: params.publicKey || '',
+  };
+}
+
+/**
+ * Create the relayer's transaction wrapping a signed delegate
+ *
+ * The relayer signs and pays for this transaction; its receiver is the
+ * delegate's sender, per NEP-366.
+ */
+export function createDelegateTransaction(params: {
+  relayerId: string;
+  signedDelegate: SignedDelegate;
+  nonce: string;
+  blockHash: string;
+  publicKey?: string;
+}): Transaction {
+  return {
+    signerId: params.relayerId,
+    publicKey: params.publicKey || '',
+    nonce: params.nonce,
+    receiverId: params.signedDelegate.delegateAction.senderId,
+    blockHash: params.blockHash,
+    actions: [
+      {
+        type: 'Delegate',
+        signedDelegate: params.signedDelegate,
+      },
+    ],
+  };
+}
@@ -0,0 +1,123 @@
+// Typed NEAR RPC errors.
+// - JSON-RPC errors, non-OK HTTP responses, legacy `result.error` strings and
+//   transaction failure trees all map to one NearRpcError with a `kind`
+// - Callers branch on `kind` (and read `info`) instead of regex-matching messages
+// - The raw error is kept on `data` for logging
+
+export type NearRpcErrorKind =
+  | "InvalidNonce"
+  | "NotEnoughBalance"
+  | "AccessKeyDoesNotExist"
+  | "AccountDoesNotExist"
+  | "FunctionCallError"
+  | "Expired"
+  | "InvalidTransaction"
+  | "TIMEOUT_ERROR"
+  | "HttpError"
+  | "NetworkError"
+  | "RpcError";
+
+export class NearRpcError extends Error {
+  kind: NearRpcErrorKind;
+  info: any;        // variant payload, e.g. { tx_nonce, ak_nonce } for InvalidNonce
+  data: any;        // raw JSON-RPC error / failure tree
+  status?: number;  // HTTP status, when the error came from a non-OK response
+
+  constructor(kind: NearRpcErrorKind, message: string, info: any = null, data: any = null, status?: number) {
+    super(message);
+    this.name = "NearRpcError";
+    this.kind = kind;
+    this.info = info;
+    this.data = data;
+    this.status = status;
+  }
+}
+
+// Variant names inside failure trees (TxExecutionError / ActionError / InvalidTxError)
+const TREE_KINDS: Record<string, NearRpcErrorKind> = {
+  InvalidNonce: "InvalidNonce",
+  NotEnoughBalance: "NotEnoughBalance",
+  AccessKeyNotFound: "AccessKeyDoesNotExist",
+  AccountDoesNotExist: "AccountDoesNotExist",
+  SignerDoesNotExist: "AccountDoesNotExist",
+  FunctionCallError: "FunctionCallError",
+  Expired: "Expired"
+};
+
+// Structured error cause names (error.cause.name)
+const CAUSE_KINDS: Record<string, NearRpcErrorKind> = {
+  TIMEOUT_ERROR: "TIMEOUT_ERROR",
+  UNKNOWN_ACCESS_KEY: "AccessKeyDoesNotExist",
+  UNKNOWN_ACCOUNT: "AccountDoesNotExist",
+  CONTRACT_EXECUTION_ERROR: "FunctionCallError",
+  INVALID_TRANSACTION: "InvalidTransaction"
+};
+
+// Legacy plain-string errors (older nodes, `query` results with an `error` field)
+const MESSAGE_KINDS: [RegExp, NearRpcErrorKind][] = [
+  [/access key .* does not exist/i, "AccessKeyDoesNotExist"],
+  [/account .* does not exist/i, "AccountDoesNotExist"],
+  [/FunctionCallError|wasm execution failed/i, "FunctionCallError"],
+  [/^timeout|timed out/i, "TIMEOUT_ERROR"]
+];
+
+/** Depth-first search for the first known variant in a failure tree. */
+function findVariant(value: any, depth = 0): { kind: NearRpcErrorKind; name: string; info: any } | null {
+  if (!value || typeof value !== "object" || depth > 12) return null;
+  for (const k of Object.keys(value)) {
+    if (TREE_KINDS[k]) return { kind: TREE_KINDS[k], name: k, info: value[k] };
+  }
+  for (const k of Object.keys(value)) {
+    const found = findVariant(value[k], depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+function kindFromMessage(message: string): NearRpcErrorKind | null {
+  for (const [re, kind] of MESSAGE_KINDS) if (re.test(message)) return kind;
+  return null;
+}
+
+/**
+ * Map a JSON-RPC error object (or legacy error string) to a NearRpcError
+ */
+export function toNearRpcError(error: any, status?: number): NearRpcError {
+  if (typeof error === "string") {
+    return new NearRpcError(kindFromMessage(error) ?? "RpcError", error, null, error, status);
+  }
+
+  const variant = findVariant(error?.data) ?? findVariant(error?.cause?.info) ?? findVariant(error);
+  if (variant) {
+    return new NearRpcError(variant.kind, `${variant.name}: ${JSON.stringify(variant.info)}`, variant.info, error, status);
+  }
+
+  const cause = error?.cause?.name;
+  const message = [cause ?? error?.name, typeof error?.data === "string" ? error.data : error?.message].filter(Boolean).join(": ") || "RPC error";
+  const kind = (cause && CAUSE_KINDS[cause]) || kindFromMessage(typeof error?.data === "string" ? error.data : String(error?.message ?? "")) || "RpcError";
+  return new NearRpcError(kind, message, error?.cause?.info ?? null, error, status);
+}
+
+/**
+ * Map a transaction/receipt `Failure` tree to a NearRpcError
+ */
+export function toFailureError(failure: any): NearRpcError {
+  const variant = findVariant(failure);
+  if (variant) {
+    return new NearRpcError(variant.kind, `${variant.name}: ${JSON.stringify(variant.info)}`, variant.info, failure);
+  }
+  return new NearRpcError("InvalidTransaction", `Transaction failed: ${JSON.stringify(failure).slice(0, 200)}`, null, failure);
+}
+
+/**
+ * Map a non-OK HTTP response (body already read) to a NearRpcError
+ *
+ * nearcore answers some errors (e.g. TIMEOUT_ERROR, 408) with a JSON-RPC body
+ * and a non-2xx status; that body is classified like any other RPC error.
+ */
+export function toHttpError(status: number, statusText: string, body: any): NearRpcError {
+  if (body && typeof body === "object" && body.error) return toNearRpcError(body.error, status);
+  const snippet = typeof body === "string" ? body : JSON.stringify(body ?? "").slice(0, 200);
+  const kind: NearRpcErrorKind = status === 408 || status === 504 ? "TIMEOUT_ERROR" : "HttpError";
+  return new NearRpcError(kind, `HTTP ${status} ${statusText}: ${snippet}`, null, body, status);
+}
@@ -1,3 +1,5 @@
+import { NearRpcError, toNearRpcError, toHttpError } from "./rpc-errors.js";
+
 export type JsonRpcRequest = { jsonrpc: "2.0"; id: string | number; method: string; params?: any };
 export type JsonRpcResponse<T = any> = { jsonrpc: "2.0"; id: string | number | null; result?: T; error?: { code: number; message: string; data?: any } };
 export type EgressPolicy = {
@@ -6,10 +8,57 @@ export type EgressPolicy = {
   maxReqBytes?: number;
   maxRespBytes?: number;
   requireHttps?: boolean;
+  endpoints?: string[];     // failover pool; every entry must pass allowHosts/requireHttps
+  retry?: RetryPolicy;
+  timeoutMs?: number;       // per-attempt timeout (default 15s)
+  cooldownMs?: number;      // how long a failing endpoint is deprioritized (default 30s)
+};
+
+export type RetryPolicy = {
+  maxAttempts?: number;     // total attempts across endpoints (default 3)
+  baseDelayMs?: number;     // default 200
+  maxDelayMs?: number;      // default 5000
+};
+
+export type EndpointHealth = {
+  url: string;
+  score: number;            // 0..1, decays on failure, recovers on success
+  successes: number;
+  failures: number;
+  lastError: string | null;
+  cooldownUntil: number;    // epoch ms; 0 when healthy
 };
 
+// Transaction submission: a retry after an ambiguous failure (timeout, dropped
+// connection, 500/502/504) may resubmit a transaction that already landed, so
+// these are only retried when the server clearly did not process the request.
+const NON_IDEMPOTENT = new Set(["send_tx", "broadcast_tx_commit", "broadcast_tx_async"]);
+const NOT_PROCESSED_STATUS = new Set([429, 503]);
+
 function normalizeHost(u: URL) { return u.port ? `${u.hostname}:${u.port}` : u.hostname; }
 function isLocal(u: URL) { return u.hostname === "localhost" || u.hostname === "127.0.0.1" || u.hostname === "::1"; }
+function sleep(ms: number) { return new Promise<void>(r => setTimeout(r, ms)); }
+
+/** Full-jitter exponential backoff: random in [0, min(max, base * 2^(attempt-1))). */
+export function backoffDelay(attempt: number, retry: RetryPolicy = {}, random: () => number = Math.random): number {
+  const base = retry.baseDelayMs ?? 200;
+  const max = retry.maxDelayMs ?? 5000;
+  return Math.floor(random() * Math.min(max, base * 2 ** Math.max(0, attempt - 1)));
+}
+
+/** Timeouts, network failures, 429 and 5xx are worth another attempt. */
+export function isRetriable(e: unknown): boolean {
+  if (!(e instanceof NearRpcError)) return false;
+  if (e.kind === "TIMEOUT_ERROR" || e.kind === "NetworkError") return true;
+  return e.status !== undefined && (e.status === 429 || e.status >= 500);
+}
+
+/** Whether a failed request for `method` may be sent again. */
+export function isSafeToRetry(method: string, e: unknown): boolean {
+  if (!isRetriable(e)) return false;
+  if (!NON_IDEMPOTENT.has(method.toLowerCase())) return true;
+  return NOT_PROCESSED_STATUS.has((e as NearRpcError).status ?? 0);
+}
 
 export function makeEgressGuard(policy: EgressPolicy) {
   const allowedMethods = new Set(policy.allowMethods.map(m => m.toLowerCase()));
@@ -17,6 +66,10 @@ export function makeEgressGuard(policy: EgressPolicy) {
   const maxReq = policy.maxReqBytes ?? 64 * 1024;
   const maxResp = policy.maxRespBytes ?? 1024 * 1024;
   const httpsRequired = policy.requireHttps ?? true;
+  const retry = policy.retry ?? {};
+  const maxAttempts = Math.max(1, retry.maxAttempts ?? 3);
+  const timeoutMs = policy.timeoutMs ?? 15_000;
+  const cooldownMs = policy.cooldownMs ?? 30_000;
 
   function assertUrl(url: string) {
     const u = new URL(url);
@@ -33,6 +86,39 @@ export function makeEgressGuard(policy: EgressPolicy) {
     if (size > maxReq) throw new Error(`Request too large: ${size} bytes > ${maxReq}`);
   }
 
+  // Validate the pool up front so a misconfigured endpoint fails at construction
+  const endpoints = (policy.endpoints ?? []).map(assertUrl);
+  const health = new Map<string, EndpointHealth>();
+  for (const url of endpoints) health.set(url, { url, score: 1, successes: 0, failures: 0, lastError: null, cooldownUntil: 0 });
+
+  function record(url: string, error: unknown) {
+    const h = health.get(url);
+    if (!h) return;
+    if (error === null) {
+      h.successes++;
+      h.score = h.score + (1 - h.score) * 0.5;
+      h.cooldownUntil = 0;
+    } else {
+      h.failures++;
+      h.score = h.score * 0.5;
+      h.lastError = String((error as any)?.message ?? error);
+      h.cooldownUntil = Date.now() + cooldownMs;
+    }
+  }
+
+  /** A URL from the pool fails over across the pool (healthiest first); any other URL is tried alone. */
+  function candidates(url: string): string[] {
+    let key = url;
+    try { key = new URL(url).toString(); } catch { /* assertUrl reports it */ }
+    if (!health.has(key)) return [url];
+    const now = Date.now();
+    return [...endpoints].sort((a, b) => {
+      const ha = health.get(a)!, hb = health.get(b)!;
+      const ca = ha.cooldownUntil > now ? 1 : 0, cb = hb.cooldownUntil > now ? 1 : 0;
+      return ca - cb || hb.score - ha.score;
+    });
+  }
+
   async function readJsonCapped(res: Response, cap: number): Promise<any> {
     const reader = res.body?.getReader();
     if (!reader) return JSON.parse(await res.text());
@@ -52,43 +138,108 @@ export function makeEgressGuard(policy: EgressPolicy) {
   }
 
   async function postOnce(url: string, req: JsonRpcRequest): Promise<JsonRpcResponse> {
-    const res = await fetch(url, {
-      method: "POST",
-      headers: { "content-type": "application/json" },
-      body: JSON.stringify(req),
-      mode: "cors",
-      credentials: "omit",
-      cache: "no-store",
-      redirect: "error",
-      referrerPolicy: "no-referrer"
-    });
-    const ok = res.ok;
-    const data = await readJsonCapped(res, maxResp).catch(async () => {
-      const t = await res.text();
-      return { _raw: t.slice(0, 512) };
-    });
-    if (!ok) throw new Error(`HTTP ${res.status} ${res.statusText}: ${typeof data === 'string' ? data : JSON.stringify(data).slice(0,200)}`);
-    return data;
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+      let res: Response;
+      try {
+        res = await fetch(url, {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify(req),
+          mode: "cors",
+          credentials: "omit",
+          cache: "no-store",
+          redirect: "error",
+          referrerPolicy: "no-referrer",
+          signal: ctrl.signal
+        });
+      } catch (e: any) {
+        if (ctrl.signal.aborted) throw new NearRpcError("TIMEOUT_ERROR", `Request timed out after ${timeoutMs}ms: ${url}`);
+        throw new NearRpcError("NetworkError", `Network error: ${String(e?.message || e)}`, null, e);
+      }
+      const ok = res.ok;
+      const data = await readJsonCapped(res, maxResp).catch(async (e) => {
+        if (ctrl.signal.aborted) throw new NearRpcError("TIMEOUT_ERROR", `Request timed out after ${timeoutMs}ms: ${url}`, null, null, res.status);
+        if (String(e?.message).startsWith("Response too large")) throw e;
+        const t = await res.text();
+        return { _raw: t.slice(0, 512) };
+      });
+      if (!ok) throw toHttpError(res.status, res.statusText, data);
+      return data;
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
-  async function post(url: string, req: JsonRpcRequest): Promise<JsonRpcResponse> {
-    assertRequest(req);
-    const safeUrl = assertUrl(url);
+  /** send_tx is missing on older nodes: fall back to broadcast_tx_commit (nothing was submitted). */
+  function fallbackRequest(req: JsonRpcRequest, error: any): JsonRpcRequest | null {
+    if (String(req.method || "").toLowerCase() !== "send_tx" || !allowedMethods.has("broadcast_tx_commit")) return null;
+    const notFound = error?.code === -32601 || /method not found/i.test(String(error?.message ?? "")) || error?.data?.code === -32601;
+    if (!notFound) return null;
+    const p = req.params as any;
+    const b64 = p && typeof p === "object" && "signed_tx_base64" in p ? p.signed_tx_base64 : null;
+    return b64 ? { jsonrpc: "2.0", id: req.id, method: "broadcast_tx_commit", params: [b64] } : null;
+  }
+
+  async function postWithFallback(url: string, req: JsonRpcRequest): Promise<JsonRpcResponse> {
+    let res: JsonRpcResponse;
     try {
-      return await postOnce(safeUrl, req);
+      res = await postOnce(url, req);
     } catch (e) {
-      const m = String(req.method || "").toLowerCase();
-      if (m === "send_tx" && allowedMethods.has("broadcast_tx_commit")) {
-        const p = req.params as any;
-        const b64 = p && typeof p === "object" && "signed_tx_base64" in p ? p.signed_tx_base64 : null;
-        if (b64) {
-          const alt: JsonRpcRequest = { jsonrpc: "2.0", id: req.id, method: "broadcast_tx_commit", params: [b64] };
-          return await postOnce(safeUrl, alt);
-        }
+      const alt = fallbackRequest(req, e);
+      if (!alt) throw e;
+      return await postOnce(url, alt);
+    }
+    const alt = res.error ? fallbackRequest(req, res.error) : null;
+    return alt ? await postOnce(url, alt) : res;
+  }
+
+  /**
+   * Policy checks on every attempt; retriable failures (timeouts, network, 429, 5xx)
+   * mark the endpoint unhealthy and rotate to the next one after a jittered backoff.
+   * Transaction submission is only retried when the server did not process it.
+   */
+  async function post(url: string, req: JsonRpcRequest): Promise<JsonRpcResponse> {
+    assertRequest(req);
+    const pool = candidates(url);
+    const method = String(req.method || "");
+    let lastError: unknown;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const target = pool[(attempt - 1) % pool.length];
+      const safeUrl = assertUrl(target);
+      try {
+        const res = await postWithFallback(safeUrl, req);
+        record(target, null);
+        return res;
+      } catch (e) {
+        lastError = e;
+        if (isRetriable(e)) record(target, e);
+        if (attempt === maxAttempts || !isSafeToRetry(method, e)) break;
+        await sleep(backoffDelay(attempt, retry));
       }
-      throw e;
     }
+    throw lastError;
   }
 
-  return { post };
+  /** Snapshot of endpoint health, in configured order. */
+  function getHealth(): EndpointHealth[] {
+    return endpoints.map(url => ({ ...health.get(url)! }));
+  }
+
+  /**
+   * post() + typed errors: returns `result`, or throws NearRpcError for
+   * JSON-RPC errors and legacy `result.error` strings (e.g. view_access_key).
+   */
+  async function call<T = any>(url: string, req: JsonRpcRequest): Promise<T> {
+    const res = await post(url, req);
+    if (res.error) throw toNearRpcError(res.error);
+    const result: any = res.result;
+    if (result && typeof result === "object" && typeof result.error === "string") throw toNearRpcError(result.error);
+    return result;
+  }
+
+  return { post, call, health: getHealth };
 }
+
+export type EgressGuard = ReturnType<typeof makeEgressGuard>;
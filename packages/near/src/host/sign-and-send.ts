@@ -0,0 +1,113 @@
+// Host-orchestrated signAndSend.
+// - The host fetches the access-key nonce and a final block hash through the egress guard
+// - The enclave signs (the host only ever hands over the unsigned transaction)
+// - The host broadcasts the signed transaction and returns the outcome
+// - Nonces are reserved per (account, key) so back-to-back sends don't collide;
+//   an InvalidNonce rejection is retried with the nonce the chain reports
+
+import type { EgressGuard } from "./rpc.js";
+import { NearRpcError } from "./rpc-errors.js";
+import { parseTransactionOutcome, type TransactionOutcome } from "./tx-outcome.js";
+import { makeAccessKeyRequest, makeBlockRequest, makeSendTransactionRequest } from "../enclave/near-enclave.js";
+import { serializeSignedTransaction, type Action, type Transaction, type SignedTransaction } from "../enclave/near-tx.js";
+import { toBase64 } from "../enclave/base64.js";
+
+export type TransactionSigner = (tx: Transaction) => Promise<SignedTransaction>;
+
+export type TransactionSenderConfig = {
+  guard: EgressGuard;
+  rpcUrl: string;
+  sign: TransactionSigner;   // e.g. tx => enclave.signTransactionByKeyId(keyId, tx).then(r => r.signedTransaction)
+  maxNonceRetries?: number;  // default 2
+};
+
+export type SendParams = {
+  signerId: string;
+  publicKey: string;         // ed25519:... of the enclave-held key
+  receiverId: string;
+  actions: Action[];
+};
+
+export type SendResult = {
+  transactionHash: string;
+  signedTransaction: SignedTransaction;
+  outcome: TransactionOutcome;
+  attempts: number;
+};
+
+export function makeTransactionSender(config: TransactionSenderConfig) {
+  const { guard, rpcUrl, sign } = config;
+  const maxNonceRetries = config.maxNonceRetries ?? 2;
+  const lastNonce = new Map<string, bigint>();
+
+  async function fetchAccessKeyNonce(accountId: string, publicKey: string): Promise<bigint> {
+    const { url, req } = makeAccessKeyRequest({ rpcUrl, accountId, publicKey });
+    const result = await guard.call(url, req);
+    if (result?.nonce === undefined) throw new Error("view_access_key: missing nonce");
+    return BigInt(result.nonce);
+  }
+
+  async function fetchBlockHash(): Promise<string> {
+    const { url, req } = makeBlockRequest({ rpcUrl, finality: "final" });
+    const result = await guard.call(url, req);
+    const hash = result?.header?.hash;
+    if (typeof hash !== "string") throw new Error("block: missing header.hash");
+    return hash;
+  }
+
+  /** Reserve the next nonce: above both the chain's and anything we already used. */
+  function reserveNonce(key: string, chainNonce: bigint): bigint {
+    const used = lastNonce.get(key) ?? 0n;
+    const next = (chainNonce > used ? chainNonce : used) + 1n;
+    lastNonce.set(key, next);
+    return next;
+  }
+
+  async function signAndSend(params: SendParams): Promise<SendResult> {
+    const key = `${params.signerId}|${params.publicKey}`;
+    let [chainNonce, blockHash] = await Promise.all([
+      fetchAccessKeyNonce(params.signerId, params.publicKey),
+      fetchBlockHash()
+    ]);
+
+    for (let attempt = 1; ; attempt++) {
+      const tx: Transaction = {
+        signerId: params.signerId,
+        publicKey: params.publicKey,
+        nonce: reserveNonce(key, chainNonce).toString(),
+        receiverId: params.receiverId,
+        blockHash,
+        actions: params.actions
+      };
+
+      const signed = await sign(tx);
+      if (signed.transaction.publicKey !== params.publicKey) {
+        throw new Error(`Signer used ${signed.transaction.publicKey}, expected ${params.publicKey}`);
+      }
+
+      const signedTransaction = toBase64(serializeSignedTransaction(signed));
+      let result: any;
+      try {
+        result = await guard.call(rpcUrl, makeSendTransactionRequest({ rpcUrl, signedTransaction }).req);
+      } catch (e) {
+        if (e instanceof NearRpcError && e.kind === "InvalidNonce" && e.info?.ak_nonce !== undefined && attempt <= maxNonceRetries) {
+          // The chain is ahead of us (another client used this key): resync and re-sign
+          chainNonce = BigInt(e.info.ak_nonce);
+          blockHash = await fetchBlockHash();
+          continue;
+        }
+        throw e;
+      }
+
+      const outcome = parseTransactionOutcome(result);
+      return {
+        transactionHash: outcome.transactionHash,
+        signedTransaction: signed,
+        outcome,
+        attempts: attempt
+      };
+    }
+  }
+
+  return { signAndSend };
+}
@@ -0,0 +1,110 @@
+// Typed decoding of send_tx / broadcast_tx_commit results.
+// - Final status: success (SuccessValue / SuccessReceiptId), failure, or pending
+//   (send_tx with an early wait_until returns no final status yet)
+// - SuccessValue is base64-decoded; JSON return values are parsed when possible
+// - Failures (transaction and per-receipt) are mapped to NearRpcError
+
+import { NearRpcError, toFailureError } from "./rpc-errors.js";
+import { fromBase64 } from "../enclave/base64.js";
+
+export type OutcomeStatus = "success" | "failure" | "pending";
+
+export type ReceiptOutcome = {
+  id: string;
+  executorId: string;
+  status: OutcomeStatus;
+  logs: string[];
+  gasBurnt: number;
+  tokensBurnt: string;
+  receiptIds: string[];
+  value: Uint8Array | null;     // SuccessValue bytes
+  failure: NearRpcError | null;
+};
+
+export type TransactionOutcome = {
+  transactionHash: string;
+  signerId: string;
+  receiverId: string;
+  status: OutcomeStatus;
+  finalExecutionStatus?: string; // send_tx wait_until level reached
+  value: Uint8Array | null;      // final SuccessValue bytes
+  json: any;                     // value parsed as JSON (undefined if not JSON)
+  successReceiptId: string | null;
+  failure: NearRpcError | null;
+  logs: string[];                // all logs, transaction first then receipts
+  gasBurnt: number;
+  tokensBurnt: string;           // yoctoNEAR, summed over transaction + receipts
+  transaction: ReceiptOutcome;
+  receipts: ReceiptOutcome[];
+  failedReceipts: ReceiptOutcome[];
+  raw: any;
+};
+
+/** Decode a base64 SuccessValue to bytes. */
+export function decodeSuccessValue(value: string): Uint8Array {
+  return value ? fromBase64(value) : new Uint8Array();
+}
+
+function parseJson(bytes: Uint8Array | null): any {
+  if (!bytes || bytes.length === 0) return undefined;
+  try { return JSON.parse(new TextDecoder().decode(bytes)); } catch { return undefined; }
+}
+
+function parseStatus(status: any): { status: OutcomeStatus; value: Uint8Array | null; receiptId: string | null; failure: NearRpcError | null } {
+  if (status && typeof status === "object") {
+    if ("SuccessValue" in status) return { status: "success", value: decodeSuccessValue(status.SuccessValue), receiptId: null, failure: null };
+    if ("SuccessReceiptId" in status) return { status: "success", value: null, receiptId: status.SuccessReceiptId, failure: null };
+    if ("Failure" in status) return { status: "failure", value: null, receiptId: null, failure: toFailureError(status.Failure) };
+  }
+  // "Unknown", "NotStarted", "Started" or missing
+  return { status: "pending", value: null, receiptId: null, failure: null };
+}
+
+function parseExecutionOutcome(o: any): ReceiptOutcome {
+  const outcome = o?.outcome ?? {};
+  const s = parseStatus(outcome.status);
+  return {
+    id: o?.id,
+    executorId: outcome.executor_id,
+    status: s.status,
+    logs: outcome.logs ?? [],
+    gasBurnt: Number(outcome.gas_burnt ?? 0),
+    tokensBurnt: String(outcome.tokens_burnt ?? "0"),
+    receiptIds: outcome.receipt_ids ?? [],
+    value: s.value,
+    failure: s.failure
+  };
+}
+
+/**
+ * Parse a send_tx / broadcast_tx_commit / EXPERIMENTAL_tx_status result
+ */
+export function parseTransactionOutcome(result: any): TransactionOutcome {
+  if (!result || typeof result !== "object") throw new Error("Invalid transaction outcome: expected object");
+
+  const transaction = parseExecutionOutcome(result.transaction_outcome);
+  const receipts: ReceiptOutcome[] = (result.receipts_outcome ?? []).map(parseExecutionOutcome);
+  const final = parseStatus(result.status);
+
+  const all = [transaction, ...receipts];
+  const tokensBurnt = all.reduce((sum, o) => sum + BigInt(o.tokensBurnt), 0n).toString();
+
+  return {
+    transactionHash: result.transaction?.hash ?? transaction.id,
+    signerId: result.transaction?.signer_id,
+    receiverId: result.transaction?.receiver_id,
+    status: final.status,
+    finalExecutionStatus: result.final_execution_status,
+    value: final.value,
+    json: parseJson(final.value),
+    successReceiptId: final.receiptId,
+    failure: final.failure,
+    logs: all.flatMap(o => o.logs),
+    gasBurnt: all.reduce((sum, o) => sum + o.gasBurnt, 0),
+    tokensBurnt,
+    transaction,
+    receipts,
+    failedReceipts: receipts.filter(r => r.status === "failure"),
+    raw: result
+  };
+}
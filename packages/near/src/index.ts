@@ -6,8 +6,12 @@ export * from './deterministic-prelude.js'
 
 // New NEAR adapter (view-only RPC integration)
 export * from './host/rpc.js'
+export * from './host/rpc-errors.js'
+export * from './host/tx-outcome.js'
 export * from './enclave/near-enclave.js'
+export * from './host/sign-and-send.js'
 
 // Transaction signing (Phase 2)
 export * from './enclave/base58.js'
 export * from './enclave/near-tx.js'
+export * from './enclave/near-message.js'
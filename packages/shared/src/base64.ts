@@ -0,0 +1,36 @@
+/**
+ * Base64 Encoding/Decoding
+ *
+ * Used by the portable file formats (bundles, keystore backups, FileAdapter
+ * databases). Decoding throws a TypeError on anything but a base64 string;
+ * callers turn that into their own error code.
+ */
+
+/**
+ * Encode bytes to a base64 string
+ */
+export function toBase64(bytes: Uint8Array): string {
+  let s = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    s += String.fromCharCode.apply(null, Array.from(bytes.subarray(i, i + CHUNK)));
+  }
+  return btoa(s);
+}
+
+/**
+ * Decode a base64 string to bytes
+ * @throws TypeError if value is not a string or not valid base64
+ */
+export function fromBase64(value: string): Uint8Array<ArrayBuffer> {
+  if (typeof value !== 'string') throw new TypeError('Expected base64 string');
+  let s: string;
+  try {
+    s = atob(value);
+  } catch {
+    throw new TypeError('Invalid base64');
+  }
+  const bytes = new Uint8Array(s.length);
+  for (let i = 0; i < s.length; i++) bytes[i] = s.charCodeAt(i);
+  return bytes;
+}
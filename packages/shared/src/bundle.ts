@@ -0,0 +1,151 @@
+/**
+ * Bundle - portable encrypted export format
+ *
+ * A bundle is plain JSON (safe to download, copy or upload) holding one
+ * AES-GCM ciphertext over the whole payload:
+ * - Encrypted under a caller-supplied AES-GCM key or a passphrase (PBKDF2-SHA256)
+ * - The header (format, version, timestamp, KDF parameters) is bound as AAD
+ * - The GCM tag covers every byte, so any edit, truncation or reordering of the
+ *   payload - or a wrong key - fails as a whole ('integrity')
+ *
+ * Local keys never leave the device: exporters decrypt locally and importers
+ * re-encrypt under their own keys.
+ */
+
+import { DEFAULT_PBKDF2_ITERATIONS, MAX_PBKDF2_ITERATIONS } from './user-lock.js';
+import { fromBase64, toBase64 } from './base64.js';
+
+export const BUNDLE_VERSION = 1;
+
+/**
+ * Secret protecting a bundle
+ * - key: AES-GCM 256 key with encrypt/decrypt usages
+ * - passphrase: stretched with PBKDF2-SHA256 (iterations stored in the bundle)
+ */
+export type BundleSecret = { key: CryptoKey } | { passphrase: string; iterations?: number };
+
+export type BundleKdf =
+  | { algorithm: 'none' }
+  | { algorithm: 'PBKDF2'; hash: 'SHA-256'; iterations: number; salt: string };
+
+export interface SealedBundle {
+  format: string;
+  version: number;
+  createdAt: number;
+  kdf: BundleKdf;
+  iv: string;          // base64
+  ciphertext: string;  // base64, AES-GCM(JSON payload)
+}
+
+export type BundleErrorCode = 'invalid-bundle' | 'unsupported-version' | 'wrong-secret-type' | 'integrity';
+
+export class BundleError extends Error {
+  code: BundleErrorCode;
+
+  constructor(code: BundleErrorCode, message: string) {
+    super(message);
+    this.name = 'BundleError';
+    this.code = code;
+  }
+}
+
+/**
+ * Encrypt a JSON-serializable payload into a bundle
+ */
+export async function sealBundle(format: string, payload: unknown, secret: BundleSecret): Promise<SealedBundle> {
+  const kdf: BundleKdf =
+    'key' in secret
+      ? { algorithm: 'none' }
+      : {
+          algorithm: 'PBKDF2',
+          hash: 'SHA-256',
+          iterations: secret.iterations ?? DEFAULT_PBKDF2_ITERATIONS,
+          salt: toBase64(crypto.getRandomValues(new Uint8Array(16))),
+        };
+  const header = { format, version: BUNDLE_VERSION, createdAt: Date.now(), kdf };
+  const key = await bundleKey(secret, kdf);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+
+  const plaintext = new TextEncoder().encode(JSON.stringify(payload));
+  try {
+    const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: headerAAD(header) }, key, plaintext);
+    return { ...header, iv: toBase64(iv), ciphertext: toBase64(new Uint8Array(ct)) };
+  } finally {
+    plaintext.fill(0);
+  }
+}
+
+/**
+ * Verify and decrypt a bundle
+ * @throws BundleError
+ */
+export async function openBundle<T = any>(bundle: SealedBundle, format: string, secret: BundleSecret): Promise<T> {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== format) {
+    throw new BundleError('invalid-bundle', `Not a ${format} bundle`);
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw new BundleError('unsupported-version', `Unsupported ${format} bundle version: ${bundle.version}`);
+  }
+  const kdf = bundle.kdf;
+  if (!kdf || (kdf.algorithm !== 'none' && kdf.algorithm !== 'PBKDF2')) {
+    throw new BundleError('invalid-bundle', 'Unknown bundle key derivation');
+  }
+  // The header is only authenticated after deriving, so bound the work first
+  if (kdf.algorithm === 'PBKDF2' && !(Number.isInteger(kdf.iterations) && kdf.iterations > 0 && kdf.iterations <= MAX_PBKDF2_ITERATIONS)) {
+    throw new BundleError('invalid-bundle', `Bundle PBKDF2 iterations must be an integer from 1 to ${MAX_PBKDF2_ITERATIONS}`);
+  }
+  if ((kdf.algorithm === 'none') !== ('key' in secret)) {
+    throw new BundleError('wrong-secret-type', kdf.algorithm === 'none' ? 'Bundle requires an export key' : 'Bundle requires a passphrase');
+  }
+
+  let plaintext: Uint8Array;
+  try {
+    const key = await bundleKey(secret, kdf);
+    const header = { format: bundle.format, version: bundle.version, createdAt: bundle.createdAt, kdf };
+    plaintext = new Uint8Array(
+      await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(bundle.iv), additionalData: headerAAD(header) },
+        key,
+        fromBase64(bundle.ciphertext)
+      )
+    );
+  } catch {
+    throw new BundleError('integrity', 'Bundle failed integrity verification (wrong secret or modified bundle)');
+  }
+
+  try {
+    return JSON.parse(new TextDecoder().decode(plaintext)) as T;
+  } finally {
+    plaintext.fill(0);
+  }
+}
+
+/**
+ * Generate an extractable AES-GCM export key (e.g. to hand to another device)
+ */
+export async function generateBundleKey(): Promise<CryptoKey> {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+async function bundleKey(secret: BundleSecret, kdf: BundleKdf): Promise<CryptoKey> {
+  if ('key' in secret) return secret.key;
+  if (kdf.algorithm !== 'PBKDF2') throw new BundleError('wrong-secret-type', 'Bundle requires an export key');
+
+  const password = new TextEncoder().encode(secret.passphrase.normalize('NFKC'));
+  const base = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(kdf.salt), iterations: kdf.iterations, hash: kdf.hash },
+    base,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/** Header fields in a fixed order, bound to the ciphertext as AAD */
+function headerAAD(header: { format: string; version: number; createdAt: number; kdf: BundleKdf }) {
+  const kdf = header.kdf.algorithm === 'PBKDF2'
+    ? [header.kdf.algorithm, header.kdf.hash, header.kdf.iterations, header.kdf.salt]
+    : [header.kdf.algorithm];
+  return new TextEncoder().encode(JSON.stringify([header.format, header.version, header.createdAt, kdf]));
+}
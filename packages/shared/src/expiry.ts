@@ -0,0 +1,48 @@
+/**
+ * Expiry - record TTLs and background purging
+ *
+ * Shared by EncryptedStorage and the Vault:
+ * - A record may carry an absolute `expiresAt` (ms); from then on reads treat it
+ *   as missing, and the sweeper deletes it
+ * - Records without `expiresAt` never expire
+ */
+
+export interface ExpiryOptions {
+  ttlMs?: number;     // expire this long after the write
+  expiresAt?: number; // or at this absolute time (ms since epoch)
+}
+
+/** Default interval between background sweeps */
+export const DEFAULT_SWEEP_INTERVAL_MS = 60_000;
+
+/**
+ * Absolute expiry for a write, or undefined for none
+ */
+export function resolveExpiry(options: ExpiryOptions | undefined, now: number): number | undefined {
+  if (!options) return undefined;
+  if (options.ttlMs !== undefined && options.expiresAt !== undefined) {
+    throw new Error('Pass either ttlMs or expiresAt, not both');
+  }
+  if (options.ttlMs !== undefined) {
+    if (!(options.ttlMs > 0)) throw new Error(`ttlMs must be positive, got ${options.ttlMs}`);
+    return now + options.ttlMs;
+  }
+  return options.expiresAt;
+}
+
+export function isExpired(expiresAt: number | undefined, now: number): boolean {
+  return expiresAt !== undefined && expiresAt <= now;
+}
+
+/**
+ * Run `sweep` every `intervalMs` until the returned stop function is called
+ * Failures (e.g. a database closed mid-sweep) are ignored; the next tick retries.
+ */
+export function startSweeper(sweep: () => Promise<unknown>, intervalMs: number): () => void {
+  const timer = setInterval(() => {
+    sweep().catch(() => {});
+  }, intervalMs);
+  // Don't keep Node (tests, SSR) alive just for the sweeper
+  (timer as any).unref?.();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,216 @@
+/**
+ * FileAdapter - Node storage adapter, one JSON file per database
+ *
+ * Node only (imports node:fs); import it from this module, it is not part of
+ * the browser entry point. Runs the MemoryAdapter engine and rewrites the file
+ * (write to a temporary file, then rename) before each read-write transaction
+ * commits, so a failed write leaves both the file and memory unchanged.
+ *
+ * Keys: a file cannot hold a non-extractable CryptoKey, so connections report
+ * storesCryptoKeys: false and the modules generate extractable keys, saved as
+ * JWK. Those keys are as safe as the file (created with mode 0600) - the
+ * non-extractable guarantee is a browser property.
+ *
+ * Schema: a file written by an older release is brought up to date by running
+ * the module's migrations above its schemaVersion against the file's records
+ * (createObjectStore, createIndex and transformRecords are what the steps use),
+ * then rewritten. A file written by a newer release is refused.
+ *
+ * One process per file: writes from another process are not merged.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { MigrationError, latestVersion, type Migration, type MigrationContext } from './migrations.js';
+import { MemoryConnection, MemoryDatabase, type MemoryStores } from './memory-adapter.js';
+import { fromBase64, toBase64 } from './base64.js';
+import {
+  StorageAdapterError,
+  valueAtKeyPath,
+  type AdapterConnection,
+  type AdapterKey,
+  type DatabaseSchema,
+  type StorageAdapter,
+} from './storage-adapter.js';
+
+const FILE_FORMAT = 'soft-enclave-file-db';
+const FILE_VERSION = 1;
+
+export interface FileAdapterOptions {
+  directory: string; // created if missing
+}
+
+interface DatabaseFile {
+  format: typeof FILE_FORMAT;
+  version: number;       // FILE_VERSION
+  schemaVersion: number; // latest migration version of the module that wrote it
+  stores: Record<string, unknown[]>;
+}
+
+export class FileAdapter implements StorageAdapter {
+  readonly kind = 'file';
+  private readonly directory: string;
+
+  constructor(options: FileAdapterOptions) {
+    this.directory = options.directory;
+  }
+
+  /**
+   * Path of a database's file
+   */
+  pathOf(name: string): string {
+    return join(this.directory, `${encodeURIComponent(name)}.json`);
+  }
+
+  async open(name: string, schema: DatabaseSchema): Promise<AdapterConnection> {
+    const path = this.pathOf(name);
+    const schemaVersion = latestVersion(schema.migrations);
+    const database = new MemoryDatabase(schema.stores);
+
+    const file = await readDatabaseFile(path);
+    if (file) {
+      if (file.schemaVersion > schemaVersion) {
+        throw new StorageAdapterError(
+          'schema-mismatch',
+          `${path} was written by a newer version (schema v${file.schemaVersion}; this release reads up to v${schemaVersion})`
+        );
+      }
+      for (const store of schema.stores) {
+        const records = database.stores.get(store.name)!;
+        for (const record of (await decode(file.stores[store.name] ?? [])) as unknown[]) {
+          records.set(valueAtKeyPath(record, store.keyPath) as AdapterKey, record);
+        }
+      }
+      if (file.schemaVersion < schemaVersion) {
+        await migrate(path, database.stores, schema.migrations, file.schemaVersion);
+        await writeDatabaseFile(path, schemaVersion, database.stores);
+      }
+    } else {
+      await mkdir(this.directory, { recursive: true });
+    }
+
+    return new MemoryConnection(database, {
+      storesCryptoKeys: false,
+      beforeCommit: (stores) => writeDatabaseFile(path, schemaVersion, stores),
+    });
+  }
+}
+
+/**
+ * Run the migration steps above `fromVersion` against loaded records
+ * The steps are written for IndexedDB; they get just enough of its API to run here.
+ * Stores and indexes come from the current schema, so only record changes matter.
+ * @throws MigrationError ('failed') - the file is left as it was
+ */
+async function migrate(path: string, stores: MemoryStores, migrations: Migration[], fromVersion: number): Promise<void> {
+  const objectStore = (name: string) => ({
+    createIndex() {},
+    deleteIndex() {},
+    async openCursor() {
+      const entries = [...(stores.get(name) ?? new Map<AdapterKey, unknown>())];
+      const at = async (i: number): Promise<any> => {
+        if (i >= entries.length) return null;
+        const [key, value] = entries[i];
+        return {
+          key,
+          value,
+          update: async (next: unknown) => { stores.get(name)!.set(key, next); },
+          delete: async () => { stores.get(name)!.delete(key); },
+          continue: () => at(i + 1),
+        };
+      };
+      return at(0);
+    },
+  });
+  const db = {
+    createObjectStore(name: string) {
+      if (!stores.has(name)) stores.set(name, new Map());
+      return objectStore(name);
+    },
+    deleteObjectStore() {},
+  };
+  const ctx = {
+    db,
+    transaction: { objectStore },
+    oldVersion: fromVersion,
+  } as unknown as MigrationContext;
+
+  for (const step of migrations.filter((m) => m.version > fromVersion)) {
+    try {
+      await step.upgrade(ctx);
+    } catch (cause) {
+      throw new MigrationError('failed', `${path}: migration to v${step.version} (${step.description}) failed: ${cause}`, { cause });
+    }
+  }
+}
+
+async function readDatabaseFile(path: string): Promise<DatabaseFile | null> {
+  let text: string;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return null;
+    throw error;
+  }
+  const file = JSON.parse(text) as DatabaseFile;
+  if (file?.format !== FILE_FORMAT || file.version !== FILE_VERSION) {
+    throw new StorageAdapterError('schema-mismatch', `${path} is not a version ${FILE_VERSION} ${FILE_FORMAT} file`);
+  }
+  return file;
+}
+
+async function writeDatabaseFile(path: string, schemaVersion: number, stores: MemoryStores): Promise<void> {
+  const file: DatabaseFile = { format: FILE_FORMAT, version: FILE_VERSION, schemaVersion, stores: {} };
+  for (const [name, records] of stores) {
+    file.stores[name] = (await encode([...records.values()])) as unknown[];
+  }
+  const temp = `${path}.tmp`;
+  await writeFile(temp, JSON.stringify(file), { mode: 0o600 });
+  await rename(temp, path);
+}
+
+/**
+ * JSON form of a record: binary data and CryptoKeys become tagged objects
+ */
+async function encode(value: unknown): Promise<unknown> {
+  if (value instanceof Uint8Array) return { $type: 'bytes', base64: toBase64(value) };
+  if (value instanceof ArrayBuffer) return { $type: 'buffer', base64: toBase64(new Uint8Array(value)) };
+  if (isCryptoKey(value)) {
+    if (!value.extractable) {
+      throw new StorageAdapterError('unserializable', 'A file cannot hold a non-extractable CryptoKey');
+    }
+    return { $type: 'key', jwk: await crypto.subtle.exportKey('jwk', value), algorithm: value.algorithm, usages: value.usages };
+  }
+  if (Array.isArray(value)) return Promise.all(value.map(encode));
+  if (value !== null && typeof value === 'object') {
+    if ('$type' in value) throw new StorageAdapterError('unserializable', 'Records cannot use the reserved field $type');
+    const out: Record<string, unknown> = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (v !== undefined) out[k] = await encode(v);
+    }
+    return out;
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new StorageAdapterError('unserializable', `${value} cannot be stored in a file`);
+  }
+  return value;
+}
+
+async function decode(value: unknown): Promise<unknown> {
+  if (Array.isArray(value)) return Promise.all(value.map(decode));
+  if (value === null || typeof value !== 'object') return value;
+
+  const tagged = value as { $type?: string; base64?: string; jwk?: JsonWebKey; algorithm?: any; usages?: KeyUsage[] };
+  if (tagged.$type === 'bytes') return fromBase64(tagged.base64!);
+  if (tagged.$type === 'buffer') return fromBase64(tagged.base64!).buffer;
+  if (tagged.$type === 'key') return crypto.subtle.importKey('jwk', tagged.jwk!, tagged.algorithm, true, tagged.usages!);
+
+  const out: Record<string, unknown> = {};
+  for (const [k, v] of Object.entries(value)) out[k] = await decode(v);
+  return out;
+}
+
+// Node 20 has no global CryptoKey class to test with instanceof
+function isCryptoKey(value: unknown): value is CryptoKey {
+  return Object.prototype.toString.call(value) === '[object CryptoKey]';
+}
@@ -0,0 +1,109 @@
+// Guest console for QuickJS executions (iframe enclave and worker).
+// - Installs console.log/info/warn/error into a guest context
+// - Each call becomes a LogEntry: level, arguments formatted into one message, timestamp
+// - Messages share a byte budget per execution: the one crossing it is truncated,
+//   later ones are dropped (and counted) without being read out of the guest
+// - Entries are collected for the sealed result and can be streamed as they happen
+// - close() detaches the console: references a guest kept (e.g. in a session) go quiet
+
+import type { QuickJSContext, QuickJSHandle } from 'quickjs-emscripten';
+
+export type LogLevel = 'log' | 'info' | 'warn' | 'error';
+
+export type LogEntry = {
+  level: LogLevel;
+  message: string;
+  timestamp: number;
+  truncated?: true; // the message was cut at the byte budget
+};
+
+export type GuestConsoleOptions = {
+  maxBytes?: number;                   // message bytes (UTF-8) kept per execution
+  onEntry?: (entry: LogEntry) => void; // called as each entry is recorded
+};
+
+export const DEFAULT_MAX_LOG_BYTES = 64 * 1024;
+
+const LEVELS: readonly LogLevel[] = ['log', 'info', 'warn', 'error'];
+
+export class GuestConsole {
+  readonly entries: LogEntry[] = [];
+  dropped = 0;
+  private remaining: number;
+  private closed = false;
+
+  constructor(private readonly ctx: QuickJSContext, private readonly options: GuestConsoleOptions = {}) {
+    const maxBytes = options.maxBytes ?? DEFAULT_MAX_LOG_BYTES;
+    if (!Number.isInteger(maxBytes) || maxBytes < 0) {
+      throw new Error(`maxBytes must be a non-negative integer, got ${maxBytes}`);
+    }
+    this.remaining = maxBytes;
+
+    // Replaces any console the guest (or an earlier call in its session) left behind
+    const console = ctx.newObject();
+    for (const level of LEVELS) {
+      const fn = ctx.newFunction(level, (...args) => { this.record(level, args); });
+      ctx.setProp(console, level, fn);
+      fn.dispose();
+    }
+    ctx.setProp(ctx.global, 'console', console);
+    console.dispose();
+  }
+
+  /** Stop recording; call before the execution's result is reported */
+  close() {
+    this.closed = true;
+  }
+
+  private record(level: LogLevel, args: QuickJSHandle[]) {
+    if (this.closed) return;
+    if (this.remaining === 0) {
+      this.dropped++;
+      return;
+    }
+
+    const message = args.map(h => this.format(h)).join(' ');
+    const bytes = new TextEncoder().encode(message);
+    const entry: LogEntry = { level, message, timestamp: Date.now() };
+    if (bytes.length > this.remaining) {
+      // Cut on a character boundary: drop a trailing partial character
+      entry.message = new TextDecoder().decode(bytes.subarray(0, this.remaining)).replace(/\uFFFD$/, '');
+      entry.truncated = true;
+      this.remaining = 0;
+    } else {
+      this.remaining -= bytes.length;
+    }
+    this.entries.push(entry);
+
+    try {
+      this.options.onEntry?.(entry);
+    } catch {
+      // A failing listener doesn't reach the guest; the entry is still in the result
+    }
+  }
+
+  /** One argument as console.log would print it: primitives as text, errors as "Name: message", objects as JSON */
+  private format(handle: QuickJSHandle): string {
+    const ctx = this.ctx;
+    const type = ctx.typeof(handle);
+    if (type === 'function' || type === 'symbol') return `[${type}]`;
+    try {
+      const value = ctx.dump(handle);
+      if (value === null || typeof value !== 'object') return String(value);
+      if (typeof value.name === 'string' && typeof value.message === 'string') {
+        return `${value.name}: ${value.message}`;
+      }
+      return JSON.stringify(value) ?? String(value);
+    } catch {
+      // e.g. a throwing toJSON or a cyclic object
+      return `[${type}]`;
+    }
+  }
+}
+
+/**
+ * Install a console into a guest context for one execution.
+ */
+export function installConsole(ctx: QuickJSContext, options: GuestConsoleOptions = {}) {
+  return new GuestConsole(ctx, options);
+}
@@ -0,0 +1,163 @@
+// One guest execution in a QuickJS context (iframe enclave and worker).
+// - Wraps the code in an async IIFE so top-level `return` and `await` work
+// - Drives the returned promise to settlement: pending jobs, then granted host calls
+// - Applies the call's resource limits (resource-meter.ts) for the whole execution
+// - Installs a console (guest-console.ts) and the granted host functions (host-bridge.ts),
+//   and cuts both off before the result is reported
+// - Never throws: failures, including a limit being hit, come back as { ok: false }
+//
+// The caller owns the context: it picks (or creates) it, and disposes it afterwards.
+
+import type { QuickJSContext, QuickJSHandle } from 'quickjs-emscripten';
+import type { HostBridge, HostCall, HostFunctionRegistry } from './host-bridge.js';
+import { ResourceMeter } from './resource-meter.js';
+import { installConsole, type GuestConsole, type GuestConsoleOptions, type LogEntry } from './guest-console.js';
+import { resolveResourceLimits, type ResourceLimitReport, type ResourceLimits } from './resource-limits.js';
+
+// What the guest produced; limitExceeded is set when a resource limit stopped it
+export type GuestOutcome =
+  | { ok: true; value: unknown }
+  | { ok: false; error: string; limitExceeded?: ResourceLimitReport };
+
+export type GuestExecution = GuestOutcome & {
+  durationMs: number;
+  peakMemoryBytes: number;
+  hostCalls: HostCall[];
+  logs: LogEntry[];
+  logsDropped: number; // console calls past the log byte budget
+};
+
+export type GuestExecutionOptions = {
+  limits?: number | ResourceLimits; // resource limits, or just a timeout in milliseconds
+  host?: HostFunctionRegistry;      // where granted capabilities are looked up
+  capabilities?: string[];          // host functions (by name) the guest may call
+  logging?: GuestConsoleOptions;    // console byte budget, and onEntry for streaming
+  start?: number;                   // when the call started (the time limit counts from here)
+};
+
+/**
+ * Evaluate guest code in `ctx` under per-call resource limits.
+ * A returned promise is driven to settlement within the same time limit.
+ */
+export async function executeGuest(ctx: QuickJSContext, code: string, options: GuestExecutionOptions = {}): Promise<GuestExecution> {
+  const { limits = {}, host, capabilities = [], logging = {}, start = Date.now() } = options;
+  let meter: ResourceMeter | null = null;
+  let bridge: HostBridge | null = null;
+  let guestConsole: GuestConsole | null = null;
+  let outcome: GuestOutcome;
+
+  try {
+    meter = new ResourceMeter(
+      ctx.runtime,
+      resolveResourceLimits(typeof limits === 'number' ? { timeMs: limits } : limits),
+      start
+    );
+    guestConsole = installConsole(ctx, logging);
+    if (capabilities.length > 0) {
+      if (!host) throw new Error('capabilities were granted without host functions to install');
+      bridge = host.install(ctx, capabilities);
+    }
+
+    // Memory/stack caps and the interrupt handler (deadline, instruction budget)
+    meter.attach();
+    outcome = await run(ctx, code, meter, bridge);
+
+    // Host calls the guest started keep running: let them (and the guest jobs
+    // they unblock) settle within the deadline, then cut the guest off
+    if (bridge) await bridge.settle(meter.deadline);
+  } catch (e: any) {
+    outcome = { ok: false, error: String(e?.message ?? e) };
+  } finally {
+    bridge?.revoke();
+    guestConsole?.close();
+    meter?.detach();
+  }
+
+  return {
+    ...outcome,
+    durationMs: Date.now() - start,
+    peakMemoryBytes: meter?.peakMemoryBytes ?? 0,
+    hostCalls: bridge ? bridge.calls : [],
+    logs: guestConsole ? guestConsole.entries : [],
+    logsDropped: guestConsole ? guestConsole.dropped : 0
+  };
+}
+
+async function run(ctx: QuickJSContext, code: string, meter: ResourceMeter, bridge: HostBridge | null): Promise<GuestOutcome> {
+  // Wrap user code in an async IIFE (PE's original approach) so top-level
+  // `return` and `await` both work; the result is always a promise
+  const wrapped = [
+    '(async function(){',
+    '"use strict";',
+    code,
+    '})()'
+  ].join('\n');
+
+  const result = ctx.evalCode(wrapped);
+  if (result.error) {
+    return failure(ctx, result.error, meter);
+  }
+
+  const outcome = await resolve(ctx, result.value, meter, bridge);
+  result.value.dispose();
+  return outcome;
+}
+
+/**
+ * Run pending jobs until the guest's promise settles, waiting on host calls
+ * in between, and unwrap its value or rejection reason
+ */
+async function resolve(ctx: QuickJSContext, promise: QuickJSHandle, meter: ResourceMeter, bridge: HostBridge | null): Promise<GuestOutcome> {
+  for (;;) {
+    // Jobs run under the interrupt handler, so a runaway async loop rejects the promise
+    const jobs = ctx.runtime.executePendingJobs();
+    if (jobs.error) jobs.error.dispose();
+
+    const state = ctx.getPromiseState(promise);
+    if (state.type === 'rejected') {
+      return failure(ctx, state.error, meter);
+    }
+    if (state.type === 'fulfilled') {
+      const value = ctx.dump(state.value);
+      // A non-promise comes back as the same handle, which the caller owns
+      if (!state.notAPromise) {
+        state.value.dispose();
+      }
+      return { ok: true, value };
+    }
+
+    // Pending: only a host call can still move it forward
+    if (!bridge || bridge.pending === 0) {
+      return { ok: false, error: 'Execution did not settle: the returned promise is still pending with nothing left to run' };
+    }
+    if (!(await bridge.next(meter.deadline))) {
+      const exceeded = meter.expired();
+      return { ok: false, error: exceeded.message, limitExceeded: exceeded.toJSON() };
+    }
+  }
+}
+
+function failure(ctx: QuickJSContext, handle: QuickJSHandle, meter: ResourceMeter): GuestOutcome {
+  const err = ctx.dump(handle);
+  handle.dispose();
+
+  // Out of memory, stack overflow and interrupts name the limit that was hit
+  const exceeded = meter.classify(err);
+  if (exceeded) {
+    return { ok: false, error: exceeded.message, limitExceeded: exceeded.toJSON() };
+  }
+
+  // Better error serialization - handle objects, extract message
+  let errorString: string;
+  if (typeof err === 'object' && err !== null) {
+    // Try to extract meaningful error info
+    errorString = JSON.stringify(err, null, 2);
+    // If JSON.stringify doesn't help, try to get properties
+    if (errorString === '{}' || errorString === 'null') {
+      errorString = err.message || err.toString() || String(err);
+    }
+  } else {
+    errorString = String(err);
+  }
+  return { ok: false, error: errorString };
+}
@@ -0,0 +1,251 @@
+// Host function bridge for QuickJS guests.
+// - The enclave registers named host functions ('crypto.sha256', 'near.view', ...)
+// - Each execution allow-lists the ones its guest may call; only those are installed
+// - Installed functions return QuickJS promises, settled as the host work completes
+// - Arguments and results cross as JSON (bytes as number arrays); no host object is shared
+// - Every call is recorded; revoke() cuts off functions a guest kept a reference to
+
+import type { QuickJSContext, QuickJSDeferredPromise, QuickJSHandle, VmCallResult } from 'quickjs-emscripten';
+
+export type HostFunction = (...args: any[]) => unknown;
+
+export type HostCallStatus = 'pending' | 'ok' | 'error' | 'abandoned';
+
+// One guest→host call, as reported in the execution result
+export type HostCall = {
+  name: string;
+  args: unknown[];
+  status: HostCallStatus;
+  value?: unknown;
+  error?: string;
+  startedAt: number;
+  durationMs: number;
+};
+
+export type HostBridgeErrorCode = 'invalid-name' | 'duplicate' | 'not-registered';
+
+export class HostBridgeError extends Error {
+  code: HostBridgeErrorCode;
+
+  constructor(code: HostBridgeErrorCode, message: string) {
+    super(message);
+    this.name = 'HostBridgeError';
+    this.code = code;
+  }
+}
+
+// Dotted identifiers; each segment becomes a property on the guest's global object
+const NAME = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+const RESERVED = new Set(['__proto__', 'prototype', 'constructor']);
+
+export class HostFunctionRegistry {
+  private functions = new Map<string, HostFunction>();
+
+  register(name: string, fn: HostFunction) {
+    if (!NAME.test(name) || name.split('.').some(s => RESERVED.has(s))) {
+      throw new HostBridgeError('invalid-name', `invalid host function name: ${JSON.stringify(name)}`);
+    }
+    if (this.functions.has(name)) throw new HostBridgeError('duplicate', `host function already registered: ${name}`);
+    this.functions.set(name, fn);
+    return this;
+  }
+
+  has(name: string) { return this.functions.has(name); }
+
+  names() { return Array.from(this.functions.keys()); }
+
+  /**
+   * Install the allow-listed functions into a guest context.
+   * Fails before installing anything if one of them isn't registered.
+   */
+  install(ctx: QuickJSContext, allow: string[]): HostBridge {
+    const granted = Array.from(new Set(allow)).map(name => {
+      const fn = this.functions.get(name);
+      if (!fn) throw new HostBridgeError('not-registered', `host function not registered: ${name}`);
+      return [name, fn] as const;
+    });
+    return new HostBridge(ctx, granted);
+  }
+}
+
+export class HostBridge {
+  readonly calls: HostCall[] = [];
+  private inflight = new Set<Promise<void>>();
+  private deferreds = new Set<QuickJSDeferredPromise>();
+  private globals = new Set<string>(); // globals installed here, cleared on revoke
+  private revoked = false;
+
+  constructor(private readonly ctx: QuickJSContext, functions: ReadonlyArray<readonly [string, HostFunction]>) {
+    for (const [name, fn] of functions) this.define(name, fn);
+  }
+
+  /** Host calls still running */
+  get pending() { return this.inflight.size; }
+
+  /**
+   * Wait until the next host call settles (its guest jobs have run by then).
+   * Returns false if none is in flight or the deadline passes first.
+   */
+  async next(deadline: number): Promise<boolean> {
+    const remaining = deadline - Date.now();
+    if (this.inflight.size === 0 || remaining <= 0) return false;
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    const settled = await Promise.race([
+      Promise.race(this.inflight).then(() => true),
+      new Promise<boolean>(resolve => { timer = setTimeout(() => resolve(false), remaining); })
+    ]);
+    clearTimeout(timer);
+    return settled;
+  }
+
+  /**
+   * Let host calls settle (running the guest jobs they unblock) until none are
+   * in flight or the deadline passes. Returns false on the deadline.
+   */
+  async settle(deadline: number): Promise<boolean> {
+    while (this.inflight.size > 0) {
+      if (!(await this.next(deadline))) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Stop serving the guest: calls still running are abandoned (their guest
+   * promises never settle), and later calls throw without reaching the host.
+   * Call before disposing the context; `calls` is final afterwards.
+   */
+  revoke() {
+    if (this.revoked) return;
+    this.revoked = true;
+    const now = Date.now();
+    for (const call of this.calls) {
+      if (call.status !== 'pending') continue;
+      call.status = 'abandoned';
+      call.durationMs = now - call.startedAt;
+    }
+    for (const deferred of this.deferreds) deferred.dispose();
+    this.deferreds.clear();
+
+    // Hide the functions from later code in the same context (kept references stay inert)
+    for (const name of this.globals) {
+      try {
+        this.ctx.setProp(this.ctx.global, name, this.ctx.undefined);
+      } catch {
+        // A guest-defined setter refused; the functions are revoked regardless
+      }
+    }
+  }
+
+  private define(name: string, fn: HostFunction) {
+    const ctx = this.ctx;
+    const path = name.split('.');
+    const leaf = path.pop()!;
+
+    // Walk (or create) the namespace objects, then attach the function
+    let parent = ctx.global;
+    const owned: QuickJSHandle[] = [];
+    for (const segment of path) {
+      let next = ctx.getProp(parent, segment);
+      if (ctx.typeof(next) !== 'object') {
+        next.dispose();
+        next = ctx.newObject();
+        ctx.setProp(parent, segment, next);
+        if (parent === ctx.global) this.globals.add(segment);
+      }
+      owned.push(next);
+      parent = next;
+    }
+    const handle = ctx.newFunction(leaf, (...argHandles) => this.call(name, fn, argHandles.map(h => ctx.dump(h))));
+    ctx.setProp(parent, leaf, handle);
+    if (parent === ctx.global) this.globals.add(leaf);
+    handle.dispose();
+    owned.forEach(h => h.dispose());
+  }
+
+  private call(name: string, fn: HostFunction, args: unknown[]): QuickJSHandle | VmCallResult<QuickJSHandle> {
+    const ctx = this.ctx;
+    if (this.revoked) return { error: ctx.newError(`host function revoked: ${name}`) };
+
+    const call: HostCall = { name, args, status: 'pending', startedAt: Date.now(), durationMs: 0 };
+    this.calls.push(call);
+    const start = performance.now();
+
+    const deferred = ctx.newPromise();
+    this.deferreds.add(deferred);
+
+    const task = Promise.resolve()
+      .then(() => fn(...args))
+      .then(value => toPlain(value))
+      .then(
+        value => {
+          if (this.revoked) return;
+          const handle = toGuest(ctx, value);
+          deferred.resolve(handle);
+          handle.dispose();
+          call.status = 'ok';
+          call.value = value;
+        },
+        (e: any) => {
+          if (this.revoked) return;
+          const message = String(e?.message ?? e);
+          const error = ctx.newError(message);
+          deferred.reject(error);
+          error.dispose();
+          call.status = 'error';
+          call.error = message;
+        }
+      )
+      .catch(() => {
+        // The guest context refused the settlement (e.g. interrupted past the deadline)
+      })
+      .finally(() => {
+        this.inflight.delete(task);
+        this.deferreds.delete(deferred);
+        if (this.revoked) return;
+        call.durationMs = performance.now() - start;
+        drainJobs(ctx);
+      });
+    this.inflight.add(task);
+
+    // The library takes ownership of the returned handle
+    return deferred.handle;
+  }
+}
+
+/**
+ * Host functions every enclave offers (still granted per call)
+ */
+export function createHostFunctions(): HostFunctionRegistry {
+  return new HostFunctionRegistry()
+    // Hex SHA-256 of a UTF-8 string or a byte array
+    .register('crypto.sha256', async (data: unknown) => {
+      const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : Uint8Array.from(data as ArrayLike<number>);
+      const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+      return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+    });
+}
+
+// JSON-compatible copy of a host value (bytes become number arrays)
+function toPlain(value: unknown): unknown {
+  if (value === undefined) return undefined;
+  return JSON.parse(JSON.stringify(value, (_key, v) =>
+    v instanceof Uint8Array ? Array.from(v) : v instanceof ArrayBuffer ? Array.from(new Uint8Array(v)) : v
+  ));
+}
+
+function toGuest(ctx: QuickJSContext, value: unknown): QuickJSHandle {
+  switch (typeof value) {
+    case 'undefined': return ctx.undefined;
+    case 'string': return ctx.newString(value);
+    case 'number': return ctx.newNumber(value);
+    case 'boolean': return value ? ctx.true : ctx.false;
+  }
+  if (value === null) return ctx.null;
+  return ctx.unwrapResult(ctx.evalCode(`JSON.parse(${JSON.stringify(JSON.stringify(value))})`));
+}
+
+function drainJobs(ctx: QuickJSContext) {
+  if (!ctx.alive) return;
+  const result = ctx.runtime.executePendingJobs();
+  if (result.error) result.error.dispose();
+}
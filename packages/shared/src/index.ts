@@ -26,4 +26,25 @@ export * from './message-types.js'
 
 // Persistence (Phase 3)
 export * from './keystore.js'
+export * from './keystore-backup.js'
+export * from './user-lock.js'
 export * from './storage.js'
+export * from './bundle.js'
+export * from './rotation.js'
+export * from './migrations.js'
+export * from './expiry.js'
+export * from './tab-sync.js'
+
+// Guest execution limits (enforced by the iframe and worker QuickJS runtimes)
+export * from './resource-limits.js'
+
+// QuickJS guest support shared by the iframe and worker runtimes: execution, host functions, limits, console
+export * from './host-bridge.js'
+export * from './resource-meter.js'
+export * from './guest-console.js'
+export * from './guest-execution.js'
+
+// Storage adapters (the Node FileAdapter is a separate entry: @fastnear/soft-enclave-shared/file-adapter)
+export * from './storage-adapter.js'
+export * from './indexeddb-adapter.js'
+export { MemoryAdapter } from './memory-adapter.js'
@@ -0,0 +1,153 @@
+/**
+ * IndexedDBAdapter - the browser storage adapter (and the default everywhere)
+ *
+ * Opens the database through the module's migrations (migrations.ts) and maps
+ * adapter operations onto idb transactions and cursors.
+ */
+
+import type { IDBPDatabase, IDBPObjectStore, IDBPTransaction } from 'idb';
+import { openWithMigrations, type MigrationCallbacks } from './migrations.js';
+import {
+  compareKeys,
+  type AdapterConnection,
+  type AdapterKey,
+  type DatabaseSchema,
+  type KeyRange,
+  type ScanOptions,
+  type ScanPosition,
+  type StorageAdapter,
+  type StoreOperations,
+} from './storage-adapter.js';
+
+type Tx = IDBPTransaction<unknown, string[], 'readonly' | 'readwrite'>;
+
+export class IndexedDBAdapter implements StorageAdapter {
+  readonly kind = 'indexeddb';
+
+  constructor(private readonly callbacks: MigrationCallbacks = {}) {}
+
+  async open(name: string, schema: DatabaseSchema): Promise<AdapterConnection> {
+    return new IndexedDBConnection(await openWithMigrations(name, schema.migrations, this.callbacks));
+  }
+}
+
+class IndexedDBConnection implements AdapterConnection {
+  readonly storesCryptoKeys = true;
+
+  constructor(private readonly db: IDBPDatabase) {}
+
+  async transaction<T>(stores: string[], mode: 'readonly' | 'readwrite', fn: (tx: StoreOperations) => Promise<T>): Promise<T> {
+    const tx = this.db.transaction(stores, mode) as Tx;
+    // Observe done now, so an abort below doesn't surface as an unhandled rejection
+    const done = tx.done.then(
+      () => null,
+      (error) => error
+    );
+    let result: T;
+    try {
+      result = await fn(operationsOn(tx));
+    } catch (error) {
+      try {
+        tx.abort();
+      } catch {
+        // Already finished
+      }
+      await done;
+      throw error;
+    }
+    const failure = await done;
+    if (failure) throw failure;
+    return result;
+  }
+
+  get<T>(store: string, key: AdapterKey): Promise<T | undefined> {
+    return this.db.get(store, key);
+  }
+
+  getAll<T>(store: string): Promise<T[]> {
+    return this.db.getAll(store);
+  }
+
+  getAllKeys(store: string, index?: string, range?: KeyRange | null): Promise<AdapterKey[]> {
+    return this.transaction([store], 'readonly', (tx) => tx.getAllKeys(store, index, range));
+  }
+
+  count(store: string, index?: string, range?: KeyRange | null): Promise<number> {
+    return this.transaction([store], 'readonly', (tx) => tx.count(store, index, range));
+  }
+
+  async put(store: string, value: unknown): Promise<void> {
+    await this.db.put(store, value);
+  }
+
+  delete(store: string, key: AdapterKey): Promise<void> {
+    return this.db.delete(store, key);
+  }
+
+  clear(store: string): Promise<void> {
+    return this.db.clear(store);
+  }
+
+  scan<T>(store: string, options: ScanOptions, visit: (value: T, position: ScanPosition) => boolean | void): Promise<void> {
+    return this.transaction([store], 'readonly', (tx) => tx.scan(store, options, visit));
+  }
+
+  close(): void {
+    this.db.close();
+  }
+}
+
+function operationsOn(tx: Tx): StoreOperations {
+  const source = (store: string, index?: string) => {
+    const objectStore = tx.objectStore(store) as IDBPObjectStore<unknown, string[], string, 'readonly' | 'readwrite'>;
+    return index ? objectStore.index(index) : objectStore;
+  };
+  const writable = (store: string) => tx.objectStore(store) as IDBPObjectStore<unknown, string[], string, 'readwrite'>;
+
+  return {
+    get: (store, key) => tx.objectStore(store).get(key),
+    getAll: (store) => tx.objectStore(store).getAll(),
+    getAllKeys: async (store, index, range) =>
+      index
+        ? ((await (source(store, index) as any).getAllKeys(toIDBKeyRange(range))) as AdapterKey[])
+        : ((await tx.objectStore(store).getAllKeys(toIDBKeyRange(range))) as AdapterKey[]),
+    count: (store, index, range) => source(store, index).count(toIDBKeyRange(range)),
+    put: async (store, value) => {
+      await writable(store).put!(value);
+    },
+    delete: (store, key) => writable(store).delete!(key),
+    clear: (store) => writable(store).clear!(),
+    scan: async (store, options, visit) => {
+      const indexed = !!options.index;
+      const forward = (options.direction ?? 'asc') === 'asc';
+      const sign = forward ? 1 : -1;
+      const after = options.after;
+      let cursor: any = await source(store, options.index).openCursor(toIDBKeyRange(options.range), forward ? 'next' : 'prev');
+
+      // Skip to the entry after `after`: first its index key, then (for equal keys) its primary key
+      if (cursor && after) {
+        if (compareKeys(cursor.key, after.key) * sign < 0) cursor = await cursor.continue(after.key);
+        if (cursor && indexed && compareKeys(cursor.key, after.key) === 0 && compareKeys(cursor.primaryKey, after.primaryKey) * sign < 0) {
+          cursor = await cursor.continuePrimaryKey(after.key, after.primaryKey);
+        }
+        if (cursor && compareKeys(cursor.key, after.key) === 0 && compareKeys(cursor.primaryKey, after.primaryKey) === 0) {
+          cursor = await cursor.continue();
+        }
+      }
+
+      while (cursor) {
+        if (visit(cursor.value, { key: cursor.key, primaryKey: cursor.primaryKey }) === false) return;
+        cursor = await cursor.continue();
+      }
+    },
+  };
+}
+
+function toIDBKeyRange(range?: KeyRange | null): IDBKeyRange | null {
+  if (!range) return null;
+  const { lower, upper, lowerOpen = false, upperOpen = false } = range;
+  if (lower !== undefined && upper !== undefined) return IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen);
+  if (lower !== undefined) return IDBKeyRange.lowerBound(lower, lowerOpen);
+  if (upper !== undefined) return IDBKeyRange.upperBound(upper, upperOpen);
+  return null;
+}
@@ -0,0 +1,265 @@
+/**
+ * Keystore Backup - versioned, passphrase-protected key export
+ *
+ * A backup file is plain JSON that can move between browsers and devices:
+ * - Account metadata stays readable (account IDs, public keys, timestamps)
+ * - Each private key is wrapped (AES-GCM, PKCS#8) under a key derived from a
+ *   recovery passphrase with PBKDF2-SHA256; the wrap is bound to its account ID
+ * - An HMAC-SHA256 over every field detects any edit, reordering, added or
+ *   removed account - and a wrong passphrase - before any key is unwrapped
+ *
+ * Format (version 1):
+ *   {
+ *     format: 'soft-enclave-keystore-backup',
+ *     version: 1,
+ *     createdAt: <ms>,
+ *     kdf: { algorithm: 'PBKDF2', hash: 'SHA-256', iterations, salt },
+ *     accounts: [{ accountId, publicKey, createdAt, lastUsedAt, iv, wrappedKey }],
+ *     mac: <base64 HMAC-SHA256>
+ *   }
+ * Binary fields are base64. The PBKDF2 output (512 bits) is split into the
+ * AES-GCM wrapping key (first half) and the HMAC key (second half).
+ */
+
+import type { KeyMetadata } from './keystore.js';
+import { DEFAULT_PBKDF2_ITERATIONS, MAX_PBKDF2_ITERATIONS } from './user-lock.js';
+import { fromBase64, toBase64 } from './base64.js';
+
+export const KEYSTORE_BACKUP_FORMAT = 'soft-enclave-keystore-backup';
+export const KEYSTORE_BACKUP_VERSION = 1;
+
+export interface BackupAccount {
+  accountId: string;
+  publicKey: string;
+  createdAt: number;
+  lastUsedAt: number;
+  iv: string;          // base64
+  wrappedKey: string;  // base64, AES-GCM(PKCS#8)
+}
+
+export interface KeystoreBackup {
+  format: typeof KEYSTORE_BACKUP_FORMAT;
+  version: number;
+  createdAt: number;
+  kdf: { algorithm: 'PBKDF2'; hash: 'SHA-256'; iterations: number; salt: string };
+  accounts: BackupAccount[];
+  mac: string;         // base64
+}
+
+export interface BackupExportOptions {
+  iterations?: number; // PBKDF2 iterations (default: DEFAULT_PBKDF2_ITERATIONS)
+}
+
+/**
+ * What to do when a backup account already exists in the keystore
+ * - error: reject the whole import before writing anything (default)
+ * - skip: keep the existing key
+ * - overwrite: replace the existing key with the backup's
+ * An existing account holding the same public key is always skipped.
+ */
+export type BackupCollisionPolicy = 'error' | 'skip' | 'overwrite';
+
+export interface BackupImportOptions {
+  onCollision?: BackupCollisionPolicy;
+}
+
+export interface BackupImportResult {
+  imported: string[];
+  skipped: string[];
+  overwritten: string[];
+}
+
+export type KeystoreBackupErrorCode = 'invalid-backup' | 'unsupported-version' | 'integrity' | 'account-exists';
+
+export class KeystoreBackupError extends Error {
+  code: KeystoreBackupErrorCode;
+
+  constructor(code: KeystoreBackupErrorCode, message: string) {
+    super(message);
+    this.name = 'KeystoreBackupError';
+    this.code = code;
+  }
+}
+
+/** A private key entering or leaving a backup (extractable Ed25519 CryptoKey) */
+export interface BackupEntry {
+  metadata: KeyMetadata;
+  privateKey: CryptoKey;
+}
+
+/**
+ * Wrap extractable private keys into a backup file
+ */
+export async function createKeystoreBackup(
+  entries: BackupEntry[],
+  passphrase: string,
+  options: BackupExportOptions = {}
+): Promise<KeystoreBackup> {
+  const kdf: KeystoreBackup['kdf'] = {
+    algorithm: 'PBKDF2',
+    hash: 'SHA-256',
+    iterations: options.iterations ?? DEFAULT_PBKDF2_ITERATIONS,
+    salt: toBase64(crypto.getRandomValues(new Uint8Array(16))),
+  };
+  const keys = await deriveBackupKeys(passphrase, kdf);
+
+  const accounts: BackupAccount[] = [];
+  for (const { metadata, privateKey } of entries) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrapped = await crypto.subtle.wrapKey('pkcs8', privateKey, keys.wrapKey, {
+      name: 'AES-GCM',
+      iv,
+      additionalData: accountAAD(metadata.accountId),
+    });
+    accounts.push({
+      accountId: metadata.accountId,
+      publicKey: metadata.publicKey,
+      createdAt: metadata.createdAt,
+      lastUsedAt: metadata.lastUsedAt,
+      iv: toBase64(iv),
+      wrappedKey: toBase64(new Uint8Array(wrapped)),
+    });
+  }
+
+  const body = {
+    format: KEYSTORE_BACKUP_FORMAT,
+    version: KEYSTORE_BACKUP_VERSION,
+    createdAt: Date.now(),
+    kdf,
+    accounts,
+  } as const;
+  const mac = await crypto.subtle.sign('HMAC', keys.macKey, macInput(body));
+  return { ...body, mac: toBase64(new Uint8Array(mac)) };
+}
+
+/**
+ * Verify a backup file and unwrap its private keys (extractable, for re-wrapping)
+ * @throws KeystoreBackupError
+ */
+export async function openKeystoreBackup(backup: KeystoreBackup, passphrase: string): Promise<BackupEntry[]> {
+  validateBackup(backup);
+  const keys = await deriveBackupKeys(passphrase, backup.kdf);
+
+  const valid = await crypto.subtle.verify('HMAC', keys.macKey, readBase64(backup.mac), macInput(backup));
+  if (!valid) {
+    throw new KeystoreBackupError('integrity', 'Backup failed integrity verification (wrong passphrase or modified backup)');
+  }
+
+  const entries: BackupEntry[] = [];
+  for (const account of backup.accounts) {
+    let privateKey: CryptoKey;
+    try {
+      privateKey = await crypto.subtle.unwrapKey(
+        'pkcs8',
+        readBase64(account.wrappedKey),
+        keys.wrapKey,
+        { name: 'AES-GCM', iv: readBase64(account.iv), additionalData: accountAAD(account.accountId) },
+        { name: 'Ed25519' },
+        true, // Re-wrapped under the local master key right away
+        ['sign']
+      );
+    } catch {
+      throw new KeystoreBackupError('integrity', `Backup key for ${account.accountId} failed to unwrap`);
+    }
+    entries.push({
+      metadata: {
+        accountId: account.accountId,
+        publicKey: account.publicKey,
+        createdAt: account.createdAt,
+        lastUsedAt: account.lastUsedAt,
+      },
+      privateKey,
+    });
+  }
+  return entries;
+}
+
+/**
+ * Structural checks, so old, future and foreign files fail with a clear error
+ */
+function validateBackup(backup: KeystoreBackup): void {
+  if (!backup || typeof backup !== 'object' || backup.format !== KEYSTORE_BACKUP_FORMAT) {
+    throw new KeystoreBackupError('invalid-backup', 'Not a soft-enclave keystore backup');
+  }
+  if (typeof backup.version !== 'number') {
+    throw new KeystoreBackupError('invalid-backup', 'Backup has no version');
+  }
+  if (backup.version > KEYSTORE_BACKUP_VERSION) {
+    throw new KeystoreBackupError(
+      'unsupported-version',
+      `Backup version ${backup.version} is newer than supported (${KEYSTORE_BACKUP_VERSION}); upgrade to restore it`
+    );
+  }
+  if (backup.version !== KEYSTORE_BACKUP_VERSION) {
+    throw new KeystoreBackupError('unsupported-version', `Backup version ${backup.version} is no longer supported`);
+  }
+
+  const kdf = backup.kdf;
+  if (!kdf || kdf.algorithm !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !(kdf.iterations > 0) || typeof kdf.salt !== 'string') {
+    throw new KeystoreBackupError('invalid-backup', 'Unknown backup key derivation');
+  }
+  // The MAC is only verified after deriving, so bound the work first
+  if (!Number.isInteger(kdf.iterations) || kdf.iterations > MAX_PBKDF2_ITERATIONS) {
+    throw new KeystoreBackupError('invalid-backup', `Backup PBKDF2 iterations must be an integer from 1 to ${MAX_PBKDF2_ITERATIONS}`);
+  }
+  if (!Array.isArray(backup.accounts) || typeof backup.mac !== 'string') {
+    throw new KeystoreBackupError('invalid-backup', 'Malformed backup');
+  }
+
+  const seen = new Set<string>();
+  for (const account of backup.accounts) {
+    if (!account || typeof account.accountId !== 'string' || typeof account.wrappedKey !== 'string' || typeof account.iv !== 'string') {
+      throw new KeystoreBackupError('invalid-backup', 'Malformed backup account');
+    }
+    if (seen.has(account.accountId)) {
+      throw new KeystoreBackupError('invalid-backup', `Duplicate account in backup: ${account.accountId}`);
+    }
+    seen.add(account.accountId);
+  }
+}
+
+async function deriveBackupKeys(passphrase: string, kdf: KeystoreBackup['kdf']) {
+  const password = new TextEncoder().encode(passphrase.normalize('NFKC'));
+  const base = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(
+    await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt: readBase64(kdf.salt), iterations: kdf.iterations, hash: kdf.hash },
+      base,
+      512
+    )
+  );
+  try {
+    const wrapKey = await crypto.subtle.importKey('raw', bits.slice(0, 32), { name: 'AES-GCM' }, false, ['wrapKey', 'unwrapKey']);
+    const macKey = await crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+    return { wrapKey, macKey };
+  } finally {
+    bits.fill(0);
+  }
+}
+
+/** Every field except the MAC, in a fixed order */
+function macInput(backup: Omit<KeystoreBackup, 'mac'>) {
+  const { kdf } = backup;
+  return new TextEncoder().encode(
+    JSON.stringify([
+      backup.format,
+      backup.version,
+      backup.createdAt,
+      [kdf.algorithm, kdf.hash, kdf.iterations, kdf.salt],
+      backup.accounts.map((a) => [a.accountId, a.publicKey, a.createdAt, a.lastUsedAt, a.iv, a.wrappedKey]),
+    ])
+  );
+}
+
+function accountAAD(accountId: string) {
+  return new TextEncoder().encode(`backup|${accountId}`);
+}
+
+/** Decode a base64 field of the (unauthenticated) file */
+function readBase64(value: string) {
+  try {
+    return fromBase64(value);
+  } catch (e) {
+    throw new KeystoreBackupError('invalid-backup', `${(e as Error).message} in backup`);
+  }
+}
@@ -14,17 +14,137 @@
  * 3. Ephemeral unwrapping - Keys decrypted only during operations
  * 4. Memory zeroing - Best-effort cleanup after use
  *
+ * Persistence:
+ * The master key is stored in IndexedDB as a non-extractable CryptoKey (structured
+ * clone, as vault.ts does), so keys wrapped in one session unwrap in the next. Each
+ * wrapped record carries the master key ID that wrapped it, and every master key
+ * has a wrapped check value that detects a key that doesn't match.
+ *
+ * User presence (optional):
+ * With a UserLock, wrapped keys get an outer layer encrypted by a key derived
+ * from a passphrase or WebAuthn PRF. sign() and storeKey() refuse while locked.
+ *
+ * Backup:
+ * exportBackup()/importBackup() move keys between browsers as a versioned,
+ * passphrase-protected file (keystore-backup.ts).
+ *
+ * Rotation:
+ * rotate() generates a new master key version and re-wraps every record under
+ * it (rotation.ts); older master keys are deleted once no record uses them.
+ *
+ * Multiple tabs:
+ * Writes run under a Web Lock per database and are announced on a change feed
+ * (tab-sync.ts): onChange() reports keys added or deleted and rotations from any
+ * tab, and a rotation elsewhere switches this instance to the new master key.
+ *
+ * Storage:
+ * Records go through a StorageAdapter (storage-adapter.ts): IndexedDB by default,
+ * or MemoryAdapter / FileAdapter to run the same logic in Node.
+ *
  * IMPORTANT: This is NOT a hardware TEE. See THREAT_MODEL.md for limitations.
  */
 
-import { openDB, type IDBPDatabase } from 'idb';
+import type { Migration } from './migrations.js';
+import type { AdapterConnection, DatabaseSchema, StorageAdapter } from './storage-adapter.js';
+import { IndexedDBAdapter } from './indexeddb-adapter.js';
+import type { UserLock } from './user-lock.js';
+import {
+  createKeystoreBackup,
+  openKeystoreBackup,
+  KeystoreBackupError,
+  type BackupEntry,
+  type BackupExportOptions,
+  type BackupImportOptions,
+  type BackupImportResult,
+  type KeystoreBackup,
+} from './keystore-backup.js';
+import { runRotation, rotationStatus, sameBytes, type RotationOptions, type RotationStatus, type RotationTarget } from './rotation.js';
+import { ChangeFeed, withWebLock, type ChangeListener } from './tab-sync.js';
 
 /**
  * Database schema for encrypted keys
  */
 const DB_NAME = 'soft-enclave-keystore';
-const DB_VERSION = 1;
 const STORE_NAME = 'keys';
+const MASTER_STORE = 'master-keys';
+
+/**
+ * Schema history (see migrations.ts); append new steps, never edit shipped ones
+ */
+export const KEYSTORE_MIGRATIONS: Migration[] = [
+  {
+    version: 1,
+    description: 'wrapped keys store',
+    upgrade({ db }) {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'metadata.accountId' });
+      store.createIndex('publicKey', 'metadata.publicKey', { unique: true });
+    },
+  },
+  {
+    version: 2,
+    description: 'persistent master keys',
+    upgrade({ db }) {
+      db.createObjectStore(MASTER_STORE, { keyPath: 'kid' });
+    },
+  },
+];
+
+/**
+ * Current shape of the keystore database, for non-IndexedDB adapters
+ */
+export const KEYSTORE_SCHEMA: DatabaseSchema = {
+  stores: [
+    { name: STORE_NAME, keyPath: 'metadata.accountId', indexes: [{ name: 'publicKey', keyPath: 'metadata.publicKey', unique: true }] },
+    { name: MASTER_STORE, keyPath: 'kid' },
+  ],
+  migrations: KEYSTORE_MIGRATIONS,
+};
+
+/**
+ * Wrapped record format version
+ * v1 records had no master key ID (the master key was never persisted)
+ */
+export const WRAPPED_KEY_VERSION = 2;
+
+// PKCS#8 header for a raw 32-byte Ed25519 seed (RFC 8410)
+const ED25519_PKCS8_PREFIX = new Uint8Array([
+  0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x04, 0x22, 0x04, 0x20,
+]);
+
+// Known check key wrapped under each master key (integrity check)
+const CHECK_KEY_BYTES = new Uint8Array(32).fill(0x5a);
+
+export type KeystoreErrorCode =
+  | 'not-initialized'
+  | 'key-not-found'
+  | 'master-key-missing'
+  | 'master-key-mismatch'
+  | 'locked';
+
+export class KeystoreError extends Error {
+  code: KeystoreErrorCode;
+
+  constructor(code: KeystoreErrorCode, message: string) {
+    super(message);
+    this.name = 'KeystoreError';
+    this.code = code;
+  }
+}
+
+export interface KeystoreOptions {
+  dbName?: string;     // default: 'soft-enclave-keystore'
+  userLock?: UserLock; // optional user-presence layer
+  sync?: boolean;      // share changes with other tabs (default true)
+  adapter?: StorageAdapter; // where records live (default: IndexedDB)
+}
+
+/**
+ * Change announced to every Keystore instance on the same database
+ */
+export type KeystoreChange =
+  | { type: 'add'; accountId: string }
+  | { type: 'delete'; accountId: string }
+  | { type: 'rotate'; kid: string };
 
 /**
  * Key metadata stored alongside wrapped keys
@@ -44,6 +164,20 @@ export interface WrappedKey {
   wrappedKey: ArrayBuffer;
   iv: Uint8Array;
   salt: Uint8Array;
+  kid: string;     // master key that wrapped this record
+  version: number; // WRAPPED_KEY_VERSION
+  userLayer?: { iv: Uint8Array }; // set when wrappedKey is additionally UserLock-encrypted
+}
+
+/**
+ * Persisted master key (CryptoKey stored via structured clone)
+ */
+export interface MasterKeyRecord {
+  kid: string;
+  version: number;       // increments with each new master key
+  key: CryptoKey;        // non-extractable AES-GCM wrapKey/unwrapKey
+  createdAt: number;
+  check: { iv: Uint8Array; wrapped: ArrayBuffer };
 }
 
 /**
@@ -60,37 +194,43 @@ export interface KeystoreMetrics {
  * Keystore for managing NEAR account keys
  */
 export class Keystore {
-  private db: IDBPDatabase | null = null;
+  private db: AdapterConnection | null = null;
   private masterKey: CryptoKey | null = null;
+  private masterKid: string | null = null;
   private metrics: KeystoreMetrics[] = [];
-
-  constructor() {}
+  private readonly dbName: string;
+  private readonly adapter: StorageAdapter;
+  private readonly userLock: UserLock | null;
+  private rotation: Promise<RotationStatus> | null = null;
+  private readonly sync: boolean;
+  private changes: ChangeFeed<KeystoreChange> | null = null;
+
+  constructor(options: KeystoreOptions = {}) {
+    this.dbName = options.dbName ?? DB_NAME;
+    this.adapter = options.adapter ?? new IndexedDBAdapter();
+    this.userLock = options.userLock ?? null;
+    this.sync = options.sync ?? true;
+  }
 
   /**
    * Initialize the keystore
    * - Creates IndexedDB database
-   * - Generates or loads master key
+   * - Loads the persisted master key, or generates and persists one
+   * - Verifies the master key against its check value
    */
   async initialize(): Promise<void> {
     const startTime = performance.now();
 
-    // Open IndexedDB
-    this.db = await openDB(DB_NAME, DB_VERSION, {
-      upgrade(db) {
-        if (!db.objectStoreNames.contains(STORE_NAME)) {
-          const store = db.createObjectStore(STORE_NAME, { keyPath: 'metadata.accountId' });
-          store.createIndex('publicKey', 'metadata.publicKey', { unique: true });
-        }
-      },
-    });
+    // Open the database (IndexedDB upgrades older schemas)
+    this.db = await this.adapter.open(this.dbName, KEYSTORE_SCHEMA);
 
-    // Generate non-extractable master key
-    // This key CANNOT be exported - enforced by browser
-    this.masterKey = await crypto.subtle.generateKey(
-      { name: 'AES-GCM', length: 256 },
-      false, // NOT extractable - critical security property!
-      ['wrapKey', 'unwrapKey']
-    );
+    const master = await this.ensureMasterKey();
+    this.masterKey = master.key;
+    this.masterKid = master.kid;
+
+    this.changes = new ChangeFeed<KeystoreChange>(`${this.dbName}:changes`, this.sync, async (event) => {
+      if (event.type === 'rotate') await this.syncMasterKey();
+    });
 
     const totalDuration = performance.now() - startTime;
     this.recordMetric({
@@ -116,56 +256,49 @@ export class Keystore {
     privateKeyBytes: Uint8Array,
     publicKey: string
   ): Promise<void> {
-    if (!this.db || !this.masterKey) {
-      throw new Error('Keystore not initialized');
+    if (!this.db || !this.masterKey || !this.masterKid) {
+      throw new KeystoreError('not-initialized', 'Keystore not initialized');
     }
+    this.assertUnlocked();
 
     const startTime = performance.now();
     let keyExposureStart = performance.now();
+    let pkcs8: Uint8Array | null = null;
 
     try {
+      pkcs8 = toPkcs8(privateKeyBytes);
+
       // Import private key as CryptoKey (temporarily extractable for wrapping)
+      // WebCrypto only imports Ed25519 private keys as PKCS#8 or JWK
       const privateKey = await crypto.subtle.importKey(
-        'raw',
-        privateKeyBytes as any,
+        'pkcs8',
+        pkcs8 as any,
         { name: 'Ed25519' },
         true, // Must be extractable to wrap
         ['sign']
       );
 
-      // Generate random IV and salt for this key
-      const iv = crypto.getRandomValues(new Uint8Array(12));
-      const salt = crypto.getRandomValues(new Uint8Array(16));
-
-      // Wrap (encrypt) the private key with master key
-      const wrappedKey = await crypto.subtle.wrapKey(
-        'raw',
-        privateKey,
-        this.masterKey,
-        { name: 'AES-GCM', iv }
-      );
-
-      const keyExposureDuration = performance.now() - keyExposureStart;
-
-      // Zero out original key bytes (best effort)
-      this.secureZero(privateKeyBytes);
-
-      // Store wrapped key with metadata
-      const metadata: KeyMetadata = {
-        accountId,
-        publicKey,
-        createdAt: Date.now(),
-        lastUsedAt: Date.now(),
-      };
-
-      const wrappedKeyRecord: WrappedKey = {
-        metadata,
-        wrappedKey,
-        iv,
-        salt,
-      };
-
-      await this.db.put(STORE_NAME, wrappedKeyRecord);
+      const db = this.db;
+      const keyExposureDuration = await this.withWriteLock(async () => {
+        // Another tab may have rotated the master key since we loaded it
+        await this.syncMasterKey();
+        const wrappedKeyRecord = await this.wrapRecord(privateKey, {
+          accountId,
+          publicKey,
+          createdAt: Date.now(),
+          lastUsedAt: Date.now(),
+        });
+
+        const exposure = performance.now() - keyExposureStart;
+
+        // Zero out original key bytes (best effort)
+        this.secureZero(privateKeyBytes);
+        this.secureZero(pkcs8!);
+
+        await db.put(STORE_NAME, wrappedKeyRecord);
+        return exposure;
+      });
+      this.changes?.publish({ type: 'add', accountId });
 
       const totalDuration = performance.now() - startTime;
       this.recordMetric({
@@ -177,6 +310,7 @@ export class Keystore {
     } catch (error) {
       // Ensure key is zeroed even on error
       this.secureZero(privateKeyBytes);
+      if (pkcs8) this.secureZero(pkcs8);
       throw error;
     }
   }
@@ -194,39 +328,42 @@ export class Keystore {
    */
   async sign(accountId: string, data: Uint8Array): Promise<Uint8Array> {
     if (!this.db || !this.masterKey) {
-      throw new Error('Keystore not initialized');
+      throw new KeystoreError('not-initialized', 'Keystore not initialized');
     }
+    this.assertUnlocked();
 
     const startTime = performance.now();
 
     // Load wrapped key from IndexedDB
     const wrappedKeyRecord = await this.db.get(STORE_NAME, accountId);
     if (!wrappedKeyRecord) {
-      throw new Error(`Key not found for account: ${accountId}`);
+      throw new KeystoreError('key-not-found', `Key not found for account: ${accountId}`);
     }
+    const masterKey = await this.masterKeyFor(wrappedKeyRecord);
+    const wrapped = await this.removeUserLayer(wrappedKeyRecord);
 
     const keyExposureStart = performance.now();
 
     try {
-      // Unwrap (decrypt) the private key
-      const privateKey = await crypto.subtle.unwrapKey(
-        'raw',
-        wrappedKeyRecord.wrappedKey,
-        this.masterKey,
-        { name: 'AES-GCM', iv: wrappedKeyRecord.iv },
-        { name: 'Ed25519' },
-        false, // Not extractable after unwrapping
-        ['sign']
-      );
+      // Unwrap (decrypt) the private key - not extractable after unwrapping
+      const privateKey = await unwrapRecord(wrappedKeyRecord, wrapped, masterKey, false);
 
       // Sign the data
       const signature = await crypto.subtle.sign('Ed25519', privateKey, data as any);
 
       const keyExposureDuration = performance.now() - keyExposureStart;
 
-      // Update last used timestamp
-      wrappedKeyRecord.metadata.lastUsedAt = Date.now();
-      await this.db.put(STORE_NAME, wrappedKeyRecord);
+      // Update last used timestamp on the current record (it may have been re-wrapped meanwhile)
+      const db = this.db;
+      await this.withWriteLock(async () => {
+        await db.transaction([STORE_NAME], 'readwrite', async (tx) => {
+          const current: WrappedKey | undefined = await tx.get(STORE_NAME, accountId);
+          if (current) {
+            current.metadata.lastUsedAt = Date.now();
+            await tx.put(STORE_NAME, current);
+          }
+        });
+      });
 
       const totalDuration = performance.now() - startTime;
       this.recordMetric({
@@ -247,7 +384,7 @@ export class Keystore {
    */
   async getPublicKey(accountId: string): Promise<string | null> {
     if (!this.db) {
-      throw new Error('Keystore not initialized');
+      throw new KeystoreError('not-initialized', 'Keystore not initialized');
     }
 
     const wrappedKeyRecord = await this.db.get(STORE_NAME, accountId);
@@ -259,7 +396,7 @@ export class Keystore {
    */
   async listAccounts(): Promise<KeyMetadata[]> {
     if (!this.db) {
-      throw new Error('Keystore not initialized');
+      throw new KeystoreError('not-initialized', 'Keystore not initialized');
     }
 
     const allKeys = await this.db.getAll(STORE_NAME);
@@ -271,10 +408,376 @@ export class Keystore {
    */
   async deleteKey(accountId: string): Promise<void> {
     if (!this.db) {
-      throw new Error('Keystore not initialized');
+      throw new KeystoreError('not-initialized', 'Keystore not initialized');
+    }
+
+    const db = this.db;
+    await this.withWriteLock(() => db.delete(STORE_NAME, accountId));
+    this.changes?.publish({ type: 'delete', accountId });
+  }
+
+  /**
+   * Subscribe to keys added or deleted and rotations, from this or any other tab
+   * Events from other tabs have `remote: true`.
+   */
+  onChange(listener: ChangeListener<KeystoreChange>): () => void {
+    if (!this.changes) {
+      throw new KeystoreError('not-initialized', 'Keystore not initialized');
+    }
+    return this.changes.subscribe(listener);
+  }
+
+  /**
+   * Export every stored key into a passphrase-protected backup file
+   * See keystore-backup.ts for the format
+   */
+  async exportBackup(passphrase: string, options: BackupExportOptions = {}): Promise<KeystoreBackup> {
+    if (!this.db || !this.masterKey) {
+      throw new KeystoreError('not-initialized', 'Keystore not initialized');
+    }
+    this.assertUnlocked();
+
+    const records: WrappedKey[] = await this.db.getAll(STORE_NAME);
+    const entries: BackupEntry[] = [];
+    for (const record of records) {
+      const masterKey = await this.masterKeyFor(record);
+      const wrapped = await this.removeUserLayer(record);
+      entries.push({ metadata: record.metadata, privateKey: await unwrapRecord(record, wrapped, masterKey, true) });
+    }
+    return createKeystoreBackup(entries, passphrase, options);
+  }
+
+  /**
+   * Restore keys from a backup file, re-wrapping them under this keystore's master key
+   * Collisions are resolved before anything is written, so 'error' leaves the keystore untouched
+   * @throws KeystoreBackupError
+   */
+  async importBackup(
+    backup: KeystoreBackup,
+    passphrase: string,
+    options: BackupImportOptions = {}
+  ): Promise<BackupImportResult> {
+    if (!this.db || !this.masterKey) {
+      throw new KeystoreError('not-initialized', 'Keystore not initialized');
+    }
+    this.assertUnlocked();
+    const onCollision = options.onCollision ?? 'error';
+
+    const entries = await openKeystoreBackup(backup, passphrase);
+    const db = this.db;
+    const result = await this.withWriteLock(async () => {
+      await this.syncMasterKey();
+      return this.importEntries(db, entries, onCollision);
+    });
+    for (const accountId of [...result.imported, ...result.overwritten]) {
+      this.changes?.publish({ type: 'add', accountId });
+    }
+    return result;
+  }
+
+  private async importEntries(
+    db: AdapterConnection,
+    entries: BackupEntry[],
+    onCollision: NonNullable<BackupImportOptions['onCollision']>
+  ): Promise<BackupImportResult> {
+    const result: BackupImportResult = { imported: [], skipped: [], overwritten: [] };
+    const toWrite: BackupEntry[] = [];
+
+    for (const entry of entries) {
+      const { accountId, publicKey } = entry.metadata;
+      const existing: WrappedKey | undefined = await db.get(STORE_NAME, accountId);
+      if (!existing) {
+        result.imported.push(accountId);
+        toWrite.push(entry);
+      } else if (existing.metadata.publicKey === publicKey || onCollision === 'skip') {
+        result.skipped.push(accountId);
+      } else if (onCollision === 'overwrite') {
+        result.overwritten.push(accountId);
+        toWrite.push(entry);
+      } else {
+        throw new KeystoreBackupError('account-exists', `Account already exists with a different key: ${accountId}`);
+      }
+    }
+
+    const records: WrappedKey[] = [];
+    for (const entry of toWrite) {
+      records.push(await this.wrapRecord(entry.privateKey, entry.metadata));
+    }
+    await db.transaction([STORE_NAME], 'readwrite', (tx) => Promise.all(records.map((record) => tx.put(STORE_NAME, record))));
+    return result;
+  }
+
+  /**
+   * Whether signing is currently refused by the user lock
+   */
+  isLocked(): boolean {
+    return !!this.userLock?.isLocked();
+  }
+
+  /**
+   * Add the user-presence layer to records stored before the lock was enabled
+   * @returns number of records updated
+   */
+  async applyUserLock(): Promise<number> {
+    if (!this.db) {
+      throw new KeystoreError('not-initialized', 'Keystore not initialized');
+    }
+    if (!this.userLock?.isEnabled()) {
+      throw new KeystoreError('locked', 'No user lock is enabled');
+    }
+    this.assertUnlocked();
+
+    const db = this.db;
+    const userLock = this.userLock;
+    return this.withWriteLock(async () => {
+      let updated = 0;
+      const records: WrappedKey[] = await db.getAll(STORE_NAME);
+      for (const record of records) {
+        if (record.userLayer) continue;
+        const layer = await userLock.encrypt(new Uint8Array(record.wrappedKey), userLayerAAD(record.metadata.accountId));
+        await db.put(STORE_NAME, { ...record, wrappedKey: layer.ct.buffer, userLayer: { iv: layer.iv } });
+        updated++;
+      }
+      return updated;
+    });
+  }
+
+  private assertUnlocked(): void {
+    if (this.userLock?.isLocked()) {
+      throw new KeystoreError('locked', 'Keystore is locked');
+    }
+  }
+
+  /**
+   * Wrap a private key under the current master key (plus the user layer, if enabled)
+   */
+  private async wrapRecord(privateKey: CryptoKey, metadata: KeyMetadata): Promise<WrappedKey> {
+    const { accountId } = metadata;
+
+    // Generate random IV and salt for this key
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+
+    // Wrap (encrypt) the private key with master key
+    let wrappedKey = await crypto.subtle.wrapKey('pkcs8', privateKey, this.masterKey!, {
+      name: 'AES-GCM',
+      iv,
+      additionalData: wrapAAD(accountId, this.masterKid!),
+    });
+
+    // User-presence layer over the master-wrapped bytes
+    let userLayer: WrappedKey['userLayer'];
+    if (this.userLock?.isEnabled()) {
+      const layer = await this.userLock.encrypt(new Uint8Array(wrappedKey), userLayerAAD(accountId));
+      wrappedKey = layer.ct.buffer as ArrayBuffer;
+      userLayer = { iv: layer.iv };
     }
 
-    await this.db.delete(STORE_NAME, accountId);
+    return {
+      metadata,
+      wrappedKey,
+      iv,
+      salt,
+      kid: this.masterKid!,
+      version: WRAPPED_KEY_VERSION,
+      ...(userLayer ? { userLayer } : {}),
+    };
+  }
+
+  /**
+   * Strip the user-presence layer, if any, leaving the master-wrapped bytes
+   */
+  private async removeUserLayer(record: WrappedKey): Promise<ArrayBuffer> {
+    if (!record.userLayer) return record.wrappedKey;
+    if (!this.userLock) {
+      throw new KeystoreError('locked', `Key for ${record.metadata.accountId} requires a user lock`);
+    }
+    const inner = await this.userLock.decrypt(
+      { iv: record.userLayer.iv, ct: new Uint8Array(record.wrappedKey) },
+      userLayerAAD(record.metadata.accountId)
+    );
+    return inner.buffer as ArrayBuffer;
+  }
+
+  /**
+   * Generate a new master key version and re-wrap every key under it
+   * New keys use the new master key immediately; older ones are deleted once
+   * no record needs them. An interrupted rotation continues with resumeRotation().
+   */
+  async rotate(options: RotationOptions = {}): Promise<RotationStatus> {
+    if (!this.db || !this.masterKey) {
+      throw new KeystoreError('not-initialized', 'Keystore not initialized');
+    }
+    this.assertUnlocked();
+    if (this.rotation) await this.rotation.catch(() => {});
+
+    // One rotation at a time across tabs; versions are allocated inside the lock
+    const db = this.db;
+    return this.trackRotation(withWebLock(`${this.dbName}:rotation`, async () => {
+      const master = await this.withWriteLock(async () => {
+        const records: MasterKeyRecord[] = await db.getAll(MASTER_STORE);
+        return this.generateMasterKey(Math.max(0, ...records.map((r) => r.version)) + 1);
+      });
+      this.masterKey = master.key;
+      this.masterKid = master.kid;
+      return this.runRotationAndAnnounce(options);
+    }));
+  }
+
+  /**
+   * Re-wrap records still on an older master key (e.g. after a reload or abort)
+   */
+  async resumeRotation(options: RotationOptions = {}): Promise<RotationStatus> {
+    if (!this.db || !this.masterKey) {
+      throw new KeystoreError('not-initialized', 'Keystore not initialized');
+    }
+    this.assertUnlocked();
+    if (this.rotation) return this.rotation;
+    return this.trackRotation(withWebLock(`${this.dbName}:rotation`, async () => {
+      await this.syncMasterKey();
+      return this.runRotationAndAnnounce(options);
+    }));
+  }
+
+  private trackRotation(run: Promise<RotationStatus>): Promise<RotationStatus> {
+    const tracked = run.finally(() => {
+      if (this.rotation === tracked) this.rotation = null;
+    });
+    this.rotation = tracked;
+    return tracked;
+  }
+
+  private async runRotationAndAnnounce(options: RotationOptions): Promise<RotationStatus> {
+    const status = await runRotation(this.rotationTarget(), options);
+    this.changes?.publish({ type: 'rotate', kid: status.kid });
+    return status;
+  }
+
+  /**
+   * Which accounts are still wrapped with an older master key
+   */
+  async getRotationStatus(): Promise<RotationStatus> {
+    if (!this.db || !this.masterKey) {
+      throw new KeystoreError('not-initialized', 'Keystore not initialized');
+    }
+    return rotationStatus(this.rotationTarget());
+  }
+
+  private rotationTarget(): RotationTarget<WrappedKey> {
+    const db = this.db!;
+    return {
+      kid: this.masterKid!,
+      // v1 records have no master key to migrate from
+      list: async () => ((await db.getAll(STORE_NAME)) as WrappedKey[]).filter((r) => r.kid),
+      describe: (record) => ({ id: record.metadata.accountId, kid: record.kid }),
+      migrate: async (record) => {
+        const masterKey = await this.masterKeyFor(record);
+        const wrapped = await this.removeUserLayer(record);
+        const privateKey = await unwrapRecord(record, wrapped, masterKey, true);
+        const next = await this.wrapRecord(privateKey, record.metadata);
+
+        return db.transaction([STORE_NAME], 'readwrite', async (tx) => {
+          const current: WrappedKey | undefined = await tx.get(STORE_NAME, record.metadata.accountId);
+          const unchanged = !!current && current.kid === record.kid && sameBytes(current.iv, record.iv);
+          if (unchanged) await tx.put(STORE_NAME, { ...next, metadata: current.metadata });
+          return unchanged;
+        });
+      },
+      listKids: async () => (await db.getAllKeys(MASTER_STORE)) as string[],
+      // Under the write lock, so a tab still wrapping with `kid` either finishes first or sees it gone
+      retire: (kid) =>
+        this.withWriteLock(async () => {
+          const records: WrappedKey[] = await db.getAll(STORE_NAME);
+          if (!records.some((r) => r.kid === kid)) await db.delete(MASTER_STORE, kid);
+        }),
+    };
+  }
+
+  /**
+   * ID of the master key new records are wrapped with
+   */
+  getMasterKeyId(): string | null {
+    return this.masterKid;
+  }
+
+  /**
+   * Load the newest persisted master key, or generate and persist one
+   * Non-extractable CryptoKeys survive IndexedDB structured clone
+   */
+  private async ensureMasterKey(): Promise<MasterKeyRecord> {
+    const existing = await this.latestMasterKey();
+    if (existing) return existing;
+
+    // Re-read under the write lock: another tab opening the same empty keystore may have generated it first
+    return this.withWriteLock(async () => (await this.latestMasterKey()) ?? this.generateMasterKey(1));
+  }
+
+  private async latestMasterKey(): Promise<MasterKeyRecord | undefined> {
+    const records: MasterKeyRecord[] = await this.db!.getAll(MASTER_STORE);
+    if (records.length === 0) return undefined;
+    const latest = records.reduce((a, b) => (b.version > a.version ? b : a));
+    await verifyMasterKey(latest);
+    return latest;
+  }
+
+  /**
+   * Switch to the newest persisted master key (another tab may have rotated)
+   */
+  private async syncMasterKey(): Promise<void> {
+    const records: MasterKeyRecord[] = await this.db!.getAll(MASTER_STORE);
+    if (records.length === 0) return;
+    const latest = records.reduce((a, b) => (b.version > a.version ? b : a));
+    if (latest.kid === this.masterKid) return;
+    await verifyMasterKey(latest);
+    this.masterKey = latest.key;
+    this.masterKid = latest.kid;
+  }
+
+  private withWriteLock<T>(fn: () => Promise<T>): Promise<T> {
+    return withWebLock(`${this.dbName}:write`, fn);
+  }
+
+  /**
+   * Generate and persist a master key with the given version
+   */
+  private async generateMasterKey(version: number): Promise<MasterKeyRecord> {
+    // This key CANNOT be exported - enforced by browser
+    // (unless the adapter can only persist exportable keys, e.g. FileAdapter in Node)
+    const key = await crypto.subtle.generateKey(
+      { name: 'AES-GCM', length: 256 },
+      !this.db!.storesCryptoKeys, // NOT extractable - critical security property!
+      ['wrapKey', 'unwrapKey']
+    );
+    const kid = `mk_${toHex(crypto.getRandomValues(new Uint8Array(8)))}`;
+    const record: MasterKeyRecord = {
+      kid,
+      version,
+      key,
+      createdAt: Date.now(),
+      check: await wrapCheck(key, kid),
+    };
+    await this.db!.put(MASTER_STORE, record);
+    return record;
+  }
+
+  /**
+   * Resolve (and verify) the master key a record was wrapped with
+   */
+  private async masterKeyFor(record: WrappedKey): Promise<CryptoKey> {
+    if (!record.kid) {
+      throw new KeystoreError(
+        'master-key-missing',
+        `Key for ${record.metadata.accountId} predates persistent master keys and cannot be unwrapped`
+      );
+    }
+    if (record.kid === this.masterKid) return this.masterKey!;
+
+    const master: MasterKeyRecord | undefined = await this.db!.get(MASTER_STORE, record.kid);
+    if (!master) {
+      throw new KeystoreError('master-key-missing', `Master key ${record.kid} not found`);
+    }
+    await verifyMasterKey(master);
+    return master.key;
   }
 
   /**
@@ -327,15 +830,99 @@ export class Keystore {
    * Close the keystore and clean up
    */
   async close(): Promise<void> {
+    this.changes?.close();
+    this.changes = null;
     if (this.db) {
       this.db.close();
       this.db = null;
     }
     this.masterKey = null;
+    this.masterKid = null;
     this.clearMetrics();
   }
 }
 
+function toHex(bytes: Uint8Array): string {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Wrap the private key bound to its account and master key ID
+ */
+function wrapAAD(accountId: string, kid: string) {
+  return new TextEncoder().encode(`keystore|${kid}|${accountId}`);
+}
+
+function userLayerAAD(accountId: string): string {
+  return `keystore-user|${accountId}`;
+}
+
+/**
+ * Unwrap the master-wrapped bytes of a record (user layer already removed)
+ */
+async function unwrapRecord(
+  record: WrappedKey,
+  wrapped: ArrayBuffer,
+  masterKey: CryptoKey,
+  extractable: boolean
+): Promise<CryptoKey> {
+  return crypto.subtle.unwrapKey(
+    'pkcs8',
+    wrapped,
+    masterKey,
+    { name: 'AES-GCM', iv: new Uint8Array(record.iv), additionalData: wrapAAD(record.metadata.accountId, record.kid) },
+    { name: 'Ed25519' },
+    extractable,
+    ['sign']
+  );
+}
+
+/**
+ * Accept a 64-byte NEAR secret key (seed || public key) or a 32-byte seed
+ */
+function toPkcs8(privateKeyBytes: Uint8Array): Uint8Array {
+  if (privateKeyBytes.length !== 64 && privateKeyBytes.length !== 32) {
+    throw new Error(`Invalid Ed25519 private key: expected 32 or 64 bytes, got ${privateKeyBytes.length}`);
+  }
+  const pkcs8 = new Uint8Array(ED25519_PKCS8_PREFIX.length + 32);
+  pkcs8.set(ED25519_PKCS8_PREFIX);
+  pkcs8.set(privateKeyBytes.subarray(0, 32), ED25519_PKCS8_PREFIX.length);
+  return pkcs8;
+}
+
+async function importCheckKey(): Promise<CryptoKey> {
+  return crypto.subtle.importKey('raw', CHECK_KEY_BYTES, { name: 'AES-GCM' }, true, ['encrypt']);
+}
+
+async function wrapCheck(master: CryptoKey, kid: string): Promise<MasterKeyRecord['check']> {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const wrapped = await crypto.subtle.wrapKey('raw', await importCheckKey(), master, {
+    name: 'AES-GCM',
+    iv,
+    additionalData: new TextEncoder().encode(`keystore-check|${kid}`),
+  });
+  return { iv, wrapped };
+}
+
+/**
+ * Integrity check: the stored check value must unwrap under this master key
+ */
+async function verifyMasterKey(record: MasterKeyRecord): Promise<void> {
+  try {
+    await crypto.subtle.unwrapKey(
+      'raw',
+      record.check.wrapped,
+      record.key,
+      { name: 'AES-GCM', iv: new Uint8Array(record.check.iv), additionalData: new TextEncoder().encode(`keystore-check|${record.kid}`) },
+      { name: 'AES-GCM' },
+      false,
+      ['encrypt']
+    );
+  } catch {
+    throw new KeystoreError('master-key-mismatch', `Master key ${record.kid} failed its integrity check`);
+  }
+}
+
 /**
  * Singleton keystore instance for convenience
  */
@@ -0,0 +1,279 @@
+/**
+ * MemoryAdapter - storage adapter backed by Maps
+ *
+ * For tests, CLIs and environments without IndexedDB. Databases live as long as
+ * the adapter instance, so reopening through the same adapter simulates a reload.
+ *
+ * Semantics match IndexedDB where the modules depend on them:
+ * - Values are structured-cloned on the way in and out (CryptoKeys included)
+ * - Read-write transactions run one at a time on a copy of their stores and
+ *   commit together, or not at all
+ * - Indexes (unique, multiEntry) are computed from the schema on every scan
+ *
+ * FileAdapter (file-adapter.ts) reuses this engine and persists each commit.
+ */
+
+import {
+  StorageAdapterError,
+  compareKeys,
+  inKeyRange,
+  indexKeysOf,
+  isValidKey,
+  valueAtKeyPath,
+  type AdapterConnection,
+  type AdapterKey,
+  type DatabaseSchema,
+  type IndexSchema,
+  type KeyRange,
+  type ScanOptions,
+  type ScanPosition,
+  type StorageAdapter,
+  type StoreOperations,
+  type StoreSchema,
+} from './storage-adapter.js';
+
+export type MemoryStores = Map<string, Map<AdapterKey, unknown>>;
+
+/**
+ * One database: its schema, committed records, and a queue for read-write transactions
+ */
+export class MemoryDatabase {
+  stores: MemoryStores = new Map();
+  private writes: Promise<unknown> = Promise.resolve();
+
+  constructor(readonly schema: StoreSchema[]) {
+    for (const store of schema) this.stores.set(store.name, new Map());
+  }
+
+  /**
+   * Queue a read-write transaction behind the previous one
+   */
+  enqueue<T>(fn: () => Promise<T>): Promise<T> {
+    const run = this.writes.then(fn);
+    this.writes = run.catch(() => {});
+    return run;
+  }
+}
+
+export interface MemoryConnectionOptions {
+  storesCryptoKeys: boolean;
+  // Called with the would-be state before a read-write transaction commits; a rejection aborts it
+  beforeCommit?: (stores: MemoryStores) => Promise<void>;
+}
+
+export class MemoryAdapter implements StorageAdapter {
+  readonly kind = 'memory';
+  private databases = new Map<string, MemoryDatabase>();
+
+  async open(name: string, schema: DatabaseSchema): Promise<AdapterConnection> {
+    let database = this.databases.get(name);
+    if (!database) {
+      database = new MemoryDatabase(schema.stores);
+      this.databases.set(name, database);
+    }
+    assertSameSchema(name, database.schema, schema.stores);
+    return new MemoryConnection(database, { storesCryptoKeys: true });
+  }
+
+  /**
+   * Forget a database (like indexedDB.deleteDatabase)
+   */
+  delete(name: string): void {
+    this.databases.delete(name);
+  }
+}
+
+export class MemoryConnection implements AdapterConnection {
+  readonly storesCryptoKeys: boolean;
+  private closed = false;
+
+  constructor(
+    private readonly database: MemoryDatabase,
+    private readonly options: MemoryConnectionOptions
+  ) {
+    this.storesCryptoKeys = options.storesCryptoKeys;
+  }
+
+  async transaction<T>(stores: string[], mode: 'readonly' | 'readwrite', fn: (tx: StoreOperations) => Promise<T>): Promise<T> {
+    this.assertOpen();
+    for (const store of stores) this.schemaOf(store);
+
+    if (mode === 'readonly') {
+      return fn(new MemoryOperations(this.database, this.database.stores, stores, false));
+    }
+
+    return this.database.enqueue(async () => {
+      // Work on copies of the stores in scope; swap them in only if everything succeeds
+      const working: MemoryStores = new Map(this.database.stores);
+      for (const store of stores) working.set(store, new Map(this.database.stores.get(store)));
+      const result = await fn(new MemoryOperations(this.database, working, stores, true));
+      await this.options.beforeCommit?.(working);
+      this.database.stores = working;
+      return result;
+    });
+  }
+
+  get<T>(store: string, key: AdapterKey): Promise<T | undefined> {
+    return this.transaction([store], 'readonly', (tx) => tx.get<T>(store, key));
+  }
+
+  getAll<T>(store: string): Promise<T[]> {
+    return this.transaction([store], 'readonly', (tx) => tx.getAll<T>(store));
+  }
+
+  getAllKeys(store: string, index?: string, range?: KeyRange | null): Promise<AdapterKey[]> {
+    return this.transaction([store], 'readonly', (tx) => tx.getAllKeys(store, index, range));
+  }
+
+  count(store: string, index?: string, range?: KeyRange | null): Promise<number> {
+    return this.transaction([store], 'readonly', (tx) => tx.count(store, index, range));
+  }
+
+  put(store: string, value: unknown): Promise<void> {
+    return this.transaction([store], 'readwrite', (tx) => tx.put(store, value));
+  }
+
+  delete(store: string, key: AdapterKey): Promise<void> {
+    return this.transaction([store], 'readwrite', (tx) => tx.delete(store, key));
+  }
+
+  clear(store: string): Promise<void> {
+    return this.transaction([store], 'readwrite', (tx) => tx.clear(store));
+  }
+
+  scan<T>(store: string, options: ScanOptions, visit: (value: T, position: ScanPosition) => boolean | void): Promise<void> {
+    return this.transaction([store], 'readonly', (tx) => tx.scan(store, options, visit));
+  }
+
+  close(): void {
+    this.closed = true;
+  }
+
+  private assertOpen(): void {
+    if (this.closed) throw new StorageAdapterError('closed', 'Connection is closed');
+  }
+
+  private schemaOf(store: string): StoreSchema {
+    const schema = this.database.schema.find((s) => s.name === store);
+    if (!schema) throw new StorageAdapterError('unknown-store', `No object store named ${store}`);
+    return schema;
+  }
+}
+
+class MemoryOperations implements StoreOperations {
+  constructor(
+    private readonly database: MemoryDatabase,
+    private readonly stores: MemoryStores,
+    private readonly scope: string[],
+    private readonly writable: boolean
+  ) {}
+
+  async get<T>(store: string, key: AdapterKey): Promise<T | undefined> {
+    const value = this.records(store).get(key);
+    return value === undefined ? undefined : (clone(value) as T);
+  }
+
+  async getAll<T>(store: string): Promise<T[]> {
+    return this.entries(store, {}).map((entry) => clone(entry.value) as T);
+  }
+
+  async getAllKeys(store: string, index?: string, range?: KeyRange | null): Promise<AdapterKey[]> {
+    return this.entries(store, { index, range }).map((entry) => entry.primaryKey);
+  }
+
+  async count(store: string, index?: string, range?: KeyRange | null): Promise<number> {
+    return this.entries(store, { index, range }).length;
+  }
+
+  async put(store: string, value: unknown): Promise<void> {
+    const records = this.writableRecords(store);
+    const schema = this.schemaOf(store);
+    const key = valueAtKeyPath(value, schema.keyPath);
+    if (!isValidKey(key)) {
+      throw new StorageAdapterError('invalid-key', `${store}: ${schema.keyPath} is not a valid key`);
+    }
+    for (const index of schema.indexes ?? []) {
+      if (index.unique) assertUnique(store, records, index, key, value);
+    }
+    records.set(key, clone(value));
+  }
+
+  async delete(store: string, key: AdapterKey): Promise<void> {
+    this.writableRecords(store).delete(key);
+  }
+
+  async clear(store: string): Promise<void> {
+    this.writableRecords(store).clear();
+  }
+
+  async scan<T>(store: string, options: ScanOptions, visit: (value: T, position: ScanPosition) => boolean | void): Promise<void> {
+    for (const entry of this.entries(store, options)) {
+      if (visit(clone(entry.value) as T, { key: entry.key, primaryKey: entry.primaryKey }) === false) return;
+    }
+  }
+
+  /**
+   * Entries of the store or an index, in scan order
+   */
+  private entries(store: string, options: ScanOptions): Array<ScanPosition & { value: unknown }> {
+    const records = this.records(store);
+    const entries: Array<ScanPosition & { value: unknown }> = [];
+
+    if (options.index) {
+      const index = (this.schemaOf(store).indexes ?? []).find((i) => i.name === options.index);
+      if (!index) throw new StorageAdapterError('unknown-index', `${store} has no index named ${options.index}`);
+      for (const [primaryKey, value] of records) {
+        for (const key of indexKeysOf(value, index)) entries.push({ key, primaryKey, value });
+      }
+    } else {
+      for (const [primaryKey, value] of records) entries.push({ key: primaryKey, primaryKey, value });
+    }
+
+    const sign = (options.direction ?? 'asc') === 'asc' ? 1 : -1;
+    const order = (a: ScanPosition, b: ScanPosition) => (compareKeys(a.key, b.key) || compareKeys(a.primaryKey, b.primaryKey)) * sign;
+    const after = options.after;
+    return entries
+      .filter((entry) => inKeyRange(entry.key, options.range) && (!after || order(entry, after) > 0))
+      .sort(order);
+  }
+
+  private records(store: string): Map<AdapterKey, unknown> {
+    if (!this.scope.includes(store)) {
+      throw new StorageAdapterError('unknown-store', `${store} is not in this transaction's scope`);
+    }
+    return this.stores.get(store)!;
+  }
+
+  private writableRecords(store: string): Map<AdapterKey, unknown> {
+    if (!this.writable) throw new StorageAdapterError('read-only', 'Transaction is read-only');
+    return this.records(store);
+  }
+
+  private schemaOf(store: string): StoreSchema {
+    return this.database.schema.find((s) => s.name === store)!;
+  }
+}
+
+function assertUnique(store: string, records: Map<AdapterKey, unknown>, index: IndexSchema, key: AdapterKey, value: unknown): void {
+  const keys = indexKeysOf(value, index);
+  for (const [otherKey, other] of records) {
+    if (otherKey === key) continue;
+    if (indexKeysOf(other, index).some((k) => keys.includes(k))) {
+      throw new StorageAdapterError('constraint', `${store}: unique index ${index.name} already has this key`);
+    }
+  }
+}
+
+function assertSameSchema(name: string, current: StoreSchema[], requested: StoreSchema[]): void {
+  if (JSON.stringify(current) !== JSON.stringify(requested)) {
+    throw new StorageAdapterError('schema-mismatch', `${name} is already open with a different schema`);
+  }
+}
+
+function clone<T>(value: T): T {
+  try {
+    return structuredClone(value);
+  } catch (error) {
+    throw new StorageAdapterError('unserializable', `Value cannot be stored: ${error}`);
+  }
+}
@@ -18,6 +18,7 @@ export const PROTOCOL_VERSION = 'v1';
 export const AAD = {
   EXECUTE: `soft-enclave/op=execute/${PROTOCOL_VERSION}`,
   EXECUTE_RESULT: `soft-enclave/op=execute-result/${PROTOCOL_VERSION}`,
+  EXECUTE_LOG: `soft-enclave/op=execute-log/${PROTOCOL_VERSION}`,
   SIGN_TRANSACTION_KEY: `soft-enclave/op=sign-tx-key/${PROTOCOL_VERSION}`,
   SIGN_TRANSACTION_TX: `soft-enclave/op=sign-tx-data/${PROTOCOL_VERSION}`,
   SIGN_RESULT: `soft-enclave/op=sign-result/${PROTOCOL_VERSION}`
@@ -37,6 +38,7 @@ export const MessageType = {
   EXECUTE: 'EXECUTE',
   EXECUTE_RESULT: 'EXECUTE_RESULT',
   EXECUTE_ERROR: 'EXECUTE_ERROR',
+  EXECUTE_LOG: 'EXECUTE_LOG', // guest console entry, streamed before the result
 
   // Signing operations
   SIGN_TRANSACTION: 'SIGN_TRANSACTION',
@@ -0,0 +1,141 @@
+/**
+ * Migrations - versioned IndexedDB schema upgrades
+ *
+ * Each persistent module registers an ordered list of migration steps instead
+ * of an inline `upgrade` callback. The database version is the highest step
+ * version, and opening runs every step above the stored version, in order,
+ * inside the single versionchange transaction:
+ * - Steps create/delete stores and indexes, and may transform existing records
+ *   (transformRecords) - only IndexedDB requests may be awaited inside a step
+ *   (no WebCrypto or timers), or the transaction auto-commits
+ * - A failing step aborts the whole upgrade; the database stays at its old
+ *   version with its old data
+ * - Opening a database written by a newer release fails with 'downgrade'
+ */
+
+import { openDB, type IDBPDatabase, type IDBPTransaction, type OpenDBCallbacks } from 'idb';
+
+export interface MigrationContext {
+  db: IDBPDatabase;
+  transaction: IDBPTransaction<unknown, string[], 'versionchange'>;
+  oldVersion: number; // version before the upgrade started (0 for a new database)
+}
+
+export interface Migration {
+  version: number;     // schema version this step upgrades to (1, 2, 3, ...)
+  description: string;
+  upgrade: (ctx: MigrationContext) => void | Promise<void>;
+}
+
+export type MigrationErrorCode = 'invalid-migrations' | 'downgrade' | 'failed';
+
+export class MigrationError extends Error {
+  code: MigrationErrorCode;
+
+  constructor(code: MigrationErrorCode, message: string, options?: { cause?: unknown }) {
+    super(message);
+    this.name = 'MigrationError';
+    this.code = code;
+    if (options?.cause !== undefined) (this as any).cause = options.cause;
+  }
+}
+
+export type MigrationCallbacks = Pick<OpenDBCallbacks<unknown>, 'blocked' | 'blocking' | 'terminated'>;
+
+/**
+ * Versions must run 1..n without gaps or duplicates
+ */
+export function validateMigrations(migrations: Migration[]): void {
+  if (migrations.length === 0) {
+    throw new MigrationError('invalid-migrations', 'At least one migration is required');
+  }
+  migrations.forEach((m, i) => {
+    if (m.version !== i + 1) {
+      throw new MigrationError(
+        'invalid-migrations',
+        `Migration #${i} has version ${m.version}; expected ${i + 1} (ordered, starting at 1, no gaps)`
+      );
+    }
+  });
+}
+
+/**
+ * Schema version a migration list produces
+ */
+export function latestVersion(migrations: Migration[]): number {
+  return migrations.length === 0 ? 0 : migrations[migrations.length - 1].version;
+}
+
+/**
+ * Open a database, running pending migrations inside the upgrade transaction
+ * @throws MigrationError
+ */
+export async function openWithMigrations(
+  name: string,
+  migrations: Migration[],
+  callbacks: MigrationCallbacks = {}
+): Promise<IDBPDatabase> {
+  validateMigrations(migrations);
+  const version = latestVersion(migrations);
+
+  let failure = null as { step: Migration; error: unknown } | null;
+
+  try {
+    return await openDB(name, version, {
+      ...callbacks,
+      upgrade(db, oldVersion, _newVersion, transaction) {
+        const pending = migrations.filter((m) => m.version > oldVersion);
+        const run = async () => {
+          for (const step of pending) {
+            try {
+              await step.upgrade({ db, transaction, oldVersion });
+            } catch (error) {
+              failure = { step, error };
+              transaction.abort();
+              return;
+            }
+          }
+        };
+        // openDB resolves only after the versionchange transaction completes, and
+        // rejects if it aborts - that rejection is the one callers see
+        transaction.done.catch(() => {});
+        run();
+      },
+    });
+  } catch (error) {
+    if (failure) {
+      const { step, error: cause } = failure;
+      throw new MigrationError('failed', `${name}: migration to v${step.version} (${step.description}) failed: ${cause}`, { cause });
+    }
+    if ((error as DOMException)?.name === 'VersionError') {
+      throw new MigrationError('downgrade', `${name} was written by a newer version (schema above v${version})`, { cause: error });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Rewrite every record in a store during a migration
+ * Return the new record, `undefined` to keep it unchanged, or `null` to delete it.
+ * @returns number of records changed or deleted
+ */
+export async function transformRecords<T = any>(
+  transaction: MigrationContext['transaction'],
+  storeName: string,
+  transform: (record: T) => T | null | undefined
+): Promise<number> {
+  let changed = 0;
+  let cursor = await transaction.objectStore(storeName).openCursor();
+  while (cursor) {
+    const next = transform(cursor.value as T);
+    if (next === null) {
+      await cursor.delete();
+      changed++;
+    } else if (next !== undefined) {
+      await cursor.update(next);
+      changed++;
+    }
+    cursor = await cursor.continue();
+  }
+  return changed;
+}
@@ -0,0 +1,94 @@
+/**
+ * Resource Limits - per-execution bounds for guest code
+ *
+ * Passed as `execute(code, context, { limits })` and enforced inside the
+ * enclave's QuickJS runtime (iframe and worker alike):
+ * - memoryBytes: heap the runtime may allocate (runtime.setMemoryLimit)
+ * - stackBytes: native stack for guest recursion (runtime.setMaxStackSize)
+ * - timeMs: wall-clock budget, including awaited host calls
+ * - maxInterrupts: instruction budget, counted in interrupt checks (QuickJS
+ *   polls its interrupt handler about every 10,000 bytecode operations)
+ *
+ * Hitting one fails the execution with ResourceLimitExceeded, naming the limit.
+ */
+
+export interface ResourceLimits {
+  memoryBytes?: number;
+  stackBytes?: number;
+  timeMs?: number;
+  maxInterrupts?: number; // default: no budget beyond timeMs
+}
+
+// Limits after defaults; only the instruction budget stays optional
+export type ResolvedResourceLimits = Required<Omit<ResourceLimits, 'maxInterrupts'>> & Pick<ResourceLimits, 'maxInterrupts'>;
+
+export type ResourceLimitName = 'memory' | 'stack' | 'time' | 'instructions';
+
+export const DEFAULT_RESOURCE_LIMITS = {
+  memoryBytes: 32 * 1024 * 1024,
+  stackBytes: 512 * 1024,
+  timeMs: 2000,
+} as const;
+
+/** Largest stack limit accepted; above this the WASM stack itself overflows first */
+export const MAX_STACK_BYTES = 1024 * 1024;
+
+/**
+ * Validate limits from an execute() call and fill in the defaults
+ */
+export function resolveResourceLimits(input: unknown): ResolvedResourceLimits {
+  if (input !== undefined && input !== null && typeof input !== 'object') {
+    throw new Error('Resource limits must be an object');
+  }
+  const given = (input ?? {}) as ResourceLimits;
+  const limits: ResourceLimits = { ...DEFAULT_RESOURCE_LIMITS };
+
+  for (const name of ['memoryBytes', 'stackBytes', 'timeMs', 'maxInterrupts'] as const) {
+    const value = given[name];
+    if (value === undefined) continue;
+    if (typeof value !== 'number' || !Number.isInteger(value) || value <= 0) {
+      throw new Error(`${name} must be a positive integer, got ${value}`);
+    }
+    limits[name] = value;
+  }
+  if (limits.stackBytes! > MAX_STACK_BYTES) {
+    throw new Error(`stackBytes must be at most ${MAX_STACK_BYTES}, got ${limits.stackBytes}`);
+  }
+  return limits as ResolvedResourceLimits;
+}
+
+/** What a failed execution reports; also the wire form of ResourceLimitExceeded */
+export interface ResourceLimitReport {
+  limit: ResourceLimitName;
+  value: number;           // the configured limit that was hit
+  peakMemoryBytes: number; // highest runtime heap usage observed
+  durationMs: number;
+}
+
+const DESCRIBE: Record<ResourceLimitName, (value: number) => string> = {
+  memory: (value) => `Memory limit exceeded (${value} bytes)`,
+  stack: (value) => `Stack limit exceeded (${value} bytes)`,
+  time: (value) => `Execution timed out after ${value}ms`,
+  instructions: (value) => `Instruction budget exceeded (${value} interrupt checks)`,
+};
+
+export class ResourceLimitExceeded extends Error {
+  readonly code = 'resource-limit-exceeded';
+  limit: ResourceLimitName;
+  value: number;
+  peakMemoryBytes: number;
+  durationMs: number;
+
+  constructor(report: ResourceLimitReport) {
+    super(DESCRIBE[report.limit](report.value));
+    this.name = 'ResourceLimitExceeded';
+    this.limit = report.limit;
+    this.value = report.value;
+    this.peakMemoryBytes = report.peakMemoryBytes;
+    this.durationMs = report.durationMs;
+  }
+
+  toJSON(): ResourceLimitReport {
+    return { limit: this.limit, value: this.value, peakMemoryBytes: this.peakMemoryBytes, durationMs: this.durationMs };
+  }
+}
@@ -0,0 +1,102 @@
+// Resource meter for one QuickJS execution (iframe enclave and worker).
+// - Applies the call's limits to the runtime: memory, stack, interrupt handler
+// - Counts interrupt checks against the instruction budget and the deadline
+// - Samples heap usage at interrupt checks to enforce memoryBytes and report the peak
+// - Maps QuickJS's 'out of memory' / 'stack overflow' / 'interrupted' errors
+//   back to the limit that caused them
+//
+// Memory is enforced here, not by runtime.setMemoryLimit alone: in the WASM build
+// QuickJS can't see allocation sizes, so its own limit counts little more than
+// allocations (it stays on as a backstop). Sampling walks the heap, so samples are
+// spaced to keep their cost near a tenth of run time; memory is checked at that
+// granularity, and the peak is the highest sample.
+
+import type { QuickJSRuntime } from 'quickjs-emscripten';
+import {
+  ResourceLimitExceeded,
+  type ResolvedResourceLimits,
+  type ResourceLimitName
+} from './resource-limits.js';
+
+export class ResourceMeter {
+  readonly deadline: number;
+  interrupts = 0;
+  peakMemoryBytes = 0;
+  private tripped: ResourceLimitName | null = null;
+  private nextSampleAt = 0;
+
+  constructor(
+    private readonly runtime: QuickJSRuntime,
+    readonly limits: ResolvedResourceLimits,
+    readonly start = Date.now()
+  ) {
+    this.deadline = start + limits.timeMs;
+  }
+
+  /** Apply the limits; call before evaluating guest code */
+  attach() {
+    // The first sample allocates the runtime's service context: do it before memory is capped
+    this.sample();
+    this.runtime.setMemoryLimit(this.limits.memoryBytes);
+    this.runtime.setMaxStackSize(this.limits.stackBytes);
+    this.runtime.setInterruptHandler(() => this.check());
+  }
+
+  /** Lift the memory cap and interrupt handler once the guest is done (the stack limit stays) */
+  detach() {
+    this.sample();
+    this.runtime.setMemoryLimit(-1);
+    this.runtime.removeInterruptHandler();
+  }
+
+  /** Record current heap usage; returns it (0 if it can't be read, e.g. out of memory) */
+  sample(): number {
+    const startedAt = performance.now();
+    try {
+      const usage = this.runtime.computeMemoryUsage();
+      const ctx = this.runtime.context!;
+      const used = ctx.getProp(usage, 'memory_used_size').consume(h => ctx.getNumber(h));
+      usage.dispose();
+      this.peakMemoryBytes = Math.max(this.peakMemoryBytes, used);
+      return used;
+    } catch {
+      return 0;
+    } finally {
+      const now = performance.now();
+      this.nextSampleAt = now + (now - startedAt) * 10;
+    }
+  }
+
+  /** The limit a guest error stems from, or null for an ordinary error */
+  classify(error: unknown): ResourceLimitExceeded | null {
+    const message = typeof error === 'object' && error !== null ? (error as any).message : undefined;
+    if (message === 'interrupted' && this.tripped) return this.exceeded(this.tripped);
+    if (message === 'out of memory') return this.exceeded('memory');
+    if (message === 'stack overflow' || message === 'Maximum call stack size exceeded') return this.exceeded('stack');
+    return null;
+  }
+
+  /** The time limit, for work (host calls, pending jobs) still running at the deadline */
+  expired(): ResourceLimitExceeded {
+    this.tripped ??= 'time';
+    return this.exceeded('time');
+  }
+
+  exceeded(limit: ResourceLimitName): ResourceLimitExceeded {
+    const value = {
+      memory: this.limits.memoryBytes,
+      stack: this.limits.stackBytes,
+      time: this.limits.timeMs,
+      instructions: this.limits.maxInterrupts ?? 0
+    }[limit];
+    return new ResourceLimitExceeded({ limit, value, peakMemoryBytes: this.peakMemoryBytes, durationMs: Date.now() - this.start });
+  }
+
+  private check(): boolean {
+    this.interrupts++;
+    if (performance.now() >= this.nextSampleAt && this.sample() > this.limits.memoryBytes) this.tripped ??= 'memory';
+    if (Date.now() > this.deadline) this.tripped ??= 'time';
+    else if (this.limits.maxInterrupts !== undefined && this.interrupts > this.limits.maxInterrupts) this.tripped ??= 'instructions';
+    return this.tripped !== null;
+  }
+}
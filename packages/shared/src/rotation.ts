@@ -0,0 +1,113 @@
+/**
+ * Rotation - shared driver for at-rest key rotation
+ *
+ * Keystore, Vault and EncryptedStorage persist versioned keys and tag every
+ * record with the key ID that protects it. rotate() on each store makes a new
+ * key current (new writes use it immediately); this driver then re-encrypts the
+ * remaining records in small batches:
+ * - Each record is migrated on its own and only replaced if it hasn't changed
+ *   since it was read, so reads and writes keep working during a rotation
+ * - Progress is derived from the records themselves, so a rotation interrupted by
+ *   a reload, an abort or a user lock resumes where it stopped
+ * - Older keys are deleted only once no record references them
+ */
+
+export interface RotationOptions {
+  batchSize?: number;                                                 // records per batch (default: 25)
+  onProgress?: (progress: RotationProgress) => void | Promise<void>;  // awaited after each batch
+  signal?: AbortSignal;                                               // stop between batches; resume later
+}
+
+export interface RotationProgress {
+  kid: string;       // key records are being migrated to
+  total: number;     // records on older keys when the run started
+  migrated: number;
+  remaining: number;
+}
+
+export interface RotationStatus {
+  kid: string;                                   // current key ID
+  total: number;                                 // records in the store
+  pending: Array<{ id: string; kid: string }>;   // records still on older keys
+  retainedKids: string[];                        // older keys kept for pending records
+  complete: boolean;
+}
+
+/**
+ * What a store exposes to the driver
+ */
+export interface RotationTarget<R> {
+  kid: string;
+  list(): Promise<R[]>;
+  describe(record: R): { id: string; kid: string };
+  /** Re-encrypt under `kid`; false if the record changed or vanished since it was read */
+  migrate(record: R): Promise<boolean>;
+  listKids(): Promise<string[]>;
+  retire(kid: string): Promise<void>;
+}
+
+const DEFAULT_BATCH_SIZE = 25;
+
+/**
+ * Migrate every record still on an older key, then retire unused keys
+ */
+export async function runRotation<R>(target: RotationTarget<R>, options: RotationOptions = {}): Promise<RotationStatus> {
+  const batchSize = Math.max(1, options.batchSize ?? DEFAULT_BATCH_SIZE);
+  const isStale = (record: R) => target.describe(record).kid !== target.kid;
+
+  let stale = (await target.list()).filter(isStale);
+  const total = stale.length;
+  let migrated = 0;
+
+  while (stale.length > 0) {
+    let progressed = false;
+    for (let i = 0; i < stale.length; i += batchSize) {
+      if (options.signal?.aborted) return rotationStatus(target);
+
+      for (const record of stale.slice(i, i + batchSize)) {
+        if (await target.migrate(record)) {
+          migrated++;
+          progressed = true;
+        }
+      }
+      await options.onProgress?.({ kid: target.kid, total, migrated, remaining: Math.max(total - migrated, 0) });
+
+      // Let other work (reads, writes, rendering) run between batches
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    // Records that changed underneath us are picked up again from a fresh read
+    if (!progressed) break;
+    stale = (await target.list()).filter(isStale);
+  }
+
+  const status = await rotationStatus(target);
+  for (const kid of await target.listKids()) {
+    if (kid !== target.kid && !status.retainedKids.includes(kid)) await target.retire(kid);
+  }
+  return status;
+}
+
+/**
+ * Which records are still on older keys
+ */
+export async function rotationStatus<R>(target: RotationTarget<R>): Promise<RotationStatus> {
+  const records = (await target.list()).map((record) => target.describe(record));
+  const pending = records.filter((r) => r.kid !== target.kid);
+  return {
+    kid: target.kid,
+    total: records.length,
+    pending,
+    retainedKids: [...new Set(pending.map((r) => r.kid))],
+    complete: pending.length === 0,
+  };
+}
+
+/**
+ * Compare IVs to detect a record rewritten during migration
+ */
+export function sameBytes(a: ArrayLike<number> | undefined, b: ArrayLike<number> | undefined): boolean {
+  if (!a || !b || a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
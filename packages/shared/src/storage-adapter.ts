@@ -0,0 +1,173 @@
+/**
+ * Storage adapters - where Keystore, EncryptedStorage, Vault and UserLock keep records
+ *
+ * The modules describe their databases (stores, key paths, indexes) and talk to an
+ * AdapterConnection instead of IndexedDB directly, so the same encrypted-record
+ * logic runs in the browser, in Node (CLI, tests) and in memory:
+ * - IndexedDBAdapter (default): browsers; runs the module's migrations
+ * - MemoryAdapter: anywhere; databases live as long as the adapter instance
+ * - FileAdapter (file-adapter.ts, Node only): one JSON file per database
+ *
+ * Records are plain structured-cloneable values keyed by a string or number key
+ * path. Only the subset of IndexedDB semantics the modules rely on is required:
+ * atomic multi-store transactions, ordered scans of the store or an index (with
+ * multiEntry and unique indexes), and resumable scan positions.
+ */
+
+import type { Migration } from './migrations.js';
+
+export type AdapterKey = string | number;
+
+export interface IndexSchema {
+  name: string;
+  keyPath: string;     // dotted path into the record, e.g. 'metadata.tags'
+  unique?: boolean;
+  multiEntry?: boolean; // index each element of an array value
+}
+
+export interface StoreSchema {
+  name: string;
+  keyPath: string;
+  indexes?: IndexSchema[];
+}
+
+/**
+ * Everything an adapter needs to open a module's database
+ * `stores` is the current shape; `migrations` is the IndexedDB history that produces it.
+ */
+export interface DatabaseSchema {
+  stores: StoreSchema[];
+  migrations: Migration[];
+}
+
+/**
+ * Key range (bounds are inclusive unless marked open)
+ */
+export interface KeyRange {
+  lower?: AdapterKey;
+  upper?: AdapterKey;
+  lowerOpen?: boolean;
+  upperOpen?: boolean;
+}
+
+export interface ScanPosition {
+  key: AdapterKey;        // index key (the primary key when scanning the store)
+  primaryKey: AdapterKey;
+}
+
+export interface ScanOptions {
+  index?: string;            // default: the store, in primary key order
+  range?: KeyRange | null;
+  direction?: 'asc' | 'desc';
+  after?: ScanPosition;      // resume strictly after this entry
+}
+
+/**
+ * Record operations; inside transaction() they commit or fail together
+ */
+export interface StoreOperations {
+  get<T = any>(store: string, key: AdapterKey): Promise<T | undefined>;
+  getAll<T = any>(store: string): Promise<T[]>;
+  getAllKeys(store: string, index?: string, range?: KeyRange | null): Promise<AdapterKey[]>;
+  count(store: string, index?: string, range?: KeyRange | null): Promise<number>;
+  put(store: string, value: unknown): Promise<void>;
+  delete(store: string, key: AdapterKey): Promise<void>;
+  clear(store: string): Promise<void>;
+  /**
+   * Visit entries in order until `visit` returns false
+   * `visit` is synchronous so IndexedDB can keep the transaction open.
+   */
+  scan<T = any>(store: string, options: ScanOptions, visit: (value: T, position: ScanPosition) => boolean | void): Promise<void>;
+}
+
+export interface AdapterConnection extends StoreOperations {
+  /**
+   * Run `fn` atomically over `stores`; a rejection rolls every write back
+   * Like IndexedDB, `fn` may only await operations on `tx` (no WebCrypto, no timers).
+   */
+  transaction<T>(stores: string[], mode: 'readonly' | 'readwrite', fn: (tx: StoreOperations) => Promise<T>): Promise<T>;
+  close(): void;
+  /**
+   * Whether non-extractable CryptoKeys survive storage (structured clone)
+   * When false, modules generate keys this adapter can export and persist.
+   */
+  readonly storesCryptoKeys: boolean;
+}
+
+export interface StorageAdapter {
+  readonly kind: string;
+  open(name: string, schema: DatabaseSchema): Promise<AdapterConnection>;
+}
+
+export type StorageAdapterErrorCode =
+  | 'unknown-store'
+  | 'unknown-index'
+  | 'constraint'
+  | 'invalid-key'
+  | 'read-only'
+  | 'unserializable'
+  | 'schema-mismatch'
+  | 'closed';
+
+export class StorageAdapterError extends Error {
+  code: StorageAdapterErrorCode;
+
+  constructor(code: StorageAdapterErrorCode, message: string) {
+    super(message);
+    this.name = 'StorageAdapterError';
+    this.code = code;
+  }
+}
+
+/**
+ * IndexedDB key order, restricted to the key types adapters accept (numbers before strings)
+ */
+export function compareKeys(a: AdapterKey, b: AdapterKey): number {
+  if (typeof a !== typeof b) return typeof a === 'number' ? -1 : 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+export function isValidKey(value: unknown): value is AdapterKey {
+  return (typeof value === 'number' && !Number.isNaN(value)) || typeof value === 'string';
+}
+
+export function inKeyRange(key: AdapterKey, range?: KeyRange | null): boolean {
+  if (!range) return true;
+  if (range.lower !== undefined) {
+    const c = compareKeys(key, range.lower);
+    if (c < 0 || (c === 0 && range.lowerOpen)) return false;
+  }
+  if (range.upper !== undefined) {
+    const c = compareKeys(key, range.upper);
+    if (c > 0 || (c === 0 && range.upperOpen)) return false;
+  }
+  return true;
+}
+
+/** Range matching exactly one key */
+export function onlyKey(key: AdapterKey): KeyRange {
+  return { lower: key, upper: key };
+}
+
+/**
+ * Value at a dotted key path, or undefined
+ */
+export function valueAtKeyPath(record: unknown, keyPath: string): unknown {
+  let value: any = record;
+  for (const part of keyPath.split('.')) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * Keys a record contributes to an index (none when the value isn't a valid key)
+ */
+export function indexKeysOf(record: unknown, index: IndexSchema): AdapterKey[] {
+  const value = valueAtKeyPath(record, index.keyPath);
+  if (index.multiEntry && Array.isArray(value)) {
+    return [...new Set(value.filter(isValidKey))];
+  }
+  return isValidKey(value) ? [value] : [];
+}
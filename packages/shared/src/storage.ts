@@ -2,7 +2,7 @@
  * Storage - Encrypted IndexedDB utilities
  *
  * Provides general-purpose encrypted storage using:
- * - IndexedDB for persistence
+ * - IndexedDB for persistence (or another StorageAdapter, see storage-adapter.ts)
  * - AES-GCM encryption for all stored data
  * - Non-extractable encryption keys
  * - Schema versioning and migrations
@@ -14,16 +14,166 @@
  * - User preferences
  *
  * Security: All data is encrypted before storage. Keys are non-extractable.
+ *
+ * Persistence:
+ * The data key is a non-extractable CryptoKey persisted in IndexedDB (structured
+ * clone) with a key ID; every record is tagged with the key ID that encrypted it.
+ * export() produces a portable bundle (see bundle.ts) under a caller-supplied key
+ * or passphrase; import() verifies it and re-encrypts under the local data key.
+ * rotate() makes a new data key version current and re-encrypts existing records
+ * under it (rotation.ts). Writes take a Web Lock per database and switch to the
+ * newest data key first, so instances in other tabs never write under a key that
+ * rotation is about to retire.
+ *
+ * Expiry and quota:
+ * Records may carry an expiresAt (expiry.ts); expired records read as missing and
+ * a background sweeper deletes them. With maxRecords, writes evict the least
+ * recently used records beyond the quota.
+ *
+ * Storage:
+ * Pass `adapter` to keep records somewhere other than IndexedDB (MemoryAdapter,
+ * or FileAdapter in Node). STORAGE_SCHEMA declares the stores and indexes the
+ * queries scan; adapters that cannot store non-extractable keys get an
+ * extractable data key.
  */
 
-import { openDB, type IDBPDatabase } from 'idb';
+import { transformRecords, type Migration } from './migrations.js';
+import { onlyKey, type AdapterConnection, type DatabaseSchema, type KeyRange, type StorageAdapter, type StoreOperations } from './storage-adapter.js';
+import { IndexedDBAdapter } from './indexeddb-adapter.js';
+import { resolveExpiry, isExpired, startSweeper, DEFAULT_SWEEP_INTERVAL_MS, type ExpiryOptions } from './expiry.js';
+import { sealBundle, openBundle, type BundleSecret, type SealedBundle } from './bundle.js';
+import { runRotation, rotationStatus, sameBytes, type RotationOptions, type RotationStatus, type RotationTarget } from './rotation.js';
+import { withWebLock } from './tab-sync.js';
 
 /**
  * Database configuration
  */
 const DB_NAME = 'soft-enclave-storage';
-const DB_VERSION = 1;
 const STORE_NAME = 'encrypted-data';
+const KEY_STORE = 'data-keys';
+
+/**
+ * Schema history (see migrations.ts); append new steps, never edit shipped ones
+ */
+export const STORAGE_MIGRATIONS: Migration[] = [
+  {
+    version: 1,
+    description: 'encrypted records store',
+    upgrade({ db }) {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      store.createIndex('type', 'metadata.type', { unique: false });
+      store.createIndex('createdAt', 'metadata.createdAt', { unique: false });
+      store.createIndex('updatedAt', 'metadata.updatedAt', { unique: false });
+    },
+  },
+  {
+    version: 2,
+    description: 'persistent data keys',
+    upgrade({ db }) {
+      db.createObjectStore(KEY_STORE, { keyPath: 'kid' });
+    },
+  },
+  {
+    version: 3,
+    description: 'multiEntry tag index',
+    upgrade({ transaction }) {
+      transaction.objectStore(STORE_NAME).createIndex('tags', 'metadata.tags', { unique: false, multiEntry: true });
+    },
+  },
+  {
+    version: 4,
+    description: 'expiry and LRU indexes',
+    async upgrade({ transaction }) {
+      const store = transaction.objectStore(STORE_NAME);
+      store.createIndex('expiresAt', 'metadata.expiresAt', { unique: false });
+      store.createIndex('accessedAt', 'metadata.accessedAt', { unique: false });
+      await transformRecords<EncryptedRecord>(transaction, STORE_NAME, (r) =>
+        r.metadata.accessedAt === undefined ? { ...r, metadata: { ...r.metadata, accessedAt: r.metadata.updatedAt } } : undefined
+      );
+    },
+  },
+];
+
+/**
+ * Current shape of the storage database, for non-IndexedDB adapters
+ */
+export const STORAGE_SCHEMA: DatabaseSchema = {
+  stores: [
+    {
+      name: STORE_NAME,
+      keyPath: 'key',
+      indexes: [
+        { name: 'accessedAt', keyPath: 'metadata.accessedAt' },
+        { name: 'createdAt', keyPath: 'metadata.createdAt' },
+        { name: 'expiresAt', keyPath: 'metadata.expiresAt' },
+        { name: 'tags', keyPath: 'metadata.tags', multiEntry: true },
+        { name: 'type', keyPath: 'metadata.type' },
+        { name: 'updatedAt', keyPath: 'metadata.updatedAt' },
+      ],
+    },
+    { name: KEY_STORE, keyPath: 'kid' },
+  ],
+  migrations: STORAGE_MIGRATIONS,
+};
+
+/**
+ * Record format version
+ * v1 records had no key ID (the data key was never persisted)
+ */
+export const RECORD_VERSION = 2;
+
+/** Bundle format name for export()/import() */
+export const STORAGE_BUNDLE_FORMAT = 'soft-enclave-storage';
+
+// Known plaintext encrypted under each data key (integrity check)
+const CHECK_PLAINTEXT = 'soft-enclave-storage-check';
+
+export type StorageErrorCode =
+  | 'not-initialized'
+  | 'data-key-missing'
+  | 'data-key-mismatch'
+  | 'invalid-bundle'
+  | 'invalid-cursor';
+
+export class StorageError extends Error {
+  code: StorageErrorCode;
+
+  constructor(code: StorageErrorCode, message: string) {
+    super(message);
+    this.name = 'StorageError';
+    this.code = code;
+  }
+}
+
+export interface StorageOptions {
+  dbName?: string;          // default: 'soft-enclave-storage'
+  maxRecords?: number;      // evict least recently used records beyond this (default: unlimited)
+  sweepIntervalMs?: number; // purge expired records this often (default: 60s; 0 disables)
+  adapter?: StorageAdapter; // where records live (default: IndexedDB)
+}
+
+/**
+ * Record metadata (stored in the clear for indexing)
+ */
+export interface RecordMetadata {
+  createdAt: number;
+  updatedAt: number;
+  accessedAt?: number; // last write, or last read when maxRecords is set (LRU order)
+  expiresAt?: number;  // reads treat the record as missing from this time on
+  type?: string;
+  tags?: string[];
+}
+
+/**
+ * Storage statistics
+ */
+export interface StorageStats {
+  totalRecords: number;                  // live (unexpired) records
+  typeBreakdown: Record<string, number>; // live records by type
+  expired: number;                       // expired records awaiting the sweeper
+  purged: number;                        // expired records deleted since initialize()
+  evicted: number;                       // records evicted by maxRecords since initialize()
+}
 
 /**
  * Encrypted data record format
@@ -32,57 +182,120 @@ export interface EncryptedRecord {
   key: string;
   encryptedValue: ArrayBuffer;
   iv: Uint8Array;
-  metadata: {
-    createdAt: number;
-    updatedAt: number;
-    type?: string;
-    tags?: string[];
-  };
+  kid: string;     // data key that encrypted this record
+  version: number; // RECORD_VERSION
+  metadata: RecordMetadata;
+}
+
+/**
+ * Persisted data key (CryptoKey stored via structured clone)
+ */
+export interface DataKeyRecord {
+  kid: string;
+  version: number;
+  key: CryptoKey;  // non-extractable AES-GCM encrypt/decrypt
+  createdAt: number;
+  check: { iv: Uint8Array; ct: ArrayBuffer };
+}
+
+/**
+ * Decrypted contents of an export bundle
+ */
+interface StorageBundlePayload {
+  count: number;
+  records: Array<{ key: string; value: any; metadata: RecordMetadata }>;
+}
+
+/**
+ * Inclusive timestamp range (ms)
+ */
+export interface DateRange {
+  from?: number;
+  to?: number;
 }
 
 /**
  * Storage query options
+ * Filters run on the cleartext metadata; only the returned page is decrypted.
+ * Ordering by createdAt/updatedAt walks that index, and a range on the same
+ * field bounds the walk.
  */
 export interface QueryOptions {
   type?: string;
-  tags?: string[];
+  tags?: string[];        // records with any of these tags
+  createdAt?: DateRange;
+  updatedAt?: DateRange;
+  orderBy?: 'key' | 'createdAt' | 'updatedAt'; // default: 'key'
+  direction?: 'asc' | 'desc';                  // default: 'asc'
   limit?: number;
   offset?: number;
+  cursor?: string;        // from a previous page; continue after its last record
+}
+
+/**
+ * One page of query results
+ */
+export interface QueryPage<T = any> {
+  items: Array<{ key: string; value: T; metadata: RecordMetadata }>;
+  cursor: string | null;  // pass back to get the next page; null when exhausted
+}
+
+/** Position after the last returned record (decoded cursor) */
+interface QueryPosition {
+  orderBy: NonNullable<QueryOptions['orderBy']>;
+  direction: NonNullable<QueryOptions['direction']>;
+  sortKey: string | number;
+  key: string;
 }
 
 /**
  * Encrypted storage manager
  */
 export class EncryptedStorage {
-  private db: IDBPDatabase | null = null;
+  private db: AdapterConnection | null = null;
   private encryptionKey: CryptoKey | null = null;
-
-  constructor() {}
+  private kid: string | null = null;
+  private readonly dbName: string;
+  private readonly writeLock: string;
+  private readonly adapter: StorageAdapter;
+  private rotation: Promise<RotationStatus> | null = null;
+  private readonly maxRecords: number | null;
+  private readonly sweepIntervalMs: number;
+  private stopSweeper: (() => void) | null = null;
+  private purged = 0;
+  private evicted = 0;
+
+  constructor(options: StorageOptions = {}) {
+    this.dbName = options.dbName ?? DB_NAME;
+    this.writeLock = `${this.dbName}:write`;
+    this.adapter = options.adapter ?? new IndexedDBAdapter();
+    this.maxRecords = options.maxRecords ?? null;
+    this.sweepIntervalMs = options.sweepIntervalMs ?? DEFAULT_SWEEP_INTERVAL_MS;
+  }
 
   /**
    * Initialize the storage
-   * - Creates IndexedDB database
-   * - Generates non-extractable encryption key
+   * - Opens the database through the adapter (IndexedDB upgrades older schemas)
+   * - Loads the persisted data key, or generates and persists one
+   * - Starts the expired-record sweeper
    */
   async initialize(): Promise<void> {
-    // Open IndexedDB
-    this.db = await openDB(DB_NAME, DB_VERSION, {
-      upgrade(db) {
-        if (!db.objectStoreNames.contains(STORE_NAME)) {
-          const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
-          store.createIndex('type', 'metadata.type', { unique: false });
-          store.createIndex('createdAt', 'metadata.createdAt', { unique: false });
-          store.createIndex('updatedAt', 'metadata.updatedAt', { unique: false });
-        }
-      },
-    });
+    this.db = await this.adapter.open(this.dbName, STORAGE_SCHEMA);
 
-    // Generate non-extractable encryption key
-    this.encryptionKey = await crypto.subtle.generateKey(
-      { name: 'AES-GCM', length: 256 },
-      false, // NOT extractable
-      ['encrypt', 'decrypt']
-    );
+    const dataKey = await this.ensureDataKey();
+    this.encryptionKey = dataKey.key;
+    this.kid = dataKey.kid;
+
+    if (this.sweepIntervalMs > 0) {
+      this.stopSweeper = startSweeper(() => this.sweep(), this.sweepIntervalMs);
+    }
+  }
+
+  /**
+   * ID of the data key new records are encrypted with
+   */
+  getKeyId(): string | null {
+    return this.kid;
   }
 
   /**
@@ -92,46 +305,26 @@ export class EncryptedStorage {
    * @param value - Data to store (will be encrypted)
    * @param type - Optional type tag for categorization
    * @param tags - Optional tags for filtering
+   * @param expiry - Optional TTL or absolute expiry
    */
   async set(
     key: string,
     value: any,
     type?: string,
-    tags?: string[]
+    tags?: string[],
+    expiry?: ExpiryOptions
   ): Promise<void> {
     if (!this.db || !this.encryptionKey) {
-      throw new Error('Storage not initialized');
+      throw new StorageError('not-initialized', 'Storage not initialized');
     }
 
-    // Serialize value to JSON
-    const jsonValue = JSON.stringify(value);
-    const valueBytes = new TextEncoder().encode(jsonValue);
-
-    // Generate random IV
-    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const now = Date.now();
+    const metadata = { createdAt: now, updatedAt: now, accessedAt: now, ...withExpiry(resolveExpiry(expiry, now)), type, tags };
 
-    // Encrypt the value
-    const encryptedValue = await crypto.subtle.encrypt(
-      { name: 'AES-GCM', iv },
-      this.encryptionKey,
-      valueBytes
-    );
-
-    // Create record
-    const record: EncryptedRecord = {
-      key,
-      encryptedValue,
-      iv,
-      metadata: {
-        createdAt: Date.now(),
-        updatedAt: Date.now(),
-        type,
-        tags,
-      },
-    };
-
-    // Store in IndexedDB
-    await this.db.put(STORE_NAME, record);
+    await this.withWriteLock(async () => {
+      await this.db!.put(STORE_NAME, await this.encryptRecord(key, value, metadata));
+    });
+    await this.enforceQuota();
   }
 
   /**
@@ -142,73 +335,57 @@ export class EncryptedStorage {
    */
   async get<T = any>(key: string): Promise<T | null> {
     if (!this.db || !this.encryptionKey) {
-      throw new Error('Storage not initialized');
+      throw new StorageError('not-initialized', 'Storage not initialized');
     }
 
-    const record = await this.db.get(STORE_NAME, key);
+    const record: EncryptedRecord | undefined = await this.db.get(STORE_NAME, key);
     if (!record) {
       return null;
     }
+    if (isExpired(record.metadata.expiresAt, Date.now())) {
+      await this.purge(key);
+      return null;
+    }
 
-    // Decrypt the value
-    const decryptedBytes = await crypto.subtle.decrypt(
-      { name: 'AES-GCM', iv: record.iv },
-      this.encryptionKey,
-      record.encryptedValue
-    );
-
-    // Deserialize from JSON
-    const jsonValue = new TextDecoder().decode(decryptedBytes);
-    return JSON.parse(jsonValue) as T;
+    if (this.maxRecords !== null) await this.touch(key);
+    return (await this.decryptRecord(record)) as T;
   }
 
   /**
    * Update existing data
-   * Similar to set() but preserves createdAt timestamp
+   * Similar to set() but preserves createdAt timestamp (and expiry, unless given)
    */
   async update(
     key: string,
     value: any,
     type?: string,
-    tags?: string[]
+    tags?: string[],
+    expiry?: ExpiryOptions
   ): Promise<void> {
     if (!this.db || !this.encryptionKey) {
-      throw new Error('Storage not initialized');
+      throw new StorageError('not-initialized', 'Storage not initialized');
     }
 
-    // Get existing record to preserve createdAt
-    const existingRecord = await this.db.get(STORE_NAME, key);
-    const createdAt = existingRecord?.metadata.createdAt || Date.now();
+    await this.withWriteLock(async () => {
+      // Get existing record to preserve createdAt (an expired one counts as missing)
+      const now = Date.now();
+      let existingRecord: EncryptedRecord | undefined = await this.db!.get(STORE_NAME, key);
+      if (existingRecord && isExpired(existingRecord.metadata.expiresAt, now)) existingRecord = undefined;
+      const createdAt = existingRecord?.metadata.createdAt || now;
 
-    // Serialize value to JSON
-    const jsonValue = JSON.stringify(value);
-    const valueBytes = new TextEncoder().encode(jsonValue);
-
-    // Generate random IV
-    const iv = crypto.getRandomValues(new Uint8Array(12));
-
-    // Encrypt the value
-    const encryptedValue = await crypto.subtle.encrypt(
-      { name: 'AES-GCM', iv },
-      this.encryptionKey,
-      valueBytes
-    );
-
-    // Create updated record
-    const record: EncryptedRecord = {
-      key,
-      encryptedValue,
-      iv,
-      metadata: {
+      // Create updated record
+      const record = await this.encryptRecord(key, value, {
         createdAt,
-        updatedAt: Date.now(),
+        updatedAt: now,
+        accessedAt: now,
+        ...withExpiry(expiry ? resolveExpiry(expiry, now) : existingRecord?.metadata.expiresAt),
         type: type || existingRecord?.metadata.type,
         tags: tags || existingRecord?.metadata.tags,
-      },
-    };
+      });
 
-    // Store in IndexedDB
-    await this.db.put(STORE_NAME, record);
+      await this.db!.put(STORE_NAME, record);
+    });
+    await this.enforceQuota();
   }
 
   /**
@@ -216,7 +393,7 @@ export class EncryptedStorage {
    */
   async delete(key: string): Promise<void> {
     if (!this.db) {
-      throw new Error('Storage not initialized');
+      throw new StorageError('not-initialized', 'Storage not initialized');
     }
     await this.db.delete(STORE_NAME, key);
   }
@@ -226,60 +403,145 @@ export class EncryptedStorage {
    */
   async has(key: string): Promise<boolean> {
     if (!this.db) {
-      throw new Error('Storage not initialized');
+      throw new StorageError('not-initialized', 'Storage not initialized');
     }
-    const record = await this.db.get(STORE_NAME, key);
-    return record !== undefined;
+    const record: EncryptedRecord | undefined = await this.db.get(STORE_NAME, key);
+    return record !== undefined && !isExpired(record.metadata.expiresAt, Date.now());
   }
 
   /**
-   * Query records by type or tags
+   * Query records by type, tags or date range
+   * Returns every match (subject to limit/offset); use queryPage() to paginate.
    */
   async query(options: QueryOptions = {}): Promise<Array<{ key: string; value: any }>> {
+    const page = await this.queryPage(options);
+    return page.items.map(({ key, value }) => ({ key, value }));
+  }
+
+  /**
+   * Query one page of records
+   * Candidates come from the tag, type or date indexes; metadata filters run
+   * without decrypting, and only the records in the page are decrypted.
+   *
+   * @throws StorageError 'invalid-cursor' if the cursor is malformed or from a differently ordered query
+   */
+  async queryPage<T = any>(options: QueryOptions = {}): Promise<QueryPage<T>> {
     if (!this.db || !this.encryptionKey) {
-      throw new Error('Storage not initialized');
+      throw new StorageError('not-initialized', 'Storage not initialized');
     }
 
-    let records: EncryptedRecord[];
+    const orderBy = options.orderBy ?? 'key';
+    const direction = options.direction ?? 'asc';
+    const after = options.cursor ? decodeCursor(options.cursor, orderBy, direction) : null;
+    const limit = options.limit ?? Infinity;
+    let skip = options.offset ?? 0;
+
+    // Read one extra match to know whether another page exists
+    const now = Date.now();
+    const matches = (metadata: RecordMetadata) => !isExpired(metadata.expiresAt, now) && matchesQuery(metadata, options);
+    const accept = (record: EncryptedRecord) => {
+      if (!matches(record.metadata)) return false;
+      if (skip > 0) {
+        skip--;
+        return false;
+      }
+      return true;
+    };
 
-    // Query by type if specified
-    if (options.type) {
-      const index = this.db.transaction(STORE_NAME).store.index('type');
-      records = await index.getAll(options.type);
-    } else {
-      records = await this.db.getAll(STORE_NAME);
-    }
+    const page =
+      orderBy === 'key' && options.tags && options.tags.length > 1
+        ? await this.scanTags(options.tags, direction, after, accept, limit + 1)
+        : await this.scanIndex(options, orderBy, direction, after, accept, limit + 1);
+
+    const hasMore = page.length > limit;
+    const records = hasMore ? page.slice(0, limit) : page;
+    const last = records[records.length - 1];
+
+    // Decrypt only the page (outside the read transaction)
+    const items = await Promise.all(
+      records.map(async (record) => ({
+        key: record.key,
+        value: (await this.decryptRecord(record)) as T,
+        metadata: record.metadata,
+      }))
+    );
 
-    // Filter by tags if specified
-    if (options.tags && options.tags.length > 0) {
-      records = records.filter((record) => {
-        const recordTags = record.metadata.tags || [];
-        return options.tags!.some((tag) => recordTags.includes(tag));
-      });
+    return {
+      items,
+      cursor: hasMore && last ? encodeCursor({ orderBy, direction, sortKey: sortKeyOf(last, orderBy), key: last.key }) : null,
+    };
+  }
+
+  /**
+   * Walk one index (or the store) in order, resuming after `after`
+   */
+  private async scanIndex(
+    options: QueryOptions,
+    orderBy: QueryPosition['orderBy'],
+    direction: QueryPosition['direction'],
+    after: QueryPosition | null,
+    accept: (record: EncryptedRecord) => boolean,
+    max: number
+  ): Promise<EncryptedRecord[]> {
+    const out: EncryptedRecord[] = [];
+
+    // Pick the narrowest index that still yields the requested order, and where to resume in it
+    let index: string | undefined;
+    let range: KeyRange | null = null;
+    let resumeKey: string | number | undefined = after?.key;
+    if (orderBy === 'createdAt' || orderBy === 'updatedAt') {
+      const { from = -Infinity, to = Infinity } = options[orderBy] ?? {};
+      if (from > to) return out;
+      index = orderBy;
+      range = toKeyRange(options[orderBy]);
+      resumeKey = after?.sortKey;
+    } else if (options.tags && options.tags.length === 1) {
+      index = 'tags';
+      range = onlyKey(options.tags[0]);
+      resumeKey = options.tags[0];
+    } else if (options.type) {
+      index = 'type';
+      range = onlyKey(options.type);
+      resumeKey = options.type;
     }
 
-    // Apply offset and limit
-    const offset = options.offset || 0;
-    const limit = options.limit || records.length;
-    records = records.slice(offset, offset + limit);
-
-    // Decrypt all records
-    const results = await Promise.all(
-      records.map(async (record) => {
-        const decryptedBytes = await crypto.subtle.decrypt(
-          { name: 'AES-GCM', iv: record.iv as any },
-          this.encryptionKey!,
-          record.encryptedValue
-        );
-        const jsonValue = new TextDecoder().decode(decryptedBytes);
-        return {
-          key: record.key,
-          value: JSON.parse(jsonValue),
-        };
-      })
-    );
+    // Within equal index keys, entries are ordered by primary key, so the position is (index key, record key)
+    const resume = after ? { key: resumeKey!, primaryKey: after.key } : undefined;
+    await this.db!.scan<EncryptedRecord>(STORE_NAME, { index, range, direction, after: resume }, (record) => {
+      if (accept(record)) out.push(record);
+      return out.length < max;
+    });
+    return out;
+  }
 
-    return results;
+  /**
+   * Union of several tags, ordered by record key
+   * Only primary keys are read from the tag index until a record is needed
+   */
+  private async scanTags(
+    tags: string[],
+    direction: QueryPosition['direction'],
+    after: QueryPosition | null,
+    accept: (record: EncryptedRecord) => boolean,
+    max: number
+  ): Promise<EncryptedRecord[]> {
+    return this.db!.transaction([STORE_NAME], 'readonly', async (tx) => {
+      const keys = new Set<string>();
+      for (const tag of tags) {
+        for (const key of await tx.getAllKeys(STORE_NAME, 'tags', onlyKey(tag))) keys.add(key as string);
+      }
+      let ordered = [...keys].sort();
+      if (direction === 'desc') ordered.reverse();
+      if (after) ordered = ordered.filter((key) => (direction === 'asc' ? key > after.key : key < after.key));
+
+      const out: EncryptedRecord[] = [];
+      for (const key of ordered) {
+        if (out.length >= max) break;
+        const record = await tx.get<EncryptedRecord>(STORE_NAME, key);
+        if (record && accept(record)) out.push(record);
+      }
+      return out;
+    });
   }
 
   /**
@@ -287,10 +549,9 @@ export class EncryptedStorage {
    */
   async keys(): Promise<string[]> {
     if (!this.db) {
-      throw new Error('Storage not initialized');
+      throw new StorageError('not-initialized', 'Storage not initialized');
     }
-    const records = await this.db.getAllKeys(STORE_NAME);
-    return records as string[];
+    return (await this.liveRecords()).map((record) => record.key);
   }
 
   /**
@@ -298,7 +559,7 @@ export class EncryptedStorage {
    */
   async clear(): Promise<void> {
     if (!this.db) {
-      throw new Error('Storage not initialized');
+      throw new StorageError('not-initialized', 'Storage not initialized');
     }
     await this.db.clear(STORE_NAME);
   }
@@ -306,62 +567,422 @@ export class EncryptedStorage {
   /**
    * Get storage statistics
    */
-  async getStats(): Promise<{
-    totalRecords: number;
-    typeBreakdown: Record<string, number>;
-  }> {
+  async getStats(): Promise<StorageStats> {
     if (!this.db) {
-      throw new Error('Storage not initialized');
+      throw new StorageError('not-initialized', 'Storage not initialized');
     }
 
-    const records = await this.db.getAll(STORE_NAME);
+    const records: EncryptedRecord[] = await this.db.getAll(STORE_NAME);
+    const now = Date.now();
     const typeBreakdown: Record<string, number> = {};
+    let live = 0;
 
     for (const record of records) {
+      if (isExpired(record.metadata.expiresAt, now)) continue;
+      live++;
       const type = record.metadata.type || 'untyped';
       typeBreakdown[type] = (typeBreakdown[type] || 0) + 1;
     }
 
     return {
-      totalRecords: records.length,
+      totalRecords: live,
       typeBreakdown,
+      expired: records.length - live,
+      purged: this.purged,
+      evicted: this.evicted,
     };
   }
 
   /**
-   * Export all data (encrypted) for backup
-   * Returns encrypted data that can be re-imported
+   * Delete every expired record now (the background sweeper calls this)
+   * @returns number of records deleted
    */
-  async export(): Promise<EncryptedRecord[]> {
+  async sweep(): Promise<number> {
     if (!this.db) {
-      throw new Error('Storage not initialized');
+      throw new StorageError('not-initialized', 'Storage not initialized');
     }
-    return await this.db.getAll(STORE_NAME);
+    const removed = await this.db.transaction([STORE_NAME], 'readwrite', (tx) =>
+      deleteFromIndex(tx, 'expiresAt', { upper: Date.now() }, Infinity)
+    );
+    this.purged += removed;
+    return removed;
   }
 
   /**
-   * Import encrypted data from backup
-   * Note: This requires the same encryption key, so only works in same session
+   * Evict beyond maxRecords: expired records first, then least recently used
    */
-  async import(records: EncryptedRecord[]): Promise<void> {
-    if (!this.db) {
-      throw new Error('Storage not initialized');
+  private async enforceQuota(): Promise<void> {
+    if (this.maxRecords === null) return;
+    const maxRecords = this.maxRecords;
+    const removed = await this.db!.transaction([STORE_NAME], 'readwrite', async (tx) => {
+      const excess = (await tx.count(STORE_NAME)) - maxRecords;
+      const expired = await deleteFromIndex(tx, 'expiresAt', { upper: Date.now() }, excess);
+      const evicted = await deleteFromIndex(tx, 'accessedAt', null, excess - expired);
+      return { expired, evicted };
+    });
+    this.purged += removed.expired;
+    this.evicted += removed.evicted;
+  }
+
+  /**
+   * Record a read for LRU order (on the current record, which may have been rewritten)
+   */
+  private async touch(key: string): Promise<void> {
+    await this.db!.transaction([STORE_NAME], 'readwrite', async (tx) => {
+      const current = await tx.get<EncryptedRecord>(STORE_NAME, key);
+      if (current) {
+        current.metadata.accessedAt = Date.now();
+        await tx.put(STORE_NAME, current);
+      }
+    });
+  }
+
+  /**
+   * Delete a record found expired on read (unless it was rewritten meanwhile)
+   */
+  private async purge(key: string): Promise<void> {
+    const purged = await this.db!.transaction([STORE_NAME], 'readwrite', async (tx) => {
+      const current = await tx.get<EncryptedRecord>(STORE_NAME, key);
+      if (!current || !isExpired(current.metadata.expiresAt, Date.now())) return false;
+      await tx.delete(STORE_NAME, key);
+      return true;
+    });
+    if (purged) this.purged++;
+  }
+
+  private async liveRecords(): Promise<EncryptedRecord[]> {
+    const now = Date.now();
+    const records: EncryptedRecord[] = await this.db!.getAll(STORE_NAME);
+    return records.filter((record) => !isExpired(record.metadata.expiresAt, now));
+  }
+
+  /**
+   * Export all data as a portable encrypted bundle
+   * Records are decrypted locally and sealed under `secret` (an AES-GCM key or
+   * a passphrase); the local data key never leaves this device.
+   */
+  async export(secret: BundleSecret): Promise<SealedBundle> {
+    if (!this.db || !this.encryptionKey) {
+      throw new StorageError('not-initialized', 'Storage not initialized');
+    }
+
+    const records = await this.liveRecords();
+    const payload: StorageBundlePayload = {
+      count: records.length,
+      records: await Promise.all(
+        records.map(async (record) => ({
+          key: record.key,
+          value: await this.decryptRecord(record),
+          metadata: record.metadata,
+        }))
+      ),
+    };
+    return sealBundle(STORAGE_BUNDLE_FORMAT, payload, secret);
+  }
+
+  /**
+   * Import a bundle from export(), on this or another device
+   * Verifies the whole bundle, then re-encrypts every record under the local
+   * data key. Existing records with the same key are replaced.
+   *
+   * @returns number of records imported
+   * @throws BundleError if the bundle is malformed, tampered, or the secret is wrong
+   */
+  async import(bundle: SealedBundle, secret: BundleSecret): Promise<number> {
+    if (!this.db || !this.encryptionKey) {
+      throw new StorageError('not-initialized', 'Storage not initialized');
+    }
+
+    const payload = await openBundle<StorageBundlePayload>(bundle, STORAGE_BUNDLE_FORMAT, secret);
+    if (!Array.isArray(payload?.records) || payload.records.length !== payload.count) {
+      throw new StorageError('invalid-bundle', 'Bundle record count mismatch');
+    }
+
+    const count = await this.withWriteLock(async () => {
+      const records = await Promise.all(
+        payload.records.map((r) =>
+          this.encryptRecord(r.key, r.value, { ...r.metadata, accessedAt: r.metadata.accessedAt ?? r.metadata.updatedAt })
+        )
+      );
+      await this.db!.transaction([STORE_NAME], 'readwrite', (tx) => Promise.all(records.map((record) => tx.put(STORE_NAME, record))));
+      return records.length;
+    });
+    await this.enforceQuota();
+    return count;
+  }
+
+  /**
+   * Generate a new data key version and re-encrypt every record under it
+   * New writes use the new key immediately; older keys are deleted once no
+   * record needs them. An interrupted rotation continues with resumeRotation().
+   */
+  async rotate(options: RotationOptions = {}): Promise<RotationStatus> {
+    if (!this.db || !this.encryptionKey) {
+      throw new StorageError('not-initialized', 'Storage not initialized');
+    }
+    if (this.rotation) await this.rotation.catch(() => {});
+
+    // Versioned under the write lock, so two instances rotating at once don't both pick the same version
+    const dataKey = await withWebLock(this.writeLock, async () => {
+      const records: DataKeyRecord[] = await this.db!.getAll(KEY_STORE);
+      return this.generateDataKey(Math.max(0, ...records.map((r) => r.version)) + 1);
+    });
+    this.encryptionKey = dataKey.key;
+    this.kid = dataKey.kid;
+    return this.resumeRotation(options);
+  }
+
+  /**
+   * Re-encrypt records still on an older data key (e.g. after a reload or abort)
+   */
+  async resumeRotation(options: RotationOptions = {}): Promise<RotationStatus> {
+    if (!this.db || !this.encryptionKey) {
+      throw new StorageError('not-initialized', 'Storage not initialized');
+    }
+    if (!this.rotation) {
+      this.rotation = runRotation(this.rotationTarget(), options).finally(() => {
+        this.rotation = null;
+      });
+    }
+    return this.rotation;
+  }
+
+  /**
+   * Which records are still encrypted with an older data key
+   */
+  async getRotationStatus(): Promise<RotationStatus> {
+    if (!this.db || !this.encryptionKey) {
+      throw new StorageError('not-initialized', 'Storage not initialized');
+    }
+    return rotationStatus(this.rotationTarget());
+  }
+
+  private rotationTarget(): RotationTarget<EncryptedRecord> {
+    const db = this.db!;
+    return {
+      kid: this.kid!,
+      // v1 records have no data key to migrate from
+      list: async () => ((await db.getAll(STORE_NAME)) as EncryptedRecord[]).filter((r) => r.kid),
+      describe: (record) => ({ id: record.key, kid: record.kid }),
+      migrate: async (record) => {
+        const next = await this.encryptRecord(record.key, await this.decryptRecord(record), record.metadata);
+
+        return db.transaction([STORE_NAME], 'readwrite', async (tx) => {
+          const current = await tx.get<EncryptedRecord>(STORE_NAME, record.key);
+          const unchanged = !!current && current.kid === record.kid && sameBytes(current.iv, record.iv);
+          if (unchanged) await tx.put(STORE_NAME, next);
+          return unchanged;
+        });
+      },
+      listKids: async () => (await db.getAllKeys(KEY_STORE)) as string[],
+      // Under the write lock, so an instance still writing with `kid` either finishes first or sees it gone
+      retire: (kid) =>
+        withWebLock(this.writeLock, async () => {
+          const records: EncryptedRecord[] = await db.getAll(STORE_NAME);
+          if (!records.some((r) => r.kid === kid)) await db.delete(KEY_STORE, kid);
+        }),
+    };
+  }
+
+  /**
+   * Encrypt a value under the current data key, bound to its record key
+   */
+  private async encryptRecord(key: string, value: any, metadata: RecordMetadata): Promise<EncryptedRecord> {
+    // Serialize value to JSON
+    const valueBytes = new TextEncoder().encode(JSON.stringify(value));
+
+    // Generate random IV
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+
+    // Encrypt the value
+    const encryptedValue = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: recordAAD(this.kid!, key) },
+      this.encryptionKey!,
+      valueBytes
+    );
+
+    return {
+      key,
+      encryptedValue,
+      iv,
+      kid: this.kid!,
+      version: RECORD_VERSION,
+      metadata,
+    };
+  }
+
+  /**
+   * Decrypt a record with the data key that encrypted it
+   */
+  private async decryptRecord(record: EncryptedRecord): Promise<any> {
+    const dataKey = await this.dataKeyFor(record);
+    const decryptedBytes = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: record.iv as any, additionalData: recordAAD(record.kid, record.key) },
+      dataKey,
+      record.encryptedValue
+    );
+
+    // Deserialize from JSON
+    return JSON.parse(new TextDecoder().decode(decryptedBytes));
+  }
+
+  private async dataKeyFor(record: EncryptedRecord): Promise<CryptoKey> {
+    if (!record.kid) {
+      throw new StorageError('data-key-missing', `Record ${record.key} predates persistent data keys and cannot be decrypted`);
+    }
+    if (record.kid === this.kid) return this.encryptionKey!;
+
+    const dataKey: DataKeyRecord | undefined = await this.db!.get(KEY_STORE, record.kid);
+    if (!dataKey) {
+      throw new StorageError('data-key-missing', `Data key ${record.kid} not found`);
     }
+    await verifyDataKey(dataKey);
+    return dataKey.key;
+  }
 
-    const tx = this.db.transaction(STORE_NAME, 'readwrite');
-    await Promise.all(records.map((record) => tx.store.put(record)));
-    await tx.done;
+  /**
+   * Run a write under the database's write lock, with the newest data key current
+   * (another instance may have rotated since this one loaded it)
+   */
+  private withWriteLock<T>(fn: () => Promise<T>): Promise<T> {
+    return withWebLock(this.writeLock, async () => {
+      const latest = await this.ensureDataKey();
+      if (latest.kid !== this.kid) {
+        this.encryptionKey = latest.key;
+        this.kid = latest.kid;
+      }
+      return fn();
+    });
+  }
+
+  /**
+   * Load the newest persisted data key, or generate and persist one
+   */
+  private async ensureDataKey(): Promise<DataKeyRecord> {
+    const records: DataKeyRecord[] = await this.db!.getAll(KEY_STORE);
+    if (records.length > 0) {
+      const latest = records.reduce((a, b) => (b.version > a.version ? b : a));
+      await verifyDataKey(latest);
+      return latest;
+    }
+    return this.generateDataKey(1);
+  }
+
+  /**
+   * Generate and persist a data key with the given version
+   */
+  private async generateDataKey(version: number): Promise<DataKeyRecord> {
+    const key = await crypto.subtle.generateKey(
+      { name: 'AES-GCM', length: 256 },
+      !this.db!.storesCryptoKeys, // NOT extractable (unless the adapter must export it to persist it)
+      ['encrypt', 'decrypt']
+    );
+    const kid = `dk_${Array.from(crypto.getRandomValues(new Uint8Array(8)), (b) => b.toString(16).padStart(2, '0')).join('')}`;
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ct = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(`storage-check|${kid}`) },
+      key,
+      new TextEncoder().encode(CHECK_PLAINTEXT)
+    );
+    const record: DataKeyRecord = { kid, version, key, createdAt: Date.now(), check: { iv, ct } };
+    await this.db!.put(KEY_STORE, record);
+    return record;
   }
 
   /**
    * Close the storage and clean up
    */
   async close(): Promise<void> {
+    this.stopSweeper?.();
+    this.stopSweeper = null;
     if (this.db) {
       this.db.close();
       this.db = null;
     }
     this.encryptionKey = null;
+    this.kid = null;
+  }
+}
+
+/** Omit expiresAt entirely when unset, so the record stays out of the expiry index */
+function withExpiry(expiresAt: number | undefined): Pick<RecordMetadata, 'expiresAt'> {
+  return expiresAt === undefined ? {} : { expiresAt };
+}
+
+/**
+ * Delete up to `max` records in index order
+ */
+async function deleteFromIndex(tx: StoreOperations, index: string, range: KeyRange | null, max: number): Promise<number> {
+  if (max <= 0) return 0;
+  const keys: Array<string | number> = [];
+  await tx.scan(STORE_NAME, { index, range }, (_record, { primaryKey }) => {
+    keys.push(primaryKey);
+    return keys.length < max;
+  });
+  for (const key of keys) await tx.delete(STORE_NAME, key);
+  return keys.length;
+}
+
+function matchesQuery(metadata: RecordMetadata, options: QueryOptions): boolean {
+  if (options.type && metadata.type !== options.type) return false;
+  if (options.tags && options.tags.length > 0) {
+    const recordTags = metadata.tags || [];
+    if (!options.tags.some((tag) => recordTags.includes(tag))) return false;
+  }
+  return inDateRange(metadata.createdAt, options.createdAt) && inDateRange(metadata.updatedAt, options.updatedAt);
+}
+
+function inDateRange(value: number, range?: DateRange): boolean {
+  if (!range) return true;
+  return (range.from === undefined || value >= range.from) && (range.to === undefined || value <= range.to);
+}
+
+function toKeyRange(range?: DateRange): KeyRange | null {
+  if (range?.from === undefined && range?.to === undefined) return null;
+  return { lower: range.from, upper: range.to };
+}
+
+function sortKeyOf(record: EncryptedRecord, orderBy: QueryPosition['orderBy']): string | number {
+  return orderBy === 'key' ? record.key : record.metadata[orderBy];
+}
+
+function encodeCursor(position: QueryPosition): string {
+  return btoa(JSON.stringify([1, position.orderBy, position.direction, position.sortKey, position.key]));
+}
+
+function decodeCursor(cursor: string, orderBy: QueryPosition['orderBy'], direction: QueryPosition['direction']): QueryPosition {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(atob(cursor));
+  } catch {
+    throw new StorageError('invalid-cursor', 'Malformed query cursor');
+  }
+  if (!Array.isArray(parsed) || parsed[0] !== 1 || typeof parsed[4] !== 'string') {
+    throw new StorageError('invalid-cursor', 'Malformed query cursor');
+  }
+  if (parsed[1] !== orderBy || parsed[2] !== direction) {
+    throw new StorageError('invalid-cursor', 'Cursor belongs to a query with a different order');
+  }
+  return { orderBy, direction, sortKey: parsed[3], key: parsed[4] };
+}
+
+function recordAAD(kid: string, key: string) {
+  return new TextEncoder().encode(`storage|${kid}|${key}`);
+}
+
+/**
+ * Integrity check: the stored check value must decrypt under this data key
+ */
+async function verifyDataKey(record: DataKeyRecord): Promise<void> {
+  try {
+    const pt = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: new Uint8Array(record.check.iv), additionalData: new TextEncoder().encode(`storage-check|${record.kid}`) },
+      record.key,
+      record.check.ct
+    );
+    if (new TextDecoder().decode(pt) !== CHECK_PLAINTEXT) throw new Error('check mismatch');
+  } catch {
+    throw new StorageError('data-key-mismatch', `Data key ${record.kid} failed its integrity check`);
   }
 }
 
@@ -0,0 +1,109 @@
+/**
+ * Tab sync - coordination between instances that share a database
+ *
+ * Several tabs (or workers) of one origin may open the same Keystore, Vault or
+ * UserLock database. Two primitives keep them coherent:
+ * - withWebLock(): multi-step mutations run under a Web Lock named after the
+ *   database, so instances take turns instead of interleaving writes. Where
+ *   navigator.locks is unavailable, calls are queued within this page only.
+ * - ChangeFeed: a BroadcastChannel change feed. Listeners see every change,
+ *   with `remote: true` when another instance made it, so each instance can
+ *   refresh what it caches in memory (current key, lock state).
+ *
+ * Single reads and writes stay plain IndexedDB transactions; they are atomic
+ * across tabs already.
+ */
+
+export type ChangeEvent<E> = E & { remote: boolean };
+export type ChangeListener<E> = (event: ChangeEvent<E>) => void;
+
+// Fallback queues for environments without the Web Locks API
+const localQueues = new Map<string, Promise<unknown>>();
+
+/**
+ * Run `fn` while holding the exclusive lock `name`
+ * Not reentrant: `fn` must not request the same lock.
+ */
+export async function withWebLock<T>(name: string, fn: () => Promise<T>): Promise<T> {
+  const locks: LockManager | undefined = (globalThis as any).navigator?.locks;
+  if (locks?.request) {
+    return locks.request(name, fn) as Promise<T>;
+  }
+
+  const run = (localQueues.get(name) ?? Promise.resolve()).then(fn);
+  const settled = run.catch(() => {});
+  localQueues.set(name, settled);
+  settled.then(() => {
+    if (localQueues.get(name) === settled) localQueues.delete(name);
+  });
+  return run;
+}
+
+/**
+ * Change notifications for one database, shared with every instance that opens it
+ */
+export class ChangeFeed<E extends object> {
+  private channel: BroadcastChannel | null = null;
+  private listeners = new Set<ChangeListener<E>>();
+  private received: Promise<void> = Promise.resolve();
+
+  /**
+   * @param name - Channel name (derive it from the database name)
+   * @param broadcast - Share changes with other instances (default true)
+   * @param onRemote - Runs before listeners for changes made elsewhere
+   */
+  constructor(name: string, broadcast = true, private readonly onRemote?: (event: E) => void | Promise<void>) {
+    if (broadcast && typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(name);
+      // Apply remote changes one at a time, in the order they were sent
+      this.channel.onmessage = (message) => {
+        this.received = this.received.then(() => this.receive(message.data as E));
+      };
+      // Don't keep Node (tests, SSR) alive just for the channel
+      (this.channel as any).unref?.();
+    }
+  }
+
+  /**
+   * Notify local listeners and other instances
+   */
+  publish(event: E): void {
+    this.emit({ ...event, remote: false });
+    try {
+      this.channel?.postMessage(event);
+    } catch {
+      // The change is already committed; other instances catch up on their next write
+    }
+  }
+
+  subscribe(listener: ChangeListener<E>): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  close(): void {
+    this.channel?.close();
+    this.channel = null;
+    this.listeners.clear();
+  }
+
+  private async receive(event: E): Promise<void> {
+    if (!this.channel) return;
+    try {
+      await this.onRemote?.(event);
+    } catch {
+      // A failed refresh is retried by the next write (see callers)
+    }
+    if (this.channel) this.emit({ ...event, remote: true });
+  }
+
+  private emit(event: ChangeEvent<E>): void {
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch {
+        // One broken listener must not starve the others
+      }
+    }
+  }
+}
@@ -0,0 +1,516 @@
+/**
+ * UserLock - optional user-presence layer for Keystore and Vault
+ *
+ * Without this layer, keys are protected only by a browser-held master key:
+ * any same-origin script can ask the keystore to sign. With it, records are
+ * additionally encrypted by a record key (DEK) that only exists in memory
+ * while the lock is unlocked.
+ *
+ * Design:
+ * - A random AES-GCM record key encrypts the outer layer of every record
+ * - The record key is wrapped by key-encryption keys derived from the user:
+ *   - passphrase: PBKDF2-SHA256 (tunable iterations) or Argon2id (caller-supplied WASM)
+ *   - WebAuthn PRF: HKDF-SHA256 over the authenticator's PRF output
+ * - Re-keying re-wraps the record key only; records are not re-encrypted
+ * - Auto-lock drops the record key after an idle period
+ * - Instances on the same database (other tabs) follow each other: lock() locks
+ *   them all, and unlocking shares the non-extractable record key over a
+ *   BroadcastChannel (tab-sync.ts). Auto-lock stays per tab, so an idle tab
+ *   never locks one in use. Enabling and re-keying run under a per-database
+ *   Web Lock on the persisted state, so tabs never overwrite each other's wrappings.
+ *
+ * IMPORTANT: While unlocked, same-origin script can use the record key like
+ * any other. The layer proves user presence at unlock time, nothing more.
+ */
+
+import type { Migration } from './migrations.js';
+import type { AdapterConnection, DatabaseSchema, StorageAdapter } from './storage-adapter.js';
+import { IndexedDBAdapter } from './indexeddb-adapter.js';
+import { ChangeFeed, withWebLock } from './tab-sync.js';
+
+const DB_NAME = 'soft-enclave-user-lock';
+const STATE_STORE = 'state';
+const STATE_ID = 'user-lock';
+const STATE_VERSION = 1;
+
+const USER_LOCK_MIGRATIONS: Migration[] = [
+  {
+    version: 1,
+    description: 'lock state store',
+    upgrade({ db }) {
+      db.createObjectStore(STATE_STORE, { keyPath: 'id' });
+    },
+  },
+];
+
+/**
+ * Current shape of the lock database, for non-IndexedDB adapters
+ */
+export const USER_LOCK_SCHEMA: DatabaseSchema = {
+  stores: [{ name: STATE_STORE, keyPath: 'id' }],
+  migrations: USER_LOCK_MIGRATIONS,
+};
+
+/** OWASP 2023 recommendation for PBKDF2-HMAC-SHA256 */
+export const DEFAULT_PBKDF2_ITERATIONS = 600_000;
+/** Most PBKDF2 iterations accepted from a file (backup, bundle), checked before deriving */
+export const MAX_PBKDF2_ITERATIONS = 10 * DEFAULT_PBKDF2_ITERATIONS;
+const DEFAULT_AUTO_LOCK_MS = 5 * 60 * 1000;
+const HKDF_INFO = 'soft-enclave-user-lock';
+
+export type UnlockMethod = 'passphrase' | 'prf';
+
+/**
+ * Secret presented by the user
+ * - passphrase: typed by the user
+ * - prf: WebAuthn PRF output (see getWebAuthnPrfOutput)
+ */
+export type UnlockSecret = { passphrase: string } | { prf: Uint8Array };
+
+export type KdfParams =
+  | { algorithm: 'PBKDF2'; hash: 'SHA-256'; iterations: number }
+  | { algorithm: 'Argon2id'; memoryKiB: number; iterations: number; parallelism: number }
+  | { algorithm: 'HKDF'; hash: 'SHA-256' };
+
+/**
+ * Argon2id implementation (e.g. from an Argon2 WASM build); must return 32 bytes
+ */
+export type Argon2idFunction = (
+  password: Uint8Array,
+  salt: Uint8Array,
+  params: { memoryKiB: number; iterations: number; parallelism: number; hashLength: number }
+) => Promise<Uint8Array>;
+
+/**
+ * Record key wrapped under one unlock method
+ */
+export interface KeyWrapping {
+  method: UnlockMethod;
+  kdf: KdfParams;
+  salt: Uint8Array;
+  iv: Uint8Array;
+  wrapped: ArrayBuffer;
+  createdAt: number;
+}
+
+interface UserLockState {
+  id: typeof STATE_ID;
+  version: number;
+  createdAt: number;
+  wrappings: Partial<Record<UnlockMethod, KeyWrapping>>;
+}
+
+export interface UserLockOptions {
+  dbName?: string;             // default: 'soft-enclave-user-lock'
+  autoLockMs?: number;         // idle time before auto-lock (default 5 min, 0 = never)
+  argon2id?: Argon2idFunction; // required for Argon2id KDF params
+  sync?: boolean;              // follow lock/unlock in other tabs (default true)
+  adapter?: StorageAdapter;    // where the lock state lives (default: IndexedDB)
+}
+
+/**
+ * Lock transitions shared between instances (the key never leaves the origin)
+ */
+type LockSyncMessage = { type: 'lock' } | { type: 'unlock'; key: CryptoKey } | { type: 'state' };
+
+export type UserLockErrorCode =
+  | 'not-initialized'
+  | 'not-enabled'
+  | 'already-enabled'
+  | 'locked'
+  | 'bad-secret'
+  | 'method-not-enrolled'
+  | 'unsupported-kdf'
+  | 'prf-unavailable';
+
+export class UserLockError extends Error {
+  code: UserLockErrorCode;
+
+  constructor(code: UserLockErrorCode, message: string) {
+    super(message);
+    this.name = 'UserLockError';
+    this.code = code;
+  }
+}
+
+/**
+ * Encrypted outer layer of a record
+ */
+export interface LockedLayer {
+  iv: Uint8Array;
+  ct: Uint8Array;
+}
+
+export type LockChangeListener = (locked: boolean) => void;
+
+/**
+ * User-presence lock shared by Keystore and Vault
+ */
+export class UserLock {
+  private db: AdapterConnection | null = null;
+  private state: UserLockState | null = null;
+  private recordKey: CryptoKey | null = null;
+  private idleTimer: ReturnType<typeof setTimeout> | null = null;
+  private listeners = new Set<LockChangeListener>();
+  private readonly dbName: string;
+  private readonly autoLockMs: number;
+  private readonly argon2id?: Argon2idFunction;
+  private readonly sync: boolean;
+  private readonly adapter: StorageAdapter;
+  private peers: ChangeFeed<LockSyncMessage> | null = null;
+
+  constructor(options: UserLockOptions = {}) {
+    this.dbName = options.dbName ?? DB_NAME;
+    this.autoLockMs = options.autoLockMs ?? DEFAULT_AUTO_LOCK_MS;
+    this.argon2id = options.argon2id;
+    this.sync = options.sync ?? true;
+    this.adapter = options.adapter ?? new IndexedDBAdapter();
+  }
+
+  /**
+   * Load persisted lock state (starts locked)
+   */
+  async initialize(): Promise<void> {
+    this.db = await this.adapter.open(this.dbName, USER_LOCK_SCHEMA);
+    this.state = (await this.db.get<UserLockState>(STATE_STORE, STATE_ID)) ?? null;
+    if (this.sync) {
+      this.peers = new ChangeFeed<LockSyncMessage>(`${this.dbName}:lock`, true, (message) => this.receive(message));
+    }
+  }
+
+  /**
+   * Whether a user secret has been enrolled
+   */
+  isEnabled(): boolean {
+    return !!this.state;
+  }
+
+  /**
+   * Locked = enabled and the record key is not in memory
+   */
+  isLocked(): boolean {
+    return this.isEnabled() && !this.recordKey;
+  }
+
+  /**
+   * Enrolled unlock methods
+   */
+  getMethods(): UnlockMethod[] {
+    return Object.keys(this.state?.wrappings ?? {}) as UnlockMethod[];
+  }
+
+  /**
+   * Enable the layer with a first secret; the lock is unlocked afterwards
+   */
+  async enable(secret: UnlockSecret, kdf?: KdfParams): Promise<void> {
+    const db = this.requireDb();
+
+    // Extractable only so it can be wrapped; the in-memory copy is not
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    await this.withWriteLock(async () => {
+      // Another tab may have enabled the lock since we loaded the state
+      await this.reloadState(db);
+      if (this.state) throw new UserLockError('already-enabled', 'User lock is already enabled');
+
+      const wrapping = await this.wrapRecordKey(key, secret, kdf);
+      const state: UserLockState = {
+        id: STATE_ID,
+        version: STATE_VERSION,
+        createdAt: Date.now(),
+        wrappings: { [wrapping.method]: wrapping },
+      };
+      await db.put(STATE_STORE, state);
+      this.state = state;
+    });
+
+    // Keep a non-extractable copy in memory (avoids running the KDF twice)
+    const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    try {
+      this.setRecordKey(await crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']));
+    } finally {
+      raw.fill(0);
+    }
+    this.peers?.publish({ type: 'unlock', key: this.recordKey! });
+  }
+
+  /**
+   * Unlock with any enrolled secret
+   */
+  async unlock(secret: UnlockSecret): Promise<void> {
+    const wrapping = this.wrappingFor(secret);
+    this.setRecordKey(await this.unwrapRecordKey(wrapping, secret, false));
+    this.peers?.publish({ type: 'unlock', key: this.recordKey! });
+  }
+
+  /**
+   * Drop the record key from memory, here and in other tabs
+   */
+  lock(): void {
+    this.dropRecordKey();
+    this.peers?.publish({ type: 'lock' });
+  }
+
+  /**
+   * Re-key: wrap the record key under `next`, replacing any wrapping of the
+   * same method. `current` must be an enrolled secret. Records are untouched.
+   */
+  async rekey(current: UnlockSecret, next: UnlockSecret, kdf?: KdfParams): Promise<void> {
+    const db = this.requireDb();
+    await this.withWriteLock(async () => {
+      // Start from the persisted wrappings: another tab may have re-keyed since we loaded them
+      await this.reloadState(db);
+      const key = await this.unwrapRecordKey(this.wrappingFor(current), current, true);
+      const wrapping = await this.wrapRecordKey(key, next, kdf);
+
+      const state: UserLockState = {
+        ...this.state!,
+        wrappings: { ...this.state!.wrappings, [wrapping.method]: wrapping },
+      };
+      await db.put(STATE_STORE, state);
+      this.state = state;
+    });
+    this.touch();
+    this.peers?.publish({ type: 'state' });
+  }
+
+  /**
+   * Reset the idle timer (called on every use)
+   */
+  touch(): void {
+    if (!this.recordKey) return;
+    this.clearIdleTimer();
+    if (this.autoLockMs > 0) {
+      this.idleTimer = setTimeout(() => this.dropRecordKey(), this.autoLockMs);
+    }
+  }
+
+  /**
+   * Subscribe to lock/unlock transitions
+   */
+  onLockChange(listener: LockChangeListener): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Encrypt a record's outer layer (requires unlocked)
+   */
+  async encrypt(data: Uint8Array, aad: string): Promise<LockedLayer> {
+    const key = this.requireUnlocked();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ct = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(aad) },
+      key,
+      data as any
+    );
+    this.touch();
+    return { iv, ct: new Uint8Array(ct) };
+  }
+
+  /**
+   * Decrypt a record's outer layer (requires unlocked)
+   */
+  async decrypt(layer: LockedLayer, aad: string): Promise<Uint8Array> {
+    const key = this.requireUnlocked();
+    const pt = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: new Uint8Array(layer.iv), additionalData: new TextEncoder().encode(aad) },
+      key,
+      new Uint8Array(layer.ct)
+    );
+    this.touch();
+    return new Uint8Array(pt);
+  }
+
+  /**
+   * Lock and close the database
+   */
+  async close(): Promise<void> {
+    // Closing one tab doesn't lock the others
+    this.dropRecordKey();
+    this.peers?.close();
+    this.peers = null;
+    this.listeners.clear();
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    this.state = null;
+  }
+
+  private requireDb(): AdapterConnection {
+    if (!this.db) throw new UserLockError('not-initialized', 'User lock not initialized');
+    return this.db;
+  }
+
+  private requireUnlocked(): CryptoKey {
+    if (!this.state) throw new UserLockError('not-enabled', 'User lock is not enabled');
+    if (!this.recordKey) throw new UserLockError('locked', 'User lock is locked');
+    return this.recordKey;
+  }
+
+  private wrappingFor(secret: UnlockSecret): KeyWrapping {
+    this.requireDb();
+    if (!this.state) throw new UserLockError('not-enabled', 'User lock is not enabled');
+    const method = methodOf(secret);
+    const wrapping = this.state.wrappings[method];
+    if (!wrapping) throw new UserLockError('method-not-enrolled', `No ${method} secret is enrolled`);
+    return wrapping;
+  }
+
+  private setRecordKey(key: CryptoKey): void {
+    const wasLocked = !this.recordKey;
+    this.recordKey = key;
+    this.touch();
+    if (wasLocked) this.emit(false);
+  }
+
+  private dropRecordKey(): void {
+    this.clearIdleTimer();
+    if (!this.recordKey) return;
+    this.recordKey = null;
+    this.emit(true);
+  }
+
+  /**
+   * Apply a transition made by another instance
+   */
+  private async receive(message: LockSyncMessage): Promise<void> {
+    if (message.type === 'lock') {
+      this.dropRecordKey();
+      return;
+    }
+    if (!this.db) return;
+    // Enrollment or re-keying elsewhere changed the persisted wrappings
+    await this.reloadState(this.db);
+    if (message.type === 'unlock' && this.state) this.setRecordKey(message.key);
+  }
+
+  private async reloadState(db: AdapterConnection): Promise<void> {
+    this.state = (await db.get<UserLockState>(STATE_STORE, STATE_ID)) ?? null;
+  }
+
+  /**
+   * Changes to the persisted state, serialized across tabs
+   */
+  private withWriteLock<T>(fn: () => Promise<T>): Promise<T> {
+    return withWebLock(`${this.dbName}:write`, fn);
+  }
+
+  private clearIdleTimer(): void {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  private emit(locked: boolean): void {
+    for (const listener of this.listeners) listener(locked);
+  }
+
+  private async wrapRecordKey(key: CryptoKey, secret: UnlockSecret, kdf?: KdfParams): Promise<KeyWrapping> {
+    const method = methodOf(secret);
+    const params = kdf ?? defaultKdf(method);
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const kek = await this.deriveKek(secret, params, salt);
+    const wrapped = await crypto.subtle.wrapKey('raw', key, kek, {
+      name: 'AES-GCM',
+      iv,
+      additionalData: new TextEncoder().encode(`user-lock|${method}`),
+    });
+    return { method, kdf: params, salt, iv, wrapped, createdAt: Date.now() };
+  }
+
+  private async unwrapRecordKey(wrapping: KeyWrapping, secret: UnlockSecret, extractable: boolean): Promise<CryptoKey> {
+    const kek = await this.deriveKek(secret, wrapping.kdf, new Uint8Array(wrapping.salt));
+    try {
+      return await crypto.subtle.unwrapKey(
+        'raw',
+        wrapping.wrapped,
+        kek,
+        { name: 'AES-GCM', iv: new Uint8Array(wrapping.iv), additionalData: new TextEncoder().encode(`user-lock|${wrapping.method}`) },
+        { name: 'AES-GCM' },
+        extractable,
+        ['encrypt', 'decrypt']
+      );
+    } catch {
+      throw new UserLockError('bad-secret', `Incorrect ${wrapping.method}`);
+    }
+  }
+
+  /**
+   * Derive the key-encryption key for a secret
+   */
+  private async deriveKek(secret: UnlockSecret, kdf: KdfParams, salt: Uint8Array<ArrayBuffer>): Promise<CryptoKey> {
+    const usages: KeyUsage[] = ['wrapKey', 'unwrapKey'];
+    const aes = { name: 'AES-GCM', length: 256 };
+
+    if ('passphrase' in secret) {
+      const password = new TextEncoder().encode(secret.passphrase.normalize('NFKC'));
+      if (kdf.algorithm === 'PBKDF2') {
+        const base = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey({ name: 'PBKDF2', salt, iterations: kdf.iterations, hash: kdf.hash }, base, aes, false, usages);
+      }
+      if (kdf.algorithm === 'Argon2id') {
+        if (!this.argon2id) throw new UserLockError('unsupported-kdf', 'Argon2id requires an argon2id implementation');
+        const raw = await this.argon2id(password, salt, {
+          memoryKiB: kdf.memoryKiB,
+          iterations: kdf.iterations,
+          parallelism: kdf.parallelism,
+          hashLength: 32,
+        });
+        try {
+          return await crypto.subtle.importKey('raw', raw as any, aes, false, usages);
+        } finally {
+          raw.fill(0);
+        }
+      }
+    } else if (kdf.algorithm === 'HKDF') {
+      const base = await crypto.subtle.importKey('raw', secret.prf as any, 'HKDF', false, ['deriveKey']);
+      return crypto.subtle.deriveKey(
+        { name: 'HKDF', hash: kdf.hash, salt, info: new TextEncoder().encode(HKDF_INFO) },
+        base,
+        aes,
+        false,
+        usages
+      );
+    }
+    throw new UserLockError('unsupported-kdf', `${kdf.algorithm} cannot be used with a ${methodOf(secret)} secret`);
+  }
+}
+
+function methodOf(secret: UnlockSecret): UnlockMethod {
+  return 'passphrase' in secret ? 'passphrase' : 'prf';
+}
+
+function defaultKdf(method: UnlockMethod): KdfParams {
+  return method === 'passphrase'
+    ? { algorithm: 'PBKDF2', hash: 'SHA-256', iterations: DEFAULT_PBKDF2_ITERATIONS }
+    : { algorithm: 'HKDF', hash: 'SHA-256' };
+}
+
+/**
+ * Evaluate the WebAuthn PRF extension for an existing credential
+ * The same credential and salt always yield the same 32-byte output.
+ */
+export async function getWebAuthnPrfOutput(options: {
+  credentialId: BufferSource;
+  salt: BufferSource;
+  rpId?: string;
+  timeout?: number;
+}): Promise<Uint8Array> {
+  const credential = (await navigator.credentials.get({
+    publicKey: {
+      challenge: crypto.getRandomValues(new Uint8Array(32)),
+      allowCredentials: [{ type: 'public-key', id: options.credentialId }],
+      rpId: options.rpId,
+      timeout: options.timeout,
+      userVerification: 'required',
+      extensions: { prf: { eval: { first: options.salt } } } as any,
+    },
+  })) as PublicKeyCredential | null;
+
+  const first = (credential?.getClientExtensionResults() as any)?.prf?.results?.first;
+  if (!first) throw new UserLockError('prf-unavailable', 'Authenticator did not return a PRF result');
+  return new Uint8Array(first);
+}
@@ -1,5 +1,5 @@
 // Minimal sealed storage for the enclave origin.
-// Persists a non-extractable AES-GCM key in IndexedDB and seals blobs with AAD.
+// Persists a non-extractable AES-GCM key (IndexedDB by default) and seals blobs with AAD.
 //
 // API:
 //   const v = await initVault({ aad: sessionId });
@@ -8,6 +8,34 @@
 //   await v.delete('token');
 //   await v.clear();
 //   const s = await v.stats();
+//   await v.rotate({ onProgress });   // new key version, re-seal existing blobs
+//   const r = await v.rotationStatus(); // blobs still on older keys
+//
+// With a UserLock (passphrase / WebAuthn PRF), sealed blobs get an outer layer
+// under the user-derived key and seal/unseal throw while the lock is locked:
+//   const v = await initVault({ aad: sessionId, userLock });
+//
+// Keys are versioned: the newest key seals, any persisted key unseals. After
+// rotate(), older keys are deleted once no blob references them.
+//
+// Blobs may expire (seal(name, data, aad, { ttlMs })): expired blobs unseal as
+// missing and a background sweeper deletes them. With maxItems, sealing evicts
+// the least recently used blobs beyond the quota. close() stops the sweeper.
+//
+// Tabs sharing the vault take a Web Lock to write and announce changes
+// (tab-sync.ts); a rotation in one tab switches the others to the new key:
+//   const off = v.onChange(({ type, name, remote }) => ...);
+//
+// Storage goes through an adapter (storage-adapter.ts), IndexedDB by default:
+//   const v = await initVault({ adapter: new MemoryAdapter() });
+
+import type { UserLock } from './user-lock.js';
+import { transformRecords, type Migration } from './migrations.js';
+import type { AdapterConnection, DatabaseSchema, KeyRange, StorageAdapter, StoreOperations } from './storage-adapter.js';
+import { IndexedDBAdapter } from './indexeddb-adapter.js';
+import { resolveExpiry, isExpired, startSweeper, DEFAULT_SWEEP_INTERVAL_MS, type ExpiryOptions } from './expiry.js';
+import { runRotation, rotationStatus, sameBytes, type RotationOptions, type RotationStatus, type RotationTarget } from './rotation.js';
+import { ChangeFeed, withWebLock, type ChangeListener } from './tab-sync.js';
 
 type Bytes = Uint8Array & { buffer: ArrayBuffer };
 
@@ -15,104 +43,175 @@ type VaultOptions = {
   dbName?: string;           // default: 'soft-enclave-vault'
   keyStore?: string;         // default: 'keys'
   itemStore?: string;        // default: 'items'
-  kid?: string;              // default: 'k1'
+  kid?: string;              // first key ID (default: 'k1'); rotations add '<kid>.<version>'
   aad?: string;              // default: ''
+  userLock?: UserLock;       // optional user-presence layer
+  maxItems?: number;         // evict least recently used blobs beyond this (default: unlimited)
+  sweepIntervalMs?: number;  // purge expired blobs this often (default: 60s; 0 disables)
+  sync?: boolean;            // share changes with other tabs (default: true)
+  adapter?: StorageAdapter;  // default: IndexedDB
+};
+
+export type VaultChange =
+  | { type: 'add'; name: string }
+  | { type: 'delete'; name: string }
+  | { type: 'clear' }
+  | { type: 'rotate'; kid: string };
+
+export type VaultStats = {
+  items: number;             // live (unexpired) blobs
+  hasKey: boolean;
+  locked: boolean;
+  kid: string;
+  expired: number;           // expired blobs awaiting the sweeper
+  purged: number;            // expired blobs deleted since initVault()
+  evicted: number;           // blobs evicted by maxItems since initVault()
 };
 
 export type Vault = {
-  seal: (name: string, data: Bytes, aadOverride?: string) => Promise<void>;
+  seal: (name: string, data: Bytes, aadOverride?: string, expiry?: ExpiryOptions) => Promise<void>;
   unseal: (name: string, aadOverride?: string) => Promise<Bytes>;
   delete: (name: string) => Promise<void>;
   clear: () => Promise<void>;
-  stats: () => Promise<{ items: number; hasKey: boolean }>;
+  stats: () => Promise<VaultStats>;
+  sweep: () => Promise<number>;
+  rotate: (options?: RotationOptions) => Promise<RotationStatus>;
+  resumeRotation: (options?: RotationOptions) => Promise<RotationStatus>;
+  rotationStatus: () => Promise<RotationStatus>;
+  onChange: (listener: ChangeListener<VaultChange>) => () => void;
+  close: () => void;
 };
 
+type KeyRecord = { kid: string; key: CryptoKey; createdAt: number; version: number };
+
 const te = new TextEncoder();
 const td = new TextDecoder();
 
-function openDB(name: string, keyStore: string, itemStore: string): Promise<IDBDatabase> {
-  return new Promise((resolve, reject) => {
-    const req = indexedDB.open(name, 1);
-    req.onupgradeneeded = () => {
-      const db = req.result;
-      if (!db.objectStoreNames.contains(keyStore)) db.createObjectStore(keyStore, { keyPath: 'kid' });
-      if (!db.objectStoreNames.contains(itemStore)) db.createObjectStore(itemStore, { keyPath: 'name' });
-    };
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
+// Schema history (see migrations.ts); append new steps, never edit shipped ones
+export function vaultMigrations(keyStore = 'keys', itemStore = 'items'): Migration[] {
+  return [
+    {
+      version: 1,
+      description: 'keys and sealed items stores',
+      upgrade({ db }) {
+        db.createObjectStore(keyStore, { keyPath: 'kid' });
+        db.createObjectStore(itemStore, { keyPath: 'name' });
+      }
+    },
+    {
+      version: 2,
+      description: 'version key records for rotation',
+      async upgrade({ transaction }) {
+        await transformRecords<KeyRecord>(transaction, keyStore, (rec) => (rec.version ? undefined : { ...rec, version: 1 }));
+      }
+    },
+    {
+      version: 3,
+      description: 'expiry and LRU indexes',
+      async upgrade({ transaction }) {
+        const store = transaction.objectStore(itemStore);
+        store.createIndex('expiresAt', 'expiresAt', { unique: false });
+        store.createIndex('accessedAt', 'accessedAt', { unique: false });
+        await transformRecords<any>(transaction, itemStore, (rec) => (rec.accessedAt === undefined ? { ...rec, accessedAt: rec.createdAt } : undefined));
+      }
+    }
+  ];
 }
 
-async function getKey(db: IDBDatabase, keyStore: string, kid: string): Promise<CryptoKey | null> {
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(keyStore, 'readonly');
-    const store = tx.objectStore(keyStore);
-    const g = store.get(kid);
-    g.onsuccess = () => resolve(g.result?.key ?? null);
-    g.onerror = () => reject(g.error);
-  });
+// Current shape of the stores, for adapters other than IndexedDB
+export function vaultSchema(keyStore = 'keys', itemStore = 'items'): DatabaseSchema {
+  return {
+    stores: [
+      { name: keyStore, keyPath: 'kid' },
+      {
+        name: itemStore,
+        keyPath: 'name',
+        indexes: [
+          { name: 'expiresAt', keyPath: 'expiresAt' },
+          { name: 'accessedAt', keyPath: 'accessedAt' }
+        ]
+      }
+    ],
+    migrations: vaultMigrations(keyStore, itemStore)
+  };
 }
 
-async function putKey(db: IDBDatabase, keyStore: string, kid: string, key: CryptoKey): Promise<void> {
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(keyStore, 'readwrite');
-    const store = tx.objectStore(keyStore);
-    const p = store.put({ kid, key, createdAt: Date.now() });
-    p.onsuccess = () => resolve();
-    p.onerror = () => reject(p.error);
-  });
+async function getKey(db: AdapterConnection, keyStore: string, kid: string): Promise<CryptoKey | null> {
+  return (await db.get<KeyRecord>(keyStore, kid))?.key ?? null;
 }
 
-async function ensureAesKey(db: IDBDatabase, keyStore: string, kid: string): Promise<CryptoKey> {
-  const existing = await getKey(db, keyStore, kid);
-  if (existing) return existing;
-  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false /* NOT extractable */, ['encrypt', 'decrypt']);
+async function createAesKey(db: AdapterConnection, keyStore: string, kid: string, version: number): Promise<KeyRecord> {
+  // NOT extractable, unless the adapter can only persist keys it can export
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, !db.storesCryptoKeys, ['encrypt', 'decrypt']);
   // Note: IndexedDB can persist CryptoKey objects directly even when non-extractable
-  await putKey(db, keyStore, kid, key);
-  return key;
+  const rec = { kid, key, createdAt: Date.now(), version };
+  await db.put(keyStore, rec);
+  return rec;
+}
+
+async function latestAesKey(db: AdapterConnection, keyStore: string): Promise<KeyRecord | null> {
+  const existing = await db.getAll<KeyRecord>(keyStore);
+  if (existing.length === 0) return null;
+  return existing.reduce((a, b) => (b.version > a.version ? b : a));
+}
+
+async function ensureAesKey(db: AdapterConnection, keyStore: string, kid: string, writeLock: string): Promise<KeyRecord> {
+  const existing = await latestAesKey(db, keyStore);
+  if (existing) return existing;
+
+  // Re-read under the write lock: another tab opening the same empty vault may have created it first
+  return withWebLock(writeLock, async () => (await latestAesKey(db, keyStore)) ?? createAesKey(db, keyStore, kid, 1));
 }
 
 function randIV(): Bytes {
   return crypto.getRandomValues(new Uint8Array(12));
 }
 
-async function putItem(db: IDBDatabase, itemStore: string, rec: any): Promise<void> {
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(itemStore, 'readwrite');
-    const store = tx.objectStore(itemStore);
-    const p = store.put(rec);
-    p.onsuccess = () => resolve();
-    p.onerror = () => reject(p.error);
+/** Replace an item only if it still matches what was read (compare-and-swap) */
+async function replaceItem(db: AdapterConnection, itemStore: string, prev: any, rec: any): Promise<boolean> {
+  return db.transaction([itemStore], 'readwrite', async (tx) => {
+    const cur = await tx.get(itemStore, prev.name);
+    if (!cur || cur.kid !== prev.kid || !sameBytes(cur.iv, prev.iv)) return false;
+    await tx.put(itemStore, rec);
+    return true;
   });
 }
 
-async function getItem(db: IDBDatabase, itemStore: string, name: string): Promise<any | null> {
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(itemStore, 'readonly');
-    const store = tx.objectStore(itemStore);
-    const g = store.get(name);
-    g.onsuccess = () => resolve(g.result ?? null);
-    g.onerror = () => reject(g.error);
+/** Delete up to `max` items in index order, within the caller's transaction */
+async function deleteInOrder(tx: StoreOperations, itemStore: string, index: string, range: KeyRange | null, max: number): Promise<number> {
+  if (max <= 0) return 0;
+  const names: Array<string | number> = [];
+  await tx.scan(itemStore, { index, range }, (_rec, { primaryKey }) => {
+    names.push(primaryKey);
+    return names.length < max;
   });
+  for (const name of names) await tx.delete(itemStore, name);
+  return names.length;
+}
+
+async function purgeExpired(db: AdapterConnection, itemStore: string, now: number): Promise<number> {
+  return db.transaction([itemStore], 'readwrite', (tx) => deleteInOrder(tx, itemStore, 'expiresAt', { upper: now }, Infinity));
 }
 
-async function delItem(db: IDBDatabase, itemStore: string, name: string): Promise<void> {
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(itemStore, 'readwrite');
-    const store = tx.objectStore(itemStore);
-    const d = store.delete(name);
-    d.onsuccess = () => resolve();
-    d.onerror = () => reject(d.error);
+/** Evict beyond maxItems: expired items first, then least recently used */
+async function enforceQuota(db: AdapterConnection, itemStore: string, maxItems: number, now: number): Promise<{ purged: number; evicted: number }> {
+  return db.transaction([itemStore], 'readwrite', async (tx) => {
+    const excess = (await tx.count(itemStore)) - maxItems;
+    const purged = await deleteInOrder(tx, itemStore, 'expiresAt', { upper: now }, excess);
+    const evicted = await deleteInOrder(tx, itemStore, 'accessedAt', null, excess - purged);
+    return { purged, evicted };
   });
 }
 
-async function countItems(db: IDBDatabase, itemStore: string): Promise<number> {
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(itemStore, 'readonly');
-    const store = tx.objectStore(itemStore);
-    const c = store.count();
-    c.onsuccess = () => resolve(c.result);
-    c.onerror = () => reject(c.error);
+/** Update an item in place (on the current record, which may have been rewritten) */
+async function updateItem(db: AdapterConnection, itemStore: string, name: string, change: (cur: any) => 'put' | 'delete' | null): Promise<boolean> {
+  return db.transaction([itemStore], 'readwrite', async (tx) => {
+    const cur = await tx.get(itemStore, name);
+    if (!cur) return false;
+    const action = change(cur);
+    if (action === 'put') await tx.put(itemStore, cur);
+    if (action === 'delete') await tx.delete(itemStore, name);
+    return action !== null;
   });
 }
 
@@ -121,55 +220,200 @@ export async function initVault(opts: VaultOptions = {}): Promise<Vault> {
   const dbName = opts.dbName ?? 'soft-enclave-vault';
   const keyStore = opts.keyStore ?? 'keys';
   const itemStore = opts.itemStore ?? 'items';
-  const kid = opts.kid ?? 'k1';
+  const baseKid = opts.kid ?? 'k1';
   const defaultAAD = opts.aad ?? '';
+  const userLock = opts.userLock ?? null;
+  const maxItems = opts.maxItems ?? null;
+  const sweepIntervalMs = opts.sweepIntervalMs ?? DEFAULT_SWEEP_INTERVAL_MS;
 
-  const db = await openDB(dbName, keyStore, itemStore);
-  const key = await ensureAesKey(db, keyStore, kid);
+  const adapter = opts.adapter ?? new IndexedDBAdapter();
+  const db = await adapter.open(dbName, vaultSchema(keyStore, itemStore));
+  const writeLock = `${dbName}:write`;
+  let current = await ensureAesKey(db, keyStore, baseKid, writeLock);
+  let rotation: Promise<RotationStatus> | null = null;
+  const counters = { purged: 0, evicted: 0 };
+  const rotationLock = `${dbName}:rotation`;
+  const changes = new ChangeFeed<VaultChange>(`${dbName}:changes`, opts.sync ?? true, async (event) => {
+    if (event.type === 'rotate') current = (await latestAesKey(db, keyStore)) ?? current;
+  });
+
+  function assertUnlocked() {
+    if (userLock?.isLocked()) throw new Error('Vault is locked');
+  }
 
-  async function seal(name: string, data: Bytes, aadOverride?: string) {
-    const aad = te.encode(aadOverride ?? defaultAAD);
+  async function keyFor(kid: string): Promise<CryptoKey> {
+    if (kid === current.kid) return current.key;
+    const key = await getKey(db, keyStore, kid);
+    if (!key) throw new Error(`Key mismatch`);
+    return key;
+  }
+
+  async function encryptItem(name: string, data: Bytes, aad: string, meta: { createdAt: number; accessedAt: number; expiresAt?: number }) {
     const iv = randIV();
-    const ct = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: aad }, key, data));
-    await putItem(db, itemStore, {
+    let ct = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: te.encode(aad) }, current.key, data));
+    let ul: { iv: number[] } | undefined;
+    if (userLock?.isEnabled()) {
+      const layer = await userLock.encrypt(ct, `vault-user|${name}`);
+      ct = new Uint8Array(layer.ct);
+      ul = { iv: Array.from(layer.iv) };
+    }
+    return {
       name,
-      kid,
+      kid: current.kid,
       v: 1,
       iv: Array.from(iv),
       ct: Array.from(ct),
-      aad: aadOverride ?? defaultAAD,
-      createdAt: Date.now()
+      aad,
+      ...(ul ? { ul } : {}),
+      createdAt: meta.createdAt,
+      accessedAt: meta.accessedAt,
+      ...(meta.expiresAt !== undefined ? { expiresAt: meta.expiresAt } : {})
+    };
+  }
+
+  async function decryptItem(rec: any, aad: string): Promise<Bytes> {
+    const key = await keyFor(rec.kid);
+    let ct = new Uint8Array(rec.ct);
+    if (rec.ul) {
+      if (!userLock) throw new Error(`User lock required: ${rec.name}`);
+      ct = new Uint8Array(await userLock.decrypt({ iv: new Uint8Array(rec.ul.iv), ct }, `vault-user|${rec.name}`));
+    }
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: new Uint8Array(rec.iv), additionalData: te.encode(aad) }, key, ct));
+  }
+
+  async function seal(name: string, data: Bytes, aadOverride?: string, expiry?: ExpiryOptions) {
+    assertUnlocked();
+    const now = Date.now();
+    const expiresAt = resolveExpiry(expiry, now);
+    await withWebLock(writeLock, async () => {
+      // Another tab may have rotated since we loaded the current key
+      current = (await latestAesKey(db, keyStore)) ?? current;
+      await db.put(itemStore, await encryptItem(name, data, aadOverride ?? defaultAAD, { createdAt: now, accessedAt: now, expiresAt }));
+      if (maxItems !== null) {
+        const out = await enforceQuota(db, itemStore, maxItems, Date.now());
+        counters.purged += out.purged;
+        counters.evicted += out.evicted;
+      }
     });
+    changes.publish({ type: 'add', name });
   }
 
   async function unseal(name: string, aadOverride?: string): Promise<Bytes> {
-    const rec = await getItem(db, itemStore, name);
+    const rec = await db.get(itemStore, name);
     if (!rec) throw new Error(`Not found: ${name}`);
-    if (rec.kid !== kid) throw new Error(`Key mismatch`);
-    const aad = te.encode(aadOverride ?? rec.aad ?? defaultAAD);
-    const iv = new Uint8Array(rec.iv);
-    const ct = new Uint8Array(rec.ct);
-    const pt = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: aad }, key, ct));
+    if (isExpired(rec.expiresAt, Date.now())) {
+      if (await updateItem(db, itemStore, name, (cur) => (isExpired(cur.expiresAt, Date.now()) ? 'delete' : null))) counters.purged++;
+      throw new Error(`Not found: ${name}`);
+    }
+    await keyFor(rec.kid);
+    assertUnlocked();
+    const pt = await decryptItem(rec, aadOverride ?? rec.aad ?? defaultAAD);
+    if (maxItems !== null) {
+      await updateItem(db, itemStore, name, (cur) => { cur.accessedAt = Date.now(); return 'put'; });
+    }
     return pt;
   }
 
-  async function remove(name: string) { await delItem(db, itemStore, name); }
+  async function remove(name: string) {
+    await withWebLock(writeLock, () => db.delete(itemStore, name));
+    changes.publish({ type: 'delete', name });
+  }
 
   async function clear() {
-    return new Promise<void>((resolve, reject) => {
-      const tx = db.transaction(itemStore, 'readwrite');
-      const store = tx.objectStore(itemStore);
-      const r = store.clear();
-      r.onsuccess = () => resolve();
-      r.onerror = () => reject(r.error);
-    });
+    await withWebLock(writeLock, () => db.clear(itemStore));
+    changes.publish({ type: 'clear' });
+  }
+
+  async function stats(): Promise<VaultStats> {
+    const total = await db.count(itemStore);
+    const expired = await db.count(itemStore, 'expiresAt', { upper: Date.now() });
+    const hasKey = !!(await getKey(db, keyStore, current.kid));
+    return { items: total - expired, hasKey, locked: !!userLock?.isLocked(), kid: current.kid, expired, ...counters };
+  }
+
+  async function sweep() {
+    const purged = await purgeExpired(db, itemStore, Date.now());
+    counters.purged += purged;
+    return purged;
+  }
+
+  const stopSweeper = sweepIntervalMs > 0 ? startSweeper(sweep, sweepIntervalMs) : null;
+
+  function close() {
+    stopSweeper?.();
+    changes.close();
+    db.close();
+  }
+
+  function rotationTarget(): RotationTarget<any> {
+    return {
+      kid: current.kid,
+      list: () => db.getAll(itemStore),
+      describe: (rec) => ({ id: rec.name, kid: rec.kid }),
+      migrate: async (rec) => {
+        const aad = rec.aad ?? defaultAAD;
+        const pt = await decryptItem(rec, aad);
+        try {
+          const next = await encryptItem(rec.name, pt, aad, { createdAt: rec.createdAt, accessedAt: rec.accessedAt, expiresAt: rec.expiresAt });
+          return await replaceItem(db, itemStore, rec, next);
+        } finally {
+          pt.fill(0);
+        }
+      },
+      listKids: async () => (await db.getAll<KeyRecord>(keyStore)).map((k) => k.kid),
+      // Under the write lock, so a tab still sealing with `kid` either finishes first or sees it gone
+      retire: (kid) => withWebLock(writeLock, async () => {
+        const items = await db.getAll(itemStore);
+        if (!items.some((rec) => rec.kid === kid)) await db.delete(keyStore, kid);
+      })
+    };
+  }
+
+  async function runAndAnnounce(options: RotationOptions) {
+    const status = await runRotation(rotationTarget(), options);
+    changes.publish({ type: 'rotate', kid: status.kid });
+    return status;
+  }
+
+  function track(run: Promise<RotationStatus>) {
+    const tracked: Promise<RotationStatus> = run.finally(() => { if (rotation === tracked) rotation = null; });
+    rotation = tracked;
+    return tracked;
+  }
+
+  async function resumeRotation(options: RotationOptions = {}) {
+    assertUnlocked();
+    if (rotation) return rotation;
+    return track(withWebLock(rotationLock, async () => {
+      current = (await latestAesKey(db, keyStore)) ?? current;
+      return runAndAnnounce(options);
+    }));
   }
 
-  async function stats() {
-    const items = await countItems(db, itemStore);
-    const hasKey = !!(await getKey(db, keyStore, kid));
-    return { items, hasKey };
+  async function rotate(options: RotationOptions = {}) {
+    assertUnlocked();
+    if (rotation) await rotation.catch(() => {});
+    // One rotation at a time across tabs; versions are allocated inside the lock
+    return track(withWebLock(rotationLock, async () => {
+      current = await withWebLock(writeLock, async () => {
+        const version = Math.max(0, ...(await db.getAll<KeyRecord>(keyStore)).map((k) => k.version)) + 1;
+        return createAesKey(db, keyStore, `${baseKid}.${version}`, version);
+      });
+      return runAndAnnounce(options);
+    }));
   }
 
-  return { seal, unseal, delete: remove, clear, stats };
+  return {
+    seal,
+    unseal,
+    delete: remove,
+    clear,
+    stats,
+    sweep,
+    rotate,
+    resumeRotation,
+    rotationStatus: () => rotationStatus(rotationTarget()),
+    onChange: (listener) => changes.subscribe(listener),
+    close
+  };
 }
@@ -16,7 +16,7 @@ export default defineConfig([
     keepNames: true,
     dts: {
       resolve: true,
-      entry: 'src/index.ts',
+      entry: ['src/index.ts', 'src/file-adapter.ts'],
     },
     sourcemap: true,
     minify: false,
@@ -37,7 +37,7 @@ export default defineConfig([
     keepNames: true,
     dts: {
       resolve: true,
-      entry: 'src/index.ts',
+      entry: ['src/index.ts', 'src/file-adapter.ts'],
     },
     sourcemap: true,
     minify: false,
@@ -33,6 +33,19 @@ import {
   open   // v1.1 API
 } from '@fastnear/soft-enclave-shared';
 import { MessageType, AAD } from '@fastnear/soft-enclave-shared';
+import {
+  secretKeyFromBytes,
+  signTransactionWithSecretKey,
+  toSignatureResult
+} from '@fastnear/soft-enclave-near';
+import {
+  ResourceLimitExceeded,
+  createHostFunctions,
+  executeGuest,
+  type HostCall,
+  type LogEntry,
+  type ResourceLimits
+} from '@fastnear/soft-enclave-shared';
 
 class EnclaveWorker {
   quickjs: any;
@@ -49,6 +62,7 @@ class EnclaveWorker {
   MAX_CIPHERTEXT_SIZE: number;
   MAX_PLAINTEXT_SIZE: number;
   MAX_CODE_SIZE: number;
+  hostFunctions: ReturnType<typeof createHostFunctions>;
   metrics: any;
 
   constructor() {
@@ -86,6 +100,9 @@ class EnclaveWorker {
     this.MAX_PLAINTEXT_SIZE = 256 * 1024; // 256KB max plaintext job size
     this.MAX_CODE_SIZE = 128 * 1024; // 128KB max code size
 
+    // Host functions guest code may be granted per execution (shared host-bridge.ts)
+    this.hostFunctions = createHostFunctions();
+
     this.metrics = {
       totalOperations: 0,
       totalKeyExposureMs: 0,
@@ -317,10 +334,34 @@ class EnclaveWorker {
       'Context plaintext'
     );
 
-    // Execute in QuickJS with timing
-    const execution = await measureTiming(async () => {
-      return await this.executeInQuickJS(message.code, context);
-    });
+    // Host functions granted to this execution (none unless listed)
+    const capabilities = Array.isArray(message.capabilities)
+      ? message.capabilities.filter((c) => typeof c === 'string')
+      : [];
+
+    // Guest console entries, sealed and posted as they happen when the host asks for them
+    let streamed = Promise.resolve();
+    const onLog = message.streamLogs === true
+      ? (entry: LogEntry) => {
+          streamed = streamed.then(async () => {
+            const logSeq = ++this.sendSeq;
+            const encryptedLog = await seal(this.sessionKey, this.baseIV, logSeq, entry, AAD.EXECUTE_LOG);
+            self.postMessage({ id: message.id, type: MessageType.EXECUTE_LOG, encryptedLog: serializePayload(encryptedLog), seq: logSeq });
+          }).catch((error) => console.warn('[EnclaveWorker] Dropping log entry:', error));
+        }
+      : undefined;
+
+    // Execute in QuickJS with timing, under this call's resource limits
+    let execution;
+    try {
+      execution = await measureTiming(async () => {
+        return await this.executeInQuickJS(message.code, context, capabilities, message.limits, onLog);
+      });
+    } finally {
+      // Streamed entries go out before the result (or error)
+      await streamed;
+    }
+    const { peakMemoryBytes, ...output } = execution.result;
 
     // Encrypt result with counter-based IV + AAD
     const outSeq = ++this.sendSeq;
@@ -328,7 +369,7 @@ class EnclaveWorker {
       this.sessionKey,
       this.baseIV,
       outSeq,
-      execution.result,
+      output,
       AAD.EXECUTE_RESULT
     );
 
@@ -341,6 +382,7 @@ class EnclaveWorker {
       metrics: {
         keyExposureMs: execution.durationMs,
         totalDurationMs: execution.durationMs,
+        peakMemoryBytes,
         memoryZeroed: true
       }
     };
@@ -365,7 +407,7 @@ class EnclaveWorker {
 
     // Sign with ephemeral key decryption
     const signing = await measureTiming(async () => {
-      return await this.signInQuickJS(keyData.encryptedKey, transaction);
+      return await this.signWithEphemeralKey(keyData.encryptedKey, transaction);
     });
 
     // Encrypt signature with counter-based IV + AAD
@@ -403,8 +445,26 @@ class EnclaveWorker {
    * 1. Sensitive data exists in plaintext only during this call
    * 2. QuickJS sandbox prevents code escape
    * 3. Memory is zeroed after execution
+   *
+   * Code runs as in the iframe enclave: inside an async function, so the result
+   * is what it returns, `await` works, and a returned promise is settled first.
+   *
+   * Granted host functions are installed for this call only; every call the
+   * guest makes is returned (sealed) alongside the result.
+   *
+   * Resource limits (memory, stack, time, instructions) apply to the context's
+   * own runtime; hitting one throws ResourceLimitExceeded.
+   *
+   * The guest gets a console; its entries are sealed with the result, and
+   * passed to onLog as they happen.
    */
-  async executeInQuickJS(code, context) {
+  async executeInQuickJS(
+    code,
+    context,
+    capabilities: string[] = [],
+    limits?: ResourceLimits,
+    onLog?: (entry: LogEntry) => void
+  ): Promise<{ result: unknown; hostCalls: HostCall[]; logs: LogEntry[]; logsDropped: number; peakMemoryBytes: number }> {
     const vm = this.quickjs.newContext();
 
     try {
@@ -415,20 +475,27 @@ class EnclaveWorker {
         handle.dispose();
       }
 
-      // Execute code
-      const result = vm.evalCode(code);
+      // Same wrapping, promise handling and limits as the iframe enclave (shared guest-execution.ts)
+      const execution = await executeGuest(vm, code, {
+        limits,
+        host: this.hostFunctions,
+        capabilities,
+        logging: { onEntry: onLog }
+      });
 
-      if (result.error) {
-        const error = vm.dump(result.error);
-        result.error.dispose();
-        throw new Error(`QuickJS execution error: ${JSON.stringify(error)}`);
+      if (!execution.ok) {
+        throw execution.limitExceeded
+          ? new ResourceLimitExceeded(execution.limitExceeded)
+          : new Error(`QuickJS execution error: ${execution.error}`);
       }
 
-      // Get result
-      const value = vm.dump(result.value);
-      result.value.dispose();
-
-      return value;
+      return {
+        result: execution.value,
+        hostCalls: execution.hostCalls,
+        logs: execution.logs,
+        logsDropped: execution.logsDropped,
+        peakMemoryBytes: execution.peakMemoryBytes
+      };
     } finally {
       // Cleanup
       vm.dispose();
@@ -440,80 +507,27 @@ class EnclaveWorker {
   }
 
   /**
-   * Sign transaction in QuickJS with ephemeral key
+   * Sign transaction with ephemeral key material
    *
    * Security model:
-   * - Key is decrypted ONLY during signing operation
-   * - Key buffer is explicitly zeroed after use
-   * - Total exposure window: ~30-50ms
+   * - Key material arrives sealed under the session key (AAD.SIGN_TRANSACTION_KEY)
+   *   and is only decrypted for the duration of this call
+   * - Transaction is Borsh-serialized, SHA-256 hashed and signed with Ed25519,
+   *   exactly as the iframe enclave does via near-tx
+   * - Every key buffer is explicitly zeroed after use
    */
-  async signInQuickJS(encryptedKey, transaction) {
-    const vm = this.quickjs.newContext();
+  async signWithEphemeralKey(keyMaterial, transaction) {
+    const material = new Uint8Array(keyMaterial);
+    let secretKey: Uint8Array | null = null;
 
     try {
-      // Create signing function in QuickJS
-      const signingCode = `
-        (function(encryptedKey, transaction) {
-          // In real implementation, this would:
-          // 1. Decrypt the key (using NEAR's key derivation)
-          // 2. Sign the transaction
-          // 3. Immediately zero the key buffer
-          // 4. Return signature
-
-          // For POC, simulate the signing operation
-          const keyBuffer = new Uint8Array(encryptedKey);
-
-          // Simulate signing (replace with actual crypto)
-          const signature = {
-            type: 'ed25519',
-            data: Array.from(keyBuffer.slice(0, 64)),
-            transaction: transaction
-          };
-
-          // CRITICAL: Zero the key buffer
-          keyBuffer.fill(0);
-
-          return signature;
-        })
-      `;
-
-      const signingFn = vm.evalCode(signingCode);
-      if (signingFn.error) {
-        const error = vm.dump(signingFn.error);
-        signingFn.error.dispose();
-        throw new Error(`Failed to create signing function: ${JSON.stringify(error)}`);
-      }
-
-      // Convert encrypted key to handle
-      const encryptedKeyArray = new Uint8Array(encryptedKey);
-      const keyHandle = vm.newString(JSON.stringify(Array.from(encryptedKeyArray)));
-
-      // Convert transaction to handle
-      const txHandle = vm.newString(JSON.stringify(transaction));
-
-      // Call signing function
-      const resultHandle = vm.callFunction(signingFn.value, vm.undefined, keyHandle, txHandle);
-
-      if (resultHandle.error) {
-        const error = vm.dump(resultHandle.error);
-        resultHandle.error.dispose();
-        throw new Error(`Signing error: ${JSON.stringify(error)}`);
-      }
-
-      const signature = vm.dump(resultHandle.value);
-
-      // Cleanup handles
-      keyHandle.dispose();
-      txHandle.dispose();
-      resultHandle.value.dispose();
-      signingFn.value.dispose();
-
-      // Zero the local buffer
-      secureZero(encryptedKeyArray);
-
-      return signature;
+      secretKey = secretKeyFromBytes(material);
+      const signedTx = await signTransactionWithSecretKey(transaction, secretKey);
+      return toSignatureResult(signedTx);
     } finally {
-      vm.dispose();
+      secureZero(material);
+      secureZero(secretKey);
+      if (Array.isArray(keyMaterial)) keyMaterial.fill(0);
     }
   }
 
@@ -560,7 +574,9 @@ class EnclaveWorker {
       const errorMessage = error instanceof Error ? error.message : String(error);
       self.postMessage({
         id: message.id,
-        error: errorMessage
+        error: errorMessage,
+        // Which resource limit stopped the guest, for ResourceLimitExceeded on the host
+        ...((error as any)?.code === 'resource-limit-exceeded' ? { limitExceeded: (error as any).toJSON() } : {})
       });
     }
   }
@@ -31,9 +31,13 @@ import {
   MessageType,
   AAD,
   createMessage,
-  generateMessageId
+  generateMessageId,
+  ResourceLimitExceeded,
+  type ResourceLimits
 } from '@fastnear/soft-enclave-shared';
 
+import { createLogStream } from './log-stream.js';
+
 /**
  * Hybrid secure enclave client
  */
@@ -191,7 +195,11 @@ export class HybridSecureEnclave {
   /**
    * Execute code in the secure enclave
    */
-  async execute(code, context = {}) {
+  async execute(
+    code,
+    context = {},
+    options: { capabilities?: string[]; limits?: ResourceLimits; onLog?: (entry: any) => void } = {}
+  ) {
     this.ensureInitialized();
 
     console.log('[HybridEnclave] Executing code in enclave...');
@@ -199,20 +207,31 @@ export class HybridSecureEnclave {
     // Encrypt context with all protocol requirements
     const { payload, seq } = await this.secureSeal(context, AAD.EXECUTE);
 
+    // Guest console entries streamed ahead of the result, decrypted in order
+    const logs = createLogStream(this.sessionKey!, options.onLog, 'HybridEnclave');
+
     // Send to worker
     const startTime = performance.now();
 
-    const response: any = await this.sendMessageAndWait({
-      type: MessageType.EXECUTE,
-      code: code,
-      encryptedContext: payload,
-      seq: seq
-    });
+    let response: any;
+    try {
+      response = await this.sendMessageAndWait({
+        type: MessageType.EXECUTE,
+        code: code,
+        encryptedContext: payload,
+        capabilities: options.capabilities ?? [],
+        limits: options.limits,
+        streamLogs: logs.streaming,
+        seq: seq
+      }, undefined, logs.onEvent);
+    } finally {
+      await logs.done();
+    }
 
     const totalDuration = performance.now() - startTime;
 
-    // Decrypt result with AAD
-    const { body: result } = await open(
+    // Decrypt result with AAD (the guest's value, its host calls and console output)
+    const { body } = await open(
       this.sessionKey,
       deserializePayload(response.encryptedResult),
       AAD.EXECUTE_RESULT
@@ -225,8 +244,8 @@ export class HybridSecureEnclave {
     console.log(`[HybridEnclave] Key exposure window: ${response.metrics.keyExposureMs.toFixed(2)}ms`);
 
     return {
-      result,
-      metrics: response.metrics,
+      result: body.result,
+      metrics: { ...response.metrics, hostCalls: body.hostCalls, logs: body.logs ?? [], logsDropped: body.logsDropped ?? 0 },
       totalDurationMs: totalDuration
     };
   }
@@ -303,8 +322,9 @@ export class HybridSecureEnclave {
 
   /**
    * Send message to worker and wait for response
+   * (onEvent receives messages streamed for the request before it)
    */
-  sendMessageAndWait(payload, timeout = 30000) {
+  sendMessageAndWait(payload, timeout = 30000, onEvent?: (message: any) => void) {
     return new Promise((resolve, reject) => {
       const id = generateMessageId();
 
@@ -315,6 +335,7 @@ export class HybridSecureEnclave {
       }, timeout);
 
       this.pendingRequests.set(id, {
+        event: onEvent,
         resolve: (response) => {
           clearTimeout(timeoutId);
           this.pendingRequests.delete(id);
@@ -348,8 +369,16 @@ export class HybridSecureEnclave {
       return;
     }
 
+    // Streamed ahead of the response; the request stays pending
+    if (message.type === MessageType.EXECUTE_LOG) {
+      pending.event?.(message);
+      return;
+    }
+
     // Handle response
-    if (message.error) {
+    if (message.limitExceeded) {
+      pending.reject(new ResourceLimitExceeded(message.limitExceeded));
+    } else if (message.error) {
       pending.reject(new Error(message.error));
     } else {
       pending.resolve(message);
@@ -0,0 +1,36 @@
+/**
+ * Guest console streaming - host side of MessageType.EXECUTE_LOG
+ *
+ * When the host passes onLog, the worker seals each console entry under the
+ * session key (AAD.EXECUTE_LOG) and posts it ahead of the execution result.
+ * Entries are opened one at a time, in arrival order; await done() before
+ * reporting the result so every entry reaches onLog first.
+ *
+ * Shared by WorkerBackend and HybridSecureEnclave.
+ */
+
+import { AAD, deserializePayload, open, type LogEntry } from '@fastnear/soft-enclave-shared';
+
+export interface LogStream {
+  streaming: boolean;                       // ask the worker to stream (onLog was given)
+  onEvent?: (message: any) => void;         // receives EXECUTE_LOG messages for the request
+  done: () => Promise<void>;                // settles once every received entry was delivered
+}
+
+export function createLogStream(sessionKey: CryptoKey, onLog: unknown, label: string): LogStream {
+  if (typeof onLog !== 'function') {
+    return { streaming: false, done: () => Promise.resolve() };
+  }
+
+  let streamed = Promise.resolve();
+  return {
+    streaming: true,
+    onEvent: (message) => {
+      streamed = streamed.then(async () => {
+        const { body } = await open(sessionKey, deserializePayload(message.encryptedLog), AAD.EXECUTE_LOG);
+        (onLog as (entry: LogEntry) => void)(body);
+      }).catch((error) => console.warn(`[${label}] Dropping log entry:`, error));
+    },
+    done: () => streamed
+  };
+}
@@ -41,9 +41,12 @@ import {
   MessageType,
   AAD,
   createMessage,
-  generateMessageId
+  generateMessageId,
+  ResourceLimitExceeded
 } from '@fastnear/soft-enclave-shared';
 
+import { createLogStream } from './host/log-stream.js';
+
 /**
  * Worker-based secure enclave backend
  */
@@ -209,24 +212,35 @@ export class WorkerBackend extends EnclaveBase {
     // Encrypt context with all protocol requirements
     const { payload, seq } = await this._secureSeal(context, AAD.EXECUTE);
 
+    // Guest console entries streamed ahead of the result, decrypted in order
+    const logs = createLogStream(this.sessionKey!, options.onLog, 'WorkerBackend');
+
     // Send to worker
-    const response: any = await this._sendMessageAndWait({
-      type: MessageType.EXECUTE,
-      code: code,
-      encryptedContext: payload,
-      seq: seq
-    });
+    let response: any;
+    try {
+      response = await this._sendMessageAndWait({
+        type: MessageType.EXECUTE,
+        code: code,
+        encryptedContext: payload,
+        capabilities: options.capabilities ?? [],
+        limits: options.limits,
+        streamLogs: logs.streaming,
+        seq: seq
+      }, undefined, logs.onEvent);
+    } finally {
+      await logs.done();
+    }
 
-    // Decrypt result with AAD
-    const { body: result } = await open(
+    // Decrypt result with AAD (the guest's value, its host calls and console output)
+    const { body } = await open(
       this.sessionKey,
       deserializePayload(response.encryptedResult),
       AAD.EXECUTE_RESULT
     );
 
     return {
-      result,
-      metrics: response.metrics
+      result: body.result,
+      metrics: { ...response.metrics, hostCalls: body.hostCalls, logs: body.logs ?? [], logsDropped: body.logsDropped ?? 0 }
     };
   }
 
@@ -273,6 +287,10 @@ export class WorkerBackend extends EnclaveBase {
   /**
    * Sign a transaction with an encrypted private key
    *
+   * The key material (64-byte Ed25519 secret key, 32-byte seed, or UTF-8
+   * "ed25519:..." string) is sealed under the session key and only decrypted
+   * inside the worker. Returns a NEAR signature that passes verifySignature().
+   *
    * This is a backend-specific method (not in base interface)
    */
   async signTransaction(encryptedKey, transaction) {
@@ -303,7 +321,7 @@ export class WorkerBackend extends EnclaveBase {
     const totalDuration = performance.now() - startTime;
 
     // Decrypt signature with AAD
-    const { body: signature } = await open(
+    const { body: result } = await open(
       this.sessionKey,
       deserializePayload(response.encryptedSignature),
       AAD.SIGN_RESULT
@@ -315,8 +333,15 @@ export class WorkerBackend extends EnclaveBase {
     console.log(`[WorkerBackend] Signing complete in ${totalDuration.toFixed(2)}ms`);
     console.log(`[WorkerBackend] Key exposure window: ${response.metrics.keyExposureMs.toFixed(2)}ms`);
 
+    // Same result shape as IframeBackend.signTransactionByKeyId, which takes a key ID
+    // held in the enclave vault instead of an encrypted key
     return {
-      signature,
+      signature: {
+        type: result.type,
+        data: result.data,
+        signature: result.signature
+      },
+      signedTransaction: result.signedTransaction,
       metrics: response.metrics,
       totalDurationMs: totalDuration
     };
@@ -324,9 +349,10 @@ export class WorkerBackend extends EnclaveBase {
 
   /**
    * Send message to worker and wait for response
+   * (onEvent receives messages streamed for the request before it)
    * @private
    */
-  _sendMessageAndWait(payload, timeout = 30000) {
+  _sendMessageAndWait(payload, timeout = 30000, onEvent?: (message: any) => void) {
     return new Promise((resolve, reject) => {
       const id = generateMessageId();
 
@@ -337,6 +363,7 @@ export class WorkerBackend extends EnclaveBase {
       }, timeout);
 
       this.pendingRequests.set(id, {
+        event: onEvent,
         resolve: (response) => {
           clearTimeout(timeoutId);
           this.pendingRequests.delete(id);
@@ -371,8 +398,16 @@ export class WorkerBackend extends EnclaveBase {
       return;
     }
 
+    // Streamed ahead of the response; the request stays pending
+    if (message.type === MessageType.EXECUTE_LOG) {
+      pending.event?.(message);
+      return;
+    }
+
     // Handle response
-    if (message.error) {
+    if (message.limitExceeded) {
+      pending.reject(new ResourceLimitExceeded(message.limitExceeded));
+    } else if (message.error) {
       pending.reject(new Error(message.error));
     } else {
       pending.resolve(message);
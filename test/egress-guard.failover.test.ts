@@ -0,0 +1,238 @@
+// @vitest-environment node
+/**
+ * Egress Guard Failover Tests
+ *
+ * These tests verify multi-endpoint behavior of the egress guard:
+ * - Retriable failures (timeouts, network errors, 429, 5xx) rotate endpoints
+ * - Endpoint health is tracked and the healthiest endpoint is preferred
+ * - Transaction submission is never retried after an ambiguous failure
+ * - Host/HTTPS policy applies to every endpoint in the pool
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { makeEgressGuard, backoffDelay, isSafeToRetry, type JsonRpcRequest } from '../packages/near/src/host/rpc';
+import { NearRpcError } from '../packages/near/src/host/rpc-errors';
+
+const A = 'https://a.rpc.test';
+const B = 'https://b.rpc.test';
+const C = 'https://c.rpc.test';
+
+const query: JsonRpcRequest = { jsonrpc: '2.0', id: 1, method: 'query', params: {} };
+const sendTx: JsonRpcRequest = { jsonrpc: '2.0', id: 2, method: 'send_tx', params: { signed_tx_base64: 'AAAA' } };
+
+const respond = (status: number, body: any) => ({
+  ok: status >= 200 && status < 300, status, statusText: 'X', body: null,
+  text: async () => typeof body === 'string' ? body : JSON.stringify(body)
+}) as any;
+const ok = (result: any) => respond(200, { jsonrpc: '2.0', id: 1, result });
+
+function makeGuard(extra: any = {}) {
+  return makeEgressGuard({
+    allowHosts: ['a.rpc.test', 'b.rpc.test', 'c.rpc.test'],
+    allowMethods: ['query', 'send_tx', 'broadcast_tx_commit'],
+    endpoints: [A, B, C],
+    retry: { baseDelayMs: 0 },
+    ...extra
+  });
+}
+
+/** Route mocked fetch responses by host. */
+function route(handlers: Record<string, (init: any) => any>) {
+  const hosts: string[] = [];
+  const spy = vi.spyOn(globalThis, 'fetch' as any).mockImplementation(async (url: any, init: any) => {
+    const host = new URL(String(url)).hostname;
+    hosts.push(host);
+    return handlers[host](init);
+  });
+  return { spy, hosts };
+}
+
+afterEach(() => { vi.restoreAllMocks(); });
+
+describe('Egress Guard - Endpoint Rotation', () => {
+  it('MUST rotate to the next endpoint on 5xx', async () => {
+    const guard = makeGuard();
+    const { hosts } = route({
+      'a.rpc.test': () => respond(502, 'Bad Gateway'),
+      'b.rpc.test': () => ok({ from: 'b' })
+    });
+
+    const out = await guard.post(A, query);
+    expect(out.result.from).toBe('b');
+    expect(hosts).toEqual(['a.rpc.test', 'b.rpc.test']);
+  });
+
+  it('MUST rotate on network errors and timeouts', async () => {
+    const guard = makeGuard({ timeoutMs: 20 });
+    const { hosts } = route({
+      'a.rpc.test': () => { throw new TypeError('fetch failed'); },
+      'b.rpc.test': (init) => new Promise((_, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+      }),
+      'c.rpc.test': () => ok({ from: 'c' })
+    });
+
+    const out = await guard.post(A, query);
+    expect(out.result.from).toBe('c');
+    expect(hosts).toEqual(['a.rpc.test', 'b.rpc.test', 'c.rpc.test']);
+    expect(guard.health().map((h) => h.lastError)).toEqual([
+      expect.stringMatching(/Network error/),
+      expect.stringMatching(/timed out/),
+      null
+    ]);
+  });
+
+  it('MUST stop after maxAttempts and throw the last error', async () => {
+    const guard = makeGuard({ retry: { maxAttempts: 2, baseDelayMs: 0 } });
+    const { spy } = route({
+      'a.rpc.test': () => respond(500, 'boom'),
+      'b.rpc.test': () => respond(503, 'busy'),
+      'c.rpc.test': () => ok({})
+    });
+
+    await expect(guard.post(A, query)).rejects.toMatchObject({ kind: 'HttpError', status: 503 });
+    expect(spy).toHaveBeenCalledTimes(2);
+  });
+
+  it('MUST NOT retry client errors or JSON-RPC errors', async () => {
+    const guard = makeGuard();
+    const { spy } = route({
+      'a.rpc.test': () => respond(400, 'bad request'),
+      'b.rpc.test': () => ok({})
+    });
+    await expect(guard.post(A, query)).rejects.toMatchObject({ status: 400 });
+    expect(spy).toHaveBeenCalledTimes(1);
+
+    spy.mockImplementation(async () => respond(200, { jsonrpc: '2.0', id: 1, error: { code: -32000, message: 'Server error' } }));
+    const out = await guard.post(A, query);
+    expect(out.error!.code).toBe(-32000);
+    expect(spy).toHaveBeenCalledTimes(2);
+  });
+
+  it('MUST try a URL outside the pool alone', async () => {
+    const guard = makeEgressGuard({ allowHosts: ['d.rpc.test', 'a.rpc.test'], allowMethods: ['query'], endpoints: [A], retry: { maxAttempts: 2, baseDelayMs: 0 } });
+    const { hosts } = route({ 'd.rpc.test': () => respond(503, 'busy'), 'a.rpc.test': () => ok({}) });
+
+    await expect(guard.post('https://d.rpc.test', query)).rejects.toMatchObject({ status: 503 });
+    expect(hosts).toEqual(['d.rpc.test', 'd.rpc.test']);
+  });
+});
+
+describe('Egress Guard - Health', () => {
+  it('MUST prefer healthy endpoints after a failure', async () => {
+    const guard = makeGuard();
+    const { hosts } = route({
+      'a.rpc.test': () => respond(503, 'busy'),
+      'b.rpc.test': () => ok({ from: 'b' })
+    });
+
+    await guard.post(A, query);
+    await guard.post(A, query);
+    expect(hosts).toEqual(['a.rpc.test', 'b.rpc.test', 'b.rpc.test']);
+
+    const [a, b] = guard.health();
+    expect(a.failures).toBe(1);
+    expect(a.score).toBeLessThan(b.score);
+    expect(a.cooldownUntil).toBeGreaterThan(Date.now());
+    expect(b.successes).toBe(2);
+  });
+
+  it('MUST rank by score once cooldowns expire', async () => {
+    const guard = makeGuard({ cooldownMs: 0 });
+    let aDown = true;
+    const { hosts } = route({
+      'a.rpc.test': () => aDown ? respond(503, 'busy') : ok({ from: 'a' }),
+      'b.rpc.test': () => ok({ from: 'b' })
+    });
+
+    await guard.post(A, query);
+    aDown = false;
+    // b now has the better score; a is out of cooldown but ranked second
+    expect((await guard.post(A, query)).result.from).toBe('b');
+    expect(guard.health()[0].cooldownUntil).toBeLessThanOrEqual(Date.now());
+    expect(hosts).toEqual(['a.rpc.test', 'b.rpc.test', 'b.rpc.test']);
+  });
+});
+
+describe('Egress Guard - Non-Idempotent Methods', () => {
+  it('MUST NOT resubmit send_tx after an ambiguous failure', async () => {
+    for (const fail of [() => respond(500, 'boom'), () => respond(504, 'gateway timeout'), () => { throw new TypeError('reset'); }]) {
+      vi.restoreAllMocks();
+      const guard = makeGuard();
+      const { spy } = route({ 'a.rpc.test': fail, 'b.rpc.test': () => ok({}) });
+      await expect(guard.post(A, sendTx)).rejects.toBeInstanceOf(NearRpcError);
+      expect(spy).toHaveBeenCalledTimes(1);
+    }
+  });
+
+  it('MUST retry send_tx only when the server did not process it', async () => {
+    const guard = makeGuard();
+    const { hosts } = route({
+      'a.rpc.test': () => respond(429, 'slow down'),
+      'b.rpc.test': () => respond(503, 'busy'),
+      'c.rpc.test': () => ok({ status: 'ok' })
+    });
+
+    const out = await guard.post(A, sendTx);
+    expect(out.result.status).toBe('ok');
+    expect(hosts).toEqual(['a.rpc.test', 'b.rpc.test', 'c.rpc.test']);
+  });
+
+  it('MUST fall back to broadcast_tx_commit only when send_tx is not supported', async () => {
+    const guard = makeGuard();
+    const bodies: any[] = [];
+    route({
+      'a.rpc.test': (init) => {
+        const req = JSON.parse(init.body);
+        bodies.push(req);
+        return req.method === 'send_tx'
+          ? respond(200, { jsonrpc: '2.0', id: 2, error: { code: -32601, message: 'Method not found' } })
+          : ok({ status: 'committed' });
+      }
+    });
+
+    const out = await guard.post(A, sendTx);
+    expect(out.result.status).toBe('committed');
+    expect(bodies.map((b) => b.method)).toEqual(['send_tx', 'broadcast_tx_commit']);
+    expect(bodies[1].params).toEqual(['AAAA']);
+  });
+
+  it('MUST classify retry safety per method', () => {
+    const timeout = new NearRpcError('TIMEOUT_ERROR', 'timeout', null, null, 408);
+    const busy = new NearRpcError('HttpError', 'busy', null, null, 503);
+    expect(isSafeToRetry('query', timeout)).toBe(true);
+    expect(isSafeToRetry('send_tx', timeout)).toBe(false);
+    expect(isSafeToRetry('broadcast_tx_commit', busy)).toBe(true);
+    expect(isSafeToRetry('query', new Error('Blocked host: evil.com'))).toBe(false);
+  });
+});
+
+describe('Egress Guard - Policy on Every Endpoint', () => {
+  it('MUST reject a pool with a non-allowlisted endpoint', () => {
+    expect(() => makeEgressGuard({ allowHosts: ['a.rpc.test'], allowMethods: ['query'], endpoints: [A, 'https://evil.com'] }))
+      .toThrow(/Blocked host: evil.com/);
+  });
+
+  it('MUST reject a pool with a non-HTTPS endpoint', () => {
+    expect(() => makeEgressGuard({ allowHosts: ['a.rpc.test', 'b.rpc.test'], allowMethods: ['query'], endpoints: [A, 'http://b.rpc.test'] }))
+      .toThrow(/Non-HTTPS/);
+  });
+
+  it('MUST enforce method and size caps before any endpoint is contacted', async () => {
+    const guard = makeGuard({ maxReqBytes: 100 });
+    const { spy } = route({});
+    await expect(guard.post(A, { ...query, method: 'EXPERIMENTAL_genesis_config' })).rejects.toThrow(/Blocked method/);
+    await expect(guard.post(A, { ...query, params: { pad: 'x'.repeat(200) } })).rejects.toThrow(/Request too large/);
+    expect(spy).not.toHaveBeenCalled();
+  });
+});
+
+describe('Egress Guard - Backoff', () => {
+  it('MUST grow exponentially with full jitter and cap at maxDelayMs', () => {
+    const retry = { baseDelayMs: 100, maxDelayMs: 1000 };
+    expect(backoffDelay(1, retry, () => 0.999)).toBe(99);
+    expect(backoffDelay(3, retry, () => 0.999)).toBe(399);
+    expect(backoffDelay(10, retry, () => 0.999)).toBe(999);
+    expect(backoffDelay(3, retry, () => 0)).toBe(0);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * EnclaveClient Multiplexing Tests
+ *
+ * These tests verify that concurrent requests on one iframe channel are independent:
+ * - Request IDs travel inside the ciphertext and are echoed by the enclave; body fields never replace them
+ * - Out-of-order responses resolve the right caller
+ * - Timeouts and AbortSignal cancellation affect only their own request
+ * - Late responses for cancelled requests are dropped
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { EnclaveClient } from '../packages/iframe/src/host/enclave-client';
+import {
+  genECDH, exportRaw, importRaw, deriveSession,
+  seal, open, serializePayload, deserializePayload,
+  opAAD, resultAAD
+} from '../packages/iframe/src/host/crypto-protocol';
+
+/**
+ * Minimal stand-in for the enclave end of the MessageChannel:
+ * records calls and answers them on demand, in any order.
+ */
+class FakeEnclave {
+  session: any;
+  calls: any[] = [];
+  seq = 1;
+  client!: EnclaveClient;
+
+  port = {
+    postMessage: (msg: any) => { this.calls.push(msg); }
+  };
+
+  async decrypt(i: number) {
+    const msg = this.calls[i];
+    return open(this.session.aeadKey, deserializePayload(msg.payload), opAAD(msg.op, msg.v));
+  }
+
+  async reply(i: number, result: any) {
+    const msg = this.calls[i];
+    const { id } = await this.decrypt(i);
+    const ct = await seal(this.session.aeadKey, this.session.baseIV, this.seq++, { ...result, id }, resultAAD(msg.op, msg.v));
+    this.client._onMsg({ data: { type: 'ciphertext-result', v: msg.v, op: msg.op, payload: serializePayload(ct) } } as any);
+  }
+
+  error(i: number, error: string, extra: any = {}) {
+    this.client._onMsg({ data: { type: 'error', error, seq: this.calls[i].seq, ...extra } } as any);
+  }
+}
+
+async function connect() {
+  const hostKeys = await genECDH();
+  const enclaveKeys = await genECDH();
+  const ctx = { hostOrigin: 'http://localhost:3000', enclaveOrigin: 'http://localhost:3010', codeHash: 'test' };
+
+  const client = new EnclaveClient(ctx.enclaveOrigin);
+  const enclave = new FakeEnclave();
+  client.session = await deriveSession(hostKeys.privateKey, await importRaw(await exportRaw(enclaveKeys.publicKey)), ctx);
+  enclave.session = await deriveSession(enclaveKeys.privateKey, await importRaw(await exportRaw(hostKeys.publicKey)), ctx);
+  client.port = enclave.port as any;
+  enclave.client = client;
+  return { client, enclave };
+}
+
+/** Wait until the client has put `n` calls on the wire. */
+async function waitForCalls(enclave: FakeEnclave, n: number) {
+  while (enclave.calls.length < n) await new Promise(r => setTimeout(r, 0));
+}
+
+describe('EnclaveClient - Concurrent Requests', () => {
+  let client: EnclaveClient;
+  let enclave: FakeEnclave;
+
+  beforeEach(async () => {
+    ({ client, enclave } = await connect());
+  });
+
+  it('MUST put a unique request ID inside each encrypted body', async () => {
+    const pending = [
+      client.send('evalQuickJS', { code: 'return 1' }),
+      client.send('evalQuickJS', { code: 'return 2' })
+    ];
+    await waitForCalls(enclave, 2);
+
+    const a = await enclave.decrypt(0);
+    const b = await enclave.decrypt(1);
+    expect(a.id).toBeDefined();
+    expect(b.id).toBeDefined();
+    expect(a.id).not.toBe(b.id);
+    expect(a.code).toBe('return 1');
+
+    // The ID is not visible in cleartext
+    expect(enclave.calls[0].id).toBeUndefined();
+    client.cancelAll();
+    await Promise.allSettled(pending);
+  });
+
+  it('MUST NOT let an id field in the body replace the request ID', async () => {
+    const other = client.send('evalQuickJS', { code: 'return 1' });
+    const spoofed = client.send('evalQuickJS', { code: 'return 2', id: '0' });
+    await waitForCalls(enclave, 2);
+
+    const [a, b] = [await enclave.decrypt(0), await enclave.decrypt(1)];
+    expect(b.id).not.toBe(a.id);
+
+    await enclave.reply(1, { body: 2, id: a.id });
+    expect(await spoofed).toEqual({ body: 2 });
+    expect(client.pendingCount()).toBe(1);
+    client.cancelAll();
+    await Promise.allSettled([other]);
+  });
+
+  it('MUST resolve responses that arrive out of order to the right caller', async () => {
+    const first = client.send('evalQuickJS', { code: 'return 1' });
+    const second = client.send('signTransaction', { transaction: {} });
+    const third = client.send('evalQuickJS', { code: 'return 3' });
+    await waitForCalls(enclave, 3);
+
+    await enclave.reply(2, { body: 3 });
+    await enclave.reply(0, { body: 1 });
+    await enclave.reply(1, { body: 'sig' });
+
+    expect(await first).toEqual({ body: 1 });
+    expect(await second).toEqual({ body: 'sig' });
+    expect(await third).toEqual({ body: 3 });
+    expect(client.pendingCount()).toBe(0);
+  });
+
+  it('MUST surface sealed handler errors on the matching request only', async () => {
+    const ok = client.send('evalQuickJS', { code: 'return 1' });
+    const bad = client.send('signTransaction', { transaction: {} });
+    await waitForCalls(enclave, 2);
+
+    await enclave.reply(1, { error: { message: 'key-not-found', code: 'key-not-found' } });
+    await expect(bad).rejects.toMatchObject({ message: 'key-not-found', code: 'key-not-found' });
+
+    await enclave.reply(0, { body: 1 });
+    expect(await ok).toEqual({ body: 1 });
+  });
+
+  it('MUST route plaintext error frames by envelope seq', async () => {
+    const a = client.send('evalQuickJS', { code: 'return 1' });
+    const b = client.send('nope', {});
+    await waitForCalls(enclave, 2);
+
+    enclave.error(1, 'unknown-op: nope', { code: 'unknown-op', op: 'nope' });
+    await expect(b).rejects.toMatchObject({ code: 'unknown-op', op: 'nope' });
+
+    await enclave.reply(0, { body: 1 });
+    expect(await a).toEqual({ body: 1 });
+  });
+
+  it('MUST time out each request independently', async () => {
+    const slow = client.send('evalQuickJS', { code: 'while(true){}' }, { timeoutMs: 20 });
+    const fast = client.send('evalQuickJS', { code: 'return 1' }, { timeoutMs: 5000 });
+    await waitForCalls(enclave, 2);
+
+    await expect(slow).rejects.toThrow(/timeout/);
+    await enclave.reply(1, { body: 1 });
+    expect(await fast).toEqual({ body: 1 });
+  });
+
+  it('MUST cancel via AbortSignal and drop the late response', async () => {
+    const controller = new AbortController();
+    const cancelled = client.send('evalQuickJS', { code: 'return 1' }, { signal: controller.signal });
+    const other = client.send('evalQuickJS', { code: 'return 2' });
+    await waitForCalls(enclave, 2);
+
+    controller.abort();
+    await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+    expect(client.pendingCount()).toBe(1);
+
+    // Late response for the cancelled request is ignored
+    await enclave.reply(0, { body: 1 });
+    await enclave.reply(1, { body: 2 });
+    expect(await other).toEqual({ body: 2 });
+    expect(client.pendingCount()).toBe(0);
+  });
+
+  it('MUST NOT send a request whose signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(client.send('evalQuickJS', { code: 'return 1' }, { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(enclave.calls).toHaveLength(0);
+  });
+
+  it('MUST reject all in-flight requests on cancelAll()', async () => {
+    const a = client.send('evalQuickJS', { code: 'return 1' });
+    const b = client.send('evalQuickJS', { code: 'return 2' });
+    await waitForCalls(enclave, 2);
+
+    client.cancelAll(new Error('Enclave destroyed'));
+    const [ra, rb] = await Promise.allSettled([a, b]);
+    expect(ra).toMatchObject({ status: 'rejected', reason: { message: 'Enclave destroyed' } });
+    expect(rb).toMatchObject({ status: 'rejected', reason: { message: 'Enclave destroyed' } });
+    expect(client.pendingCount()).toBe(0);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Guest Console Tests
+ *
+ * These tests verify console capture for guest code:
+ * - console.log/info/warn/error are recorded with level, message and timestamp
+ * - Messages share a byte cap; the rest are truncated, then dropped and counted
+ * - Entries stream to a listener as they happen, and come back with the result
+ * - A console kept in a session stops recording once its call ends
+ * - Streamed events reach the host before the result, over the encrypted channel
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { QuickJSEnclave } from '../packages/iframe/src/enclave/quickjs-runtime';
+import { IframeBackend } from '../packages/iframe/src/iframe-backend';
+import { EnclaveClient } from '../packages/iframe/src/host/enclave-client';
+import {
+  genECDH, exportRaw, importRaw, deriveSession,
+  seal, open, serializePayload, deserializePayload,
+  opAAD, resultAAD, eventAAD
+} from '../packages/iframe/src/host/crypto-protocol';
+
+let enclave: QuickJSEnclave;
+
+beforeEach(async () => {
+  enclave = new QuickJSEnclave();
+  await enclave.init();
+});
+
+afterEach(() => {
+  enclave.dispose();
+});
+
+describe('Guest Console - Capture', () => {
+  it('MUST record each level with its formatted message and a timestamp', async () => {
+    const before = Date.now();
+    const out = await enclave.eval(`
+      console.log('plain', 42, null, undefined, true);
+      console.info({ a: [1, 2] });
+      console.warn(new TypeError('bad input'));
+      console.error('done', () => 1);
+      return 'ok';
+    `);
+
+    expect(out).toMatchObject({ ok: true, value: 'ok', logsDropped: 0 });
+    expect(out.logs.map(({ level, message }) => ({ level, message }))).toEqual([
+      { level: 'log', message: 'plain 42 null undefined true' },
+      { level: 'info', message: '{"a":[1,2]}' },
+      { level: 'warn', message: 'TypeError: bad input' },
+      { level: 'error', message: 'done [function]' }
+    ]);
+    for (const entry of out.logs) {
+      expect(entry.timestamp).toBeGreaterThanOrEqual(before);
+      expect(entry.timestamp).toBeLessThanOrEqual(Date.now());
+    }
+  });
+
+  it('MUST keep what a failing guest logged', async () => {
+    const out = await enclave.eval(`console.log('about to fail'); throw new Error('boom');`);
+
+    expect(out.ok).toBe(false);
+    expect(out.logs).toEqual([expect.objectContaining({ level: 'log', message: 'about to fail' })]);
+  });
+
+  it('MUST cap message bytes, then drop and count the rest', async () => {
+    const out = await enclave.eval(`console.log('1234'); console.log('é'.repeat(5)); console.log('gone'); console.warn('gone');`, { logging: { maxBytes: 9 } });
+
+    expect(out.logs.map((e) => e.message)).toEqual(['1234', 'éé']);
+    expect(out.logs[1].truncated).toBe(true);
+    expect(out.logsDropped).toBe(2);
+    expect(await enclave.eval(`console.log('x'.repeat(100000));`).then((r) => r.logs[0].message.length)).toBe(64 * 1024);
+  });
+});
+
+describe('Guest Console - Streaming', () => {
+  it('MUST hand entries to the listener as the guest logs them', async () => {
+    const seen: string[] = [];
+    enclave.host.register('probe.mark', () => { seen.push('host call'); });
+    const out = await enclave.eval(
+      `console.log('before'); await probe.mark(); console.log('after'); return 1;`,
+      { capabilities: ['probe.mark'], logging: { onEntry: (entry) => seen.push(entry.message) } }
+    );
+
+    expect(seen).toEqual(['before', 'host call', 'after']);
+    expect(out.logs.map((e) => e.message)).toEqual(['before', 'after']);
+  });
+
+  it('MUST stop recording through a console a session kept', async () => {
+    await enclave.eval(`globalThis.saved = console.log; console.log('first');`, { sessionId: 'a' });
+    const second = await enclave.eval(`saved('stale'); console.log('second');`, { sessionId: 'a' });
+
+    expect(second.logs.map((e) => e.message)).toEqual(['second']);
+  });
+});
+
+describe('Guest Console - Host Channel', () => {
+  async function connect() {
+    const hostKeys = await genECDH();
+    const enclaveKeys = await genECDH();
+    const ctx = { hostOrigin: 'http://localhost:3000', enclaveOrigin: 'http://localhost:3010', codeHash: 'test' };
+
+    const client = new EnclaveClient(ctx.enclaveOrigin);
+    const calls: any[] = [];
+    client.session = await deriveSession(hostKeys.privateKey, await importRaw(await exportRaw(enclaveKeys.publicKey)), ctx);
+    client.port = { postMessage: (msg: any) => { calls.push(msg); } } as any;
+    const session = await deriveSession(enclaveKeys.privateKey, await importRaw(await exportRaw(hostKeys.publicKey)), ctx);
+    return { client, calls, session };
+  }
+
+  it('MUST deliver sealed events to the pending request before its result', async () => {
+    const { client, calls, session } = await connect();
+    const events: any[] = [];
+    const pending = client.send('evalQuickJS', { code: 'console.log(1)' }, { onEvent: (e) => events.push(e) });
+    while (calls.length < 1) await new Promise((r) => setTimeout(r, 0));
+
+    const msg = calls[0];
+    const { id } = await open(session.aeadKey, deserializePayload(msg.payload), opAAD(msg.op, msg.v));
+    const frame = async (type: string, seq: number, body: any, aad: string) => ({
+      data: { type, v: msg.v, op: msg.op, payload: serializePayload(await seal(session.aeadKey, session.baseIV, seq, { id, ...body }, aad)) }
+    });
+    const event = await frame('ciphertext-event', 1, { type: 'log', entry: { level: 'log', message: '1' } }, eventAAD(msg.op, msg.v));
+    const result = await frame('ciphertext-result', 2, { body: 1 }, resultAAD(msg.op, msg.v));
+    const wrongAAD = await frame('ciphertext-event', 3, { type: 'log' }, resultAAD(msg.op, msg.v));
+
+    client._onMsg(wrongAAD as any);
+    client._onMsg(event as any);
+    client._onMsg(result as any);
+
+    expect(await pending).toEqual({ body: 1 });
+    expect(events).toEqual([{ type: 'log', entry: { level: 'log', message: '1' } }]);
+  });
+
+  it('MUST ask the enclave to stream when onLog is given and expose logs in metrics', async () => {
+    const backend = new IframeBackend({ enclaveOrigin: 'http://localhost:3010' });
+    const entry = { level: 'info', message: 'hi', timestamp: 1 };
+    const sent: any[] = [];
+    backend.client = {
+      send: async (op: string, call: any, options: any) => {
+        sent.push(call);
+        if (call.streamLogs) options.onEvent({ type: 'log', entry });
+        return { body: 1, logs: [entry], logsDropped: 0 };
+      }
+    };
+    backend.initialized = true;
+
+    const streamed: any[] = [];
+    const { metrics } = await backend.execute('console.info("hi")', {}, { onLog: (e: any) => streamed.push(e) });
+    await backend.execute('console.info("hi")');
+
+    expect(sent.map((c) => c.streamLogs)).toEqual([true, false]);
+    expect(streamed).toEqual([entry]);
+    expect(metrics).toMatchObject({ logs: [entry], logsDropped: 0 });
+  });
+});
@@ -0,0 +1,102 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { openDB, type IDBPDatabase } from 'idb';
+
+type Closable = { close(): unknown };
+
+const tracked: Closable[] = [];
+
+/**
+ * Give the next test an empty IndexedDB in a secure context (use in beforeEach)
+ */
+export function resetIndexedDB(): void {
+  (globalThis as any).indexedDB = new IDBFactory();
+  (globalThis as any).isSecureContext = true;
+}
+
+/**
+ * Close an instance when the test ends (see closeTracked)
+ */
+export function track<T extends Closable>(instance: T): T {
+  tracked.push(instance);
+  return instance;
+}
+
+/**
+ * Initialize an instance and close it when the test ends
+ */
+export async function openTracked<T extends Closable & { initialize(): Promise<unknown> }>(instance: T): Promise<T> {
+  await instance.initialize();
+  return track(instance);
+}
+
+/**
+ * Close every tracked instance, newest first (use in afterEach)
+ */
+export async function closeTracked(): Promise<void> {
+  while (tracked.length) await tracked.pop()!.close();
+}
+
+export type StoreSeed = {
+  keyPath: string;
+  indexes?: Array<{ name: string; keyPath: string; unique?: boolean }>;
+  records?: any[];
+};
+
+/**
+ * Create a database exactly as an older release left it
+ *
+ * @param name - Database name
+ * @param version - Schema version to stamp on it
+ * @param stores - Stores, indexes and records to create at that version
+ */
+export async function seedDatabase(name: string, version: number, stores: Record<string, StoreSeed>): Promise<void> {
+  const db = await openDB(name, version, {
+    upgrade(db) {
+      for (const [storeName, seed] of Object.entries(stores)) {
+        const store = db.createObjectStore(storeName, { keyPath: seed.keyPath });
+        for (const index of seed.indexes ?? []) {
+          store.createIndex(index.name, index.keyPath, { unique: !!index.unique });
+        }
+      }
+    },
+  });
+  for (const [storeName, seed] of Object.entries(stores)) {
+    for (const record of seed.records ?? []) await db.put(storeName, record);
+  }
+  db.close();
+}
+
+/**
+ * Version, stores, key paths and indexes of a database (to compare migrated vs fresh)
+ */
+export async function describeDatabase(name: string) {
+  const db = await openDB(name);
+  try {
+    return {
+      version: db.version,
+      stores: Object.fromEntries(Array.from(db.objectStoreNames).sort().map((storeName) => {
+        const store = db.transaction(storeName).store;
+        const indexes = Array.from(store.indexNames).sort().map((indexName) => {
+          const index = store.index(indexName);
+          return { name: indexName, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+        });
+        return [storeName, { keyPath: store.keyPath, indexes }];
+      })),
+    };
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Read every record in a store without going through the module under test
+ */
+export async function readStore(name: string, storeName: string): Promise<any[]> {
+  const db: IDBPDatabase = await openDB(name);
+  try {
+    return await db.getAll(storeName);
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Host Function Bridge Tests
+ *
+ * These tests verify the capability-scoped bridge between QuickJS guests and host functions:
+ * - Only host functions granted to an execution are visible to its guest
+ * - Host results (sync or async) settle guest promises; host errors reject them
+ * - Every guest→host call is logged in the execution result
+ * - Revoked bridges cut off kept references; unsettled calls are abandoned at the deadline
+ */
+
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { newQuickJSWASMModule, type QuickJSContext, type QuickJSWASMModule } from 'quickjs-emscripten';
+import {
+  HostFunctionRegistry,
+  HostBridgeError,
+  createHostFunctions
+} from '../packages/shared/src/host-bridge';
+import { QuickJSEnclave } from '../packages/iframe/src/enclave/quickjs-runtime';
+
+let QuickJS: QuickJSWASMModule;
+const contexts: QuickJSContext[] = [];
+
+function newContext() {
+  const ctx = QuickJS.newContext();
+  contexts.push(ctx);
+  return ctx;
+}
+
+/** Evaluate in a context and return the settled state of the resulting promise */
+async function settled(ctx: QuickJSContext, bridge: { settle(deadline: number): Promise<boolean> }, code: string) {
+  const promise = ctx.unwrapResult(ctx.evalCode(code));
+  await bridge.settle(Date.now() + 1000);
+  const state = ctx.getPromiseState(promise);
+  promise.dispose();
+  if (state.type === 'fulfilled') return { fulfilled: state.value.consume((v) => ctx.dump(v)) };
+  if (state.type === 'rejected') return { rejected: state.error.consume((e) => ctx.dump(e).message) };
+  return { pending: true };
+}
+
+beforeAll(async () => {
+  QuickJS = await newQuickJSWASMModule();
+});
+
+afterEach(() => {
+  while (contexts.length) contexts.pop()!.dispose();
+});
+
+describe('Host Bridge - Registry', () => {
+  it('MUST reject malformed, reserved and duplicate names', () => {
+    const registry = new HostFunctionRegistry().register('near.view', () => null);
+
+    for (const name of ['', 'near..view', '1abc', 'near.__proto__', 'a.constructor']) {
+      expect(() => registry.register(name, () => null)).toThrow(HostBridgeError);
+    }
+    expect(() => registry.register('near.view', () => null)).toThrow(/already registered/);
+  });
+
+  it('MUST refuse to grant a function that is not registered', () => {
+    const registry = createHostFunctions();
+    const err = (() => { try { registry.install(newContext(), ['crypto.sha256', 'storage.get']); } catch (e) { return e; } })();
+    expect(err).toMatchObject({ name: 'HostBridgeError', code: 'not-registered' });
+  });
+});
+
+describe('Host Bridge - Calls', () => {
+  it('MUST settle guest promises with host results, sync or async', async () => {
+    const registry = createHostFunctions()
+      .register('near.view', async (account: string, method: string) => {
+        await new Promise((r) => setTimeout(r, 5));
+        return { account, method, balance: '10' };
+      })
+      .register('math.double', (n: number) => n * 2);
+    const ctx = newContext();
+    const bridge = registry.install(ctx, ['near.view', 'math.double', 'crypto.sha256']);
+
+    expect(await settled(ctx, bridge, `near.view('a.near', 'get').then((r) => r.balance + '/' + r.method)`)).toEqual({ fulfilled: '10/get' });
+    expect(await settled(ctx, bridge, `math.double(21).then((n) => math.double(n))`)).toEqual({ fulfilled: 84 });
+    expect(await settled(ctx, bridge, `crypto.sha256('abc')`)).toEqual({
+      fulfilled: 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+    });
+    expect(bridge.calls.map((c) => [c.name, c.status])).toEqual([
+      ['near.view', 'ok'],
+      ['math.double', 'ok'],
+      ['math.double', 'ok'],
+      ['crypto.sha256', 'ok']
+    ]);
+    expect(bridge.calls[0]).toMatchObject({ args: ['a.near', 'get'], value: { account: 'a.near', method: 'get', balance: '10' } });
+    bridge.revoke();
+  });
+
+  it('MUST reject guest promises when the host function fails', async () => {
+    const registry = new HostFunctionRegistry().register('storage.get', (key: string) => {
+      throw new Error(`no such key: ${key}`);
+    });
+    const ctx = newContext();
+    const bridge = registry.install(ctx, ['storage.get']);
+
+    expect(await settled(ctx, bridge, `storage.get('missing')`)).toEqual({ rejected: 'no such key: missing' });
+    expect(bridge.calls).toEqual([
+      expect.objectContaining({ name: 'storage.get', args: ['missing'], status: 'error', error: 'no such key: missing' })
+    ]);
+    bridge.revoke();
+  });
+
+  it('MUST cut off references a guest kept after revocation', async () => {
+    const ctx = newContext();
+    const bridge = createHostFunctions().install(ctx, ['crypto.sha256']);
+    ctx.unwrapResult(ctx.evalCode('globalThis.kept = crypto.sha256')).dispose();
+    bridge.revoke();
+
+    const result = ctx.evalCode(`try { kept('x'); 'called' } catch (e) { e.message }`);
+    expect(ctx.unwrapResult(result).consume((v) => ctx.dump(v))).toBe('host function revoked: crypto.sha256');
+    expect(bridge.calls).toEqual([]);
+  });
+});
+
+describe('Host Bridge - QuickJSEnclave', () => {
+  let enclave: QuickJSEnclave;
+
+  beforeAll(async () => {
+    enclave = new QuickJSEnclave();
+    await enclave.init();
+    enclave.host.register('near.view', async (account: string) => ({ account, balance: '5' }));
+    enclave.host.register('clock.never', () => new Promise(() => {}));
+  });
+
+  it('MUST expose only the capabilities granted to each call', async () => {
+    const probe = 'return [typeof crypto === "object" && typeof crypto.sha256, typeof near];';
+    expect((await enclave.eval(probe)).value).toEqual([false, 'undefined']);
+    expect((await enclave.eval(probe, { capabilities: ['crypto.sha256'] })).value).toEqual(['function', 'undefined']);
+    expect((await enclave.eval(probe)).value).toEqual([false, 'undefined']);
+
+    const denied = await enclave.eval('return 1;', { capabilities: ['fs.read'] });
+    expect(denied).toMatchObject({ ok: false, error: 'host function not registered: fs.read', hostCalls: [] });
+  });
+
+  it('MUST log every host call in the execution result', async () => {
+    const out = await enclave.eval(`near.view('a.near'); near.view('b.near'); return 'sent';`, { capabilities: ['near.view'] });
+
+    expect(out).toMatchObject({ ok: true, value: 'sent' });
+    expect(out.hostCalls).toEqual([
+      expect.objectContaining({ name: 'near.view', args: ['a.near'], status: 'ok', value: { account: 'a.near', balance: '5' } }),
+      expect.objectContaining({ name: 'near.view', args: ['b.near'], status: 'ok', value: { account: 'b.near', balance: '5' } })
+    ]);
+  });
+
+  it('MUST abandon host calls still running at the deadline', async () => {
+    const out = await enclave.eval(`clock.never(); return 'done';`, { limits: 50, capabilities: ['clock.never'] });
+
+    expect(out).toMatchObject({ ok: true, value: 'done' });
+    expect(out.hostCalls).toEqual([expect.objectContaining({ name: 'clock.never', status: 'abandoned' })]);
+  });
+});
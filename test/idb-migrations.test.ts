@@ -0,0 +1,162 @@
+// @vitest-environment node
+/**
+ * IndexedDB Migration Tests
+ *
+ * These tests verify the schema migration framework and the steps each module registers:
+ * - Pending steps run in order inside the upgrade transaction, and only once
+ * - Record transforms rewrite or delete existing data during the upgrade
+ * - A failing step leaves the database at its old version with its old data
+ * - Older Keystore, EncryptedStorage and Vault databases migrate to the current shape
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  openWithMigrations,
+  transformRecords,
+  MigrationError,
+  type Migration
+} from '../packages/shared/src/migrations';
+import { Keystore, KEYSTORE_MIGRATIONS } from '../packages/shared/src/keystore';
+import { EncryptedStorage, STORAGE_MIGRATIONS } from '../packages/shared/src/storage';
+import { initVault } from '../packages/shared/src/vault';
+import { seedDatabase, describeDatabase, readStore, resetIndexedDB } from './helpers/idb';
+
+beforeEach(resetIndexedDB);
+
+const notes = (log: string[]): Migration[] => [
+  {
+    version: 1,
+    description: 'notes store',
+    upgrade({ db }) {
+      log.push('v1');
+      db.createObjectStore('notes', { keyPath: 'id' });
+    }
+  },
+  {
+    version: 2,
+    description: 'rename text to body, drop empty notes',
+    async upgrade({ transaction }) {
+      log.push('v2');
+      await transformRecords(transaction, 'notes', (n: any) => (n.text ? { id: n.id, body: n.text } : null));
+    }
+  }
+];
+
+describe('Migrations - Framework', () => {
+  it('MUST run only the steps above the stored version, in order', async () => {
+    await seedDatabase('notes', 1, { notes: { keyPath: 'id', records: [{ id: 1, text: 'hi' }, { id: 2, text: '' }] } });
+
+    const log: string[] = [];
+    const db = await openWithMigrations('notes', notes(log));
+    expect(db.version).toBe(2);
+    expect(log).toEqual(['v2']);
+    expect(await db.getAll('notes')).toEqual([{ id: 1, body: 'hi' }]);
+    db.close();
+
+    (await openWithMigrations('notes', notes(log))).close();
+    expect(log).toEqual(['v2']);
+  });
+
+  it('MUST run every step for a new database', async () => {
+    const log: string[] = [];
+    (await openWithMigrations('fresh', notes(log))).close();
+    expect(log).toEqual(['v1', 'v2']);
+  });
+
+  it('MUST abort the whole upgrade when a step fails', async () => {
+    await seedDatabase('notes', 1, { notes: { keyPath: 'id', records: [{ id: 1, text: 'hi' }] } });
+    const steps: Migration[] = [
+      ...notes([]),
+      {
+        version: 3,
+        description: 'broken',
+        upgrade() {
+          throw new Error('boom');
+        }
+      }
+    ];
+
+    const err = await openWithMigrations('notes', steps).catch((e) => e);
+    expect(err).toBeInstanceOf(MigrationError);
+    expect(err.code).toBe('failed');
+    expect(err.message).toMatch(/v3 \(broken\).*boom/);
+
+    expect((await describeDatabase('notes')).version).toBe(1);
+    expect(await readStore('notes', 'notes')).toEqual([{ id: 1, text: 'hi' }]);
+  });
+
+  it('MUST refuse databases written by a newer schema', async () => {
+    await seedDatabase('notes', 5, { notes: { keyPath: 'id' } });
+    await expect(openWithMigrations('notes', notes([]))).rejects.toMatchObject({ code: 'downgrade' });
+  });
+
+  it('MUST reject unordered or gapped step lists', async () => {
+    const [v1, v2] = notes([]);
+    await expect(openWithMigrations('x', [v2, v1])).rejects.toMatchObject({ code: 'invalid-migrations' });
+    await expect(openWithMigrations('x', [v1, { ...v2, version: 3 }])).rejects.toMatchObject({ code: 'invalid-migrations' });
+    await expect(openWithMigrations('x', [])).rejects.toMatchObject({ code: 'invalid-migrations' });
+  });
+});
+
+describe('Migrations - Module Schemas', () => {
+  it('MUST upgrade a v1 keystore database to the current shape', async () => {
+    const v1Record = { metadata: { accountId: 'old.near', publicKey: 'ed25519:old', createdAt: 1, lastUsedAt: 1 }, wrappedKey: new ArrayBuffer(8) };
+    await seedDatabase('ks-old', 1, {
+      keys: { keyPath: 'metadata.accountId', indexes: [{ name: 'publicKey', keyPath: 'metadata.publicKey', unique: true }], records: [v1Record] }
+    });
+
+    const migrated = new Keystore({ dbName: 'ks-old' });
+    await migrated.initialize();
+    const fresh = new Keystore({ dbName: 'ks-new' });
+    await fresh.initialize();
+
+    expect(await describeDatabase('ks-old')).toEqual(await describeDatabase('ks-new'));
+    expect((await describeDatabase('ks-old')).version).toBe(KEYSTORE_MIGRATIONS.length);
+    expect(await migrated.listAccounts()).toEqual([v1Record.metadata]);
+    await migrated.close();
+    await fresh.close();
+  });
+
+  it('MUST upgrade a v1 storage database to the current shape', async () => {
+    await seedDatabase('st-old', 1, {
+      'encrypted-data': {
+        keyPath: 'key',
+        indexes: [
+          { name: 'type', keyPath: 'metadata.type' },
+          { name: 'createdAt', keyPath: 'metadata.createdAt' },
+          { name: 'updatedAt', keyPath: 'metadata.updatedAt' }
+        ],
+        records: [{ key: 'legacy', encryptedValue: new ArrayBuffer(8), iv: new Uint8Array(12), metadata: { createdAt: 1, updatedAt: 1 } }]
+      }
+    });
+
+    const migrated = new EncryptedStorage({ dbName: 'st-old' });
+    await migrated.initialize();
+    const fresh = new EncryptedStorage({ dbName: 'st-new' });
+    await fresh.initialize();
+
+    expect(await describeDatabase('st-old')).toEqual(await describeDatabase('st-new'));
+    expect((await describeDatabase('st-old')).version).toBe(STORAGE_MIGRATIONS.length);
+    expect(await migrated.keys()).toEqual(['legacy']);
+    await migrated.set('new', { ok: true });
+    expect(await migrated.get('new')).toEqual({ ok: true });
+    await migrated.close();
+    await fresh.close();
+  });
+
+  it('MUST version legacy vault keys and keep using them', async () => {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ct = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: new Uint8Array() }, key, new TextEncoder().encode('legacy')));
+    await seedDatabase('vault-old', 1, {
+      keys: { keyPath: 'kid', records: [{ kid: 'k1', key, createdAt: 1 }] },
+      items: { keyPath: 'name', records: [{ name: 'token', kid: 'k1', v: 1, iv: Array.from(iv), ct: Array.from(ct), aad: '', createdAt: 1 }] }
+    });
+
+    const vault = await initVault({ dbName: 'vault-old' });
+    const [keyRecord] = await readStore('vault-old', 'keys');
+    expect(keyRecord).toMatchObject({ kid: 'k1', version: 1 });
+    expect(new TextDecoder().decode(await vault.unseal('token'))).toBe('legacy');
+    expect((await vault.stats()).kid).toBe('k1');
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * iframe Key Custody Tests
+ *
+ * These tests verify vault-backed key custody for the iframe enclave:
+ * - Keys are imported or generated and sealed under a key ID
+ * - Signing by key ID produces verifiable NEAR signatures (transactions, delegates, NEP-413 messages)
+ * - Results never contain secret key bytes
+ * - Sealed records are bound to their key ID and enclave context
+ * - IframeBackend signs by key ID under its own name, sending no key material
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createKeyCustody, KeyCustodyError, type KeyVault } from '../packages/iframe/src/enclave/key-custody';
+import {
+  createTransferTransaction,
+  createDelegateAction,
+  encodePublicKey,
+  verifySignature,
+  verifySignedDelegate
+} from '../packages/near/src/enclave/near-tx';
+import { verifyMessage } from '../packages/near/src/enclave/near-message';
+import { encodeBase58 } from '../packages/near/src/enclave/base58';
+import * as nacl from 'tweetnacl';
+import { IframeBackend } from '../packages/iframe/src/iframe-backend';
+
+/** In-memory stand-in for initVault(): AES-GCM with per-record AAD, like the real vault. */
+async function memoryVault() {
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  const items = new Map<string, { iv: Uint8Array; ct: Uint8Array }>();
+  const te = new TextEncoder();
+
+  const vault: KeyVault & { items: typeof items } = {
+    items,
+    async seal(name, data, aad = '') {
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const ct = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: te.encode(aad) }, key, data));
+      items.set(name, { iv, ct });
+    },
+    async unseal(name, aad = '') {
+      const rec = items.get(name);
+      if (!rec) throw new Error(`Not found: ${name}`);
+      return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: rec.iv, additionalData: te.encode(aad) }, key, rec.ct)) as any;
+    },
+    async delete(name) { items.delete(name); }
+  };
+  return vault;
+}
+
+const transfer = () => createTransferTransaction({
+  signerId: 'alice.testnet',
+  receiverId: 'bob.testnet',
+  amount: '1000000000000000000000000',
+  nonce: '1',
+  blockHash: '0'.repeat(64)
+});
+
+describe('Key Custody - Import and Generate', () => {
+  let vault: Awaited<ReturnType<typeof memoryVault>>;
+
+  beforeEach(async () => {
+    vault = await memoryVault();
+  });
+
+  it('MUST import an ed25519: key and return only its key ID and public key', async () => {
+    const custody = createKeyCustody(vault, 'session');
+    const keyPair = nacl.sign.keyPair();
+    const info = await custody.importKey('ed25519:' + encodeBase58(keyPair.secretKey));
+
+    expect(Object.keys(info).sort()).toEqual(['keyId', 'publicKey']);
+    expect(info.keyId).toMatch(/^k_[0-9a-f]{32}$/);
+    expect(info.publicKey).toBe(encodePublicKey(keyPair.publicKey));
+  });
+
+  it('MUST import raw secret keys and seeds', async () => {
+    const custody = createKeyCustody(vault);
+    const keyPair = nacl.sign.keyPair();
+
+    const fromBytes = await custody.importKey(Array.from(keyPair.secretKey));
+    const fromSeed = await custody.importKey(keyPair.secretKey.slice(0, 32));
+    expect(fromBytes.publicKey).toBe(encodePublicKey(keyPair.publicKey));
+    expect(fromSeed.publicKey).toBe(encodePublicKey(keyPair.publicKey));
+    expect(fromBytes.keyId).not.toBe(fromSeed.keyId);
+  });
+
+  it('MUST reject invalid key material', async () => {
+    const custody = createKeyCustody(vault);
+    await expect(custody.importKey('ed25519:nope')).rejects.toMatchObject({ code: 'invalid-key' });
+    await expect(custody.importKey(42)).rejects.toBeInstanceOf(KeyCustodyError);
+    expect(vault.items.size).toBe(0);
+  });
+
+  it('MUST generate distinct keys inside the enclave', async () => {
+    const custody = createKeyCustody(vault);
+    const a = await custody.generateKey();
+    const b = await custody.generateKey();
+
+    expect(a.publicKey).toMatch(/^ed25519:/);
+    expect(a.publicKey).not.toBe(b.publicKey);
+    expect(await custody.getPublicKey(a.keyId)).toEqual(a);
+  });
+
+  it('MUST store keys only in sealed form', async () => {
+    const custody = createKeyCustody(vault);
+    const keyPair = nacl.sign.keyPair();
+    const { keyId } = await custody.importKey(keyPair.secretKey);
+
+    const rec = vault.items.get(`near-key:${keyId}`)!;
+    const hex = (b: Uint8Array) => Buffer.from(b).toString('hex');
+    expect(hex(rec.ct)).not.toContain(hex(keyPair.secretKey.slice(0, 32)));
+  });
+});
+
+describe('Key Custody - Sign by Key ID', () => {
+  it('MUST sign with the sealed key and verify', async () => {
+    const custody = createKeyCustody(await memoryVault(), 'session');
+    const { keyId, publicKey } = await custody.generateKey();
+
+    const result = await custody.signTransaction(keyId, transfer());
+    expect(result.type).toBe('ed25519');
+    expect(result.data).toHaveLength(64);
+    expect(result.signedTransaction.transaction.publicKey).toBe(publicKey);
+    expect(await verifySignature(result.signedTransaction)).toBe(true);
+  });
+
+  it('MUST sign delegate actions with the sealed key', async () => {
+    const custody = createKeyCustody(await memoryVault());
+    const { keyId, publicKey } = await custody.generateKey();
+    const delegateAction = createDelegateAction({
+      senderId: 'alice.near',
+      receiverId: 'app.near',
+      actions: [{ type: 'Transfer', deposit: '1' }],
+      nonce: '1',
+      maxBlockHeight: '100'
+    });
+
+    const signed = await custody.signDelegateAction(keyId, delegateAction);
+    expect(signed.delegateAction.publicKey).toBe(publicKey);
+    expect(await verifySignedDelegate(signed)).toBe(true);
+  });
+
+  it('MUST sign NEP-413 messages with the sealed key', async () => {
+    const custody = createKeyCustody(await memoryVault());
+    const { keyId, publicKey } = await custody.generateKey();
+    const params = { message: 'Login', recipient: 'app.near', nonce: crypto.getRandomValues(new Uint8Array(32)) };
+
+    const signed = await custody.signMessage(keyId, 'alice.near', params);
+    expect(signed.publicKey).toBe(publicKey);
+    expect(await verifyMessage(signed, params)).toBe(true);
+  });
+
+  it('MUST NOT leak secret key bytes in the signing result', async () => {
+    const custody = createKeyCustody(await memoryVault());
+    const keyPair = nacl.sign.keyPair();
+    const { keyId } = await custody.importKey(keyPair.secretKey);
+
+    const serialized = JSON.stringify(await custody.signTransaction(keyId, transfer()));
+    expect(serialized).not.toContain(encodeBase58(keyPair.secretKey));
+    expect(serialized).not.toContain(JSON.stringify(Array.from(keyPair.secretKey.slice(0, 32))).slice(1, -1));
+  });
+
+  it('MUST fail unknown, malformed and deleted key IDs with a code', async () => {
+    const custody = createKeyCustody(await memoryVault());
+    const { keyId } = await custody.generateKey();
+
+    await expect(custody.signTransaction('k_' + '0'.repeat(32), transfer())).rejects.toMatchObject({ code: 'key-not-found' });
+    await expect(custody.signTransaction('../etc', transfer())).rejects.toMatchObject({ code: 'invalid-key-id' });
+
+    await custody.deleteKey(keyId);
+    await expect(custody.signTransaction(keyId, transfer())).rejects.toMatchObject({ code: 'key-not-found' });
+  });
+
+  it('MUST bind sealed keys to their key ID', async () => {
+    const vault = await memoryVault();
+    const custody = createKeyCustody(vault);
+    const a = await custody.generateKey();
+    const b = await custody.generateKey();
+
+    // Swap the sealed records: each must now fail to open
+    const recA = vault.items.get(`near-key:${a.keyId}`)!;
+    vault.items.set(`near-key:${a.keyId}`, vault.items.get(`near-key:${b.keyId}`)!);
+    vault.items.set(`near-key:${b.keyId}`, recA);
+
+    await expect(custody.signTransaction(a.keyId, transfer())).rejects.toThrow();
+    await expect(custody.signTransaction(b.keyId, transfer())).rejects.toThrow();
+  });
+
+  it('MUST bind sealed keys to the enclave context', async () => {
+    const vault = await memoryVault();
+    const { keyId } = await createKeyCustody(vault, 'origin-a').generateKey();
+
+    await expect(createKeyCustody(vault, 'origin-b').signTransaction(keyId, transfer())).rejects.toThrow();
+  });
+});
+
+describe('Key Custody - IframeBackend', () => {
+  it('MUST sign by key ID without sending key material', async () => {
+    const backend = new IframeBackend({ enclaveOrigin: 'http://localhost:3010' });
+    const sent: any[] = [];
+    backend.client = {
+      send: async (op: string, call: any) => {
+        sent.push({ op, call });
+        return { body: { type: 'ed25519', data: [1], signature: 'sig', signedTransaction: 'tx' }, keyExposureMs: 1 };
+      }
+    };
+    backend.initialized = true;
+
+    const keyId = 'k_' + '0'.repeat(32);
+    const signed = await backend.signTransactionByKeyId(keyId, transfer());
+
+    expect(signed).toMatchObject({ signature: { signature: 'sig' }, signedTransaction: 'tx' });
+    expect(sent).toEqual([{ op: 'signTransaction', call: { keyId, transaction: transfer() } }]);
+    expect((backend as any).signTransaction).toBeUndefined();
+  });
+});
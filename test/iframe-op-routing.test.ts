@@ -0,0 +1,114 @@
+/**
+ * iframe Operation Routing Tests
+ *
+ * These tests verify the versioned call envelope and the enclave op registry:
+ * - The op name is bound into the AAD (cannot be swapped in transit)
+ * - Routing happens on the cleartext op, with a single decryption
+ * - Unknown or malformed ops fail with a structured error
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  genECDH, exportRaw, importRaw, deriveSession,
+  seal, open, serializePayload, deserializePayload,
+  ENVELOPE_VERSION, opAAD, resultAAD
+} from '../packages/iframe/src/host/crypto-protocol';
+import { OpRegistry, OpError } from '../packages/iframe/src/enclave/op-registry';
+
+async function makeSession() {
+  const a = await genECDH();
+  const b = await genECDH();
+  const ctx = { hostOrigin: 'http://localhost:3000', enclaveOrigin: 'http://localhost:3010', codeHash: 'test' };
+  const host = await deriveSession(a.privateKey, await importRaw(await exportRaw(b.publicKey)), ctx);
+  const enclave = await deriveSession(b.privateKey, await importRaw(await exportRaw(a.publicKey)), ctx);
+  return { host, enclave };
+}
+
+describe('Call Envelope - AAD Binding', () => {
+  it('MUST derive distinct, versioned AADs per operation and direction', () => {
+    expect(opAAD('evalQuickJS')).toBe(`v${ENVELOPE_VERSION}|op=evalQuickJS`);
+    expect(resultAAD('evalQuickJS')).toBe(`v${ENVELOPE_VERSION}|op=evalQuickJS:result`);
+    expect(opAAD('evalQuickJS')).not.toBe(opAAD('signTransaction'));
+    expect(opAAD('evalQuickJS', 2)).not.toBe(opAAD('evalQuickJS', 1));
+  });
+
+  it('MUST open a payload under the op named in the envelope', async () => {
+    const { host, enclave } = await makeSession();
+    const ct = await seal(host.aeadKey, host.baseIV, 1, { code: 'return 1' }, opAAD('evalQuickJS'));
+    const envelope = { v: ENVELOPE_VERSION, op: 'evalQuickJS', payload: serializePayload(ct) };
+
+    const call = await open(enclave.aeadKey, deserializePayload(envelope.payload), opAAD(envelope.op, envelope.v));
+    expect(call).toEqual({ code: 'return 1' });
+  });
+
+  it('MUST reject an envelope whose op was swapped in transit', async () => {
+    const { host, enclave } = await makeSession();
+    const ct = await seal(host.aeadKey, host.baseIV, 1, { code: 'return 1' }, opAAD('evalQuickJS'));
+    const tampered = { v: ENVELOPE_VERSION, op: 'signTransaction', payload: serializePayload(ct) };
+
+    await expect(
+      open(enclave.aeadKey, deserializePayload(tampered.payload), opAAD(tampered.op, tampered.v))
+    ).rejects.toThrow();
+  });
+
+  it('MUST NOT accept a call payload as a result payload', async () => {
+    const { host } = await makeSession();
+    const ct = await seal(host.aeadKey, host.baseIV, 1, { ok: true }, opAAD('evalQuickJS'));
+    await expect(open(host.aeadKey, ct, resultAAD('evalQuickJS'))).rejects.toThrow();
+  });
+});
+
+describe('Op Registry - Dispatch', () => {
+  it('MUST resolve registered handlers by name', async () => {
+    const ops = new OpRegistry();
+    ops.register('evalQuickJS', async (call) => ({ body: call.code }));
+    ops.register('signTransaction', async () => ({ body: 'sig' }));
+
+    expect(ops.ops()).toEqual(['evalQuickJS', 'signTransaction']);
+    expect(await ops.resolve('evalQuickJS')({ code: 'x' })).toEqual({ body: 'x' });
+    expect(await ops.resolve('signTransaction')({})).toEqual({ body: 'sig' });
+  });
+
+  it('MUST reject duplicate registrations', () => {
+    const ops = new OpRegistry();
+    ops.register('evalQuickJS', async () => null);
+    expect(() => ops.register('evalQuickJS', async () => null)).toThrow(/already registered/);
+  });
+
+  it('MUST fail unknown ops with a structured error', () => {
+    const ops = new OpRegistry();
+    ops.register('evalQuickJS', async () => null);
+
+    try {
+      ops.resolve('deleteEverything');
+      expect.unreachable();
+    } catch (e) {
+      expect(e).toBeInstanceOf(OpError);
+      const err = e as OpError;
+      expect(err.code).toBe('unknown-op');
+      expect(err.op).toBe('deleteEverything');
+      expect(err.toMessage()).toEqual({
+        type: 'error',
+        error: 'unknown-op: deleteEverything',
+        code: 'unknown-op',
+        op: 'deleteEverything'
+      });
+    }
+  });
+
+  it('MUST reject malformed op names', () => {
+    const ops = new OpRegistry();
+    for (const bad of [undefined, 42, '', 'has space', '../x', 'x'.repeat(65)]) {
+      expect(() => ops.resolve(bad)).toThrow(OpError);
+      try { ops.resolve(bad); } catch (e) { expect((e as OpError).code).toBe('invalid-op'); }
+    }
+    expect(() => ops.register('bad op', async () => null)).toThrow(OpError);
+  });
+
+  it('MUST NOT resolve inherited object properties as ops', () => {
+    const ops = new OpRegistry();
+    expect(() => ops.resolve('constructor')).toThrow(OpError);
+    expect(() => ops.resolve('toString')).toThrow(OpError);
+    expect(ops.has('hasOwnProperty')).toBe(false);
+  });
+});
@@ -0,0 +1,209 @@
+// @vitest-environment node
+/**
+ * Key Rotation Tests
+ *
+ * These tests verify rotate() on Keystore, EncryptedStorage and Vault:
+ * - A new key version becomes current and every record is re-encrypted under it
+ * - Progress is reported per batch, and an aborted rotation resumes after a reload
+ * - Records on older keys stay readable until migrated, and are reported as pending
+ * - Older keys are deleted only once no record references them
+ * - A write during rotation is never overwritten by the migration
+ * - Another instance's writes switch to the current key and keep their key from being retired
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { openDB } from 'idb';
+import * as nacl from 'tweetnacl';
+import { Keystore } from '../packages/shared/src/keystore';
+import { EncryptedStorage } from '../packages/shared/src/storage';
+import { UserLock } from '../packages/shared/src/user-lock';
+import { initVault } from '../packages/shared/src/vault';
+import type { RotationProgress } from '../packages/shared/src/rotation';
+import { closeTracked, openTracked, resetIndexedDB } from './helpers/idb';
+
+function keystore(): Promise<Keystore> {
+  return openTracked(new Keystore({ dbName: 'rotation-keystore' }));
+}
+
+function storage(): Promise<EncryptedStorage> {
+  return openTracked(new EncryptedStorage({ dbName: 'rotation-storage' }));
+}
+
+async function storeIds(db: string, store: string) {
+  const raw = await openDB(db);
+  try {
+    return (await raw.getAllKeys(store)) as string[];
+  } finally {
+    raw.close();
+  }
+}
+
+const bytes = (s: string) => new TextEncoder().encode(s);
+const text = (b: Uint8Array) => new TextDecoder().decode(b);
+
+beforeEach(resetIndexedDB);
+afterEach(closeTracked);
+
+describe('Key Rotation - Keystore', () => {
+  it('MUST re-wrap every key under a new master key and delete the old one', async () => {
+    const ks = await keystore();
+    const accounts = ['a.near', 'b.near', 'c.near'].map((id) => ({ id, kp: nacl.sign.keyPair() }));
+    for (const { id, kp } of accounts) await ks.storeKey(id, kp.secretKey.slice(), `ed25519:${id}`);
+    const oldKid = ks.getMasterKeyId()!;
+
+    const progress: RotationProgress[] = [];
+    const status = await ks.rotate({ batchSize: 2, onProgress: (p) => { progress.push(p); } });
+
+    expect(status.kid).not.toBe(oldKid);
+    expect(status).toMatchObject({ total: 3, pending: [], complete: true });
+    expect(progress.map((p) => p.migrated)).toEqual([2, 3]);
+    expect(await storeIds('rotation-keystore', 'master-keys')).toEqual([status.kid]);
+
+    for (const { id, kp } of accounts) {
+      const msg = bytes(id);
+      expect(nacl.sign.detached.verify(msg, await ks.sign(id, msg), kp.publicKey)).toBe(true);
+    }
+  });
+
+  it('MUST resume an aborted rotation after a reload', async () => {
+    const ks = await keystore();
+    const kp = nacl.sign.keyPair();
+    await ks.storeKey('a.near', kp.secretKey.slice(), 'ed25519:a');
+    await ks.storeKey('b.near', nacl.sign.keyPair().secretKey, 'ed25519:b');
+    const oldKid = ks.getMasterKeyId()!;
+
+    const controller = new AbortController();
+    const partial = await ks.rotate({ batchSize: 1, signal: controller.signal, onProgress: () => controller.abort() });
+    expect(partial.complete).toBe(false);
+    expect(partial.pending).toEqual([{ id: 'b.near', kid: oldKid }]);
+    expect(partial.retainedKids).toEqual([oldKid]);
+    await ks.close();
+
+    const reloaded = await keystore();
+    expect(reloaded.getMasterKeyId()).toBe(partial.kid);
+    expect((await reloaded.getRotationStatus()).pending).toHaveLength(1);
+
+    const done = await reloaded.resumeRotation();
+    expect(done.complete).toBe(true);
+    expect(await storeIds('rotation-keystore', 'master-keys')).toEqual([partial.kid]);
+    const msg = bytes('after');
+    expect(nacl.sign.detached.verify(msg, await reloaded.sign('a.near', msg), kp.publicKey)).toBe(true);
+  });
+
+  it('MUST refuse to rotate while the user lock is locked', async () => {
+    const lock = await openTracked(new UserLock({ dbName: 'rotation-lock', autoLockMs: 0 }));
+    await lock.enable({ passphrase: 'pw' }, { algorithm: 'PBKDF2', hash: 'SHA-256', iterations: 1000 });
+    const ks = await openTracked(new Keystore({ dbName: 'rotation-keystore', userLock: lock }));
+    await ks.storeKey('a.near', nacl.sign.keyPair().secretKey, 'ed25519:a');
+
+    lock.lock();
+    await expect(ks.rotate()).rejects.toMatchObject({ code: 'locked' });
+
+    await lock.unlock({ passphrase: 'pw' });
+    expect((await ks.rotate()).complete).toBe(true);
+    await ks.sign('a.near', bytes('x'));
+  });
+});
+
+describe('Key Rotation - EncryptedStorage', () => {
+  it('MUST re-encrypt every record under a new data key', async () => {
+    const s = await storage();
+    for (let i = 0; i < 5; i++) await s.set(`k${i}`, { i }, 'item', ['t']);
+    const oldKid = s.getKeyId()!;
+
+    const status = await s.rotate({ batchSize: 2 });
+    expect(status.kid).not.toBe(oldKid);
+    expect(status).toMatchObject({ total: 5, complete: true });
+    expect(await storeIds('rotation-storage', 'data-keys')).toEqual([status.kid]);
+    expect(await s.get('k3')).toEqual({ i: 3 });
+    expect(await s.query({ type: 'item', tags: ['t'] })).toHaveLength(5);
+  });
+
+  it('MUST keep older records readable until they are migrated', async () => {
+    const s = await storage();
+    for (let i = 0; i < 4; i++) await s.set(`k${i}`, i);
+    const oldKid = s.getKeyId()!;
+
+    const controller = new AbortController();
+    const partial = await s.rotate({ batchSize: 1, signal: controller.signal, onProgress: () => controller.abort() });
+    expect(partial.pending.map((p) => p.kid)).toEqual([oldKid, oldKid, oldKid]);
+    expect(await Promise.all([0, 1, 2, 3].map((i) => s.get(`k${i}`)))).toEqual([0, 1, 2, 3]);
+    await s.close();
+
+    const reloaded = await storage();
+    expect((await reloaded.resumeRotation()).complete).toBe(true);
+    expect(await reloaded.get('k3')).toBe(3);
+    expect(await storeIds('rotation-storage', 'data-keys')).toEqual([partial.kid]);
+  });
+
+  it('MUST NOT overwrite a record written during rotation', async () => {
+    const s = await storage();
+    await s.set('first', 'old');
+    await s.set('second', 'old');
+
+    // Write 'second' after the first batch, before the driver reaches it
+    let written = false;
+    const status = await s.rotate({
+      batchSize: 1,
+      onProgress: async () => {
+        if (!written) {
+          written = true;
+          await s.set('second', 'new');
+        }
+      },
+    });
+
+    expect(await s.get('second')).toBe('new');
+    expect(await s.get('first')).toBe('old');
+    expect(status.complete).toBe(true);
+    expect((await s.getRotationStatus()).pending).toEqual([]);
+  });
+
+  it('MUST NOT retire a data key another instance writes with', async () => {
+    const a = await storage();
+    const b = await storage();
+    await a.set('k', 'a');
+
+    // b loaded the old key; its writes must land under a key that survives rotation
+    await Promise.all([a.rotate(), b.set('during', 'b')]);
+    await b.set('after', 'b');
+
+    expect(await a.get('during')).toBe('b');
+    expect(await a.get('after')).toBe('b');
+    expect(b.getKeyId()).toBe(a.getKeyId());
+    expect(await storeIds('rotation-storage', 'data-keys')).toEqual([a.getKeyId()]);
+  });
+});
+
+describe('Key Rotation - Vault', () => {
+  it('MUST re-seal blobs under a new key version', async () => {
+    const vault = await initVault({ dbName: 'rotation-vault', aad: 'session' });
+    await vault.seal('a', bytes('alpha'));
+    await vault.seal('b', bytes('beta'), 'custom-aad');
+
+    const status = await vault.rotate();
+    expect(status).toMatchObject({ kid: 'k1.2', total: 2, complete: true });
+    expect((await vault.stats()).kid).toBe('k1.2');
+    expect(await storeIds('rotation-vault', 'keys')).toEqual(['k1.2']);
+    expect(text(await vault.unseal('a'))).toBe('alpha');
+    expect(text(await vault.unseal('b'))).toBe('beta');
+  });
+
+  it('MUST report pending blobs and resume in a new session', async () => {
+    const first = await initVault({ dbName: 'rotation-vault' });
+    for (const name of ['a', 'b', 'c']) await first.seal(name, bytes(name));
+
+    const controller = new AbortController();
+    const partial = await first.rotate({ batchSize: 2, signal: controller.signal, onProgress: () => controller.abort() });
+    expect(partial.pending).toEqual([{ id: 'c', kid: 'k1' }]);
+    expect(text(await first.unseal('c'))).toBe('c');
+
+    const second = await initVault({ dbName: 'rotation-vault' });
+    expect((await second.stats()).kid).toBe('k1.2');
+    expect((await second.resumeRotation()).complete).toBe(true);
+    expect(await storeIds('rotation-vault', 'keys')).toEqual(['k1.2']);
+    expect(text(await second.unseal('c'))).toBe('c');
+
+    expect((await second.rotate()).kid).toBe('k1.3');
+  });
+});
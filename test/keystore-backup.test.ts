@@ -0,0 +1,200 @@
+// @vitest-environment node
+/**
+ * Keystore Backup Tests
+ *
+ * These tests verify the passphrase-protected backup format:
+ * - exportBackup/importBackup round-trip keys between independent keystores
+ * - The MAC detects any edit to the file, and a wrong passphrase, before unwrapping
+ * - Account collisions are rejected, skipped or overwritten as requested
+ * - Old, future and foreign files fail with clear errors
+ * - Unauthenticated KDF parameters out of range are refused before deriving
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as nacl from 'tweetnacl';
+import { Keystore } from '../packages/shared/src/keystore';
+import { UserLock } from '../packages/shared/src/user-lock';
+import {
+  KeystoreBackupError,
+  KEYSTORE_BACKUP_FORMAT,
+  KEYSTORE_BACKUP_VERSION,
+  type KeystoreBackup
+} from '../packages/shared/src/keystore-backup';
+import { closeTracked, openTracked, resetIndexedDB } from './helpers/idb';
+
+const PASS = 'correct horse battery staple';
+const ITERATIONS = 1000; // keep PBKDF2 fast in tests
+
+/** A keystore in its own database, standing in for another browser */
+function browser(name: string, options: { userLock?: UserLock } = {}): Promise<Keystore> {
+  return openTracked(new Keystore({ dbName: name, ...options }));
+}
+
+function newAccount() {
+  return nacl.sign.keyPair();
+}
+
+async function verifies(ks: Keystore, accountId: string, publicKey: Uint8Array): Promise<boolean> {
+  const msg = new TextEncoder().encode(`msg for ${accountId}`);
+  return nacl.sign.detached.verify(msg, await ks.sign(accountId, msg), publicKey);
+}
+
+beforeEach(resetIndexedDB);
+afterEach(closeTracked);
+
+describe('Keystore Backup - Round Trip', () => {
+  it('MUST restore keys that sign in another keystore', async () => {
+    const alice = newAccount();
+    const bob = newAccount();
+    const source = await browser('source');
+    await source.storeKey('alice.near', alice.secretKey.slice(), 'ed25519:alice');
+    await source.storeKey('bob.near', bob.secretKey.slice(), 'ed25519:bob');
+
+    const backup = await source.exportBackup(PASS, { iterations: ITERATIONS });
+    const target = await browser('target');
+    const result = await target.importBackup(JSON.parse(JSON.stringify(backup)), PASS);
+
+    expect(result).toEqual({ imported: ['alice.near', 'bob.near'], skipped: [], overwritten: [] });
+    expect(await verifies(target, 'alice.near', alice.publicKey)).toBe(true);
+    expect(await verifies(target, 'bob.near', bob.publicKey)).toBe(true);
+    expect(await target.getPublicKey('bob.near')).toBe('ed25519:bob');
+  });
+
+  it('MUST write a documented, versioned file without plaintext keys', async () => {
+    const alice = newAccount();
+    const source = await browser('source');
+    await source.storeKey('alice.near', alice.secretKey.slice(), 'ed25519:alice');
+
+    const backup = await source.exportBackup(PASS, { iterations: ITERATIONS });
+    expect(backup.format).toBe(KEYSTORE_BACKUP_FORMAT);
+    expect(backup.version).toBe(KEYSTORE_BACKUP_VERSION);
+    expect(backup.kdf).toMatchObject({ algorithm: 'PBKDF2', hash: 'SHA-256', iterations: ITERATIONS });
+    expect(backup.accounts[0]).toMatchObject({ accountId: 'alice.near', publicKey: 'ed25519:alice' });
+    expect(typeof backup.mac).toBe('string');
+
+    const seed = Buffer.from(alice.secretKey.subarray(0, 32)).toString('base64');
+    expect(JSON.stringify(backup)).not.toContain(seed);
+  });
+
+  it('MUST export and import through user-locked keystores', async () => {
+    const alice = newAccount();
+    const lock = await openTracked(new UserLock({ dbName: 'source-lock', autoLockMs: 0 }));
+    await lock.enable({ passphrase: 'unlock me' }, { algorithm: 'PBKDF2', hash: 'SHA-256', iterations: ITERATIONS });
+    const source = await browser('source', { userLock: lock });
+    await source.storeKey('alice.near', alice.secretKey.slice(), 'ed25519:alice');
+
+    lock.lock();
+    await expect(source.exportBackup(PASS)).rejects.toMatchObject({ code: 'locked' });
+    await lock.unlock({ passphrase: 'unlock me' });
+
+    const backup = await source.exportBackup(PASS, { iterations: ITERATIONS });
+    const target = await browser('target', { userLock: lock });
+    await target.importBackup(backup, PASS);
+    expect(await verifies(target, 'alice.near', alice.publicKey)).toBe(true);
+  });
+});
+
+describe('Keystore Backup - Integrity', () => {
+  async function exported(): Promise<KeystoreBackup> {
+    const source = await browser('source');
+    await source.storeKey('alice.near', newAccount().secretKey, 'ed25519:alice');
+    await source.storeKey('bob.near', newAccount().secretKey, 'ed25519:bob');
+    return JSON.parse(JSON.stringify(await source.exportBackup(PASS, { iterations: ITERATIONS })));
+  }
+
+  it('MUST reject a wrong passphrase', async () => {
+    const backup = await exported();
+    const target = await browser('target');
+    await expect(target.importBackup(backup, 'wrong')).rejects.toMatchObject({ name: 'KeystoreBackupError', code: 'integrity' });
+    expect(await target.listAccounts()).toEqual([]);
+  });
+
+  it('MUST detect edited metadata, removed accounts and swapped keys', async () => {
+    const target = await browser('target');
+    const tampers: Array<(b: KeystoreBackup) => void> = [
+      (b) => { b.accounts[0].publicKey = 'ed25519:mallory'; },
+      (b) => { b.accounts.pop(); },
+      (b) => { [b.accounts[0].wrappedKey, b.accounts[1].wrappedKey] = [b.accounts[1].wrappedKey, b.accounts[0].wrappedKey]; },
+      (b) => { b.createdAt += 1; },
+      (b) => { b.kdf.iterations += 1; },
+    ];
+    for (const tamper of tampers) {
+      const backup = await exported();
+      tamper(backup);
+      await expect(target.importBackup(backup, PASS)).rejects.toMatchObject({ code: 'integrity' });
+    }
+    expect(await target.listAccounts()).toEqual([]);
+  });
+});
+
+describe('Keystore Backup - Collisions', () => {
+  it('MUST reject a different key for an existing account without writing anything', async () => {
+    const source = await browser('source');
+    await source.storeKey('alice.near', newAccount().secretKey, 'ed25519:alice-old');
+    await source.storeKey('bob.near', newAccount().secretKey, 'ed25519:bob');
+    const backup = await source.exportBackup(PASS, { iterations: ITERATIONS });
+
+    const target = await browser('target');
+    await target.storeKey('alice.near', newAccount().secretKey, 'ed25519:alice-new');
+
+    const err = await target.importBackup(backup, PASS).catch((e) => e);
+    expect(err).toBeInstanceOf(KeystoreBackupError);
+    expect(err.code).toBe('account-exists');
+    expect((await target.listAccounts()).map((a) => a.accountId)).toEqual(['alice.near']);
+  });
+
+  it('MUST skip or overwrite colliding accounts when asked', async () => {
+    const oldKey = newAccount();
+    const source = await browser('source');
+    await source.storeKey('alice.near', oldKey.secretKey.slice(), 'ed25519:alice-old');
+    const backup = await source.exportBackup(PASS, { iterations: ITERATIONS });
+
+    const target = await browser('target');
+    await target.storeKey('alice.near', newAccount().secretKey, 'ed25519:alice-new');
+
+    expect(await target.importBackup(backup, PASS, { onCollision: 'skip' })).toMatchObject({ skipped: ['alice.near'] });
+    expect(await target.getPublicKey('alice.near')).toBe('ed25519:alice-new');
+
+    expect(await target.importBackup(backup, PASS, { onCollision: 'overwrite' })).toMatchObject({ overwritten: ['alice.near'] });
+    expect(await target.getPublicKey('alice.near')).toBe('ed25519:alice-old');
+    expect(await verifies(target, 'alice.near', oldKey.publicKey)).toBe(true);
+  });
+
+  it('MUST treat the same key as already restored', async () => {
+    const source = await browser('source');
+    await source.storeKey('alice.near', newAccount().secretKey, 'ed25519:alice');
+    const backup = await source.exportBackup(PASS, { iterations: ITERATIONS });
+
+    const target = await browser('target');
+    await target.importBackup(backup, PASS);
+    expect(await target.importBackup(backup, PASS)).toEqual({ imported: [], skipped: ['alice.near'], overwritten: [] });
+  });
+});
+
+describe('Keystore Backup - Versions', () => {
+  it('MUST refuse out-of-range PBKDF2 iterations before deriving', async () => {
+    const source = await browser('source');
+    const backup = await source.exportBackup(PASS, { iterations: ITERATIONS });
+    const target = await browser('target');
+
+    for (const iterations of [1e12, 1.5, 0]) {
+      await expect(target.importBackup({ ...backup, kdf: { ...backup.kdf, iterations } }, PASS))
+        .rejects.toMatchObject({ code: 'invalid-backup' });
+    }
+  });
+
+  it('MUST explain newer, older and foreign files', async () => {
+    const source = await browser('source');
+    const backup = await source.exportBackup(PASS, { iterations: ITERATIONS });
+    const target = await browser('target');
+
+    await expect(target.importBackup({ ...backup, version: KEYSTORE_BACKUP_VERSION + 1 }, PASS))
+      .rejects.toMatchObject({ code: 'unsupported-version', message: expect.stringMatching(/newer/) });
+    await expect(target.importBackup({ ...backup, version: 0 }, PASS))
+      .rejects.toMatchObject({ code: 'unsupported-version', message: expect.stringMatching(/no longer supported/) });
+    await expect(target.importBackup({ ...backup, format: 'something-else' } as any, PASS))
+      .rejects.toMatchObject({ code: 'invalid-backup' });
+    await expect(target.importBackup({ ...backup, kdf: { ...backup.kdf, algorithm: 'scrypt' } } as any, PASS))
+      .rejects.toMatchObject({ code: 'invalid-backup' });
+  });
+});
@@ -0,0 +1,170 @@
+// @vitest-environment node
+/**
+ * Keystore Persistence Tests
+ *
+ * These tests verify that the Keystore master key survives reloads:
+ * - The master CryptoKey is persisted in IndexedDB (structured clone)
+ * - Wrapped records carry the master key ID and format version
+ * - Keys stored in one session sign in the next
+ * - A master key that doesn't match its check value is detected
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { openDB } from 'idb';
+import * as nacl from 'tweetnacl';
+import { Keystore, KeystoreError, WRAPPED_KEY_VERSION } from '../packages/shared/src/keystore';
+import { closeTracked, openTracked, resetIndexedDB } from './helpers/idb';
+
+const DB = 'keystore-test';
+
+function session(): Promise<Keystore> {
+  return openTracked(new Keystore({ dbName: DB }));
+}
+
+/** Raw access to the keystore database (as another tab or a tamperer would see it). */
+async function raw() {
+  return openDB(DB);
+}
+
+function newAccount() {
+  const kp = nacl.sign.keyPair();
+  return { secretKey: kp.secretKey, publicKey: kp.publicKey };
+}
+
+beforeEach(resetIndexedDB);
+afterEach(closeTracked);
+
+describe('Keystore - Persistent Master Key', () => {
+  it('MUST sign with a key stored in an earlier session', async () => {
+    const { secretKey, publicKey } = newAccount();
+    const first = await session();
+    await first.storeKey('alice.near', secretKey.slice(), 'ed25519:alice');
+    await first.close();
+
+    const second = await session();
+    const msg = new TextEncoder().encode('hello');
+    const sig = await second.sign('alice.near', msg);
+
+    expect(nacl.sign.detached.verify(msg, sig, publicKey)).toBe(true);
+  });
+
+  it('MUST reuse the same master key ID across sessions', async () => {
+    const first = await session();
+    const kid = first.getMasterKeyId();
+    await first.close();
+
+    const second = await session();
+    expect(kid).toMatch(/^mk_[0-9a-f]{16}$/);
+    expect(second.getMasterKeyId()).toBe(kid);
+  });
+
+  it('MUST persist a non-extractable master key', async () => {
+    await session();
+    const db = await raw();
+    const [master] = await db.getAll('master-keys');
+    db.close();
+
+    expect(master.key).toBeInstanceOf(CryptoKey);
+    expect(master.key.extractable).toBe(false);
+    expect(master.version).toBe(1);
+  });
+
+  it('MUST record the master key ID and version on wrapped records', async () => {
+    const ks = await session();
+    await ks.storeKey('alice.near', newAccount().secretKey, 'ed25519:alice');
+
+    const db = await raw();
+    const rec = await db.get('keys', 'alice.near');
+    db.close();
+
+    expect(rec.kid).toBe(ks.getMasterKeyId());
+    expect(rec.version).toBe(WRAPPED_KEY_VERSION);
+  });
+
+  it('MUST zero the caller key bytes after storing', async () => {
+    const ks = await session();
+    const { secretKey } = newAccount();
+    await ks.storeKey('alice.near', secretKey, 'ed25519:alice');
+    expect(secretKey.every((b) => b === 0)).toBe(true);
+  });
+
+  it('MUST upgrade a version 1 database', async () => {
+    const v1 = await openDB(DB, 1, {
+      upgrade(db) {
+        const store = db.createObjectStore('keys', { keyPath: 'metadata.accountId' });
+        store.createIndex('publicKey', 'metadata.publicKey', { unique: true });
+      }
+    });
+    v1.close();
+
+    const ks = await session();
+    const { secretKey, publicKey } = newAccount();
+    await ks.storeKey('alice.near', secretKey, 'ed25519:alice');
+    const sig = await ks.sign('alice.near', new Uint8Array([1]));
+    expect(nacl.sign.detached.verify(new Uint8Array([1]), sig, publicKey)).toBe(true);
+  });
+});
+
+describe('Keystore - Integrity', () => {
+  it('MUST detect a master key that does not match its check value', async () => {
+    const first = await session();
+    await first.close();
+
+    const db = await raw();
+    const [master] = await db.getAll('master-keys');
+    master.key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['wrapKey', 'unwrapKey']);
+    await db.put('master-keys', master);
+    db.close();
+
+    const ks = new Keystore({ dbName: DB });
+    await expect(ks.initialize()).rejects.toMatchObject({ name: 'KeystoreError', code: 'master-key-mismatch' });
+    await ks.close();
+  });
+
+  it('MUST refuse records from before persistent master keys', async () => {
+    const ks = await session();
+    await ks.storeKey('alice.near', newAccount().secretKey, 'ed25519:alice');
+
+    const db = await raw();
+    const rec = await db.get('keys', 'alice.near');
+    delete rec.kid;
+    await db.put('keys', rec);
+    db.close();
+
+    await expect(ks.sign('alice.near', new Uint8Array([1]))).rejects.toMatchObject({ code: 'master-key-missing' });
+  });
+
+  it('MUST refuse records wrapped by an unknown master key', async () => {
+    const ks = await session();
+    await ks.storeKey('alice.near', newAccount().secretKey, 'ed25519:alice');
+
+    const db = await raw();
+    const rec = await db.get('keys', 'alice.near');
+    rec.kid = 'mk_0000000000000000';
+    await db.put('keys', rec);
+    db.close();
+
+    const err = await ks.sign('alice.near', new Uint8Array([1])).catch((e) => e);
+    expect(err).toBeInstanceOf(KeystoreError);
+    expect(err.code).toBe('master-key-missing');
+  });
+
+  it('MUST bind wrapped keys to their account', async () => {
+    const ks = await session();
+    await ks.storeKey('alice.near', newAccount().secretKey, 'ed25519:alice');
+
+    // Copy alice's wrapped key under bob's account ID
+    const db = await raw();
+    const rec = await db.get('keys', 'alice.near');
+    rec.metadata = { ...rec.metadata, accountId: 'bob.near', publicKey: 'ed25519:bob' };
+    await db.put('keys', rec);
+    db.close();
+
+    await expect(ks.sign('bob.near', new Uint8Array([1]))).rejects.toThrow(/Failed to sign with key for bob.near/);
+  });
+
+  it('MUST report missing keys with a typed error', async () => {
+    const ks = await session();
+    await expect(ks.sign('nobody.near', new Uint8Array([1]))).rejects.toMatchObject({ code: 'key-not-found' });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * NEP-366 Delegate Action Tests
+ *
+ * These tests verify meta-transaction support:
+ * - Delegate actions are signed over the 2^30+366 prefixed Borsh encoding
+ * - Nested actions serialize exactly like transaction actions
+ * - Signed delegates verify, and fail when any field is changed
+ * - A relayer can wrap a signed delegate in a transaction (action variant 8)
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DELEGATE_ACTION_PREFIX,
+  createDelegateAction,
+  createDelegateTransaction,
+  createSignedDelegate,
+  encodeDelegateAction,
+  serializeDelegateAction,
+  serializeSignedDelegate,
+  serializeTransaction,
+  signDelegateAction,
+  signDelegateActionWithSecretKey,
+  signTransaction,
+  verifySignedDelegate,
+  verifySignature,
+  encodePublicKey,
+  type Action
+} from '../packages/near/src/enclave/near-tx';
+import { encodeBase58, decodeBase58 } from '../packages/near/src/enclave/base58';
+import * as nacl from 'tweetnacl';
+
+const hex = (b: Uint8Array) => Buffer.from(b).toString('hex');
+
+const transfer: Action = { type: 'Transfer', deposit: '1' };
+const call: Action = { type: 'FunctionCall', methodName: 'm', args: new Uint8Array([1]), gas: '30000000000000', deposit: '0' };
+
+const delegate = (actions: Action[] = [transfer, call]) => createDelegateAction({
+  senderId: 'alice.near',
+  receiverId: 'app.near',
+  actions,
+  nonce: '42',
+  maxBlockHeight: '1000'
+});
+
+describe('Delegate Action Encoding', () => {
+  it('MUST prefix the signable encoding with 2^30+366 as a little-endian u32', () => {
+    const keyPair = nacl.sign.keyPair();
+    const da = { ...delegate(), publicKey: encodePublicKey(keyPair.publicKey) };
+
+    expect(DELEGATE_ACTION_PREFIX).toBe(1073742190);
+    const encoded = encodeDelegateAction(da);
+    expect(hex(encoded.slice(0, 4))).toBe('6e010040');
+    expect(encoded.slice(4)).toEqual(serializeDelegateAction(da));
+  });
+
+  it('MUST serialize fields in NEP-366 order with nested actions as in transactions', () => {
+    const keyPair = nacl.sign.keyPair();
+    const publicKey = encodePublicKey(keyPair.publicKey);
+    const da = { ...delegate([transfer]), publicKey };
+
+    // Same action inside a transaction, for comparison
+    const tx = { signerId: 'a', publicKey, nonce: '0', receiverId: 'b', blockHash: '0'.repeat(64), actions: [] };
+    const txHeader = hex(serializeTransaction(tx as any));
+    const transferHex = hex(serializeTransaction({ ...tx, actions: [transfer] } as any)).slice(txHeader.length);
+
+    expect(hex(serializeDelegateAction(da))).toBe(
+      '0a000000616c6963652e6e656172' +        // senderId
+      '080000006170702e6e656172' +            // receiverId
+      '01000000' + transferHex +              // actions
+      '2a00000000000000' +                    // nonce
+      'e803000000000000' +                    // maxBlockHeight
+      '00' + hex(keyPair.publicKey)           // publicKey
+    );
+  });
+
+  it('MUST reject nested delegate actions', async () => {
+    const keyPair = nacl.sign.keyPair();
+    const inner = await signDelegateActionWithSecretKey(delegate(), keyPair.secretKey);
+    const nested = delegate([{ type: 'Delegate', signedDelegate: inner }]);
+
+    await expect(signDelegateActionWithSecretKey(nested, keyPair.secretKey)).rejects.toThrow('cannot be nested');
+  });
+});
+
+describe('Signed Delegates', () => {
+  it('MUST sign the SHA-256 of the prefixed encoding and verify', async () => {
+    const keyPair = nacl.sign.keyPair();
+    const signed = await signDelegateAction(delegate(), 'ed25519:' + encodeBase58(keyPair.secretKey));
+
+    expect(signed.delegateAction.publicKey).toBe(encodePublicKey(keyPair.publicKey));
+    expect(await verifySignedDelegate(signed)).toBe(true);
+
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', encodeDelegateAction(signed.delegateAction)));
+    expect(nacl.sign.detached.verify(hash, decodeBase58(signed.signature), keyPair.publicKey)).toBe(true);
+  });
+
+  it('MUST fail verification when the delegate action is changed', async () => {
+    const keyPair = nacl.sign.keyPair();
+    const signed = await signDelegateActionWithSecretKey(delegate(), keyPair.secretKey);
+    const tamper = (patch: any) => ({ ...signed, delegateAction: { ...signed.delegateAction, ...patch } });
+
+    expect(await verifySignedDelegate(tamper({ receiverId: 'evil.near' }))).toBe(false);
+    expect(await verifySignedDelegate(tamper({ maxBlockHeight: '1001' }))).toBe(false);
+    expect(await verifySignedDelegate(tamper({ nonce: '43' }))).toBe(false);
+    expect(await verifySignedDelegate(tamper({ actions: [transfer] }))).toBe(false);
+    expect(await verifySignedDelegate(tamper({ publicKey: encodePublicKey(nacl.sign.keyPair().publicKey) }))).toBe(false);
+  });
+
+  it('MUST NOT produce a signature that is valid for a transaction', async () => {
+    const keyPair = nacl.sign.keyPair();
+    const signed = await signDelegateActionWithSecretKey(delegate(), keyPair.secretKey);
+    const tx = await signTransaction({
+      signerId: 'alice.near', publicKey: '', nonce: '42', receiverId: 'app.near',
+      blockHash: '0'.repeat(64), actions: [transfer, call]
+    }, 'ed25519:' + encodeBase58(keyPair.secretKey));
+
+    expect(await verifySignature({ ...tx, signature: signed.signature })).toBe(false);
+  });
+
+  it('MUST build signed delegates from external signatures', async () => {
+    const keyPair = nacl.sign.keyPair();
+    const da = { ...delegate(), publicKey: encodePublicKey(keyPair.publicKey) };
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', encodeDelegateAction(da)));
+    const signature = nacl.sign.detached(hash, keyPair.secretKey);
+
+    const fromBytes = createSignedDelegate(da, signature);
+    const fromString = createSignedDelegate(da, 'ed25519:' + encodeBase58(signature));
+    expect(fromString).toEqual(fromBytes);
+    expect(await verifySignedDelegate(fromBytes)).toBe(true);
+
+    expect(() => createSignedDelegate(da, new Uint8Array(10))).toThrow('Invalid signature length');
+  });
+
+  it('MUST serialize a signed delegate as delegate action + Ed25519 signature', async () => {
+    const keyPair = nacl.sign.keyPair();
+    const signed = await signDelegateActionWithSecretKey(delegate(), keyPair.secretKey);
+
+    expect(hex(serializeSignedDelegate(signed))).toBe(
+      hex(serializeDelegateAction(signed.delegateAction)) + '00' + hex(decodeBase58(signed.signature))
+    );
+  });
+});
+
+describe('Relayer Transactions', () => {
+  it('MUST wrap a signed delegate as action variant 8 addressed to the sender', async () => {
+    const user = nacl.sign.keyPair();
+    const relayer = nacl.sign.keyPair();
+    const signed = await signDelegateActionWithSecretKey(delegate(), user.secretKey);
+
+    const tx = createDelegateTransaction({
+      relayerId: 'relayer.near',
+      signedDelegate: signed,
+      nonce: '7',
+      blockHash: '0'.repeat(64)
+    });
+    expect(tx.receiverId).toBe('alice.near');
+
+    const relayed = await signTransaction(tx, 'ed25519:' + encodeBase58(relayer.secretKey));
+    expect(await verifySignature(relayed)).toBe(true);
+
+    const body = hex(serializeTransaction(relayed.transaction));
+    expect(body.endsWith('01000000' + '08' + hex(serializeSignedDelegate(signed)))).toBe(true);
+  });
+
+  it('MUST survive a JSON round trip to the relayer', async () => {
+    const keyPair = nacl.sign.keyPair();
+    const signed = await signDelegateActionWithSecretKey(delegate(), keyPair.secretKey);
+    const overTheWire = JSON.parse(JSON.stringify(signed));
+
+    expect(await verifySignedDelegate(overTheWire)).toBe(true);
+    expect(serializeSignedDelegate(overTheWire)).toEqual(serializeSignedDelegate(signed));
+  });
+});
@@ -0,0 +1,183 @@
+// @vitest-environment node
+/**
+ * NEAR RPC Error and Outcome Tests
+ *
+ * These tests verify typed decoding of RPC responses:
+ * - JSON-RPC errors map to NearRpcError kinds (InvalidNonce, NotEnoughBalance, ...)
+ * - Non-OK HTTP responses are typed, including TIMEOUT_ERROR bodies
+ * - Transaction outcomes decode SuccessValue and classify failure trees
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { makeEgressGuard, type JsonRpcRequest } from '../packages/near/src/host/rpc';
+import { NearRpcError, toNearRpcError, toFailureError } from '../packages/near/src/host/rpc-errors';
+import { parseTransactionOutcome, decodeSuccessValue } from '../packages/near/src/host/tx-outcome';
+
+const b64 = (s: string) => Buffer.from(s).toString('base64');
+
+const invalidTx = (inner: any) => ({
+  name: 'HANDLER_ERROR',
+  code: -32000,
+  message: 'Server error',
+  cause: { name: 'INVALID_TRANSACTION', info: {} },
+  data: { TxExecutionError: { InvalidTxError: inner } }
+});
+
+describe('RPC Errors - Classification', () => {
+  it('MUST map InvalidNonce with its nonces', () => {
+    const err = toNearRpcError(invalidTx({ InvalidNonce: { tx_nonce: 5, ak_nonce: 9 } }));
+    expect(err).toBeInstanceOf(NearRpcError);
+    expect(err.kind).toBe('InvalidNonce');
+    expect(err.info).toEqual({ tx_nonce: 5, ak_nonce: 9 });
+    expect(err.data.name).toBe('HANDLER_ERROR');
+  });
+
+  it('MUST map NotEnoughBalance', () => {
+    const err = toNearRpcError(invalidTx({ NotEnoughBalance: { signer_id: 'a.near', balance: '1', cost: '2' } }));
+    expect(err.kind).toBe('NotEnoughBalance');
+    expect(err.info.cost).toBe('2');
+  });
+
+  it('MUST map missing access keys from transactions, queries and legacy strings', () => {
+    const fromTx = toNearRpcError(invalidTx({ InvalidAccessKeyError: { AccessKeyNotFound: { account_id: 'a.near', public_key: 'ed25519:x' } } }));
+    const fromQuery = toNearRpcError({ name: 'HANDLER_ERROR', cause: { name: 'UNKNOWN_ACCESS_KEY', info: { public_key: 'ed25519:x' } } });
+    const legacy = toNearRpcError('access key ed25519:x does not exist while viewing');
+
+    expect(fromTx.kind).toBe('AccessKeyDoesNotExist');
+    expect(fromQuery.kind).toBe('AccessKeyDoesNotExist');
+    expect(fromQuery.info).toEqual({ public_key: 'ed25519:x' });
+    expect(legacy.kind).toBe('AccessKeyDoesNotExist');
+  });
+
+  it('MUST map contract execution errors to FunctionCallError', () => {
+    expect(toNearRpcError({ name: 'HANDLER_ERROR', cause: { name: 'CONTRACT_EXECUTION_ERROR', info: {} } }).kind).toBe('FunctionCallError');
+    expect(toNearRpcError('wasm execution failed with error: FunctionCallError(MethodResolveError(MethodNotFound))').kind).toBe('FunctionCallError');
+  });
+
+  it('MUST map TIMEOUT_ERROR', () => {
+    const err = toNearRpcError({ name: 'HANDLER_ERROR', cause: { name: 'TIMEOUT_ERROR', info: { transaction_hash: 'abc' } } });
+    expect(err.kind).toBe('TIMEOUT_ERROR');
+    expect(err.info.transaction_hash).toBe('abc');
+  });
+
+  it('MUST fall back to RpcError / InvalidTransaction for unknown shapes', () => {
+    expect(toNearRpcError({ code: -32601, message: 'Method not found' }).kind).toBe('RpcError');
+    expect(toNearRpcError(invalidTx({ SomethingNew: {} })).kind).toBe('InvalidTransaction');
+  });
+});
+
+describe('RPC Errors - Egress Guard', () => {
+  const guard = makeEgressGuard({ allowHosts: ['localhost:1234'], allowMethods: ['query', 'send_tx'], retry: { maxAttempts: 1 } });
+  const req: JsonRpcRequest = { jsonrpc: '2.0', id: 1, method: 'query', params: {} };
+  const respond = (status: number, body: any) => ({
+    ok: status >= 200 && status < 300, status, statusText: 'X', body: null,
+    text: async () => typeof body === 'string' ? body : JSON.stringify(body)
+  }) as any;
+
+  afterEach(() => { vi.restoreAllMocks(); });
+
+  it('MUST throw typed errors for non-OK HTTP responses', async () => {
+    vi.spyOn(globalThis, 'fetch' as any).mockResolvedValue(respond(408, {
+      jsonrpc: '2.0', id: 1, error: { name: 'HANDLER_ERROR', cause: { name: 'TIMEOUT_ERROR', info: {} } }
+    }));
+    await expect(guard.post('http://localhost:1234', req)).rejects.toMatchObject({ kind: 'TIMEOUT_ERROR', status: 408 });
+  });
+
+  it('MUST type HTTP errors without a JSON-RPC body', async () => {
+    vi.spyOn(globalThis, 'fetch' as any).mockResolvedValue(respond(502, 'Bad Gateway'));
+    await expect(guard.post('http://localhost:1234', req)).rejects.toMatchObject({ kind: 'HttpError', status: 502 });
+  });
+
+  it('MUST return result from call() and throw typed errors otherwise', async () => {
+    const spy = vi.spyOn(globalThis, 'fetch' as any)
+      .mockResolvedValueOnce(respond(200, { jsonrpc: '2.0', id: 1, result: { nonce: 7 } }))
+      .mockResolvedValueOnce(respond(200, { jsonrpc: '2.0', id: 1, error: invalidTx({ InvalidNonce: { tx_nonce: 1, ak_nonce: 2 } }) }))
+      .mockResolvedValueOnce(respond(200, { jsonrpc: '2.0', id: 1, result: { error: 'access key ed25519:x does not exist while viewing', logs: [] } }));
+
+    expect(await guard.call('http://localhost:1234', req)).toEqual({ nonce: 7 });
+    await expect(guard.call('http://localhost:1234', req)).rejects.toMatchObject({ kind: 'InvalidNonce' });
+    await expect(guard.call('http://localhost:1234', req)).rejects.toMatchObject({ kind: 'AccessKeyDoesNotExist' });
+    expect(spy).toHaveBeenCalledTimes(3);
+  });
+});
+
+const outcome = (id: string, status: any, extra: any = {}) => ({
+  id,
+  outcome: { status, logs: [], gas_burnt: 100, tokens_burnt: '1000', receipt_ids: [], executor_id: 'c.near', ...extra }
+});
+
+describe('Transaction Outcomes', () => {
+  it('MUST decode SuccessValue bytes and JSON', () => {
+    const parsed = parseTransactionOutcome({
+      status: { SuccessValue: b64('{"ok":true}') },
+      final_execution_status: 'EXECUTED_OPTIMISTIC',
+      transaction: { hash: 'H', signer_id: 'a.near', receiver_id: 'c.near' },
+      transaction_outcome: outcome('H', { SuccessReceiptId: 'R1' }, { logs: ['tx'] }),
+      receipts_outcome: [outcome('R1', { SuccessValue: b64('{"ok":true}') }, { logs: ['hello'] })]
+    });
+
+    expect(parsed.status).toBe('success');
+    expect(parsed.transactionHash).toBe('H');
+    expect(new TextDecoder().decode(parsed.value!)).toBe('{"ok":true}');
+    expect(parsed.json).toEqual({ ok: true });
+    expect(parsed.logs).toEqual(['tx', 'hello']);
+    expect(parsed.gasBurnt).toBe(200);
+    expect(parsed.tokensBurnt).toBe('2000');
+    expect(parsed.finalExecutionStatus).toBe('EXECUTED_OPTIMISTIC');
+    expect(parsed.failure).toBeNull();
+  });
+
+  it('MUST leave json undefined for empty or non-JSON values', () => {
+    expect(parseTransactionOutcome({ status: { SuccessValue: '' }, transaction: { hash: 'H' } }).json).toBeUndefined();
+    expect(parseTransactionOutcome({ status: { SuccessValue: b64('raw') }, transaction: { hash: 'H' } }).json).toBeUndefined();
+    expect(decodeSuccessValue(b64('raw'))).toEqual(new TextEncoder().encode('raw'));
+  });
+
+  it('MUST classify a FunctionCallError failure tree', () => {
+    const failure = { ActionError: { index: 0, kind: { FunctionCallError: { ExecutionError: 'Smart contract panicked: boom' } } } };
+    const parsed = parseTransactionOutcome({
+      status: { Failure: failure },
+      transaction: { hash: 'H' },
+      transaction_outcome: outcome('H', { SuccessReceiptId: 'R1' }),
+      receipts_outcome: [outcome('R1', { Failure: failure })]
+    });
+
+    expect(parsed.status).toBe('failure');
+    expect(parsed.failure).toBeInstanceOf(NearRpcError);
+    expect(parsed.failure!.kind).toBe('FunctionCallError');
+    expect(parsed.failure!.info).toEqual({ ExecutionError: 'Smart contract panicked: boom' });
+    expect(parsed.failedReceipts.map((r) => r.id)).toEqual(['R1']);
+  });
+
+  it('MUST report failed receipts even when the transaction succeeded', () => {
+    const parsed = parseTransactionOutcome({
+      status: { SuccessValue: '' },
+      transaction: { hash: 'H' },
+      transaction_outcome: outcome('H', { SuccessReceiptId: 'R1' }),
+      receipts_outcome: [
+        outcome('R1', { SuccessValue: '' }),
+        outcome('R2', { Failure: { ActionError: { index: 0, kind: { AccountDoesNotExist: { account_id: 'x.near' } } } } })
+      ]
+    });
+
+    expect(parsed.status).toBe('success');
+    expect(parsed.failedReceipts).toHaveLength(1);
+    expect(parsed.failedReceipts[0].failure!.kind).toBe('AccountDoesNotExist');
+  });
+
+  it('MUST report pending when no final status is available yet', () => {
+    const parsed = parseTransactionOutcome({
+      final_execution_status: 'INCLUDED',
+      status: 'NotStarted',
+      transaction: { hash: 'H' },
+      transaction_outcome: outcome('H', { SuccessReceiptId: 'R1' }),
+      receipts_outcome: []
+    });
+    expect(parsed.status).toBe('pending');
+  });
+
+  it('MUST classify invalid transaction failures', () => {
+    expect(toFailureError({ InvalidTxError: { Expired: null } }).kind).toBe('Expired');
+    expect(toFailureError({ InvalidTxError: { InvalidSignature: null } }).kind).toBe('InvalidTransaction');
+  });
+});
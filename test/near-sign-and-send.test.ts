@@ -0,0 +1,219 @@
+// @vitest-environment node
+/**
+ * signAndSend Pipeline Tests
+ *
+ * These tests run the host-orchestrated pipeline against a local mock JSON-RPC server:
+ * - Nonce and block hash are fetched through the egress guard
+ * - The signer only ever receives the unsigned transaction
+ * - Broadcast bytes are a valid Borsh SignedTransaction
+ * - Nonces increment across sends and InvalidNonce is retried
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer, type Server } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { makeEgressGuard } from '../packages/near/src/host/rpc';
+import { makeTransactionSender } from '../packages/near/src/host/sign-and-send';
+import {
+  signTransaction,
+  serializeTransaction,
+  verifySignature,
+  encodePublicKey,
+  type Transaction
+} from '../packages/near/src/enclave/near-tx';
+import { encodeBase58 } from '../packages/near/src/enclave/base58';
+import * as nacl from 'tweetnacl';
+
+const keyPair = nacl.sign.keyPair();
+const PUBLIC_KEY = encodePublicKey(keyPair.publicKey);
+const SECRET = 'ed25519:' + encodeBase58(keyPair.secretKey);
+const BLOCK_HASH = encodeBase58(new Uint8Array(32).fill(9));
+
+/** Mock NEAR RPC: view_access_key, block, send_tx with nonce checking. */
+const rpc = {
+  akNonce: 100,
+  calls: [] as any[],
+  broadcasts: [] as Buffer[],
+  // Nonce bumps applied by "another client" before the next broadcast
+  bumpBeforeBroadcast: [] as number[],
+  accessKeyError: null as any,
+
+  reset() {
+    this.akNonce = 100;
+    this.calls = [];
+    this.broadcasts = [];
+    this.bumpBeforeBroadcast = [];
+    this.accessKeyError = null;
+  },
+
+  handle(req: any) {
+    this.calls.push(req);
+    if (req.method === 'query' && req.params.request_type === 'view_access_key') {
+      if (this.accessKeyError) return { error: this.accessKeyError };
+      return { result: { nonce: this.akNonce, permission: 'FullAccess', block_hash: BLOCK_HASH, block_height: 1 } };
+    }
+    if (req.method === 'block') {
+      return { result: { header: { hash: BLOCK_HASH, height: 1 } } };
+    }
+    if (req.method === 'send_tx') {
+      const bytes = Buffer.from(req.params.signed_tx_base64, 'base64');
+      this.broadcasts.push(bytes);
+      const bump = this.bumpBeforeBroadcast.shift();
+      if (bump) this.akNonce += bump;
+
+      const txNonce = Number(readNonce(bytes));
+      if (txNonce <= this.akNonce) {
+        return { error: {
+          name: 'HANDLER_ERROR', code: -32000, message: 'Server error',
+          cause: { name: 'INVALID_TRANSACTION', info: {} },
+          data: { TxExecutionError: { InvalidTxError: { InvalidNonce: { tx_nonce: txNonce, ak_nonce: this.akNonce } } } }
+        } };
+      }
+      this.akNonce = txNonce;
+      return { result: {
+        status: { SuccessValue: '' },
+        transaction: { hash: 'TxHash' + txNonce, signer_id: 'alice.near', receiver_id: 'bob.near' },
+        transaction_outcome: { id: 'TxHash' + txNonce, outcome: { status: { SuccessReceiptId: 'R1' }, logs: [], gas_burnt: 1, tokens_burnt: '10', receipt_ids: ['R1'], executor_id: 'alice.near' } },
+        receipts_outcome: [{ id: 'R1', outcome: { status: { SuccessValue: '' }, logs: [], gas_burnt: 2, tokens_burnt: '20', receipt_ids: [], executor_id: 'bob.near' } }]
+      } };
+    }
+    return { error: { code: -32601, message: 'Method not found' } };
+  }
+};
+
+/** Borsh Transaction: signerId (u32 len + bytes), publicKey (1 + 32), nonce (u64) */
+function readNonce(bytes: Buffer): bigint {
+  const signerLen = bytes.readUInt32LE(0);
+  return bytes.readBigUInt64LE(4 + signerLen + 33);
+}
+
+let server: Server;
+let rpcUrl: string;
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      const parsed = JSON.parse(body);
+      const out = { jsonrpc: '2.0', id: parsed.id, ...rpc.handle(parsed) };
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(out));
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  rpcUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+afterAll(async () => {
+  await new Promise<void>((resolve) => server.close(() => resolve()));
+});
+
+beforeEach(() => rpc.reset());
+
+function makeSender(signed: Transaction[] = []) {
+  const guard = makeEgressGuard({
+    allowHosts: [new URL(rpcUrl).host],
+    allowMethods: ['query', 'block', 'send_tx']
+  });
+  // Stand-in for the enclave: records what it was asked to sign
+  const sign = async (tx: Transaction) => {
+    signed.push(tx);
+    return signTransaction(tx, SECRET);
+  };
+  return makeTransactionSender({ guard, rpcUrl, sign });
+}
+
+const params = {
+  signerId: 'alice.near',
+  publicKey: PUBLIC_KEY,
+  receiverId: 'bob.near',
+  actions: [{ type: 'Transfer' as const, deposit: '1' }]
+};
+
+describe('signAndSend - Pipeline', () => {
+  it('MUST fetch nonce and block hash, sign, broadcast and return the outcome', async () => {
+    const signed: Transaction[] = [];
+    const out = await makeSender(signed).signAndSend(params);
+
+    expect(rpc.calls.map((c) => c.method).sort()).toEqual(['block', 'query', 'send_tx']);
+    expect(signed).toHaveLength(1);
+    expect(signed[0]).toMatchObject({ signerId: 'alice.near', nonce: '101', blockHash: BLOCK_HASH, publicKey: PUBLIC_KEY });
+
+    expect(out.transactionHash).toBe('TxHash101');
+    expect(out.outcome.status).toBe('success');
+    expect(out.outcome.tokensBurnt).toBe('30');
+    expect(out.attempts).toBe(1);
+    expect(await verifySignature(out.signedTransaction)).toBe(true);
+  });
+
+  it('MUST broadcast Borsh(Transaction) + ED25519 signature', async () => {
+    const out = await makeSender().signAndSend(params);
+    const bytes = rpc.broadcasts[0];
+    const txBytes = serializeTransaction(out.signedTransaction.transaction);
+
+    expect(bytes.length).toBe(txBytes.length + 1 + 64);
+    expect(new Uint8Array(bytes.subarray(0, txBytes.length))).toEqual(txBytes);
+    expect(bytes[txBytes.length]).toBe(0);
+  });
+
+  it('MUST increment the nonce across back-to-back sends', async () => {
+    const sender = makeSender();
+    const a = await sender.signAndSend(params);
+    const b = await sender.signAndSend(params);
+    expect(a.signedTransaction.transaction.nonce).toBe('101');
+    expect(b.signedTransaction.transaction.nonce).toBe('102');
+  });
+
+  it('MUST reserve distinct nonces for concurrent sends', async () => {
+    // Both sends see the same view_access_key nonce before either is broadcast
+    const sender = makeSender();
+    const [a, b] = await Promise.all([sender.signAndSend(params), sender.signAndSend(params)]);
+    expect(new Set([a.signedTransaction.transaction.nonce, b.signedTransaction.transaction.nonce]).size).toBe(2);
+  });
+});
+
+describe('signAndSend - InvalidNonce', () => {
+  it('MUST resync from ak_nonce, re-sign and retry', async () => {
+    rpc.bumpBeforeBroadcast = [5];
+    const signed: Transaction[] = [];
+    const out = await makeSender(signed).signAndSend(params);
+
+    expect(out.attempts).toBe(2);
+    expect(signed.map((t) => t.nonce)).toEqual(['101', '106']);
+    expect(out.transactionHash).toBe('TxHash106');
+  });
+
+  it('MUST give up after maxNonceRetries', async () => {
+    rpc.bumpBeforeBroadcast = [5, 5, 5];
+    await expect(makeSender().signAndSend(params)).rejects.toMatchObject({ name: 'NearRpcError', kind: 'InvalidNonce' });
+    expect(rpc.broadcasts).toHaveLength(3);
+  });
+});
+
+describe('signAndSend - Guard and Signer Checks', () => {
+  it('MUST go through the egress guard policy', async () => {
+    const guard = makeEgressGuard({ allowHosts: ['rpc.mainnet.near.org'], allowMethods: ['query', 'block', 'send_tx'] });
+    const sender = makeTransactionSender({ guard, rpcUrl, sign: (tx) => signTransaction(tx, SECRET) });
+    await expect(sender.signAndSend(params)).rejects.toThrow(/Blocked host/);
+    expect(rpc.calls).toHaveLength(0);
+  });
+
+  it('MUST refuse a signature from a different key', async () => {
+    const other = 'ed25519:' + encodeBase58(nacl.sign.keyPair().secretKey);
+    const guard = makeEgressGuard({ allowHosts: [new URL(rpcUrl).host], allowMethods: ['query', 'block', 'send_tx'] });
+    const sender = makeTransactionSender({ guard, rpcUrl, sign: (tx) => signTransaction(tx, other) });
+
+    await expect(sender.signAndSend(params)).rejects.toThrow(/expected/);
+    expect(rpc.broadcasts).toHaveLength(0);
+  });
+
+  it('MUST surface RPC errors from the nonce lookup', async () => {
+    const guard = makeEgressGuard({ allowHosts: [new URL(rpcUrl).host], allowMethods: ['query', 'block', 'send_tx'] });
+    const sender = makeTransactionSender({ guard, rpcUrl, sign: (tx) => signTransaction(tx, SECRET) });
+    rpc.accessKeyError = { name: 'HANDLER_ERROR', code: -32000, message: 'Server error', cause: { name: 'UNKNOWN_ACCESS_KEY', info: {} } };
+
+    await expect(sender.signAndSend(params)).rejects.toMatchObject({ kind: 'AccessKeyDoesNotExist' });
+    expect(rpc.broadcasts).toHaveLength(0);
+  });
+});
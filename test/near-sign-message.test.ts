@@ -0,0 +1,110 @@
+/**
+ * NEP-413 Message Signing Tests
+ *
+ * These tests verify off-chain message signing (signMessage):
+ * - Borsh payload layout with the 2^31+413 tag
+ * - Signatures verify on the host against the issued parameters
+ * - Any change to message, recipient, nonce or callbackUrl breaks verification
+ * - Signed messages can never be mistaken for transactions
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  NEP413_TAG,
+  serializeMessagePayload,
+  hashMessagePayload,
+  signMessageWithSecretKey,
+  verifyMessage
+} from '../packages/near/src/enclave/near-message';
+import { encodePublicKey } from '../packages/near/src/enclave/near-tx';
+import * as nacl from 'tweetnacl';
+
+const hex = (b: Uint8Array) => Buffer.from(b).toString('hex');
+
+const params = () => ({
+  message: 'Login to app',
+  recipient: 'app.near',
+  nonce: new Uint8Array(32).fill(1)
+});
+
+describe('NEP-413 Payload', () => {
+  it('MUST use the 2^31+413 tag as a little-endian u32 prefix', () => {
+    expect(NEP413_TAG).toBe(2147484061);
+    expect(hex(serializeMessagePayload(params()).slice(0, 4))).toBe('9d010080');
+  });
+
+  it('MUST serialize message, nonce, recipient and callbackUrl in order', () => {
+    const bytes = serializeMessagePayload({ message: 'hi', recipient: 'r', nonce: new Uint8Array(32).fill(0xab) });
+    expect(hex(bytes)).toBe(
+      '9d010080' +              // tag
+      '020000006869' +          // message
+      'ab'.repeat(32) +         // nonce
+      '0100000072' +            // recipient
+      '00'                      // callbackUrl: None
+    );
+
+    const withCallback = serializeMessagePayload({ message: 'hi', recipient: 'r', nonce: new Uint8Array(32), callbackUrl: 'x' });
+    expect(hex(withCallback).endsWith('01' + '0100000078')).toBe(true);
+  });
+
+  it('MUST require a 32-byte nonce', () => {
+    expect(() => serializeMessagePayload({ ...params(), nonce: new Uint8Array(16) })).toThrow('Invalid nonce length');
+  });
+
+  it('MUST accept a nonce that crossed a JSON boundary', async () => {
+    const p = params();
+    const roundTripped = JSON.parse(JSON.stringify(p));
+    expect(await hashMessagePayload(roundTripped)).toEqual(await hashMessagePayload(p));
+  });
+
+  it('MUST NOT be parseable as a transaction prefix', () => {
+    // A transaction starts with the signerId length (u32); the tag is far above any account ID length
+    const firstU32 = new DataView(serializeMessagePayload(params()).buffer).getUint32(0, true);
+    expect(firstU32).toBeGreaterThan(64);
+  });
+});
+
+describe('NEP-413 Sign and Verify', () => {
+  it('MUST produce a base64 signature that verifies on the host', async () => {
+    const keyPair = nacl.sign.keyPair();
+    const signed = await signMessageWithSecretKey('alice.near', params(), keyPair.secretKey);
+
+    expect(signed.accountId).toBe('alice.near');
+    expect(signed.publicKey).toBe(encodePublicKey(keyPair.publicKey));
+    expect(Buffer.from(signed.signature, 'base64')).toHaveLength(64);
+    expect(await verifyMessage(signed, params())).toBe(true);
+  });
+
+  it('MUST sign the SHA-256 of the tagged payload', async () => {
+    const keyPair = nacl.sign.keyPair();
+    const signed = await signMessageWithSecretKey('alice.near', params(), keyPair.secretKey);
+    const hash = await hashMessagePayload(params());
+
+    expect(nacl.sign.detached.verify(hash, Buffer.from(signed.signature, 'base64'), keyPair.publicKey)).toBe(true);
+  });
+
+  it('MUST fail verification when any signed field changes', async () => {
+    const keyPair = nacl.sign.keyPair();
+    const signed = await signMessageWithSecretKey('alice.near', params(), keyPair.secretKey);
+
+    expect(await verifyMessage(signed, { ...params(), message: 'Login to app!' })).toBe(false);
+    expect(await verifyMessage(signed, { ...params(), recipient: 'evil.near' })).toBe(false);
+    expect(await verifyMessage(signed, { ...params(), nonce: new Uint8Array(32).fill(2) })).toBe(false);
+    expect(await verifyMessage(signed, { ...params(), callbackUrl: 'https://app.near/cb' })).toBe(false);
+  });
+
+  it('MUST fail verification with the wrong key or a malformed signature', async () => {
+    const keyPair = nacl.sign.keyPair();
+    const signed = await signMessageWithSecretKey('alice.near', params(), keyPair.secretKey);
+
+    const other = encodePublicKey(nacl.sign.keyPair().publicKey);
+    expect(await verifyMessage({ ...signed, publicKey: other }, params())).toBe(false);
+    expect(await verifyMessage({ ...signed, signature: 'AAAA' }, params())).toBe(false);
+    expect(await verifyMessage({ ...signed, publicKey: 'secp256k1:abc' }, params())).toBe(false);
+  });
+
+  it('MUST reject invalid key material and account IDs', async () => {
+    await expect(signMessageWithSecretKey('alice.near', params(), new Uint8Array(32))).rejects.toThrow('Invalid private key length');
+    await expect(signMessageWithSecretKey('', params(), nacl.sign.keyPair().secretKey)).rejects.toThrow('Invalid accountId');
+  });
+});
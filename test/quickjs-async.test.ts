@@ -0,0 +1,94 @@
+/**
+ * QuickJS Async Evaluation Tests
+ *
+ * These tests verify that QuickJSEnclave.eval resolves what guest code returns:
+ * - Top-level `await` works and returned promises are unwrapped to their value
+ * - Rejections (including thrown errors) become failed results with their reason
+ * - Guests can await host functions; the job loop waits for them
+ * - Runaway async code and host calls that outlive the timeout are cut off
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { QuickJSEnclave } from '../packages/iframe/src/enclave/quickjs-runtime';
+
+let enclave: QuickJSEnclave;
+
+beforeAll(async () => {
+  enclave = new QuickJSEnclave();
+  await enclave.init();
+  enclave.host.register('near.view', async (account: string) => {
+    await new Promise((r) => setTimeout(r, 5));
+    return { account, balance: '7' };
+  });
+  enclave.host.register('clock.never', () => new Promise(() => {}));
+});
+
+afterAll(() => {
+  enclave.dispose();
+});
+
+describe('QuickJS Async - Values', () => {
+  it('MUST return the value of awaited code and returned promises', async () => {
+    expect(await enclave.eval('const x = await Promise.resolve(20); return x + 1;')).toMatchObject({ ok: true, value: 21 });
+    expect(await enclave.eval('return new Promise((r) => r({ done: true }));')).toMatchObject({ ok: true, value: { done: true } });
+    expect(await enclave.eval('let n = 0; for (let i = 0; i < 5; i++) n += await i; return n;')).toMatchObject({ ok: true, value: 10 });
+  });
+
+  it('MUST keep synchronous code working', async () => {
+    expect(await enclave.eval('return [1, 2, 3].map((n) => n * 2);')).toMatchObject({ ok: true, value: [2, 4, 6] });
+    expect(await enclave.eval('1 + 1;')).toMatchObject({ ok: true, value: undefined });
+  });
+
+  it('MUST report rejection reasons and thrown errors', async () => {
+    const rejected = await enclave.eval(`await Promise.reject(new Error('nope'));`);
+    expect(rejected.ok).toBe(false);
+    expect(!rejected.ok && rejected.error).toContain('nope');
+
+    expect(await enclave.eval(`return Promise.reject('plain reason');`)).toMatchObject({ ok: false, error: 'plain reason' });
+
+    const thrown = await enclave.eval(`throw new TypeError('sync throw');`);
+    expect(!thrown.ok && thrown.error).toContain('sync throw');
+  });
+});
+
+describe('QuickJS Async - Host Calls', () => {
+  it('MUST wait for awaited host functions', async () => {
+    const out = await enclave.eval(
+      `const a = await near.view('a.near'); const b = await near.view('b.near'); return a.balance + b.balance;`,
+      { capabilities: ['near.view'] }
+    );
+
+    expect(out).toMatchObject({ ok: true, value: '77' });
+    expect(out.hostCalls.map((c) => c.status)).toEqual(['ok', 'ok']);
+  });
+
+  it('MUST time out on a host call that never settles', async () => {
+    const out = await enclave.eval(`await clock.never(); return 'unreachable';`, { limits: 50, capabilities: ['clock.never'] });
+
+    expect(out).toMatchObject({ ok: false, error: 'Execution timed out after 50ms' });
+    expect(out.hostCalls).toEqual([expect.objectContaining({ name: 'clock.never', status: 'abandoned' })]);
+  });
+});
+
+describe('QuickJS Async - Limits', () => {
+  it('MUST interrupt runaway async loops at the deadline', async () => {
+    const started = Date.now();
+    const out = await enclave.eval('for (;;) { await null; }', { limits: 50 });
+
+    expect(out).toMatchObject({ ok: false, error: 'Execution timed out after 50ms', limitExceeded: { limit: 'time', value: 50 } });
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it('MUST fail promises that nothing can settle', async () => {
+    const out = await enclave.eval('await new Promise(() => {}); return 1;', { limits: 1000 });
+
+    expect(out.ok).toBe(false);
+    expect(!out.ok && out.error).toMatch(/still pending/);
+    expect(out.durationMs).toBeLessThan(1000);
+  });
+
+  it('MUST keep evaluating after a timed-out call', async () => {
+    await enclave.eval('while (true) {}', { limits: 20 });
+    expect(await enclave.eval('return await Promise.resolve("alive");')).toMatchObject({ ok: true, value: 'alive' });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * QuickJS Isolation Mode Tests
+ *
+ * These tests verify the guarantees of each QuickJSEnclave isolation mode:
+ * - 'context' (default): no global, prototype change or handle outlives the call
+ * - 'session': state persists across one session's calls only, until endSession()
+ * - Ending a session or disposing the enclave waits for calls still running in it
+ * - 'runtime': a runtime of its own, so calls don't wait on each other
+ * - The iframe backend forwards the mode and can end sessions
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { QuickJSEnclave } from '../packages/iframe/src/enclave/quickjs-runtime';
+import { IframeBackend } from '../packages/iframe/src/iframe-backend';
+
+let enclave: QuickJSEnclave;
+
+beforeEach(async () => {
+  enclave = new QuickJSEnclave();
+  await enclave.init();
+  enclave.host.register('clock.sleep', (ms: number) => new Promise((r) => setTimeout(() => r(ms), ms)));
+});
+
+afterEach(() => {
+  enclave.dispose();
+});
+
+const PROBE = 'return [typeof leaked, typeof Object.prototype.polluted];';
+
+describe('QuickJS Isolation - Fresh Context (default)', () => {
+  it('MUST NOT leak globals or prototype changes into the next call', async () => {
+    const first = await enclave.eval('globalThis.leaked = 1; Object.prototype.polluted = 1; return "set";');
+
+    expect(first).toMatchObject({ ok: true, value: 'set', memoryZeroed: true });
+    expect((await enclave.eval(PROBE)).value).toEqual(['undefined', 'undefined']);
+    expect((await enclave.eval(PROBE, { mode: 'runtime' })).value).toEqual(['undefined', 'undefined']);
+  });
+
+  it('MUST run calls on the shared runtime one at a time', async () => {
+    const order: string[] = [];
+    const slow = enclave.eval('await clock.sleep(40); return "slow";', { capabilities: ['clock.sleep'] }).then((r) => order.push(r.value as string));
+    const fast = enclave.eval('return "fast";').then((r) => order.push(r.value as string));
+
+    await Promise.all([slow, fast]);
+    expect(order).toEqual(['slow', 'fast']);
+  });
+});
+
+describe('QuickJS Isolation - Sessions', () => {
+  it('MUST keep state within a session and nowhere else', async () => {
+    await enclave.eval('globalThis.leaked = (globalThis.leaked ?? 0) + 1;', { sessionId: 'a' });
+    const second = await enclave.eval('return ++leaked;', { sessionId: 'a' });
+
+    expect(second).toMatchObject({ ok: true, value: 2, memoryZeroed: false });
+    expect((await enclave.eval(PROBE, { sessionId: 'b' })).value).toEqual(['undefined', 'undefined']);
+    expect((await enclave.eval(PROBE)).value).toEqual(['undefined', 'undefined']);
+    expect(enclave.sessionIds()).toEqual(['a', 'b']);
+  });
+
+  it('MUST drop session state on endSession()', async () => {
+    await enclave.eval('globalThis.leaked = 1;', { sessionId: 'a' });
+
+    expect(enclave.endSession('a')).toBe(true);
+    expect(enclave.endSession('a')).toBe(false);
+    expect((await enclave.eval(PROBE, { sessionId: 'a' })).value).toEqual(['undefined', 'undefined']);
+  });
+
+  it('MUST end a session only after its running call finishes', async () => {
+    let release: (() => void) | undefined;
+    enclave.host.register('probe.wait', () => new Promise<void>((r) => { release = r; }));
+    const running = enclave.eval('globalThis.leaked = 1; await probe.wait(); return leaked + 1;', { capabilities: ['probe.wait'], sessionId: 'a' });
+    while (!release) await new Promise((r) => setTimeout(r, 0));
+
+    // The host call is still pending: the ID goes now, the context once the call is done
+    expect(enclave.endSession('a')).toBe(true);
+    expect(enclave.sessionIds()).toEqual([]);
+    release();
+
+    expect(await running).toMatchObject({ ok: true, value: 2 });
+    expect((await enclave.eval(PROBE, { sessionId: 'a' })).value).toEqual(['undefined', 'undefined']);
+  });
+
+  it('MUST let running calls finish when the enclave is disposed', async () => {
+    let release: (() => void) | undefined;
+    enclave.host.register('probe.wait', () => new Promise<void>((r) => { release = r; }));
+    const session = enclave.eval('await probe.wait(); return "session";', { capabilities: ['probe.wait'], sessionId: 'a' });
+    const shared = enclave.eval('return "shared";');
+    while (!release) await new Promise((r) => setTimeout(r, 0));
+
+    enclave.dispose();
+    release();
+
+    expect(await session).toMatchObject({ ok: true, value: 'session' });
+    expect(await shared).toMatchObject({ ok: true, value: 'shared' });
+  });
+
+  it('MUST reject invalid session IDs and sessions beyond the cap', async () => {
+    enclave.maxSessions = 2;
+    await enclave.eval('1', { sessionId: 's1' });
+    await enclave.eval('1', { sessionId: 's2' });
+
+    expect(await enclave.eval('1', { sessionId: 's3' })).toMatchObject({ ok: false, error: expect.stringMatching(/too many sessions/) });
+    expect(await enclave.eval('1', { mode: 'session' })).toMatchObject({ ok: false, error: 'invalid session ID: undefined' });
+    expect(await enclave.eval('1', { sessionId: 'a b' })).toMatchObject({ ok: false, error: expect.stringMatching(/invalid session ID/) });
+    expect(await enclave.eval('1', { mode: 'shared' as any })).toMatchObject({ ok: false, error: 'unknown isolation mode: "shared"' });
+  });
+});
+
+describe('QuickJS Isolation - Runtime Per Call', () => {
+  it('MUST run in a runtime of its own', async () => {
+    const order: string[] = [];
+    const slow = enclave.eval('await clock.sleep(40); return "slow";', { capabilities: ['clock.sleep'], mode: 'runtime' })
+      .then((r) => order.push(r.value as string));
+    const fast = enclave.eval('globalThis.leaked = 1; return "fast";', { mode: 'runtime' })
+      .then((r) => order.push(r.value as string));
+
+    await Promise.all([slow, fast]);
+    expect(order).toEqual(['fast', 'slow']);
+    expect((await enclave.eval(PROBE, { mode: 'runtime' })).value).toEqual(['undefined', 'undefined']);
+  });
+});
+
+describe('QuickJS Isolation - IframeBackend', () => {
+  it('MUST forward the isolation mode and end sessions', async () => {
+    const backend = new IframeBackend({ enclaveOrigin: 'http://localhost:3010' });
+    const sent: any[] = [];
+    backend.client = {
+      send: async (op: string, call: any) => {
+        sent.push({ op, call });
+        return op === 'endSession' ? { body: { sessionId: call.sessionId, ended: true } } : { body: 1 };
+      }
+    };
+    backend.initialized = true;
+
+    await backend.execute('return 1', {}, { sessionId: 'wallet' });
+    expect(await backend.endSession('wallet')).toBe(true);
+    expect(sent).toEqual([
+      { op: 'evalQuickJS', call: expect.objectContaining({ sessionId: 'wallet' }) },
+      { op: 'endSession', call: { sessionId: 'wallet' } }
+    ]);
+  });
+});
@@ -0,0 +1,184 @@
+// @vitest-environment node
+/**
+ * Record Expiry Tests
+ *
+ * These tests verify TTLs, sweeping and quotas for EncryptedStorage and the Vault:
+ * - Expired records read as missing everywhere (get/has/keys/query/export)
+ * - The sweeper deletes expired records; getStats/stats report the counts
+ * - maxRecords/maxItems evict expired records first, then the least recently used
+ * - Rotation keeps expiry and LRU metadata
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EncryptedStorage } from '../packages/shared/src/storage';
+import { initVault, type Vault } from '../packages/shared/src/vault';
+import { resolveExpiry } from '../packages/shared/src/expiry';
+import { readStore, closeTracked, openTracked, resetIndexedDB, track } from './helpers/idb';
+
+let clock: number;
+
+function storageWith(options: { maxRecords?: number } = {}) {
+  return openTracked(new EncryptedStorage({ dbName: 'expiry-test', sweepIntervalMs: 0, ...options }));
+}
+
+async function vaultWith(options: { maxItems?: number } = {}): Promise<Vault> {
+  return track(await initVault({ dbName: 'vault-expiry-test', sweepIntervalMs: 0, ...options }));
+}
+
+const bytes = (s: string) => new TextEncoder().encode(s);
+
+beforeEach(() => {
+  resetIndexedDB();
+  clock = 1_000_000;
+  vi.spyOn(Date, 'now').mockImplementation(() => clock);
+});
+
+afterEach(async () => {
+  await closeTracked();
+  vi.restoreAllMocks();
+});
+
+describe('Expiry - Options', () => {
+  it('MUST resolve a TTL or absolute expiry, and reject ambiguous ones', () => {
+    expect(resolveExpiry(undefined, 100)).toBeUndefined();
+    expect(resolveExpiry({ ttlMs: 50 }, 100)).toBe(150);
+    expect(resolveExpiry({ expiresAt: 500 }, 100)).toBe(500);
+    expect(() => resolveExpiry({ ttlMs: 0 }, 100)).toThrow(/positive/);
+    expect(() => resolveExpiry({ ttlMs: 1, expiresAt: 2 }, 100)).toThrow(/not both/);
+  });
+});
+
+describe('Expiry - EncryptedStorage', () => {
+  it('MUST treat expired records as missing', async () => {
+    const storage = await storageWith();
+    await storage.set('session', { token: 't' }, 'auth', ['s'], { ttlMs: 1000 });
+    await storage.set('profile', { name: 'alice' }, 'user');
+
+    clock += 999;
+    expect(await storage.get('session')).toEqual({ token: 't' });
+
+    clock += 1;
+    expect(await storage.has('session')).toBe(false);
+    expect(await storage.keys()).toEqual(['profile']);
+    expect(await storage.query({ tags: ['s'] })).toEqual([]);
+    expect(await storage.get('session')).toBeNull();
+
+    // The expired read deleted it
+    expect((await readStore('expiry-test', 'encrypted-data')).map((r) => r.key)).toEqual(['profile']);
+  });
+
+  it('MUST keep the expiry on update unless a new one is given', async () => {
+    const storage = await storageWith();
+    await storage.set('k', 1, undefined, undefined, { expiresAt: clock + 100 });
+    await storage.update('k', 2);
+    clock += 100;
+    expect(await storage.get('k')).toBeNull();
+
+    await storage.set('k', 1, undefined, undefined, { ttlMs: 100 });
+    await storage.update('k', 2, undefined, undefined, { ttlMs: 500 });
+    clock += 200;
+    expect(await storage.get('k')).toBe(2);
+  });
+
+  it('MUST sweep expired records and report counts in getStats', async () => {
+    const storage = await storageWith();
+    for (let i = 0; i < 3; i++) await storage.set(`tmp-${i}`, i, 'tmp', undefined, { ttlMs: 10 * (i + 1) });
+    await storage.set('keep', true, 'perm');
+
+    clock += 20;
+    expect(await storage.getStats()).toEqual({ totalRecords: 2, typeBreakdown: { tmp: 1, perm: 1 }, expired: 2, purged: 0, evicted: 0 });
+    expect(await storage.sweep()).toBe(2);
+    expect(await storage.getStats()).toMatchObject({ totalRecords: 2, expired: 0, purged: 2 });
+  });
+
+  it('MUST run the sweeper in the background until closed', async () => {
+    vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+    try {
+      const storage = new EncryptedStorage({ dbName: 'expiry-test', sweepIntervalMs: 1000 });
+      await storage.initialize();
+      const sweep = vi.spyOn(storage, 'sweep');
+      vi.advanceTimersByTime(2500);
+      expect(sweep).toHaveBeenCalledTimes(2);
+      await storage.close();
+      vi.advanceTimersByTime(5000);
+      expect(sweep).toHaveBeenCalledTimes(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('MUST evict expired records first, then the least recently used', async () => {
+    const storage = await storageWith({ maxRecords: 3 });
+    await storage.set('a', 'a');
+    clock += 1;
+    await storage.set('b', 'b', undefined, undefined, { ttlMs: 5 });
+    clock += 1;
+    await storage.set('c', 'c');
+    clock += 10;
+
+    // b has expired, so it goes before the older a
+    await storage.set('d', 'd');
+    expect((await storage.keys()).sort()).toEqual(['a', 'c', 'd']);
+
+    // Reading a makes c the least recently used
+    clock += 1;
+    expect(await storage.get('a')).toBe('a');
+    clock += 1;
+    await storage.set('e', 'e');
+    expect((await storage.keys()).sort()).toEqual(['a', 'd', 'e']);
+    expect(await storage.getStats()).toMatchObject({ totalRecords: 3, purged: 1, evicted: 1 });
+  });
+
+  it('MUST keep expiry and access times through key rotation', async () => {
+    const storage = await storageWith();
+    await storage.set('k', 'v', undefined, undefined, { ttlMs: 100 });
+    const [before] = await readStore('expiry-test', 'encrypted-data');
+    await storage.rotate();
+    const [after] = await readStore('expiry-test', 'encrypted-data');
+    expect(after.kid).not.toBe(before.kid);
+    expect(after.metadata).toMatchObject({ expiresAt: before.metadata.expiresAt, accessedAt: before.metadata.accessedAt });
+  });
+});
+
+describe('Expiry - Vault', () => {
+  it('MUST unseal expired items as missing and sweep the rest', async () => {
+    const vault = await vaultWith();
+    await vault.seal('otp', bytes('123456'), undefined, { ttlMs: 30_000 });
+    await vault.seal('a', bytes('a'), undefined, { ttlMs: 10 });
+    await vault.seal('b', bytes('b'));
+
+    expect(new TextDecoder().decode(await vault.unseal('otp'))).toBe('123456');
+    clock += 30_000;
+    await expect(vault.unseal('otp')).rejects.toThrow('Not found: otp');
+    expect(await vault.stats()).toMatchObject({ items: 1, expired: 1, purged: 1 });
+
+    expect(await vault.sweep()).toBe(1);
+    expect(await vault.stats()).toMatchObject({ items: 1, expired: 0, purged: 2, evicted: 0 });
+    expect((await readStore('vault-expiry-test', 'items')).map((r) => r.name)).toEqual(['b']);
+  });
+
+  it('MUST evict the least recently unsealed items beyond maxItems', async () => {
+    const vault = await vaultWith({ maxItems: 2 });
+    await vault.seal('a', bytes('a'));
+    clock += 1;
+    await vault.seal('b', bytes('b'));
+    clock += 1;
+    await vault.unseal('a');
+    clock += 1;
+    await vault.seal('c', bytes('c'));
+
+    await expect(vault.unseal('b')).rejects.toThrow('Not found: b');
+    expect(new TextDecoder().decode(await vault.unseal('a'))).toBe('a');
+    expect(await vault.stats()).toMatchObject({ items: 2, evicted: 1 });
+  });
+
+  it('MUST keep expiry through key rotation', async () => {
+    const vault = await vaultWith();
+    await vault.seal('t', bytes('t'), undefined, { ttlMs: 100 });
+    await vault.rotate();
+    const [item] = await readStore('vault-expiry-test', 'items');
+    expect(item.expiresAt).toBe(clock + 100);
+    clock += 100;
+    await expect(vault.unseal('t')).rejects.toThrow('Not found: t');
+  });
+});
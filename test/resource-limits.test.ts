@@ -0,0 +1,156 @@
+/**
+ * Resource Limit Tests
+ *
+ * These tests verify per-execution resource limits for guest code:
+ * - Limits are validated and defaulted before anything runs
+ * - Memory, stack, time and instruction limits stop the guest and are named
+ *   in a structured ResourceLimitExceeded report
+ * - Results report peak heap usage, and the runtime recovers after a limit
+ * - The iframe backend rejects execute() with ResourceLimitExceeded, and only when the
+ *   enclave reports a limit (not when the guest returns something shaped like one)
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { newQuickJSWASMModule } from 'quickjs-emscripten';
+import {
+  DEFAULT_RESOURCE_LIMITS,
+  ResourceLimitExceeded,
+  resolveResourceLimits
+} from '../packages/shared/src/resource-limits';
+import { ResourceMeter } from '../packages/shared/src/resource-meter';
+import { QuickJSEnclave } from '../packages/iframe/src/enclave/quickjs-runtime';
+import { IframeBackend } from '../packages/iframe/src/iframe-backend';
+
+const HOG = 'const a = []; for (;;) a.push("x".repeat(1024) + a.length);';
+
+describe('Resource Limits - Options', () => {
+  it('MUST fill in defaults and reject invalid limits', () => {
+    expect(resolveResourceLimits(undefined)).toEqual(DEFAULT_RESOURCE_LIMITS);
+    expect(resolveResourceLimits({ timeMs: 10, maxInterrupts: 3, memoryBytes: undefined })).toEqual({
+      ...DEFAULT_RESOURCE_LIMITS,
+      timeMs: 10,
+      maxInterrupts: 3
+    });
+
+    for (const bad of [{ timeMs: 0 }, { memoryBytes: -1 }, { stackBytes: 1.5 }, { maxInterrupts: '5' }, { stackBytes: 8 * 1024 * 1024 }]) {
+      expect(() => resolveResourceLimits(bad)).toThrow();
+    }
+    expect(() => resolveResourceLimits(5)).toThrow(/must be an object/);
+  });
+
+  it('MUST carry the limit across the wire', () => {
+    const err = new ResourceLimitExceeded({ limit: 'memory', value: 1024, peakMemoryBytes: 2048, durationMs: 3 });
+    const revived = new ResourceLimitExceeded(JSON.parse(JSON.stringify(err)));
+
+    expect(revived).toMatchObject({ name: 'ResourceLimitExceeded', code: 'resource-limit-exceeded', limit: 'memory', value: 1024, peakMemoryBytes: 2048 });
+    expect(revived.message).toBe('Memory limit exceeded (1024 bytes)');
+  });
+});
+
+describe('Resource Limits - QuickJSEnclave', () => {
+  let enclave: QuickJSEnclave;
+
+  beforeAll(async () => {
+    enclave = new QuickJSEnclave();
+    await enclave.init();
+  });
+
+  afterAll(() => {
+    enclave.dispose();
+  });
+
+  it('MUST report peak memory for successful executions', async () => {
+    const small = await enclave.eval('return 1;');
+    const large = await enclave.eval('const a = []; for (let i = 0; i < 300000; i++) a.push({ i }); return a.length;');
+
+    expect(small).toMatchObject({ ok: true, value: 1 });
+    expect(large).toMatchObject({ ok: true, value: 300000 });
+    expect(small.peakMemoryBytes).toBeGreaterThan(0);
+    expect(large.peakMemoryBytes).toBeGreaterThan(small.peakMemoryBytes + 1024 * 1024);
+  });
+
+  it('MUST stop a guest at the memory limit and recover afterwards', async () => {
+    const out = await enclave.eval(HOG, { limits: { memoryBytes: 4 * 1024 * 1024 } });
+
+    expect(out).toMatchObject({ ok: false, limitExceeded: { limit: 'memory', value: 4 * 1024 * 1024 } });
+    expect(!out.ok && out.error).toBe('Memory limit exceeded (4194304 bytes)');
+    expect(out.peakMemoryBytes).toBeGreaterThan(4 * 1024 * 1024);
+    expect(await enclave.eval('return "x".repeat(10);')).toMatchObject({ ok: true, value: 'xxxxxxxxxx' });
+  });
+
+  it('MUST stop runaway recursion at the stack limit', async () => {
+    const out = await enclave.eval('function f(n) { return f(n + 1) + 1; } return f(0);', { limits: { stackBytes: 64 * 1024 } });
+
+    expect(out).toMatchObject({ ok: false, error: 'Stack limit exceeded (65536 bytes)', limitExceeded: { limit: 'stack' } });
+  });
+
+  it('MUST tell the time limit from the instruction budget', async () => {
+    const slow = await enclave.eval('while (true) {}', { limits: { timeMs: 30 } });
+    const budget = await enclave.eval('while (true) {}', { limits: { timeMs: 5000, maxInterrupts: 5 } });
+
+    expect(slow).toMatchObject({ ok: false, limitExceeded: { limit: 'time', value: 30 } });
+    expect(budget).toMatchObject({ ok: false, limitExceeded: { limit: 'instructions', value: 5 } });
+    expect(budget.durationMs).toBeLessThan(5000);
+  });
+
+  it('MUST leave ordinary guest errors unclassified', async () => {
+    const out = await enclave.eval(`throw new Error('plain failure');`);
+
+    expect(out.ok).toBe(false);
+    expect(!out.ok && out.limitExceeded).toBeUndefined();
+    expect(!out.ok && out.error).toContain('plain failure');
+  });
+
+  it('MUST fail the call on invalid limits without running the guest', async () => {
+    const out = await enclave.eval('globalThis.ran = true; return 1;', { limits: { timeMs: -5 } });
+
+    expect(out).toMatchObject({ ok: false, error: 'timeMs must be a positive integer, got -5' });
+    expect((await enclave.eval('return typeof ran;')).value).toBe('undefined');
+  });
+});
+
+describe('Resource Limits - ResourceMeter', () => {
+  it('MUST apply limits to a context of its own (worker path)', async () => {
+    const QuickJS = await newQuickJSWASMModule();
+    const vm = QuickJS.newContext();
+    const meter = new ResourceMeter(vm.runtime, resolveResourceLimits({ memoryBytes: 2 * 1024 * 1024 }));
+    meter.attach();
+
+    const result = vm.evalCode(HOG);
+    const exceeded = meter.classify(vm.dump(result.error!));
+    result.error!.dispose();
+    vm.dispose();
+
+    expect(exceeded).toBeInstanceOf(ResourceLimitExceeded);
+    expect(exceeded!.toJSON()).toMatchObject({ limit: 'memory', value: 2 * 1024 * 1024 });
+    expect(exceeded!.peakMemoryBytes).toBeGreaterThan(0);
+  });
+});
+
+describe('Resource Limits - IframeBackend', () => {
+  it('MUST send limits and reject with ResourceLimitExceeded', async () => {
+    const backend = new IframeBackend({ enclaveOrigin: 'http://localhost:3010' });
+    const sent: any[] = [];
+    backend.client = {
+      send: async (op: string, call: any) => {
+        sent.push({ op, call });
+        return { body: { error: 'Execution timed out after 10ms' }, limitExceeded: { limit: 'time', value: 10, peakMemoryBytes: 1, durationMs: 11 } };
+      }
+    };
+    backend.initialized = true;
+
+    const err = await backend.execute('while (true) {}', {}, { limits: { timeMs: 10 } }).catch((e) => e);
+
+    expect(sent[0]).toMatchObject({ op: 'evalQuickJS', call: { limits: { timeMs: 10 } } });
+    expect(err).toMatchObject({ name: 'ResourceLimitExceeded', limit: 'time', value: 10, message: 'Execution timed out after 10ms' });
+  });
+
+  it('MUST return a guest value that looks like a limit report as the result', async () => {
+    const backend = new IframeBackend({ enclaveOrigin: 'http://localhost:3010' });
+    const forged = { limitExceeded: { limit: 'memory', value: 1, peakMemoryBytes: 1, durationMs: 1 } };
+    backend.client = { send: async () => ({ body: forged }) };
+    backend.initialized = true;
+
+    expect((await backend.execute('return { limitExceeded: { limit: "memory", value: 1 } };')).result).toEqual(forged);
+  });
+});
@@ -0,0 +1,279 @@
+// @vitest-environment node
+/**
+ * Storage Adapter Tests
+ *
+ * These tests verify the storage-adapter layer and the modules running on it:
+ * - IndexedDB, memory and file adapters agree on ordered scans, resumable
+ *   positions, multiEntry/unique indexes and transaction rollback
+ * - Each module's declared schema matches the database its migrations build
+ * - Keystore, EncryptedStorage, Vault and UserLock work without IndexedDB
+ * - FileAdapter databases survive a restart and hold no plaintext
+ * - FileAdapter runs pending migrations on older files and refuses newer ones
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import * as nacl from 'tweetnacl';
+import { onlyKey, type DatabaseSchema, type StorageAdapter } from '../packages/shared/src/storage-adapter';
+import { IndexedDBAdapter } from '../packages/shared/src/indexeddb-adapter';
+import { MemoryAdapter } from '../packages/shared/src/memory-adapter';
+import { FileAdapter } from '../packages/shared/src/file-adapter';
+import { latestVersion, transformRecords } from '../packages/shared/src/migrations';
+import { Keystore, KEYSTORE_SCHEMA } from '../packages/shared/src/keystore';
+import { EncryptedStorage, STORAGE_SCHEMA } from '../packages/shared/src/storage';
+import { UserLock, USER_LOCK_SCHEMA, type KdfParams } from '../packages/shared/src/user-lock';
+import { initVault, vaultSchema } from '../packages/shared/src/vault';
+import { describeDatabase, resetIndexedDB } from './helpers/idb';
+
+const FAST: KdfParams = { algorithm: 'PBKDF2', hash: 'SHA-256', iterations: 1000 };
+
+const NOTES: DatabaseSchema = {
+  stores: [
+    {
+      name: 'notes',
+      keyPath: 'id',
+      indexes: [
+        { name: 'at', keyPath: 'meta.at' },
+        { name: 'tags', keyPath: 'meta.tags', multiEntry: true },
+        { name: 'slug', keyPath: 'slug', unique: true }
+      ]
+    }
+  ],
+  migrations: [
+    {
+      version: 1,
+      description: 'notes store',
+      upgrade({ db }) {
+        const store = db.createObjectStore('notes', { keyPath: 'id' });
+        store.createIndex('at', 'meta.at');
+        store.createIndex('tags', 'meta.tags', { multiEntry: true });
+        store.createIndex('slug', 'slug', { unique: true });
+      }
+    }
+  ]
+};
+
+const note = (id: string, at: number, tags: string[] = []) => ({ id, slug: id, meta: { at, tags } });
+
+let directory: string;
+
+beforeEach(async () => {
+  resetIndexedDB();
+  directory = await mkdtemp(join(tmpdir(), 'soft-enclave-'));
+});
+
+afterEach(async () => {
+  await rm(directory, { recursive: true, force: true });
+});
+
+// Each factory returns the same adapter (or one over the same storage) every call, so reopening simulates a reload
+const adapters: Array<[string, () => () => StorageAdapter]> = [
+  ['IndexedDB', () => () => new IndexedDBAdapter()],
+  ['memory', () => { const memory = new MemoryAdapter(); return () => memory; }],
+  ['file', () => () => new FileAdapter({ directory })]
+];
+
+describe.each(adapters)('Storage Adapters - %s', (_kind, factory) => {
+  let adapter: () => StorageAdapter;
+
+  beforeEach(() => {
+    adapter = factory();
+  });
+
+  it('MUST scan indexes in order, within ranges, resuming after a position', async () => {
+    const db = await adapter().open('notes', NOTES);
+    await db.transaction(['notes'], 'readwrite', async (tx) => {
+      for (const [id, at] of [['n1', 3], ['n2', 1], ['n3', 2], ['n4', 2], ['n5', 5]] as const) await tx.put('notes', note(id, at));
+    });
+
+    const ids = async (options: Parameters<typeof db.scan>[1], max = Infinity) => {
+      const out: string[] = [];
+      await db.scan<any>('notes', options, (rec) => {
+        out.push(rec.id);
+        return out.length < max;
+      });
+      return out;
+    };
+
+    expect(await ids({ index: 'at' })).toEqual(['n2', 'n3', 'n4', 'n1', 'n5']);
+    expect(await ids({ index: 'at', after: { key: 2, primaryKey: 'n3' } })).toEqual(['n4', 'n1', 'n5']);
+    expect(await ids({ index: 'at', direction: 'desc', range: { lower: 2, upper: 3 } })).toEqual(['n1', 'n4', 'n3']);
+    expect(await ids({ index: 'at', direction: 'desc', after: { key: 2, primaryKey: 'n4' } })).toEqual(['n3', 'n2']);
+    expect(await ids({ after: { key: 'n2', primaryKey: 'n2' } }, 2)).toEqual(['n3', 'n4']);
+    expect(await db.count('notes', 'at', { upper: 2, upperOpen: true })).toBe(1);
+    db.close();
+  });
+
+  it('MUST index array elements and enforce unique indexes', async () => {
+    const db = await adapter().open('notes', NOTES);
+    await db.put('notes', note('a', 1, ['red', 'blue']));
+    await db.put('notes', note('b', 2, ['blue']));
+
+    expect(await db.getAllKeys('notes', 'tags', onlyKey('blue'))).toEqual(['a', 'b']);
+    expect(await db.getAllKeys('notes', 'tags', onlyKey('red'))).toEqual(['a']);
+    await expect(db.put('notes', { ...note('c', 3), slug: 'a' })).rejects.toThrow();
+    expect(await db.get('notes', 'c')).toBeUndefined();
+    db.close();
+  });
+
+  it('MUST roll back every write of a failed transaction', async () => {
+    const db = await adapter().open('notes', NOTES);
+    await db.put('notes', note('keep', 1));
+
+    await expect(db.transaction(['notes'], 'readwrite', async (tx) => {
+      await tx.delete('notes', 'keep');
+      await tx.put('notes', note('new', 2));
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+
+    expect(await db.getAllKeys('notes')).toEqual(['keep']);
+    db.close();
+  });
+
+  it('MUST keep binary values and CryptoKeys across a reopen', async () => {
+    const first = await adapter().open('notes', NOTES);
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, !first.storesCryptoKeys, ['encrypt', 'decrypt']);
+    await first.put('notes', { ...note('k', 1), bytes: new Uint8Array([1, 2, 3]), key });
+    first.close();
+
+    const second = await adapter().open('notes', NOTES);
+    const rec = await second.get<any>('notes', 'k');
+    expect(rec.bytes).toEqual(new Uint8Array([1, 2, 3]));
+    const iv = new Uint8Array(12);
+    const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new Uint8Array([9]));
+    expect(new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, rec.key, ct))).toEqual(new Uint8Array([9]));
+    second.close();
+  });
+});
+
+describe('Storage Adapters - Module Schemas', () => {
+  it('MUST declare the shape their migrations build', async () => {
+    const schemas: Array<[string, DatabaseSchema]> = [
+      ['keystore', KEYSTORE_SCHEMA],
+      ['storage', STORAGE_SCHEMA],
+      ['vault', vaultSchema()],
+      ['user-lock', USER_LOCK_SCHEMA]
+    ];
+
+    for (const [name, schema] of schemas) {
+      (await new IndexedDBAdapter().open(name, schema)).close();
+      expect(await describeDatabase(name)).toEqual({
+        version: latestVersion(schema.migrations),
+        stores: Object.fromEntries(schema.stores.map((store) => [store.name, {
+          keyPath: store.keyPath,
+          indexes: (store.indexes ?? [])
+            .map((index) => ({ name: index.name, keyPath: index.keyPath, unique: !!index.unique, multiEntry: !!index.multiEntry }))
+            .sort((a, b) => a.name.localeCompare(b.name))
+        }]))
+      });
+    }
+  });
+});
+
+describe('Storage Adapters - Modules Without IndexedDB', () => {
+  beforeEach(() => {
+    delete (globalThis as any).indexedDB;
+  });
+
+  it('MUST run Keystore with a UserLock in memory', async () => {
+    const adapter = new MemoryAdapter();
+    const userLock = new UserLock({ adapter, sync: false, autoLockMs: 0 });
+    await userLock.initialize();
+    await userLock.enable({ passphrase: 'pw' }, FAST);
+    const ks = new Keystore({ adapter, userLock, sync: false });
+    await ks.initialize();
+
+    const kp = nacl.sign.keyPair();
+    await ks.storeKey('a.near', kp.secretKey.slice(), 'ed25519:a');
+    const msg = new Uint8Array([1, 2]);
+    expect(nacl.sign.detached.verify(msg, await ks.sign('a.near', msg), kp.publicKey)).toBe(true);
+    await ks.close();
+    await userLock.close();
+  });
+
+  it('MUST run EncryptedStorage queries and Vault sealing in memory', async () => {
+    const adapter = new MemoryAdapter();
+    const storage = new EncryptedStorage({ adapter, sweepIntervalMs: 0 });
+    await storage.initialize();
+    for (let i = 0; i < 5; i++) await storage.set(`r${i}`, { i }, i % 2 ? 'odd' : 'even', [`t${i % 3}`]);
+
+    expect((await storage.query({ type: 'odd' })).map((r) => r.key)).toEqual(['r1', 'r3']);
+    expect((await storage.query({ tags: ['t0'], orderBy: 'createdAt', direction: 'desc' })).map((r) => r.key)).toEqual(['r3', 'r0']);
+    const page = await storage.queryPage({ limit: 2 });
+    expect((await storage.queryPage({ limit: 2, cursor: page.cursor! })).items.map((r) => r.key)).toEqual(['r2', 'r3']);
+    await storage.close();
+
+    const vault = await initVault({ adapter, sweepIntervalMs: 0, sync: false, maxItems: 1 });
+    await vault.seal('a', new TextEncoder().encode('one'));
+    await vault.seal('b', new TextEncoder().encode('two'));
+    expect(new TextDecoder().decode(await vault.unseal('b'))).toBe('two');
+    expect(await vault.stats()).toMatchObject({ items: 1, evicted: 1 });
+    vault.close();
+  });
+});
+
+describe('Storage Adapters - FileAdapter', () => {
+  beforeEach(() => {
+    delete (globalThis as any).indexedDB;
+  });
+
+  it('MUST persist records across restarts without plaintext in the file', async () => {
+    const kp = nacl.sign.keyPair();
+    const first = new Keystore({ adapter: new FileAdapter({ directory }), sync: false });
+    await first.initialize();
+    await first.storeKey('a.near', kp.secretKey.slice(), 'ed25519:a');
+    await first.close();
+    const storage = new EncryptedStorage({ adapter: new FileAdapter({ directory }), sweepIntervalMs: 0 });
+    await storage.initialize();
+    await storage.set('note', 'plaintext-marker');
+    await storage.close();
+
+    const second = new Keystore({ adapter: new FileAdapter({ directory }), sync: false });
+    await second.initialize();
+    const msg = new Uint8Array([3]);
+    expect(nacl.sign.detached.verify(msg, await second.sign('a.near', msg), kp.publicKey)).toBe(true);
+    await second.close();
+
+    const keystoreFile = await readFile(new FileAdapter({ directory }).pathOf('soft-enclave-keystore'), 'utf8');
+    expect(keystoreFile).not.toContain(Buffer.from(kp.secretKey.slice(0, 32)).toString('base64'));
+    const storageFile = await readFile(new FileAdapter({ directory }).pathOf('soft-enclave-storage'), 'utf8');
+    expect(storageFile).not.toContain('plaintext-marker');
+  });
+
+  it('MUST migrate a file written by an older release', async () => {
+    const adapter = new FileAdapter({ directory });
+    const v1 = await adapter.open('notes', NOTES);
+    await v1.put('notes', note('a', 1, ['x']));
+    v1.close();
+
+    const NOTES_V2: DatabaseSchema = {
+      ...NOTES,
+      migrations: [
+        ...NOTES.migrations,
+        {
+          version: 2,
+          description: 'upper-case slugs',
+          async upgrade({ transaction }) {
+            await transformRecords<any>(transaction, 'notes', (r) => ({ ...r, slug: r.slug.toUpperCase() }));
+          }
+        }
+      ]
+    };
+    const v2 = await adapter.open('notes', NOTES_V2);
+    expect(await v2.get('notes', 'a')).toEqual({ ...note('a', 1, ['x']), slug: 'A' });
+    v2.close();
+
+    expect(JSON.parse(await readFile(adapter.pathOf('notes'), 'utf8')).schemaVersion).toBe(2);
+    await expect(adapter.open('notes', NOTES)).rejects.toMatchObject({ name: 'StorageAdapterError', code: 'schema-mismatch' });
+  });
+
+  it('MUST refuse a file written by a newer release', async () => {
+    const adapter = new FileAdapter({ directory });
+    (await adapter.open('notes', NOTES)).close();
+    await writeFile(adapter.pathOf('notes'), JSON.stringify({ format: 'soft-enclave-file-db', version: 1, schemaVersion: 7, stores: {} }));
+
+    await expect(adapter.open('notes', NOTES)).rejects.toMatchObject({ name: 'StorageAdapterError', code: 'schema-mismatch' });
+  });
+});
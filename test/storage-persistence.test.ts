@@ -0,0 +1,204 @@
+// @vitest-environment node
+/**
+ * EncryptedStorage Persistence & Bundle Tests
+ *
+ * These tests verify cross-session behavior of EncryptedStorage:
+ * - The data key is persisted with a key ID and records carry that ID
+ * - Records written in one session decrypt in the next
+ * - export() produces a portable bundle under an export key or passphrase
+ * - import() verifies the whole bundle and re-encrypts under the local key
+ * - Key derivation parameters out of range are refused before deriving
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { openDB } from 'idb';
+import { EncryptedStorage, StorageError, RECORD_VERSION } from '../packages/shared/src/storage';
+import { BundleError, generateBundleKey } from '../packages/shared/src/bundle';
+import { closeTracked, openTracked, resetIndexedDB } from './helpers/idb';
+
+const PASS = { passphrase: 'backup passphrase', iterations: 1000 };
+
+function session(dbName = 'storage-test'): Promise<EncryptedStorage> {
+  return openTracked(new EncryptedStorage({ dbName }));
+}
+
+async function rawRecord(key: string, dbName = 'storage-test') {
+  const db = await openDB(dbName);
+  const rec = await db.get('encrypted-data', key);
+  db.close();
+  return rec;
+}
+
+beforeEach(resetIndexedDB);
+afterEach(closeTracked);
+
+describe('EncryptedStorage - Persistent Data Key', () => {
+  it('MUST read records written in an earlier session', async () => {
+    const first = await session();
+    await first.set('prefs', { theme: 'dark' }, 'config', ['user']);
+    await first.close();
+
+    const second = await session();
+    expect(await second.get('prefs')).toEqual({ theme: 'dark' });
+    expect(await second.query({ type: 'config' })).toEqual([{ key: 'prefs', value: { theme: 'dark' } }]);
+  });
+
+  it('MUST tag records with the data key ID and version', async () => {
+    const storage = await session();
+    await storage.set('a', 1);
+
+    const rec = await rawRecord('a');
+    expect(storage.getKeyId()).toMatch(/^dk_[0-9a-f]{16}$/);
+    expect(rec.kid).toBe(storage.getKeyId());
+    expect(rec.version).toBe(RECORD_VERSION);
+  });
+
+  it('MUST keep the same key ID across sessions', async () => {
+    const first = await session();
+    const kid = first.getKeyId();
+    await first.close();
+    expect((await session()).getKeyId()).toBe(kid);
+  });
+
+  it('MUST detect a data key that does not match its check value', async () => {
+    await session();
+    await closeTracked();
+
+    const db = await openDB('storage-test');
+    const [dataKey] = await db.getAll('data-keys');
+    dataKey.key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await db.put('data-keys', dataKey);
+    db.close();
+
+    const storage = new EncryptedStorage({ dbName: 'storage-test' });
+    await expect(storage.initialize()).rejects.toMatchObject({ name: 'StorageError', code: 'data-key-mismatch' });
+    await storage.close();
+  });
+
+  it('MUST refuse records without a key ID', async () => {
+    const storage = await session();
+    await storage.set('a', 1);
+
+    const db = await openDB('storage-test');
+    const rec = await db.get('encrypted-data', 'a');
+    delete rec.kid;
+    await db.put('encrypted-data', rec);
+    db.close();
+
+    const err = await storage.get('a').catch((e) => e);
+    expect(err).toBeInstanceOf(StorageError);
+    expect(err.code).toBe('data-key-missing');
+  });
+
+  it('MUST bind ciphertext to its record key', async () => {
+    const storage = await session();
+    await storage.set('a', 'secret-a');
+
+    const db = await openDB('storage-test');
+    const rec = await db.get('encrypted-data', 'a');
+    await db.put('encrypted-data', { ...rec, key: 'b' });
+    db.close();
+
+    await expect(storage.get('b')).rejects.toThrow();
+  });
+});
+
+describe('EncryptedStorage - Export Bundles', () => {
+  it('MUST round-trip through a passphrase bundle into another database', async () => {
+    const source = await session('source');
+    await source.set('prefs', { theme: 'dark' }, 'config', ['user']);
+    await source.set('history', [1, 2, 3], 'cache');
+    const bundle = await source.export(PASS);
+
+    // Portable: plain JSON, no plaintext
+    const json = JSON.stringify(bundle);
+    expect(json).not.toContain('dark');
+    expect(bundle.kdf).toMatchObject({ algorithm: 'PBKDF2', iterations: 1000 });
+
+    const target = await session('target');
+    expect(await target.import(JSON.parse(json), { passphrase: PASS.passphrase })).toBe(2);
+    expect(await target.get('prefs')).toEqual({ theme: 'dark' });
+    expect(await target.query({ type: 'cache' })).toEqual([{ key: 'history', value: [1, 2, 3] }]);
+  });
+
+  it('MUST re-encrypt imported records under the local data key', async () => {
+    const source = await session('source');
+    await source.set('a', 1);
+    const target = await session('target');
+
+    await target.import(await source.export(PASS), PASS);
+    const rec = await rawRecord('a', 'target');
+    expect(rec.kid).toBe(target.getKeyId());
+    expect(rec.kid).not.toBe(source.getKeyId());
+  });
+
+  it('MUST preserve record metadata', async () => {
+    const source = await session('source');
+    await source.set('a', 1, 'config', ['x', 'y']);
+    const before = (await rawRecord('a', 'source')).metadata;
+
+    const target = await session('target');
+    await target.import(await source.export(PASS), PASS);
+    expect((await rawRecord('a', 'target')).metadata).toEqual(before);
+  });
+
+  it('MUST round-trip through a caller-supplied export key', async () => {
+    const key = await generateBundleKey();
+    const source = await session('source');
+    await source.set('a', { n: 1 });
+    const bundle = await source.export({ key });
+    expect(bundle.kdf).toEqual({ algorithm: 'none' });
+
+    const target = await session('target');
+    await target.import(bundle, { key });
+    expect(await target.get('a')).toEqual({ n: 1 });
+
+    await expect(target.import(bundle, { key: await generateBundleKey() })).rejects.toMatchObject({ code: 'integrity' });
+    await expect(target.import(bundle, { passphrase: 'x' })).rejects.toMatchObject({ code: 'wrong-secret-type' });
+  });
+
+  it('MUST reject a wrong passphrase without importing anything', async () => {
+    const source = await session('source');
+    await source.set('a', 1);
+    const bundle = await source.export(PASS);
+
+    const target = await session('target');
+    const err = await target.import(bundle, { passphrase: 'wrong' }).catch((e) => e);
+    expect(err).toBeInstanceOf(BundleError);
+    expect(err.code).toBe('integrity');
+    expect(await target.keys()).toEqual([]);
+  });
+
+  it('MUST verify the integrity of the whole bundle', async () => {
+    const source = await session('source');
+    await source.set('a', 1);
+    await source.set('b', 2);
+    const bundle = await source.export(PASS);
+    const target = await session('target');
+
+    // Flip one ciphertext byte
+    const ct = Uint8Array.from(atob(bundle.ciphertext), (c) => c.charCodeAt(0));
+    ct[ct.length >> 1] ^= 1;
+    const flipped = { ...bundle, ciphertext: btoa(String.fromCharCode(...ct)) };
+    await expect(target.import(flipped, PASS)).rejects.toMatchObject({ code: 'integrity' });
+
+    // Truncate, or alter authenticated header fields
+    await expect(target.import({ ...bundle, ciphertext: bundle.ciphertext.slice(0, 24) }, PASS)).rejects.toMatchObject({ code: 'integrity' });
+    await expect(target.import({ ...bundle, createdAt: bundle.createdAt + 1 }, PASS)).rejects.toMatchObject({ code: 'integrity' });
+    await expect(target.import({ ...bundle, kdf: { ...bundle.kdf, iterations: 1001 } as any }, PASS)).rejects.toMatchObject({ code: 'integrity' });
+
+    expect(await target.keys()).toEqual([]);
+  });
+
+  it('MUST reject foreign or unsupported bundles', async () => {
+    const source = await session('source');
+    const bundle = await source.export(PASS);
+    const target = await session('target');
+
+    await expect(target.import({ ...bundle, format: 'other' }, PASS)).rejects.toMatchObject({ code: 'invalid-bundle' });
+    await expect(target.import({ ...bundle, version: 99 }, PASS)).rejects.toMatchObject({ code: 'unsupported-version' });
+    for (const iterations of [1e12, 1.5, 0, '1000']) {
+      await expect(target.import({ ...bundle, kdf: { ...bundle.kdf, iterations } as any }, PASS)).rejects.toMatchObject({ code: 'invalid-bundle' });
+    }
+  });
+});
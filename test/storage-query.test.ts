@@ -0,0 +1,113 @@
+// @vitest-environment node
+/**
+ * EncryptedStorage Query Tests
+ *
+ * These tests verify indexed queries and cursor pagination:
+ * - Tags use a multiEntry index; several tags match any of them
+ * - createdAt/updatedAt ranges, sort order and direction
+ * - Opaque cursors walk every match exactly once, including timestamp ties
+ * - Only the returned page is decrypted
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EncryptedStorage, StorageError, type QueryOptions } from '../packages/shared/src/storage';
+import { describeDatabase, closeTracked, openTracked, resetIndexedDB } from './helpers/idb';
+
+let storage: EncryptedStorage;
+
+/** 30 records: tx-00..tx-29, createdAt 1000 + 10 * floor(i / 3) (three per timestamp) */
+async function seed() {
+  const now = vi.spyOn(Date, 'now');
+  for (let i = 0; i < 30; i++) {
+    now.mockReturnValue(1000 + 10 * Math.floor(i / 3));
+    const tags = [i % 2 === 0 ? 'even' : 'odd', ...(i % 5 === 0 ? ['five'] : [])];
+    await storage.set(`tx-${String(i).padStart(2, '0')}`, { i }, i < 20 ? 'transfer' : 'call', tags);
+  }
+  now.mockRestore();
+}
+
+/** Follow cursors until exhausted, returning every key in order */
+async function drain(options: QueryOptions): Promise<string[]> {
+  const keys: string[] = [];
+  let cursor: string | undefined;
+  for (let pages = 0; pages < 50; pages++) {
+    const page = await storage.queryPage({ ...options, cursor });
+    keys.push(...page.items.map((item) => item.key));
+    if (!page.cursor) return keys;
+    cursor = page.cursor;
+  }
+  throw new Error('cursor never ended');
+}
+
+const ids = (from: number, to: number, pick: (i: number) => boolean = () => true) =>
+  Array.from({ length: to - from }, (_, k) => from + k).filter(pick).map((i) => `tx-${String(i).padStart(2, '0')}`);
+
+beforeEach(async () => {
+  resetIndexedDB();
+  storage = await openTracked(new EncryptedStorage({ dbName: 'query-test' }));
+  await seed();
+});
+
+afterEach(async () => {
+  vi.restoreAllMocks();
+  await closeTracked();
+});
+
+describe('EncryptedStorage Query - Indexes', () => {
+  it('MUST create a multiEntry tag index', async () => {
+    const { stores } = await describeDatabase('query-test');
+    expect(stores['encrypted-data'].indexes).toContainEqual({ name: 'tags', keyPath: 'metadata.tags', unique: false, multiEntry: true });
+  });
+
+  it('MUST match any of several tags and combine with type', async () => {
+    expect(await drain({ tags: ['five'] })).toEqual(ids(0, 30, (i) => i % 5 === 0));
+    expect(await drain({ tags: ['five', 'odd'], limit: 4 })).toEqual(ids(0, 30, (i) => i % 5 === 0 || i % 2 === 1));
+    expect(await drain({ tags: ['even'], type: 'call', limit: 2 })).toEqual(ids(20, 30, (i) => i % 2 === 0));
+  });
+
+  it('MUST filter by createdAt and updatedAt ranges', async () => {
+    expect(await drain({ createdAt: { from: 1020, to: 1040 } })).toEqual(ids(6, 15));
+    expect(await drain({ updatedAt: { to: 1010 }, type: 'transfer' })).toEqual(ids(0, 6));
+    expect(await drain({ createdAt: { from: 2000 } })).toEqual([]);
+  });
+});
+
+describe('EncryptedStorage Query - Pagination', () => {
+  it('MUST page through every record exactly once', async () => {
+    const first = await storage.queryPage({ limit: 7 });
+    expect(first.items).toHaveLength(7);
+    expect(first.items[0]).toMatchObject({ key: 'tx-00', value: { i: 0 }, metadata: { type: 'transfer' } });
+    expect(await drain({ limit: 7 })).toEqual(ids(0, 30));
+    expect(await drain({ limit: 7, direction: 'desc' })).toEqual(ids(0, 30).reverse());
+  });
+
+  it('MUST order by timestamps, resuming inside runs of equal values', async () => {
+    // Pages of 2 split the groups of three records that share a createdAt
+    expect(await drain({ orderBy: 'createdAt', limit: 2 })).toEqual(ids(0, 30));
+    expect(await drain({ orderBy: 'createdAt', direction: 'desc', limit: 2 })).toEqual(ids(0, 30).reverse());
+    expect(await drain({ orderBy: 'createdAt', direction: 'desc', createdAt: { from: 1030, to: 1060 }, tags: ['even'], limit: 2 }))
+      .toEqual(ids(9, 21, (i) => i % 2 === 0).reverse());
+  });
+
+  it('MUST keep the query() array API with offset and limit', async () => {
+    const rows = await storage.query({ type: 'call', offset: 2, limit: 3 });
+    expect(rows).toEqual([22, 23, 24].map((i) => ({ key: `tx-${i}`, value: { i } })));
+  });
+
+  it('MUST reject foreign or malformed cursors', async () => {
+    const { cursor } = await storage.queryPage({ limit: 5 });
+    await expect(storage.queryPage({ cursor: cursor!, orderBy: 'createdAt' })).rejects.toMatchObject({ code: 'invalid-cursor' });
+    const err = await storage.queryPage({ cursor: 'not a cursor' }).catch((e) => e);
+    expect(err).toBeInstanceOf(StorageError);
+    expect(err.code).toBe('invalid-cursor');
+  });
+});
+
+describe('EncryptedStorage Query - Lazy Decryption', () => {
+  it('MUST decrypt only the records in the returned page', async () => {
+    const decrypt = vi.spyOn(crypto.subtle, 'decrypt');
+    const page = await storage.queryPage({ tags: ['even', 'five'], orderBy: 'updatedAt', limit: 3 });
+    expect(page.items).toHaveLength(3);
+    expect(decrypt).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,267 @@
+// @vitest-environment node
+/**
+ * Multi-Tab Coordination Tests
+ *
+ * These tests verify that instances sharing a database (one per tab) stay coherent:
+ * - Mutations run under a per-database Web Lock (or an in-page queue without one)
+ * - onChange reports adds, deletes and rotations from every instance, marking remote ones
+ * - A rotation in one tab moves the others to the new key, even before they hear of it
+ * - Tabs opening an empty keystore or vault together generate a single first key
+ * - UserLock lock/unlock follows across tabs; idle auto-lock stays per tab
+ * - Enabling and re-keying UserLock from several tabs never loses a wrapping
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as nacl from 'tweetnacl';
+import { withWebLock, type ChangeEvent } from '../packages/shared/src/tab-sync';
+import { Keystore, type KeystoreChange } from '../packages/shared/src/keystore';
+import { UserLock, type KdfParams } from '../packages/shared/src/user-lock';
+import { initVault } from '../packages/shared/src/vault';
+import { IndexedDBAdapter } from '../packages/shared/src/indexeddb-adapter';
+import type { StorageAdapter } from '../packages/shared/src/storage-adapter';
+import { readStore, closeTracked, openTracked, resetIndexedDB, track } from './helpers/idb';
+
+const FAST: KdfParams = { algorithm: 'PBKDF2', hash: 'SHA-256', iterations: 1000 };
+
+/** Resolve with the next `count` events a subscription delivers */
+function collect<E>(subscribe: (listener: (event: E) => void) => () => void, count: number): Promise<E[]> {
+  return new Promise((resolve) => {
+    const events: E[] = [];
+    const off = subscribe((event) => {
+      events.push(event);
+      if (events.length === count) {
+        off();
+        resolve(events);
+      }
+    });
+  });
+}
+
+function tab(options: { sync?: boolean } = {}): Promise<Keystore> {
+  return openTracked(new Keystore({ dbName: 'tabs-keystore', ...options }));
+}
+
+function lockTab(dbName: string, autoLockMs = 0): Promise<UserLock> {
+  return openTracked(new UserLock({ dbName, autoLockMs }));
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+beforeEach(resetIndexedDB);
+
+afterEach(async () => {
+  await closeTracked();
+  delete (globalThis as any).navigator;
+});
+
+describe('Tab Sync - Locks', () => {
+  it('MUST queue same-named work without the Web Locks API', async () => {
+    const log: string[] = [];
+    const task = (id: string, fail = false) => async () => {
+      log.push(`${id}:start`);
+      await settle();
+      log.push(`${id}:end`);
+      if (fail) throw new Error(id);
+      return id;
+    };
+
+    const results = await Promise.allSettled([withWebLock('q', task('a', true)), withWebLock('q', task('b')), withWebLock('other', task('c'))]);
+    expect(results.map((r) => r.status)).toEqual(['rejected', 'fulfilled', 'fulfilled']);
+    expect(log.indexOf('b:start')).toBeGreaterThan(log.indexOf('a:end'));
+    expect(log.indexOf('c:start')).toBeLessThan(log.indexOf('a:end'));
+  });
+
+  it('MUST take per-database Web Locks for keystore writes and rotation', async () => {
+    const names: string[] = [];
+    (globalThis as any).navigator = {
+      locks: { request: (name: string, fn: () => Promise<unknown>) => { names.push(name); return fn(); } }
+    };
+
+    const ks = await tab();
+    await ks.storeKey('a.near', nacl.sign.keyPair().secretKey, 'ed25519:a');
+    await ks.sign('a.near', new Uint8Array([1]));
+    await ks.rotate();
+    await ks.deleteKey('a.near');
+
+    expect(new Set(names)).toEqual(new Set(['tabs-keystore:write', 'tabs-keystore:rotation']));
+    expect(names.filter((n) => n === 'tabs-keystore:rotation')).toHaveLength(1);
+  });
+});
+
+describe('Tab Sync - Keystore', () => {
+  it('MUST agree on one master key when tabs open an empty keystore together', async () => {
+    const [a, b] = await Promise.all([tab(), tab()]);
+
+    expect(a.getMasterKeyId()).toBe(b.getMasterKeyId());
+    expect(await readStore('tabs-keystore', 'master-keys')).toHaveLength(1);
+  });
+
+  it('MUST report changes from every tab, marking remote ones', async () => {
+    const a = await tab();
+    const b = await tab();
+    const seenByA = collect<ChangeEvent<KeystoreChange>>((l) => a.onChange(l), 3);
+    const seenByB = collect<ChangeEvent<KeystoreChange>>((l) => b.onChange(l), 3);
+
+    await a.storeKey('a.near', nacl.sign.keyPair().secretKey, 'ed25519:a');
+    await a.deleteKey('a.near');
+    const { kid } = await b.rotate();
+
+    expect(await seenByB).toEqual([
+      { type: 'add', accountId: 'a.near', remote: true },
+      { type: 'delete', accountId: 'a.near', remote: true },
+      { type: 'rotate', kid, remote: false }
+    ]);
+    expect((await seenByA).map((e) => e.remote)).toEqual([false, false, true]);
+  });
+
+  it('MUST follow a rotation made in another tab', async () => {
+    const a = await tab();
+    const b = await tab();
+    const rotated = collect<ChangeEvent<KeystoreChange>>((l) => b.onChange(l), 1);
+
+    const { kid } = await a.rotate();
+    await rotated;
+    expect(b.getMasterKeyId()).toBe(kid);
+  });
+
+  it('MUST wrap with the newest master key even without notifications', async () => {
+    const a = await tab();
+    const offline = await tab({ sync: false });
+    const kp = nacl.sign.keyPair();
+
+    const { kid } = await a.rotate();
+    await offline.storeKey('b.near', kp.secretKey.slice(), 'ed25519:b');
+
+    const [record] = await readStore('tabs-keystore', 'keys');
+    expect(record.kid).toBe(kid);
+    expect(await readStore('tabs-keystore', 'master-keys')).toHaveLength(1);
+    const msg = new Uint8Array([7]);
+    expect(nacl.sign.detached.verify(msg, await a.sign('b.near', msg), kp.publicKey)).toBe(true);
+  });
+});
+
+describe('Tab Sync - Vault', () => {
+  it('MUST agree on one key when tabs open an empty vault together', async () => {
+    // b finds the vault empty, then a opens it and seals before b goes on
+    let release!: () => void;
+    const held = new Promise<void>((resolve) => { release = resolve; });
+    const slow: StorageAdapter = {
+      kind: 'slow-indexeddb',
+      open: async (name, schema) => {
+        const db = await new IndexedDBAdapter().open(name, schema);
+        const getAll = db.getAll.bind(db);
+        db.getAll = async (store) => {
+          const records = await getAll(store);
+          if (store === 'keys') await held;
+          return records;
+        };
+        return db;
+      }
+    };
+    const opening = initVault({ dbName: 'tabs-vault', sweepIntervalMs: 0, adapter: slow });
+    await settle();
+    const a = await initVault({ dbName: 'tabs-vault', sweepIntervalMs: 0 });
+    await a.seal('x', new TextEncoder().encode('secret'));
+    release();
+    const b = await opening;
+    track(a);
+    track(b);
+
+    expect(new TextDecoder().decode(await b.unseal('x'))).toBe('secret');
+    expect(await readStore('tabs-vault', 'keys')).toHaveLength(1);
+  });
+
+  it('MUST report changes and move other tabs to the rotated key', async () => {
+    const a = await initVault({ dbName: 'tabs-vault', sweepIntervalMs: 0 });
+    const b = await initVault({ dbName: 'tabs-vault', sweepIntervalMs: 0 });
+    track(a);
+    track(b);
+    const seenByB = collect<any>((l) => b.onChange(l), 3);
+
+    await a.seal('token', new TextEncoder().encode('secret'));
+    const { kid } = await a.rotate();
+    await a.delete('token');
+
+    expect(await seenByB).toEqual([
+      { type: 'add', name: 'token', remote: true },
+      { type: 'rotate', kid, remote: true },
+      { type: 'delete', name: 'token', remote: true }
+    ]);
+    expect((await b.stats()).kid).toBe(kid);
+  });
+});
+
+describe('Tab Sync - UserLock', () => {
+  it('MUST unlock and lock other tabs together', async () => {
+    const a = await lockTab('tabs-lock');
+    const b = await lockTab('tabs-lock');
+    const transitions: boolean[] = [];
+    b.onLockChange((locked) => transitions.push(locked));
+
+    // b learns of the enrollment and receives the (non-extractable) record key
+    await a.enable({ passphrase: 'pw' }, FAST);
+    await settle();
+    expect(b.isEnabled()).toBe(true);
+    expect(b.isLocked()).toBe(false);
+    const layer = await a.encrypt(new Uint8Array([1, 2, 3]), 'aad');
+    expect(await b.decrypt(layer, 'aad')).toEqual(new Uint8Array([1, 2, 3]));
+
+    b.lock();
+    await settle();
+    expect(a.isLocked()).toBe(true);
+
+    await a.unlock({ passphrase: 'pw' });
+    await settle();
+    expect(b.isLocked()).toBe(false);
+    expect(transitions).toEqual([false, true, false]);
+  });
+
+  it('MUST enable only once when tabs enable together', async () => {
+    const a = await lockTab('tabs-enable');
+    const b = await lockTab('tabs-enable');
+
+    const results = await Promise.allSettled([a.enable({ passphrase: 'a' }, FAST), b.enable({ passphrase: 'b' }, FAST)]);
+    expect(results.map((r) => r.status)).toEqual(['fulfilled', 'rejected']);
+    expect((results[1] as PromiseRejectedResult).reason).toMatchObject({ code: 'already-enabled' });
+
+    // What a encrypted stays readable with a's passphrase
+    const layer = await a.encrypt(new Uint8Array([1]), 'aad');
+    const later = await lockTab('tabs-enable');
+    await later.unlock({ passphrase: 'a' });
+    expect(await later.decrypt(layer, 'aad')).toEqual(new Uint8Array([1]));
+  });
+
+  it('MUST keep both secrets when tabs re-key together', async () => {
+    const a = await lockTab('tabs-rekey');
+    await a.enable({ passphrase: 'pw' }, FAST);
+    const b = await lockTab('tabs-rekey');
+
+    await Promise.all([
+      a.rekey({ passphrase: 'pw' }, { prf: new Uint8Array(32).fill(7) }),
+      b.rekey({ passphrase: 'pw' }, { passphrase: 'next' }, FAST)
+    ]);
+
+    const later = await lockTab('tabs-rekey');
+    expect(later.getMethods().sort()).toEqual(['passphrase', 'prf']);
+    await later.unlock({ prf: new Uint8Array(32).fill(7) });
+    later.lock();
+    await later.unlock({ passphrase: 'next' });
+  });
+
+  it('MUST keep idle auto-lock and closing local to one tab', async () => {
+    const idle = await lockTab('tabs-idle', 10);
+    const busy = await lockTab('tabs-idle');
+    await idle.enable({ passphrase: 'pw' }, FAST);
+    await settle();
+
+    expect(idle.isLocked()).toBe(true);
+    expect(busy.isLocked()).toBe(false);
+
+    const closing = await lockTab('tabs-idle');
+    await busy.unlock({ passphrase: 'pw' });
+    await settle();
+    await closing.close();
+    await settle();
+    expect(busy.isLocked()).toBe(false);
+  });
+});
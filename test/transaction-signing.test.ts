@@ -3,11 +3,13 @@
  *
  * These tests verify the security and correctness of NEAR transaction signing:
  * - Proper Borsh serialization (CRITICAL - must match NEAR protocol)
+ * - Every action variant, checked against golden vectors from near-api-js
  * - Ed25519 signature generation via tweetnacl
  * - Private key parsing and validation
  * - Public key derivation
  * - Transaction structure correctness
  * - Base58 encoding/decoding
+ * - Raw key material handling used by the worker enclave
  *
  * These tests are CONSEQUENTIAL - they prove transactions will be accepted
  * by NEAR RPC nodes and that cryptographic operations are secure.
@@ -19,6 +21,9 @@ import {
   derivePublicKey,
   encodePublicKey,
   signTransaction,
+  signTransactionWithSecretKey,
+  secretKeyFromBytes,
+  toSignatureResult,
   verifySignature,
   createFunctionCallTransaction,
   createTransferTransaction,
@@ -295,6 +300,135 @@ describe('Borsh Serialization', () => {
   });
 });
 
+describe('Borsh Serialization - Action Coverage', () => {
+  // Golden vectors from near-api-js (test/serialize.test.js)
+  const GOLDEN_SECRET = 'ed25519:2wyRcSwSuHtRVmkMCGjPwnzZmQLeXLzLLyED1NDMt4BjnKgQL6tF85yBx6Jr26D2dUNeC716RBoTxntVHsegogYw';
+  const GOLDEN_PUBLIC = 'ed25519:22skMptHjFWNyuEWY22ftn2AbLPSYpmYwGJRGwpNHbTV';
+  const GOLDEN_BLOCK = '244ZQ9cgj3CQ6bWBdytfrJMuMQ1jdXLFGnr4HhvtCTnM';
+  const PK_HEX = '0f56a5f028dfc089ec7c39c1183b321b4d8f89ba5bec9e1762803cc2491f6ef8';
+
+  const hex = (b: Uint8Array) => Buffer.from(b).toString('hex');
+  const txWith = (actions: any[]): any => ({
+    signerId: 'test.near',
+    publicKey: GOLDEN_PUBLIC,
+    nonce: '1',
+    receiverId: '123',
+    blockHash: GOLDEN_BLOCK,
+    actions
+  });
+  // Transaction bytes up to and including the (u32) action count
+  const headerHex = hex(serializeTransaction(txWith([])));
+  const actionBytes = (action: any) => hex(serializeTransaction(txWith([action]))).slice(headerHex.length);
+
+  it('MUST match the near-api-js transfer vector byte-for-byte', () => {
+    const tx: any = {
+      signerId: 'test.near',
+      publicKey: 'ed25519:Anu7LYDfpLtkP7E16LT9imXF694BdQaa9ufVkQiwTQxC',
+      nonce: '1',
+      receiverId: 'whatever.near',
+      blockHash: GOLDEN_BLOCK,
+      actions: [{ type: 'Transfer', deposit: '1' }]
+    };
+
+    expect(hex(serializeTransaction(tx))).toBe(
+      '09000000746573742e6e65617200917b3d268d4b58f7fec1b150bd68d69be3ee5d4cc39855e341538465bb77860d' +
+      '01000000000000000d00000077686174657665722e6e6561720fa473fd26901df296be6adc4cc4df34d040efa243' +
+      '5224b6986910e630c2fef6010000000301000000000000000000000000000000'
+    );
+  });
+
+  it('MUST match the near-api-js multi-action vector and transaction hash', async () => {
+    expect(encodePublicKey(derivePublicKey(parsePrivateKey(GOLDEN_SECRET)))).toBe(GOLDEN_PUBLIC);
+
+    const tx = txWith([
+      { type: 'CreateAccount' },
+      { type: 'DeployContract', code: new Uint8Array([1, 2, 3]) },
+      { type: 'FunctionCall', methodName: 'qqq', args: new Uint8Array([1, 2, 3]), gas: '1000', deposit: '1000000' },
+      { type: 'Transfer', deposit: '123' },
+      { type: 'Stake', stake: '1000000', publicKey: GOLDEN_PUBLIC },
+      { type: 'AddKey', publicKey: GOLDEN_PUBLIC, accessKey: { nonce: '0', permission: { FunctionCall: { allowance: null, receiverId: 'zzz', methodNames: ['www'] } } } },
+      { type: 'DeleteKey', publicKey: GOLDEN_PUBLIC },
+      { type: 'DeleteAccount', beneficiaryId: '123' }
+    ]);
+
+    const serialized = serializeTransaction(tx);
+    expect(hex(serialized)).toBe([
+      '09000000746573742e6e656172',                                    // signerId
+      '00' + PK_HEX,                                                   // publicKey
+      '0100000000000000',                                              // nonce
+      '03000000313233',                                                // receiverId
+      '0fa473fd26901df296be6adc4cc4df34d040efa2435224b6986910e630c2fef6', // blockHash
+      '08000000',                                                      // 8 actions
+      '00',                                                            // CreateAccount
+      '01' + '03000000010203',                                         // DeployContract
+      '02' + '03000000717171' + '03000000010203' + 'e803000000000000' + '40420f00000000000000000000000000',
+      '03' + '7b000000000000000000000000000000',                        // Transfer
+      '04' + '40420f00000000000000000000000000' + '00' + PK_HEX,          // Stake
+      '05' + '00' + PK_HEX + '0000000000000000' + '00' + '00' + '030000007a7a7a' + '0100000003000000777777',
+      '06' + '00' + PK_HEX,                                            // DeleteKey
+      '07' + '03000000313233'                                          // DeleteAccount
+    ].join(''));
+
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', serialized));
+    expect(encodeBase58(hash)).toBe('Fo3MJ9XzKjnKuDuQKhDAC6fra5H2UWawRejFSEpPNk3Y');
+
+    // signTransaction reports the same hash (hex)
+    const signed = await signTransaction(tx, GOLDEN_SECRET);
+    expect(signed.hash).toBe(hex(hash));
+    expect(await verifySignature(signed)).toBe(true);
+  });
+
+  it('MUST serialize full-access keys as permission variant 1', () => {
+    const bytes = actionBytes({ type: 'AddKey', publicKey: GOLDEN_PUBLIC, accessKey: { nonce: '5', permission: 'FullAccess' } });
+    expect(bytes).toBe('05' + '00' + PK_HEX + '0500000000000000' + '01');
+  });
+
+  it('MUST serialize function-call keys with an allowance and any-method list', () => {
+    const bytes = actionBytes({
+      type: 'AddKey',
+      publicKey: GOLDEN_PUBLIC,
+      accessKey: { nonce: '0', permission: { FunctionCall: { allowance: '1000', receiverId: 'c', methodNames: [] } } }
+    });
+    expect(bytes).toBe(
+      '05' + '00' + PK_HEX + '0000000000000000' +
+      '00' + '01' + 'e8030000000000000000000000000000' + '0100000063' + '00000000'
+    );
+  });
+
+  it('MUST serialize global contract actions (variants 9 and 10)', () => {
+    expect(actionBytes({ type: 'DeployGlobalContract', code: new Uint8Array([0xaa]), deployMode: 'CodeHash' }))
+      .toBe('09' + '01000000aa' + '00');
+    expect(actionBytes({ type: 'DeployGlobalContract', code: new Uint8Array([0xaa]), deployMode: 'AccountId' }))
+      .toBe('09' + '01000000aa' + '01');
+
+    expect(actionBytes({ type: 'UseGlobalContract', contractIdentifier: { codeHash: GOLDEN_BLOCK } }))
+      .toBe('0a' + '00' + '0fa473fd26901df296be6adc4cc4df34d040efa2435224b6986910e630c2fef6');
+    expect(actionBytes({ type: 'UseGlobalContract', contractIdentifier: { accountId: 'g.near' } }))
+      .toBe('0a' + '01' + '06000000672e6e656172');
+  });
+
+  it('MUST serialize secp256k1 public keys as key type 1', () => {
+    const secp = 'secp256k1:' + encodeBase58(new Uint8Array(64).fill(7));
+    expect(actionBytes({ type: 'DeleteKey', publicKey: secp })).toBe('06' + '01' + '07'.repeat(64));
+  });
+
+  it('MUST accept contract code that crossed a JSON boundary', () => {
+    const action = { type: 'DeployContract', code: new Uint8Array([1, 2, 3]) };
+    const roundTripped = JSON.parse(JSON.stringify(action));
+    expect(actionBytes(roundTripped)).toBe(actionBytes(action));
+  });
+
+  it('MUST reject unknown actions and malformed action fields', () => {
+    expect(() => serializeTransaction(txWith([{ type: 'Teleport' }]))).toThrow('Unsupported action type');
+    expect(() => serializeTransaction(txWith([{ type: 'AddKey', publicKey: GOLDEN_PUBLIC, accessKey: { nonce: '0', permission: 'Root' } }])))
+      .toThrow('Unsupported access key permission');
+    expect(() => serializeTransaction(txWith([{ type: 'DeployGlobalContract', code: [], deployMode: 'Both' }])))
+      .toThrow('deploy mode');
+    expect(() => serializeTransaction(txWith([{ type: 'UseGlobalContract', contractIdentifier: { codeHash: 'abc' } }])))
+      .toThrow('global contract identifier');
+  });
+});
+
 describe('Ed25519 Signing', () => {
   it('MUST sign transaction and produce valid signature', async () => {
     const keyPair = nacl.sign.keyPair();
@@ -560,3 +694,71 @@ describe('Gas and Deposit Handling', () => {
     expect(action.deposit).toBe(hugeDeposit);
   });
 });
+
+describe('Enclave Key Material', () => {
+  const makeTx = (publicKey?: string) => createFunctionCallTransaction({
+    signerId: 'alice.testnet',
+    receiverId: 'contract.testnet',
+    methodName: 'set',
+    args: { value: 42 },
+    gas: '30000000000000',
+    deposit: '0',
+    nonce: '7',
+    blockHash: '0'.repeat(64),
+    publicKey
+  });
+
+  it('MUST accept 64-byte secret keys, 32-byte seeds and ed25519: strings', () => {
+    const keyPair = nacl.sign.keyPair();
+    const seed = keyPair.secretKey.slice(0, 32);
+    const asString = new TextEncoder().encode('ed25519:' + encodeBase58(keyPair.secretKey));
+
+    expect(secretKeyFromBytes(keyPair.secretKey)).toEqual(keyPair.secretKey);
+    expect(secretKeyFromBytes(seed)).toEqual(keyPair.secretKey);
+    expect(secretKeyFromBytes(asString)).toEqual(keyPair.secretKey);
+  });
+
+  it('MUST copy key material so the caller can zero its buffer', () => {
+    const keyPair = nacl.sign.keyPair();
+    const material = keyPair.secretKey.slice();
+    const secretKey = secretKeyFromBytes(material);
+    material.fill(0);
+    expect(secretKey).toEqual(keyPair.secretKey);
+  });
+
+  it('MUST reject key material of any other shape', () => {
+    expect(() => secretKeyFromBytes(new Uint8Array(16))).toThrow();
+    expect(() => secretKeyFromBytes(new TextEncoder().encode('not-a-key'))).toThrow();
+  });
+
+  it('MUST sign with a raw secret key and verify', async () => {
+    const keyPair = nacl.sign.keyPair();
+    const signedTx = await signTransactionWithSecretKey(makeTx(), keyPair.secretKey);
+
+    expect(signedTx.transaction.publicKey).toBe(encodePublicKey(keyPair.publicKey));
+    expect(await verifySignature(signedTx)).toBe(true);
+  });
+
+  it('MUST produce the same signature for a transaction that crossed a JSON boundary', async () => {
+    const keyPair = nacl.sign.keyPair();
+    const tx = makeTx();
+    // postMessage/JSON turns Uint8Array args into { "0": ..., "1": ... }
+    const roundTripped = JSON.parse(JSON.stringify(tx));
+
+    const a = await signTransactionWithSecretKey(tx, keyPair.secretKey);
+    const b = await signTransactionWithSecretKey(roundTripped, keyPair.secretKey);
+    expect(b.signature).toBe(a.signature);
+    expect(b.hash).toBe(a.hash);
+  });
+
+  it('MUST return raw signature bytes in the enclave result', async () => {
+    const keyPair = nacl.sign.keyPair();
+    const signedTx = await signTransactionWithSecretKey(makeTx(), keyPair.secretKey);
+    const result = toSignatureResult(signedTx);
+
+    expect(result.type).toBe('ed25519');
+    expect(result.data).toHaveLength(64);
+    expect(result.data).toEqual(Array.from(decodeBase58(signedTx.signature)));
+    expect(result.signedTransaction).toBe(signedTx);
+  });
+});
@@ -0,0 +1,282 @@
+// @vitest-environment node
+/**
+ * User Lock Tests
+ *
+ * These tests verify the optional user-presence layer:
+ * - Passphrase (PBKDF2 / Argon2id) and WebAuthn PRF unlock
+ * - Lock state persists locked across sessions
+ * - Re-keying changes secrets without re-encrypting records
+ * - Auto-lock after idle
+ * - Keystore.sign and Vault refuse while locked
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { openDB } from 'idb';
+import * as nacl from 'tweetnacl';
+import { UserLock, UserLockError, type KdfParams } from '../packages/shared/src/user-lock';
+import { Keystore } from '../packages/shared/src/keystore';
+import { initVault } from '../packages/shared/src/vault';
+import { closeTracked, openTracked, resetIndexedDB } from './helpers/idb';
+
+// Cheap KDF cost for tests; production defaults to 600k iterations
+const FAST: KdfParams = { algorithm: 'PBKDF2', hash: 'SHA-256', iterations: 1000 };
+const PASS = { passphrase: 'correct horse battery staple' };
+const PRF = { prf: new Uint8Array(32).fill(7) };
+
+function openLock(options: ConstructorParameters<typeof UserLock>[0] = {}): Promise<UserLock> {
+  return openTracked(new UserLock({ dbName: 'lock-test', ...options }));
+}
+
+function openKeystore(userLock: UserLock): Promise<Keystore> {
+  return openTracked(new Keystore({ dbName: 'keystore-test', userLock }));
+}
+
+beforeEach(resetIndexedDB);
+
+afterEach(async () => {
+  await closeTracked();
+  vi.useRealTimers();
+});
+
+describe('UserLock - Lock State', () => {
+  it('MUST start disabled and unlocked until a secret is enrolled', async () => {
+    const lock = await openLock();
+    expect(lock.isEnabled()).toBe(false);
+    expect(lock.isLocked()).toBe(false);
+
+    await lock.enable(PASS, FAST);
+    expect(lock.isEnabled()).toBe(true);
+    expect(lock.isLocked()).toBe(false);
+    expect(lock.getMethods()).toEqual(['passphrase']);
+  });
+
+  it('MUST lock, refuse a wrong passphrase and unlock with the right one', async () => {
+    const lock = await openLock();
+    await lock.enable(PASS, FAST);
+    lock.lock();
+    expect(lock.isLocked()).toBe(true);
+
+    await expect(lock.unlock({ passphrase: 'wrong' })).rejects.toMatchObject({ code: 'bad-secret' });
+    expect(lock.isLocked()).toBe(true);
+
+    await lock.unlock(PASS);
+    expect(lock.isLocked()).toBe(false);
+  });
+
+  it('MUST start locked in a new session and decrypt earlier records after unlock', async () => {
+    const first = await openLock();
+    await first.enable(PASS, FAST);
+    const layer = await first.encrypt(new Uint8Array([1, 2, 3]), 'aad');
+    await first.close();
+
+    const second = await openLock();
+    expect(second.isLocked()).toBe(true);
+    await expect(second.decrypt(layer, 'aad')).rejects.toBeInstanceOf(UserLockError);
+
+    await second.unlock(PASS);
+    expect(await second.decrypt(layer, 'aad')).toEqual(new Uint8Array([1, 2, 3]));
+  });
+
+  it('MUST NOT persist the record key in recoverable form', async () => {
+    const lock = await openLock();
+    await lock.enable(PASS, FAST);
+
+    const db = await openDB('lock-test');
+    const state = await db.get('state', 'user-lock');
+    db.close();
+
+    expect(state.wrappings.passphrase.wrapped).toBeInstanceOf(ArrayBuffer);
+    expect(state.wrappings.passphrase.kdf).toEqual(FAST);
+    expect(JSON.stringify(state)).not.toContain(PASS.passphrase);
+  });
+
+  it('MUST notify lock changes', async () => {
+    const lock = await openLock();
+    const events: boolean[] = [];
+    lock.onLockChange((locked) => events.push(locked));
+
+    await lock.enable(PASS, FAST);
+    lock.lock();
+    lock.lock();
+    await lock.unlock(PASS);
+    expect(events).toEqual([false, true, false]);
+  });
+});
+
+describe('UserLock - Secrets', () => {
+  it('MUST unlock with a WebAuthn PRF output', async () => {
+    const lock = await openLock();
+    await lock.enable(PRF);
+    lock.lock();
+
+    await expect(lock.unlock({ prf: new Uint8Array(32).fill(8) })).rejects.toMatchObject({ code: 'bad-secret' });
+    await lock.unlock(PRF);
+    expect(lock.isLocked()).toBe(false);
+  });
+
+  it('MUST derive with a supplied Argon2id implementation', async () => {
+    const argon2id = vi.fn(async (password: Uint8Array, salt: Uint8Array) => {
+      const joined = new Uint8Array([...password, ...salt]);
+      return new Uint8Array(await crypto.subtle.digest('SHA-256', joined));
+    });
+    const params: KdfParams = { algorithm: 'Argon2id', memoryKiB: 65536, iterations: 3, parallelism: 1 };
+    const lock = await openLock({ argon2id });
+
+    await lock.enable(PASS, params);
+    lock.lock();
+    await lock.unlock(PASS);
+
+    expect(argon2id).toHaveBeenCalledTimes(2);
+    expect(argon2id.mock.calls[0][2]).toEqual({ memoryKiB: 65536, iterations: 3, parallelism: 1, hashLength: 32 });
+  });
+
+  it('MUST refuse Argon2id without an implementation', async () => {
+    const lock = await openLock();
+    await expect(lock.enable(PASS, { algorithm: 'Argon2id', memoryKiB: 1024, iterations: 1, parallelism: 1 }))
+      .rejects.toMatchObject({ code: 'unsupported-kdf' });
+    expect(lock.isEnabled()).toBe(false);
+  });
+
+  it('MUST re-key a passphrase without touching records', async () => {
+    const lock = await openLock();
+    await lock.enable(PASS, FAST);
+    const layer = await lock.encrypt(new Uint8Array([9]), 'aad');
+
+    const next = { passphrase: 'new passphrase' };
+    await lock.rekey(PASS, next, FAST);
+    lock.lock();
+
+    await expect(lock.unlock(PASS)).rejects.toMatchObject({ code: 'bad-secret' });
+    await lock.unlock(next);
+    expect(await lock.decrypt(layer, 'aad')).toEqual(new Uint8Array([9]));
+  });
+
+  it('MUST enroll a PRF secret alongside the passphrase', async () => {
+    const lock = await openLock();
+    await lock.enable(PASS, FAST);
+    await lock.rekey(PASS, PRF);
+    expect(lock.getMethods().sort()).toEqual(['passphrase', 'prf']);
+
+    lock.lock();
+    await lock.unlock(PRF);
+    lock.lock();
+    await lock.unlock(PASS);
+    expect(lock.isLocked()).toBe(false);
+  });
+
+  it('MUST require the current secret to re-key', async () => {
+    const lock = await openLock();
+    await lock.enable(PASS, FAST);
+    await expect(lock.rekey({ passphrase: 'guess' }, { passphrase: 'mine now' }, FAST)).rejects.toMatchObject({ code: 'bad-secret' });
+    await expect(lock.rekey(PRF, PASS, FAST)).rejects.toMatchObject({ code: 'method-not-enrolled' });
+  });
+});
+
+describe('UserLock - Auto-Lock', () => {
+  it('MUST lock after the idle period and reset on use', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    const lock = await openLock({ autoLockMs: 100 });
+    await lock.enable(PASS, FAST);
+
+    vi.advanceTimersByTime(60);
+    await lock.encrypt(new Uint8Array([1]), 'aad');
+    vi.advanceTimersByTime(60);
+    expect(lock.isLocked()).toBe(false);
+
+    vi.advanceTimersByTime(50);
+    expect(lock.isLocked()).toBe(true);
+  });
+
+  it('MUST NOT auto-lock when autoLockMs is 0', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    const lock = await openLock({ autoLockMs: 0 });
+    await lock.enable(PASS, FAST);
+    vi.advanceTimersByTime(24 * 60 * 60 * 1000);
+    expect(lock.isLocked()).toBe(false);
+  });
+});
+
+describe('UserLock - Keystore', () => {
+  it('MUST refuse to sign or store while locked', async () => {
+    const lock = await openLock();
+    await lock.enable(PASS, FAST);
+    const ks = await openKeystore(lock);
+    await ks.storeKey('alice.near', nacl.sign.keyPair().secretKey, 'ed25519:alice');
+
+    lock.lock();
+    expect(ks.isLocked()).toBe(true);
+    await expect(ks.sign('alice.near', new Uint8Array([1]))).rejects.toMatchObject({ name: 'KeystoreError', code: 'locked' });
+    await expect(ks.storeKey('bob.near', nacl.sign.keyPair().secretKey, 'ed25519:bob')).rejects.toMatchObject({ code: 'locked' });
+  });
+
+  it('MUST sign across sessions after unlock', async () => {
+    const kp = nacl.sign.keyPair();
+    const lock = await openLock();
+    await lock.enable(PASS, FAST);
+    const ks = await openKeystore(lock);
+    await ks.storeKey('alice.near', kp.secretKey.slice(), 'ed25519:alice');
+    await ks.close();
+    await lock.close();
+
+    const lock2 = await openLock();
+    const ks2 = await openKeystore(lock2);
+    await lock2.unlock(PASS);
+    const sig = await ks2.sign('alice.near', new Uint8Array([1, 2]));
+    expect(nacl.sign.detached.verify(new Uint8Array([1, 2]), sig, kp.publicKey)).toBe(true);
+  });
+
+  it('MUST store wrapped keys under the user layer', async () => {
+    const lock = await openLock();
+    await lock.enable(PASS, FAST);
+    const ks = await openKeystore(lock);
+    await ks.storeKey('alice.near', nacl.sign.keyPair().secretKey, 'ed25519:alice');
+
+    const db = await openDB('keystore-test');
+    const rec = await db.get('keys', 'alice.near');
+    db.close();
+    expect(rec.userLayer.iv).toHaveLength(12);
+  });
+
+  it('MUST layer keys stored before the lock was enabled', async () => {
+    const kp = nacl.sign.keyPair();
+    const lock = await openLock();
+    const ks = await openKeystore(lock);
+    await ks.storeKey('alice.near', kp.secretKey.slice(), 'ed25519:alice');
+
+    await lock.enable(PASS, FAST);
+    expect(await ks.applyUserLock()).toBe(1);
+    expect(await ks.applyUserLock()).toBe(0);
+
+    const sig = await ks.sign('alice.near', new Uint8Array([3]));
+    expect(nacl.sign.detached.verify(new Uint8Array([3]), sig, kp.publicKey)).toBe(true);
+  });
+});
+
+describe('UserLock - Vault', () => {
+  it('MUST seal under the user layer and refuse while locked', async () => {
+    const lock = await openLock();
+    await lock.enable(PASS, FAST);
+    const vault = await initVault({ dbName: 'vault-test', userLock: lock });
+
+    await vault.seal('token', new TextEncoder().encode('secret') as any);
+    expect(new TextDecoder().decode(await vault.unseal('token'))).toBe('secret');
+
+    lock.lock();
+    expect((await vault.stats()).locked).toBe(true);
+    await expect(vault.unseal('token')).rejects.toThrow(/locked/);
+    await expect(vault.seal('other', new Uint8Array([1]) as any)).rejects.toThrow(/locked/);
+
+    await lock.unlock(PASS);
+    expect(new TextDecoder().decode(await vault.unseal('token'))).toBe('secret');
+  });
+
+  it('MUST NOT unseal layered blobs without the user lock', async () => {
+    const lock = await openLock();
+    await lock.enable(PASS, FAST);
+    const locked = await initVault({ dbName: 'vault-test', userLock: lock });
+    await locked.seal('token', new Uint8Array([1]) as any);
+
+    const plain = await initVault({ dbName: 'vault-test' });
+    await expect(plain.unseal('token')).rejects.toThrow(/User lock required/);
+  });
+});
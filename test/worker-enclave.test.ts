@@ -0,0 +1,133 @@
+/**
+ * Worker Enclave Tests
+ *
+ * These tests run the worker enclave (enclave-worker.ts) in-process, connected
+ * to a WorkerBackend or HybridSecureEnclave over a fake message port, and verify:
+ * - Guest code runs as in the iframe enclave: top-level `return` and `await`
+ * - Granted async host functions resolve to their value inside the guest
+ * - Host calls come back in metrics.hostCalls; ungranted functions are absent
+ * - Resource limits reject with ResourceLimitExceeded naming the limit; other errors don't
+ * - Console entries stream to onLog (only when given) before the result, and come back in metrics
+ */
+
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { ResourceLimitExceeded, MessageType } from '@fastnear/soft-enclave-shared';
+import { WorkerBackend } from '../packages/worker/src/worker-backend';
+import { HybridSecureEnclave } from '../packages/worker/src/host/hybrid-enclave';
+
+const WORKER_URL = 'http://localhost:3010/enclave-worker.js';
+
+/** Messages the worker posted, by type */
+const posted: string[] = [];
+
+/**
+ * Load a fresh copy of the worker script, which registers its message listener
+ * on `self`; returns the host's end of the port
+ */
+async function startWorker(deliver: (message: any) => void) {
+  let toWorker: (event: { data: any }) => void = () => {};
+  (globalThis as any).location = new URL('http://localhost:3000/');
+  (globalThis as any).self = {
+    location: new URL(WORKER_URL),
+    addEventListener: (_type: string, listener: typeof toWorker) => { toWorker = listener; },
+    postMessage: (message: any) => {
+      posted.push(message.type);
+      deliver(structuredClone(message));
+    }
+  };
+  vi.resetModules();
+  await import('../packages/worker/src/enclave/enclave-worker');
+
+  return {
+    postMessage: (message: any) => setTimeout(() => toWorker({ data: structuredClone(message) }), 0),
+    terminate: () => {}
+  } as any;
+}
+
+async function workerBackend() {
+  const backend = new WorkerBackend({ workerUrl: WORKER_URL });
+  backend.worker = await startWorker((message) => backend._handleWorkerMessage({ data: message }));
+  await backend._performKeyExchange();
+  backend.initialized = true;
+  return backend;
+}
+
+async function hybridEnclave() {
+  const enclave = new HybridSecureEnclave(WORKER_URL);
+  enclave.worker = await startWorker((message) => enclave.handleWorkerMessage({ data: message }));
+  await enclave.performKeyExchange();
+  enclave.initialized = true;
+  return enclave;
+}
+
+type Client = Awaited<ReturnType<typeof workerBackend>> | Awaited<ReturnType<typeof hybridEnclave>>;
+
+describe.each([
+  ['WorkerBackend', workerBackend],
+  ['HybridSecureEnclave', hybridEnclave]
+] as const)('Worker Enclave - %s', (_name, connect) => {
+  let client: Client;
+
+  beforeAll(async () => {
+    client = await connect();
+  });
+
+  it('MUST return what the guest returns, awaiting promises', async () => {
+    expect((await client.execute('return 40 + 2;')).result).toBe(42);
+    expect((await client.execute('const x = await Promise.resolve(20); return x + 1;')).result).toBe(21);
+    expect((await client.execute('return JSON.parse(greeting);', { greeting: 'hi' })).result).toBe('hi');
+  });
+
+  it('MUST resolve granted async host calls to their value', async () => {
+    const { result, metrics } = await client.execute(`return await crypto.sha256('hello');`, {}, { capabilities: ['crypto.sha256'] });
+
+    expect(result).toBe('2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824');
+    expect(metrics.hostCalls).toEqual([expect.objectContaining({ name: 'crypto.sha256', status: 'ok' })]);
+  });
+
+  it('MUST NOT install host functions that were not granted', async () => {
+    const { result, metrics } = await client.execute(`return typeof crypto;`);
+
+    expect(result).toBe('undefined');
+    expect(metrics.hostCalls).toEqual([]);
+  });
+
+  it('MUST reject with ResourceLimitExceeded naming the limit that was hit', async () => {
+    const timedOut = await client.execute('while (true) {}', {}, { limits: { timeMs: 50 } }).catch((e) => e);
+    expect(timedOut).toBeInstanceOf(ResourceLimitExceeded);
+    expect(timedOut.toJSON()).toMatchObject({ limit: 'time', value: 50 });
+
+    const hog = `const a = []; for (;;) a.push('x'.repeat(1024));`;
+    const outOfMemory = await client.execute(hog, {}, { limits: { memoryBytes: 2 * 1024 * 1024 } }).catch((e) => e);
+    expect(outOfMemory).toBeInstanceOf(ResourceLimitExceeded);
+    expect(outOfMemory.limit).toBe('memory');
+
+    const failed = await client.execute(`throw new Error('nope');`).catch((e) => e);
+    expect(failed).not.toBeInstanceOf(ResourceLimitExceeded);
+    expect(failed.message).toContain('nope');
+
+    // The worker keeps serving after a limit was hit
+    expect((await client.execute('return 1;')).result).toBe(1);
+  });
+
+  it('MUST stream console entries to onLog before the result', async () => {
+    const seen: string[] = [];
+    const pending = client.execute(
+      `console.log('a'); await crypto.sha256('x'); console.warn('b'); return 1;`,
+      {},
+      { capabilities: ['crypto.sha256'], onLog: (entry) => seen.push(`${entry.level}:${entry.message}`) }
+    );
+    const delivered = pending.then(() => [...seen]);
+
+    expect(await delivered).toEqual(['log:a', 'warn:b']);
+    expect((await pending).metrics).toMatchObject({ logs: [{ message: 'a' }, { message: 'b' }], logsDropped: 0 });
+  });
+
+  it('MUST NOT stream console entries without onLog', async () => {
+    posted.length = 0;
+    const { metrics } = await client.execute(`console.log('quiet'); return 1;`);
+
+    expect(posted).not.toContain(MessageType.EXECUTE_LOG);
+    expect(metrics.logs).toEqual([expect.objectContaining({ level: 'log', message: 'quiet' })]);
+  });
+});